@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Migration Script: Backfill stage groups
+ *
+ * Reports used to guess a stage's group from its position in the pipeline; each
+ * open stage now stores its `group`. Open stages without one get the group their
+ * position implied: the first is `initial`, the second `follow_up`, the third
+ * `qualified` and the rest `in_progress`. Check the result in
+ * /api/admin/pipelines afterwards and adjust any stage that was guessed wrong.
+ *
+ * Run: node scripts/backfill-stage-groups.js [--dry-run]
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Pipeline from '../src/models/PipelineModel.js';
+
+// Load environment variables
+dotenv.config();
+
+const POSITION_GROUPS = ['initial', 'follow_up', 'qualified'];
+const LATER_GROUP = 'in_progress';
+
+class StageGroupMigration {
+  constructor({ dryRun }) {
+    this.dryRun = dryRun;
+    this.stats = { pipelines: 0, updated: 0, stages: 0 };
+  }
+
+  async migratePipelines() {
+    console.log('\n🗂️  Assigning stage groups...');
+    const stats = this.stats;
+
+    const pipelines = await Pipeline.find({}).lean();
+
+    for (const pipeline of pipelines) {
+      stats.pipelines++;
+
+      const open = pipeline.stages
+        .filter(stage => !stage.isWon && !stage.isLost)
+        .sort((a, b) => a.order - b.order);
+
+      const set = {};
+      open.forEach((stage, position) => {
+        if (stage.group) return;
+        const group = POSITION_GROUPS[position] || LATER_GROUP;
+        set[`stages.${pipeline.stages.indexOf(stage)}.group`] = group;
+        console.log(`   ${pipeline.key}: ${stage.key} → ${group}`);
+      });
+
+      const count = Object.keys(set).length;
+      if (count === 0) continue;
+
+      stats.updated++;
+      stats.stages += count;
+
+      if (!this.dryRun) {
+        // Positional paths on a plain update, so the pipeline's own validation is not re-run
+        await Pipeline.updateOne({ _id: pipeline._id }, { $set: set });
+      }
+    }
+
+    console.log(`✅ ${stats.stages} stage(s) in ${stats.updated} of ${stats.pipelines} pipeline(s) assigned a group`);
+  }
+
+  async run() {
+    try {
+      console.log('🚀 Starting stage group backfill');
+      if (this.dryRun) {
+        console.log('🧪 Dry run: no changes will be written');
+      }
+      console.log('='.repeat(50));
+
+      if (!process.env.MONGODB_URI) {
+        console.error('\n❌ MONGODB_URI not found in .env file!');
+        process.exit(1);
+      }
+
+      console.log('\n🔌 Connecting to MongoDB...');
+      await mongoose.connect(process.env.MONGODB_URI);
+      console.log('✅ Connected to MongoDB');
+
+      await this.migratePipelines();
+
+      console.log('\n✅ Stage group backfill completed');
+    } catch (error) {
+      console.error('\n❌ Stage group backfill failed:', error);
+      throw error;
+    } finally {
+      await mongoose.disconnect();
+      console.log('\n👋 Disconnected from MongoDB\n');
+    }
+  }
+}
+
+// Run migration
+const migration = new StageGroupMigration({ dryRun: process.argv.includes('--dry-run') });
+migration.run().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
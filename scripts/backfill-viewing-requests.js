@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * Migration Script: Backfill viewing requests
+ *
+ * Viewing requests used to be stored only as a `viewing_scheduled` activity with
+ * `metadata.status: 'pending_confirmation'`. The confirmation queue and escalation
+ * only see viewings with status `requested`, so each open legacy request becomes
+ * one, and its activity is marked `requested` with the new viewing's id (booking
+ * links sent for the request keep working). Requests already past the escalation
+ * deadline are marked escalated without sending alerts.
+ *
+ * Run: node scripts/backfill-viewing-requests.js [--dry-run]
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Lead from '../src/models/LeadModel.js';
+import availabilityService from '../src/services/availabilityService.js';
+import viewingRequestConfig from '../src/config/viewingRequests.js';
+
+// Load environment variables
+dotenv.config();
+
+const BATCH_SIZE = 500;
+const MAX_LISTED_SKIPPED = 50;
+const HOUR_MS = 60 * 60 * 1000;
+
+const isLegacyRequest = (activity) =>
+  activity.type === 'viewing_scheduled' && activity.metadata?.status === 'pending_confirmation';
+
+class ViewingRequestMigration {
+  constructor({ dryRun }) {
+    this.dryRun = dryRun;
+    this.now = new Date();
+    this.stats = { leads: 0, converted: 0, escalated: 0, skipped: 0 };
+    this.skipped = [];
+  }
+
+  async flush(operations) {
+    if (operations.length === 0 || this.dryRun) return;
+    // bulkWrite bypasses the model hooks, so no lead history entries are written for the backfill
+    await Lead.bulkWrite(operations, { ordered: false });
+  }
+
+  // The requested viewing for a legacy request activity, shaped like Lead.requestViewing's
+  buildViewing(lead, activity) {
+    const { propertyId, propertyName, preferredDate, preferredTime, alternateDate, alternateTime } = activity.metadata;
+    const requestedAt = activity.createdAt || lead.createdAt;
+
+    let preferredStartsAt = null;
+    try {
+      preferredStartsAt = availabilityService.resolveSlot(preferredDate, preferredTime).startsAt;
+    } catch {
+      // Free-text times stay as the client wrote them
+    }
+
+    const overdue = requestedAt <= new Date(this.now.getTime() - viewingRequestConfig.escalateAfterHours * HOUR_MS) ||
+      (preferredStartsAt && preferredStartsAt <= new Date(this.now.getTime() + viewingRequestConfig.escalateBeforeStartHours * HOUR_MS));
+
+    return {
+      _id: new mongoose.Types.ObjectId(),
+      propertyId,
+      propertyName: propertyName || null,
+      scheduledDate: preferredDate,
+      scheduledTime: preferredTime,
+      agent: lead.assignedTo || null,
+      agentName: lead.assignedToName || null,
+      status: 'requested',
+      request: {
+        preferredDate,
+        preferredTime,
+        alternateDate: alternateDate || null,
+        alternateTime: alternateTime || null,
+        preferredStartsAt,
+        message: null,
+        requestedAt,
+        escalatedAt: overdue ? this.now : null
+      },
+      createdAt: requestedAt
+    };
+  }
+
+  async migrateLeads() {
+    console.log('\n📅 Converting pending viewing requests...');
+    const stats = this.stats;
+
+    const cursor = Lead.find({
+      isDeleted: { $in: [true, false, null] },
+      activities: { $elemMatch: { type: 'viewing_scheduled', 'metadata.status': 'pending_confirmation' } }
+    }).select('name assignedTo assignedToName activities createdAt').lean().cursor();
+
+    let operations = [];
+    for await (const lead of cursor) {
+      stats.leads++;
+
+      const viewings = [];
+      const set = {};
+      const arrayFilters = [];
+
+      lead.activities.filter(isLegacyRequest).forEach(activity => {
+        const { propertyId, preferredDate, preferredTime } = activity.metadata;
+        if (!propertyId || !preferredDate || !preferredTime) {
+          stats.skipped++;
+          this.skipped.push(`lead ${lead._id} (${lead.name}), activity ${activity._id}: missing property or preferred time`);
+          return;
+        }
+
+        const viewing = this.buildViewing(lead, activity);
+        const filter = `a${arrayFilters.length}`;
+
+        viewings.push(viewing);
+        set[`activities.$[${filter}].metadata.status`] = 'requested';
+        set[`activities.$[${filter}].metadata.viewingId`] = viewing._id.toString();
+        arrayFilters.push({ [`${filter}._id`]: activity._id });
+
+        stats.converted++;
+        if (viewing.request.escalatedAt) stats.escalated++;
+      });
+
+      if (viewings.length === 0) continue;
+
+      operations.push({
+        updateOne: {
+          filter: { _id: lead._id },
+          update: { $push: { viewings: { $each: viewings } }, $set: set },
+          arrayFilters
+        }
+      });
+
+      if (operations.length >= BATCH_SIZE) {
+        await this.flush(operations);
+        operations = [];
+      }
+    }
+    await this.flush(operations);
+
+    console.log(`✅ ${stats.converted} request(s) on ${stats.leads} lead(s) converted, ${stats.escalated} already overdue, ${stats.skipped} skipped`);
+  }
+
+  printSkipped() {
+    if (this.skipped.length === 0) return;
+
+    console.log(`\n⚠️  ${this.skipped.length} request(s) could not be converted and were left as they are:`);
+    this.skipped.slice(0, MAX_LISTED_SKIPPED).forEach(line => console.log(`   - ${line}`));
+    if (this.skipped.length > MAX_LISTED_SKIPPED) {
+      console.log(`   ... and ${this.skipped.length - MAX_LISTED_SKIPPED} more`);
+    }
+  }
+
+  async run() {
+    try {
+      console.log('🚀 Starting viewing request backfill');
+      if (this.dryRun) {
+        console.log('🧪 Dry run: no changes will be written');
+      }
+      console.log('='.repeat(50));
+
+      if (!process.env.MONGODB_URI) {
+        console.error('\n❌ MONGODB_URI not found in .env file!');
+        process.exit(1);
+      }
+
+      console.log('\n🔌 Connecting to MongoDB...');
+      await mongoose.connect(process.env.MONGODB_URI);
+      console.log('✅ Connected to MongoDB');
+
+      await this.migrateLeads();
+      this.printSkipped();
+
+      console.log('\n✅ Viewing request backfill completed');
+    } catch (error) {
+      console.error('\n❌ Viewing request backfill failed:', error);
+      throw error;
+    } finally {
+      await mongoose.disconnect();
+      console.log('\n👋 Disconnected from MongoDB\n');
+    }
+  }
+}
+
+// Run migration
+const migration = new ViewingRequestMigration({ dryRun: process.argv.includes('--dry-run') });
+migration.run().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Migration Script: Normalize phone numbers
+ *
+ * Rewrites lead and client phone numbers to E.164 (Kenya as the default region).
+ * Leads keep a single canonical field: the legacy `phone` value is folded into
+ * `phoneNumber` and cleared. Numbers that cannot be parsed are kept as typed
+ * and listed so they can be corrected by hand.
+ *
+ * Run: node scripts/normalize-phones.js [--dry-run]
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Lead from '../src/models/LeadModel.js';
+import Client from '../src/models/ClientModel.js';
+import { canonicalPhone, isValidPhone } from '../src/utils/phone.js';
+
+// Load environment variables
+dotenv.config();
+
+const BATCH_SIZE = 500;
+const MAX_LISTED_INVALID = 50;
+
+class PhoneMigration {
+  constructor({ dryRun }) {
+    this.dryRun = dryRun;
+    this.stats = {
+      leads: { total: 0, updated: 0, unchanged: 0, invalid: 0 },
+      clients: { total: 0, updated: 0, unchanged: 0, invalid: 0 }
+    };
+    this.invalid = [];
+  }
+
+  async flush(Model, operations) {
+    if (operations.length === 0 || this.dryRun) return;
+    // bulkWrite bypasses the model hooks, so no lead history entries are written for the backfill
+    await Model.bulkWrite(operations, { ordered: false });
+  }
+
+  async migrateLeads() {
+    console.log('\n📞 Normalizing lead phone numbers...');
+    const stats = this.stats.leads;
+
+    const cursor = Lead.find({
+      isDeleted: { $in: [true, false, null] },
+      $or: [{ phoneNumber: { $nin: [null, ''] } }, { phone: { $nin: [null, ''] } }]
+    }).select('name phoneNumber phone').lean().cursor();
+
+    let operations = [];
+    for await (const lead of cursor) {
+      stats.total++;
+
+      const original = lead.phoneNumber || lead.phone;
+      const phoneNumber = canonicalPhone(original);
+
+      if (!isValidPhone(original)) {
+        stats.invalid++;
+        this.invalid.push(`lead ${lead._id} (${lead.name}): "${original}"`);
+      }
+
+      if (phoneNumber === lead.phoneNumber && !lead.phone) {
+        stats.unchanged++;
+        continue;
+      }
+
+      stats.updated++;
+      operations.push({
+        updateOne: {
+          filter: { _id: lead._id },
+          update: { $set: { phoneNumber, phone: null } }
+        }
+      });
+
+      if (operations.length >= BATCH_SIZE) {
+        await this.flush(Lead, operations);
+        operations = [];
+      }
+    }
+    await this.flush(Lead, operations);
+
+    console.log(`✅ Leads: ${stats.updated} updated, ${stats.unchanged} already normalized, ${stats.invalid} invalid`);
+  }
+
+  async migrateClients() {
+    console.log('\n📞 Normalizing client phone numbers...');
+    const stats = this.stats.clients;
+
+    const cursor = Client.find({ phone: { $nin: [null, ''] } }).select('name phone').lean().cursor();
+
+    let operations = [];
+    for await (const client of cursor) {
+      stats.total++;
+
+      const phone = canonicalPhone(client.phone);
+
+      if (!isValidPhone(client.phone)) {
+        stats.invalid++;
+        this.invalid.push(`client ${client._id} (${client.name}): "${client.phone}"`);
+      }
+
+      if (phone === client.phone) {
+        stats.unchanged++;
+        continue;
+      }
+
+      stats.updated++;
+      operations.push({
+        updateOne: {
+          filter: { _id: client._id },
+          update: { $set: { phone } }
+        }
+      });
+
+      if (operations.length >= BATCH_SIZE) {
+        await this.flush(Client, operations);
+        operations = [];
+      }
+    }
+    await this.flush(Client, operations);
+
+    console.log(`✅ Clients: ${stats.updated} updated, ${stats.unchanged} already normalized, ${stats.invalid} invalid`);
+  }
+
+  printInvalid() {
+    if (this.invalid.length === 0) return;
+
+    console.log(`\n⚠️  ${this.invalid.length} number(s) could not be parsed and were left as typed:`);
+    this.invalid.slice(0, MAX_LISTED_INVALID).forEach(line => console.log(`   - ${line}`));
+    if (this.invalid.length > MAX_LISTED_INVALID) {
+      console.log(`   ... and ${this.invalid.length - MAX_LISTED_INVALID} more`);
+    }
+  }
+
+  async run() {
+    try {
+      console.log('🚀 Starting phone number normalization');
+      if (this.dryRun) {
+        console.log('🧪 Dry run: no changes will be written');
+      }
+      console.log('='.repeat(50));
+
+      if (!process.env.MONGODB_URI) {
+        console.error('\n❌ MONGODB_URI not found in .env file!');
+        process.exit(1);
+      }
+
+      console.log('\n🔌 Connecting to MongoDB...');
+      await mongoose.connect(process.env.MONGODB_URI);
+      console.log('✅ Connected to MongoDB');
+
+      await this.migrateLeads();
+      await this.migrateClients();
+      this.printInvalid();
+
+      console.log('\n✅ Phone normalization completed');
+    } catch (error) {
+      console.error('\n❌ Phone normalization failed:', error);
+      throw error;
+    } finally {
+      await mongoose.disconnect();
+      console.log('\n👋 Disconnected from MongoDB\n');
+    }
+  }
+}
+
+// Run migration
+const migration = new PhoneMigration({ dryRun: process.argv.includes('--dry-run') });
+migration.run().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+/**
+ * Marketing Attribution Settings
+ * How a touch (UTM parameters and referrer) is classified into a channel
+ */
+
+export const ATTRIBUTION_CHANNELS = [
+  'paid_search', 'paid_social', 'display', 'email', 'affiliate',
+  'social', 'organic_search', 'referral', 'direct', 'other'
+];
+
+export const attributionConfig = {
+  // utm_medium values for each paid or owned channel
+  paidMediums: ['cpc', 'ppc', 'paid', 'paidsearch', 'paid_search', 'sem'],
+  paidSocialMediums: ['paid_social', 'paidsocial', 'social_paid', 'social-paid'],
+  displayMediums: ['display', 'banner', 'cpm'],
+  emailMediums: ['email', 'e-mail', 'newsletter'],
+  affiliateMediums: ['affiliate', 'partner'],
+  socialMediums: ['social', 'social-network', 'social-media', 'sm'],
+
+  // Recognised by utm_source or by a label in the referrer's host name
+  searchEngines: ['google', 'bing', 'yahoo', 'duckduckgo', 'ecosia', 'baidu', 'yandex'],
+  socialSites: ['facebook', 'fb', 'instagram', 'twitter', 'x', 't', 'linkedin', 'lnkd', 'tiktok', 'youtube', 'whatsapp', 'pinterest', 'snapchat', 'threads'],
+};
+
+export default attributionConfig;
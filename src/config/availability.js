@@ -0,0 +1,41 @@
+/**
+ * Agent Availability and Viewing Scheduling Settings
+ * Times are wall-clock times in the business timezone
+ */
+
+const parseNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+export const availabilityConfig = {
+  // Timezone viewing dates, times and working hours are given in
+  timezone: process.env.VIEWING_TIMEZONE || 'Africa/Nairobi',
+
+  // Length of a viewing unless another duration is given
+  defaultViewingMinutes: parseNumber(process.env.VIEWING_DEFAULT_MINUTES, 60),
+
+  // Gap kept free between viewings at different properties for travel
+  travelBufferMinutes: parseNumber(process.env.VIEWING_TRAVEL_BUFFER_MINUTES, 30),
+
+  // Spacing of suggested slot start times
+  slotIntervalMinutes: parseNumber(process.env.VIEWING_SLOT_INTERVAL_MINUTES, 30),
+
+  // Suggested slots start at least this far from now
+  minNoticeMinutes: parseNumber(process.env.VIEWING_MIN_NOTICE_MINUTES, 120),
+
+  // Most days one slot search may cover
+  maxSlotSearchDays: 31,
+
+  // Working hours for agents who have not set their own (0 = Sunday)
+  defaultWorkingHours: [
+    { day: 1, start: '08:00', end: '17:00' },
+    { day: 2, start: '08:00', end: '17:00' },
+    { day: 3, start: '08:00', end: '17:00' },
+    { day: 4, start: '08:00', end: '17:00' },
+    { day: 5, start: '08:00', end: '17:00' },
+    { day: 6, start: '09:00', end: '13:00' },
+  ],
+};
+
+export default availabilityConfig;
@@ -0,0 +1,26 @@
+/**
+ * Calendar Invite and Feed Settings
+ */
+
+import crypto from 'crypto';
+
+const parseNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+export const calendarConfig = {
+  // Public URL of this API, used in feed links (defaults to the host of the request)
+  apiUrl: (process.env.API_URL || '').replace(/\/+$/, '') || null,
+
+  // Signs feed tokens. A per-process secret breaks feed URLs on restart, so configure one in production.
+  feedSecret: process.env.CALENDAR_FEED_SECRET || process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex'),
+
+  // Viewings that ended up to this many days ago stay in the feed
+  feedPastDays: parseNumber(process.env.CALENDAR_FEED_PAST_DAYS, 1),
+
+  // Domain used in event UIDs
+  uidDomain: process.env.CALENDAR_UID_DOMAIN || 'kejamatch.com',
+};
+
+export default calendarConfig;
@@ -0,0 +1,16 @@
+/**
+ * Client Invitation Settings
+ * Set-password links emailed when staff convert a lead into a client account
+ */
+
+const parseNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+export const clientInvitationConfig = {
+  // Hours a set-password link stays valid
+  expiryHours: parseNumber(process.env.CLIENT_INVITATION_EXPIRY_HOURS, 72),
+};
+
+export default clientInvitationConfig;
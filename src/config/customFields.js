@@ -0,0 +1,30 @@
+/**
+ * Default Lead Custom Fields
+ * Seeded on first use; these match the Kejamatch fields already set on Odoo leads
+ */
+
+export const defaultCustomFields = [
+  {
+    key: 'budget_range',
+    label: 'Budget Range',
+    type: 'text',
+    odooField: 'x_budget_range',
+    order: 1,
+  },
+  {
+    key: 'preferred_county',
+    label: 'Preferred County',
+    type: 'text',
+    odooField: 'x_preferred_county',
+    order: 2,
+  },
+  {
+    key: 'property_interest',
+    label: 'Property Interest',
+    type: 'text',
+    odooField: 'x_property_interest',
+    order: 3,
+  },
+];
+
+export default defaultCustomFields;
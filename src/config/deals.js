@@ -0,0 +1,39 @@
+/**
+ * Deal Settings
+ * Deal stages with their default win probability, and the commission
+ * rules seeded on first use (admins manage them from /api/admin/commission-rules)
+ */
+
+export const DEAL_STAGES = ['offer', 'negotiation', 'agreed', 'won', 'lost'];
+export const CLOSED_DEAL_STAGES = ['won', 'lost'];
+
+export const dealConfig = {
+  // Probability (%) applied when a deal enters a stage without an explicit one
+  stageProbabilities: {
+    offer: 25,
+    negotiation: 50,
+    agreed: 80,
+    won: 100,
+    lost: 0,
+  },
+};
+
+// rate: % of the agreed price; shares: % of the commission for each agent
+export const defaultCommissionRules = [
+  {
+    propertyType: 'Buy',
+    rate: 3,
+    listingAgentShare: 50,
+    sellingAgentShare: 50,
+    description: '3% of the agreed sale price',
+  },
+  {
+    propertyType: 'Rent',
+    rate: 100,
+    listingAgentShare: 50,
+    sellingAgentShare: 50,
+    description: "One month's rent (agreed monthly rent)",
+  },
+];
+
+export default dealConfig;
@@ -0,0 +1,20 @@
+/**
+ * Out-of-Office Delegation Settings
+ */
+
+const parseNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+export const DELEGATION_STATUSES = ['scheduled', 'active', 'completed', 'cancelled'];
+
+export const delegationConfig = {
+  // How often delegations are started and ended
+  checkIntervalMinutes: parseNumber(process.env.DELEGATION_CHECK_INTERVAL_MINUTES, 5),
+
+  // Longest out-of-office period that can be booked
+  maxDays: parseNumber(process.env.DELEGATION_MAX_DAYS, 90),
+};
+
+export default delegationConfig;
@@ -0,0 +1,98 @@
+/**
+ * Disposable Email Domains
+ * Throwaway mailbox providers. Subdomains of these domains also match.
+ * Add local additions with SPAM_EXTRA_DISPOSABLE_DOMAINS rather than editing this list.
+ */
+
+export const disposableEmailDomains = [
+  '0-mail.com',
+  '10minutemail.com',
+  '10minutemail.net',
+  '20minutemail.com',
+  '33mail.com',
+  'anonbox.net',
+  'burnermail.io',
+  'byom.de',
+  'deadaddress.com',
+  'discard.email',
+  'discardmail.com',
+  'dispostable.com',
+  'dropmail.me',
+  'emailfake.com',
+  'emailondeck.com',
+  'emltmp.com',
+  'fakeinbox.com',
+  'fakemail.net',
+  'fakemailgenerator.com',
+  'getairmail.com',
+  'getnada.com',
+  'grr.la',
+  'guerrillamail.biz',
+  'guerrillamail.com',
+  'guerrillamail.de',
+  'guerrillamail.info',
+  'guerrillamail.net',
+  'guerrillamail.org',
+  'guerrillamailblock.com',
+  'harakirimail.com',
+  'inboxbear.com',
+  'inboxkitten.com',
+  'incognitomail.org',
+  'jetable.org',
+  'linshiyouxiang.net',
+  'luxusmail.org',
+  'mail-temp.com',
+  'mailcatch.com',
+  'maildrop.cc',
+  'mailforspam.com',
+  'mailinator.com',
+  'mailinator.net',
+  'mailinator2.com',
+  'mailnesia.com',
+  'mailpoof.com',
+  'mailsac.com',
+  'mailtemp.net',
+  'mintemail.com',
+  'minuteinbox.com',
+  'moakt.com',
+  'mohmal.com',
+  'mt2015.com',
+  'mvrht.net',
+  'mytemp.email',
+  'mytrashmail.com',
+  'nada.email',
+  'owlymail.com',
+  'pokemail.net',
+  'sharklasers.com',
+  'spam4.me',
+  'spambox.us',
+  'spamdecoy.net',
+  'spamex.com',
+  'spamfree24.org',
+  'spamgourmet.com',
+  'temp-mail.io',
+  'temp-mail.org',
+  'tempail.com',
+  'tempinbox.com',
+  'tempmail.com',
+  'tempmail.dev',
+  'tempmail.net',
+  'tempmailaddress.com',
+  'tempmailo.com',
+  'tempr.email',
+  'throwawaymail.com',
+  'tmail.ws',
+  'tmpmail.net',
+  'tmpmail.org',
+  'trash-mail.com',
+  'trashmail.com',
+  'trashmail.de',
+  'trashmail.net',
+  'wegwerfmail.de',
+  'yopmail.com',
+  'yopmail.fr',
+  'yopmail.net',
+  'zetmail.com',
+];
+
+export default disposableEmailDomains;
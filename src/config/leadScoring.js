@@ -0,0 +1,78 @@
+/**
+ * Lead Scoring Rules
+ * Points awarded per rule; the total is clamped to 0..maxScore
+ */
+
+const parseNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+export const leadScoringConfig = {
+  maxScore: 100,
+
+  // Points by lead source
+  source: {
+    points: {
+      property_viewing_request: 25,
+      bnb_booking_form: 20,
+      website_contact_form: 10,
+      odoo_import: 5,
+    },
+    default: 5,
+  },
+
+  // Points per property the lead is interested in
+  interestedProperties: {
+    perProperty: 5,
+    max: 15,
+  },
+
+  // Points per completed viewing
+  completedViewings: {
+    perViewing: 10,
+    max: 20,
+  },
+
+  // Call outcomes are free text; the first matching keyword wins
+  callOutcomes: {
+    rules: [
+      { match: 'not interested', points: -15 },
+      { match: 'wrong number', points: -10 },
+      { match: 'interested', points: 10 },
+      { match: 'callback', points: 5 },
+      { match: 'call back', points: 5 },
+      { match: 'voicemail', points: 0 },
+      { match: 'no answer', points: -2 },
+    ],
+    min: -20,
+    max: 15,
+  },
+
+  // Points by days since lastContactedAt (first matching bucket wins)
+  recency: [
+    { withinDays: 3, points: 15 },
+    { withinDays: 7, points: 10 },
+    { withinDays: 30, points: 5 },
+  ],
+
+  // Linked client budget vs interested property price
+  budgetFit: {
+    withinBudget: 15,
+    nearBudget: 5, // within tolerance above maxBudget
+    overBudget: -10,
+    tolerance: 0.1, // 10%
+  },
+
+  // Stored scores are refreshed in the background, since recency and budget fit
+  // change without the lead being saved
+  refresh: {
+    // Rescore leads whose score is older than this
+    maxAgeHours: parseNumber(process.env.LEAD_SCORE_MAX_AGE_HOURS, 24),
+    // How often the refresh job runs, and how many leads it rescores per run
+    intervalMinutes: parseNumber(process.env.LEAD_SCORE_REFRESH_INTERVAL_MINUTES, 60),
+    batchSize: parseNumber(process.env.LEAD_SCORE_REFRESH_BATCH_SIZE, 500),
+  },
+};
+
+export default leadScoringConfig;
@@ -0,0 +1,19 @@
+/**
+ * Lead Trash Settings
+ * Deleted leads stay restorable until they are purged
+ */
+
+const parseNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+export const leadTrashConfig = {
+  // Days a deleted lead is kept before it is permanently removed
+  retentionDays: parseNumber(process.env.LEAD_TRASH_RETENTION_DAYS, 30),
+
+  // How often the purge job runs
+  purgeIntervalHours: parseNumber(process.env.LEAD_TRASH_PURGE_INTERVAL_HOURS, 24),
+};
+
+export default leadTrashConfig;
@@ -0,0 +1,16 @@
+/**
+ * Default Loss Reasons
+ * Seeded on first use; admins manage the list from /api/admin/loss-reasons
+ */
+
+export const defaultLossReasons = [
+  { key: 'price', label: 'Price', order: 1 },
+  { key: 'location', label: 'Location', order: 2 },
+  { key: 'financing', label: 'Financing', order: 3 },
+  { key: 'competitor', label: 'Went with a competitor', order: 4 },
+  { key: 'property_unavailable', label: 'Property no longer available', order: 5 },
+  { key: 'unresponsive', label: 'Stopped responding', order: 6 },
+  { key: 'other', label: 'Other', order: 99 },
+];
+
+export default defaultLossReasons;
@@ -0,0 +1,10 @@
+/**
+ * Phone Number Settings
+ */
+
+export const phoneConfig = {
+  // Region assumed for numbers typed without a country code (ISO 3166 alpha-2)
+  defaultRegion: (process.env.PHONE_DEFAULT_REGION || 'KE').toUpperCase(),
+};
+
+export default phoneConfig;
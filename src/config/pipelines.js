@@ -0,0 +1,32 @@
+/**
+ * Default Sales Pipeline
+ * Seeded into the database the first time pipelines are read.
+ * After that, pipelines are managed through /api/admin/pipelines.
+ */
+
+export const DEFAULT_PIPELINE_KEY = 'sales';
+
+// Reporting group of an open stage: where leads start, awaiting follow-up,
+// qualified, or qualified and being worked (viewings, negotiation)
+export const STAGE_GROUPS = ['initial', 'follow_up', 'qualified', 'in_progress'];
+
+export const defaultPipelines = [
+  {
+    key: DEFAULT_PIPELINE_KEY,
+    name: 'Sales',
+    description: 'Default lead pipeline',
+    isDefault: true,
+    sources: [],
+    stages: [
+      { key: 'new', name: 'New', order: 1, group: 'initial', odooStageName: 'New Lead' },
+      { key: 'contacted', name: 'Contacted', order: 2, group: 'follow_up', odooStageName: 'Contacted' },
+      { key: 'qualified', name: 'Qualified', order: 3, group: 'qualified', odooStageName: 'Qualified' },
+      { key: 'viewing', name: 'Viewing', order: 4, group: 'in_progress', odooStageName: 'Viewing Scheduled' },
+      { key: 'negotiating', name: 'Negotiating', order: 5, group: 'in_progress', odooStageName: 'Negotiation' },
+      { key: 'won', name: 'Won', order: 6, isWon: true, odooStageName: 'Won' },
+      { key: 'lost', name: 'Lost', order: 7, isLost: true, odooStageName: 'Lost' },
+    ],
+  },
+];
+
+export default defaultPipelines;
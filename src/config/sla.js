@@ -0,0 +1,35 @@
+/**
+ * First-Response SLA Targets
+ * Minutes allowed between lead creation (or assignment, whichever is later)
+ * and the first agent touch: a call, email, note or status change
+ */
+
+const parseMinutes = (value, fallback) => {
+  const minutes = parseInt(value, 10);
+  return Number.isNaN(minutes) ? fallback : minutes;
+};
+
+export const slaConfig = {
+  // Target minutes by lead source; null means the source is not tracked
+  targets: {
+    property_viewing_request: 30,
+    bnb_booking_form: 60,
+    website_contact_form: 120,
+    odoo_import: null,
+  },
+  defaultTargetMinutes: parseMinutes(process.env.LEAD_SLA_DEFAULT_MINUTES, 240),
+
+  // Warn the agent this many minutes before the SLA is due
+  warnBeforeMinutes: parseMinutes(process.env.LEAD_SLA_WARN_BEFORE_MINUTES, 15),
+
+  // Email the assigned agent as well as the real-time alert
+  emailAlerts: process.env.LEAD_SLA_EMAIL_ALERTS !== 'false',
+
+  // How often the monitor checks for at-risk and breached leads
+  checkIntervalMinutes: parseMinutes(process.env.LEAD_SLA_CHECK_INTERVAL_MINUTES, 5),
+
+  // Activity types that count as an agent touch
+  touchActivityTypes: ['call_logged', 'email_sent', 'note_added', 'status_change'],
+};
+
+export default slaConfig;
@@ -0,0 +1,48 @@
+/**
+ * Spam Protection Settings
+ * Checks applied to the public contact, booking and viewing-request forms
+ */
+
+const parseNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+export const PROTECTED_FORMS = ['contact', 'booking', 'viewing_request'];
+
+export const QUARANTINE_STATUSES = ['pending', 'released', 'discarded'];
+
+export const spamProtectionConfig = {
+  // Set SPAM_PROTECTION_ENABLED=false to accept every submission unchecked
+  enabled: process.env.SPAM_PROTECTION_ENABLED !== 'false',
+
+  // Hidden field people never see; bots that fill it are quarantined
+  honeypotField: process.env.SPAM_HONEYPOT_FIELD || 'website',
+
+  // Field carrying the token from GET /api/forms/token
+  tokenField: 'formToken',
+
+  // Quarantine submissions without a form token. Off until the frontend sends one,
+  // so the fill-time check is off too (a missing token then only counts alongside
+  // another signal); a token that is present is always checked
+  requireFormToken: process.env.SPAM_REQUIRE_FORM_TOKEN === 'true',
+
+  // Seconds a person needs at least to fill in a form
+  minFillSeconds: parseNumber(process.env.SPAM_MIN_FILL_SECONDS, 3),
+
+  // Hours a form token stays valid
+  tokenMaxAgeHours: parseNumber(process.env.SPAM_TOKEN_MAX_AGE_HOURS, 24),
+
+  // Identical submissions within this window are rejected
+  duplicateWindowMinutes: parseNumber(process.env.SPAM_DUPLICATE_WINDOW_MINUTES, 10),
+
+  // Disposable email domains on top of the bundled list
+  extraDisposableDomains: parseList(process.env.SPAM_EXTRA_DISPOSABLE_DOMAINS),
+};
+
+export default spamProtectionConfig;
@@ -0,0 +1,31 @@
+/**
+ * Follow-up Task Settings
+ */
+
+const parseNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+export const taskConfig = {
+  // Send the due reminder this many minutes before a task is due
+  reminderLeadMinutes: parseNumber(process.env.TASK_REMINDER_LEAD_MINUTES, 30),
+
+  // How often the reminder job runs
+  reminderCheckIntervalMinutes: parseNumber(process.env.TASK_REMINDER_CHECK_INTERVAL_MINUTES, 5),
+
+  // Email the assignee as well as the real-time reminder
+  emailReminders: process.env.TASK_EMAIL_REMINDERS !== 'false',
+
+  // Tasks created automatically after lead events
+  autoTasks: {
+    viewingCompleted: {
+      enabled: true,
+      dueInHours: 24,
+      priority: 'high',
+      type: 'follow_up',
+    },
+  },
+};
+
+export default taskConfig;
@@ -0,0 +1,23 @@
+/**
+ * Client Viewing Link Settings
+ * Signed links in viewing emails that let clients see, cancel or move a booking
+ */
+
+const parseNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+export const viewingLinkConfig = {
+  // Signs the links (defaults to JWT_SECRET)
+  secret: process.env.VIEWING_LINK_SECRET || process.env.JWT_SECRET || 'your-secret-key-change-in-production',
+
+  // Days a link for an unconfirmed viewing request stays valid; links for
+  // scheduled viewings expire when the viewing starts
+  requestExpiryDays: parseNumber(process.env.VIEWING_LINK_REQUEST_EXPIRY_DAYS, 30),
+
+  // Most new times a client can propose at once
+  maxProposedTimes: 3,
+};
+
+export default viewingLinkConfig;
@@ -0,0 +1,32 @@
+/**
+ * Viewing Reminder Settings
+ */
+
+const parseNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+// '1440,120' -> [1440, 120]
+const parseOffsets = (value, fallback) => {
+  if (!value) return fallback;
+  const offsets = value.split(',')
+    .map(offset => parseInt(offset.trim(), 10))
+    .filter(offset => offset > 0);
+  return offsets.length > 0 ? [...new Set(offsets)].sort((a, b) => b - a) : fallback;
+};
+
+export const viewingReminderConfig = {
+  enabled: process.env.VIEWING_REMINDERS_ENABLED !== 'false',
+
+  // Minutes before a viewing to send each reminder (24 hours and 2 hours)
+  offsetsMinutes: parseOffsets(process.env.VIEWING_REMINDER_OFFSETS_MINUTES, [1440, 120]),
+
+  // How often the reminder job runs
+  checkIntervalMinutes: parseNumber(process.env.VIEWING_REMINDER_CHECK_INTERVAL_MINUTES, 5),
+
+  // Email the agent showing the property as well as the client
+  remindAgent: process.env.VIEWING_REMINDERS_AGENT !== 'false',
+};
+
+export default viewingReminderConfig;
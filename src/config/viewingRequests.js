@@ -0,0 +1,22 @@
+/**
+ * Viewing Request Settings
+ * When unconfirmed viewing requests from the website are escalated
+ */
+
+const parseNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+export const viewingRequestConfig = {
+  // Escalate a request nobody has confirmed this many hours after it came in
+  escalateAfterHours: parseNumber(process.env.VIEWING_REQUEST_ESCALATE_AFTER_HOURS, 24),
+
+  // ...or this many hours before the client's preferred time, whichever is sooner
+  escalateBeforeStartHours: parseNumber(process.env.VIEWING_REQUEST_ESCALATE_BEFORE_START_HOURS, 12),
+
+  // How often the escalation job runs
+  checkIntervalMinutes: parseNumber(process.env.VIEWING_REQUEST_CHECK_INTERVAL_MINUTES, 15),
+};
+
+export default viewingRequestConfig;
@@ -1,6 +1,7 @@
 // Add these functions to your existing adminController.js
 
 import { clientStorage } from '../services/clientStorageMongo.js';
+import clientConversionService from '../services/clientConversionService.js';
 import { documentStorage } from '../services/documentStorage.js';
 import { Resend } from 'resend';
 import { clientApprovedTemplate, clientRejectedTemplate } from '../templates/clientEmailTemplates.js';
@@ -272,6 +273,66 @@ export const deleteClient = async (req, res) => {
   }
 };
 
+// =====================
+// LEAD CONVERSION
+// =====================
+
+/**
+ * Convert a lead into a client account and email a set-password invitation.
+ * Body: { sendInvitation } (default true)
+ */
+export const convertLeadToClient = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const sendInvitation = req.body?.sendInvitation !== false;
+
+    const result = await clientConversionService.convertLead(id, req.user, { sendInvitation });
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created
+        ? `Lead converted to client${result.invitationSent ? ' and invitation sent' : ''}`
+        : 'Lead linked to existing client account',
+      data: result,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('❌ Convert lead to client error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to convert lead',
+    });
+  }
+};
+
+/**
+ * Send a new set-password invitation (the previous link stops working)
+ */
+export const resendClientInvitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await clientConversionService.resendInvitation(id, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: result.invitationSent ? 'Invitation sent' : 'Invitation renewed but the email could not be sent',
+      data: result,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('❌ Resend client invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend invitation',
+    });
+  }
+};
+
 // =====================
 // DOCUMENT VERIFICATION
 // =====================
@@ -422,6 +483,8 @@ export const clientManagement = {
   assignClientToAgent,
   updateClient,
   deleteClient,
+  convertLeadToClient,
+  resendClientInvitation,
   getPendingDocuments,
   verifyDocument,
   rejectDocument,
@@ -1,5 +1,13 @@
+import mongoose from 'mongoose';
 import { userStorage } from '../services/userStorageMongo.js';
 import LeadStorage from '../services/leadStorageMongo.js';
+import leadSlaService from '../services/leadSlaService.js';
+import pipelineService from '../services/pipelineService.js';
+import leadOutcomeService from '../services/leadOutcomeService.js';
+import agentRedistributionService from '../services/agentRedistributionService.js';
+import User from '../models/UserModel.js';
+import leadTrashConfig from '../config/leadTrash.js';
+import { CHANGE_ORIGINS } from '../utils/changeContext.js';
 import logger from '../utils/logger.js';
 
 // Get dashboard statistics
@@ -27,15 +35,7 @@ export const getDashboardStats = async (req, res) => {
         total: leads.length,
         today: leads.filter(l => new Date(l.createdAt) >= today).length,
         thisWeek: leads.filter(l => new Date(l.createdAt) >= weekAgo).length,
-        byStatus: {
-          new: leads.filter(l => l.status === 'new').length,
-          contacted: leads.filter(l => l.status === 'contacted').length,
-          qualified: leads.filter(l => l.status === 'qualified').length,
-          viewing: leads.filter(l => l.status === 'viewing').length,
-          negotiating: leads.filter(l => l.status === 'negotiating').length,
-          won: leads.filter(l => l.status === 'won').length,
-          lost: leads.filter(l => l.status === 'lost').length,
-        },
+        byStatus: await pipelineService.countByStatus(leads),
       },
       recentActivity: leads
         .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
@@ -49,11 +49,17 @@ export const getDashboardStats = async (req, res) => {
   }
 };
 
-// Get all leads
+// Get leads (paginated, filterable, sortable)
 export const getAllLeads = async (req, res) => {
   try {
-    const leadsResponse = await LeadStorage.getAllLeads();
-    res.status(200).json({ success: true, data: leadsResponse?.leads || [] });
+    const { filters, options } = LeadStorage.parseListQuery(req.query);
+    const result = await LeadStorage.queryLeads(filters, options);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error || 'Failed to get leads' });
+    }
+
+    res.status(200).json({ success: true, data: result.leads, pagination: result.pagination });
   } catch (error) {
     logger.error('❌ Get all leads error:', error);
     res.status(500).json({ success: false, message: 'Failed to get leads' });
@@ -96,18 +102,78 @@ export const getLeadActivities = async (req, res) => {
   }
 };
 
-// Update lead status with activity tracking
+// Get field-level change history (?field=&origin=&userId=&startDate=&endDate=&page=&limit=)
+export const getLeadHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { origin } = req.query;
+
+    if (origin && !CHANGE_ORIGINS.includes(origin)) {
+      return res.status(400).json({ success: false, message: `origin must be one of: ${CHANGE_ORIGINS.join(', ')}` });
+    }
+
+    const result = await LeadStorage.getLeadHistory(id, req.query);
+
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
+    }
+
+    res.status(200).json({ success: true, count: result.history.length, data: result.history, pagination: result.pagination });
+  } catch (error) {
+    logger.error('❌ Get lead history error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get lead history' });
+  }
+};
+
+// Reconstruct a lead as it was at ?date=
+export const getLeadAsOf = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const asOf = new Date(req.query.date);
+
+    if (!req.query.date || Number.isNaN(asOf.getTime())) {
+      return res.status(400).json({ success: false, message: 'A valid date is required' });
+    }
+
+    const result = await LeadStorage.getLeadAsOf(id, asOf);
+
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { asOf: result.asOf, changesUndone: result.changesUndone, lead: result.lead }
+    });
+  } catch (error) {
+    logger.error('❌ Get lead as of date error:', error);
+    res.status(500).json({ success: false, message: 'Failed to reconstruct lead' });
+  }
+};
+
+// Update lead status with activity tracking.
+// Lost stages require { lost: { reason, notes } }; won stages require { won: { value, propertyId, closeDate } }
 export const updateLeadStatus = async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
 
-    const validStatuses = ['new', 'contacted', 'qualified', 'viewing', 'negotiating', 'won', 'lost'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ success: false, message: 'Invalid status' });
+    const lead = await LeadStorage.findById(id);
+    if (!lead) {
+      return res.status(404).json({ success: false, message: 'Lead not found' });
+    }
+
+    const check = await pipelineService.validateStage(lead.pipeline, status);
+    if (!check.valid) {
+      return res.status(400).json({ success: false, message: check.message });
+    }
+
+    const resolved = await leadOutcomeService.resolveOutcome(check.stage, req.body);
+    if (!resolved.valid) {
+      return res.status(400).json({ success: false, message: resolved.message });
     }
 
-    const result = await LeadStorage.updateLeadStatus(id, status, req.user.id, req.user.name);
+    const result = await LeadStorage.updateLeadStatus(id, status, req.user.id, req.user.name, resolved.outcome);
     
     if (!result.success) {
       return res.status(404).json({ success: false, message: result.error || 'Lead not found' });
@@ -218,7 +284,7 @@ export const logLeadEmail = async (req, res) => {
 export const scheduleViewing = async (req, res) => {
   try {
     const { id } = req.params;
-    const { propertyId, propertyName, scheduledDate, scheduledTime, notes } = req.body;
+    const { propertyId, propertyName, scheduledDate, scheduledTime, durationMinutes, notes, agentId, force } = req.body;
 
     if (!scheduledDate || !scheduledTime) {
       return res.status(400).json({ success: false, message: 'Date and time are required' });
@@ -226,17 +292,21 @@ export const scheduleViewing = async (req, res) => {
 
     const result = await LeadStorage.scheduleViewing(
       id, 
-      { propertyId, propertyName, scheduledDate, scheduledTime, notes }, 
+      { propertyId, propertyName, scheduledDate, scheduledTime, durationMinutes, notes, agentId, force: force === true }, 
       req.user.id, 
       req.user.name
     );
     
     if (!result.success) {
-      return res.status(404).json({ success: false, message: result.error || 'Lead not found' });
+      return res.status(result.statusCode || 404).json({
+        success: false,
+        message: result.error || 'Lead not found',
+        ...(result.conflicts && { conflicts: result.conflicts, warnings: result.warnings })
+      });
     }
 
     logger.info(`✅ Viewing scheduled for lead: ${id} by ${req.user.email}`);
-    res.status(200).json({ success: true, message: 'Viewing scheduled successfully', data: result.lead, viewing: result.viewing });
+    res.status(200).json({ success: true, message: 'Viewing scheduled successfully', data: result.lead, viewing: result.viewing, warnings: result.warnings });
   } catch (error) {
     logger.error('❌ Schedule viewing error:', error);
     res.status(500).json({ success: false, message: 'Failed to schedule viewing' });
@@ -300,20 +370,181 @@ export const addPropertyInterest = async (req, res) => {
 export const deleteLead = async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await LeadStorage.deleteLead(id);
+    const result = await LeadStorage.deleteLead(id, req.user.id, req.user.name);
     
     if (!result.success) {
       return res.status(404).json({ success: false, message: result.error || 'Lead not found' });
     }
 
-    logger.info(`✅ Lead deleted: ${id}`);
-    res.status(200).json({ success: true, message: 'Lead deleted successfully' });
+    logger.info(`✅ Lead moved to trash: ${id} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Lead moved to trash' });
   } catch (error) {
     logger.error('❌ Delete lead error:', error);
     res.status(500).json({ success: false, message: 'Failed to delete lead' });
   }
 };
 
+// Set custom field values ({ values: { key: value } }, null clears a value)
+export const updateLeadCustomFields = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await LeadStorage.updateCustomFields(id, req.body.values, req.user.id, req.user.name);
+
+    if (!result.success) {
+      if (result.errors) {
+        return res.status(400).json({ success: false, message: result.error, errors: result.errors });
+      }
+      return res.status(404).json({ success: false, message: result.error || 'Lead not found' });
+    }
+
+    logger.info(`✅ Custom fields updated on lead: ${id} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Custom fields updated', data: result.lead });
+  } catch (error) {
+    logger.error('❌ Update custom fields error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update custom fields' });
+  }
+};
+
+// Add and/or remove tags ({ add: [], remove: [] })
+export const updateLeadTags = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { add, remove } = req.body;
+    const result = await LeadStorage.updateTags(id, { add, remove }, req.user.id, req.user.name);
+
+    if (!result.success) {
+      return res.status(result.invalid ? 400 : 404).json({ success: false, message: result.error || 'Lead not found' });
+    }
+
+    logger.info(`✅ Tags updated on lead: ${id} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Tags updated', data: result.lead });
+  } catch (error) {
+    logger.error('❌ Update tags error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update tags' });
+  }
+};
+
+// List leads in the trash
+export const getDeletedLeads = async (req, res) => {
+  try {
+    const { page, limit, search } = req.query;
+    const result = await LeadStorage.getDeletedLeads({ page, limit, search });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: 'Failed to get deleted leads' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.leads,
+      pagination: result.pagination,
+      retentionDays: leadTrashConfig.retentionDays
+    });
+  } catch (error) {
+    logger.error('❌ Get deleted leads error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get deleted leads' });
+  }
+};
+
+// Restore a lead from the trash
+export const restoreLead = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await LeadStorage.restoreLead(id, req.user.id, req.user.name);
+
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error || 'Lead not found in trash' });
+    }
+
+    logger.info(`✅ Lead restored: ${id} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Lead restored', data: result.lead });
+  } catch (error) {
+    logger.error('❌ Restore lead error:', error);
+    res.status(500).json({ success: false, message: 'Failed to restore lead' });
+  }
+};
+
+// Get lead score with per-rule breakdown (calculated on request, not saved)
+export const getLeadScore = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await LeadStorage.getLeadScore(id);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.statusCode === 404 ? result.error : 'Failed to get lead score'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        score: result.score,
+        breakdown: result.breakdown,
+        storedScore: result.storedScore,
+        scoredAt: result.scoredAt
+      }
+    });
+  } catch (error) {
+    logger.error('❌ Get lead score error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get lead score' });
+  }
+};
+
+// Find possible duplicates of a lead
+export const getLeadDuplicates = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await LeadStorage.findDuplicates(id);
+
+    if (!result.success) {
+      return res.status(404).json({ success: false, message: result.error || 'Lead not found' });
+    }
+
+    res.status(200).json({ success: true, data: result.duplicates });
+  } catch (error) {
+    logger.error('❌ Get lead duplicates error:', error);
+    res.status(500).json({ success: false, message: 'Failed to find duplicates' });
+  }
+};
+
+// Merge duplicate leads into this lead
+export const mergeLeads = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { duplicateIds } = req.body;
+
+    if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      return res.status(400).json({ success: false, message: 'duplicateIds must be a non-empty array' });
+    }
+
+    const result = await LeadStorage.mergeLeads(id, duplicateIds, req.user.id, req.user.name);
+
+    if (!result.success) {
+      const status = result.error?.includes('not found') ? 404 : 400;
+      return res.status(status).json({ success: false, message: result.error });
+    }
+
+    logger.info(`✅ Leads merged into ${id} by ${req.user.email}: ${duplicateIds.join(', ')}`);
+    res.status(200).json({ success: true, message: 'Leads merged successfully', data: result.lead });
+  } catch (error) {
+    logger.error('❌ Merge leads error:', error);
+    res.status(500).json({ success: false, message: 'Failed to merge leads' });
+  }
+};
+
+// List first-response SLA breaches (?state=open|late|all|at_risk)
+export const getSlaBreaches = async (req, res) => {
+  try {
+    const { leads, summary, pagination } = await leadSlaService.getBreaches(req.query);
+    res.status(200).json({ success: true, data: leads, summary, pagination });
+  } catch (error) {
+    logger.error('❌ Get SLA breaches error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get SLA breaches' });
+  }
+};
+
 // Export leads to CSV
 export const exportLeads = async (req, res) => {
   try {
@@ -346,10 +577,12 @@ export const getAllUsers = async (req, res) => {
   }
 };
 
+// Deactivating an agent (isActive: false) moves their open leads and clients to
+// targetAgentId, or through the assignment rules when none is given
 export const updateUser = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, email, role, isActive } = req.body;
+    const { name, email, role, isActive, targetAgentId } = req.body;
 
     const updates = {};
     if (name) updates.name = name;
@@ -357,29 +590,97 @@ export const updateUser = async (req, res) => {
     if (role) updates.role = role;
     if (typeof isActive === 'boolean') updates.isActive = isActive;
 
+    const previous = await User.findById(id).select('isActive');
+    const deactivating = previous?.isActive && updates.isActive === false;
+    if (deactivating && targetAgentId) {
+      await agentRedistributionService.findTarget(targetAgentId, id);
+    }
+
     const user = await userStorage.updateUser(id, updates);
     logger.info(`✅ User updated: ${user.email}`);
-    res.status(200).json({ success: true, message: 'User updated successfully', data: user });
+
+    const redistribution = deactivating
+      ? await agentRedistributionService.handleDeparture(user, { targetAgentId }, req.user, 'deactivated')
+      : null;
+
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      data: user,
+      ...(redistribution && { redistribution })
+    });
   } catch (error) {
     logger.error('❌ Update user error:', error);
-    res.status(500).json({ success: false, message: error.message || 'Failed to update user' });
+    res.status(error.statusCode || 500).json({ success: false, message: error.message || 'Failed to update user' });
   }
 };
 
+// Open leads and clients are moved first, as for deactivation
 export const deleteUser = async (req, res) => {
   try {
     const { id } = req.params;
+    const targetAgentId = req.body?.targetAgentId || req.query.targetAgentId;
 
     if (id === req.user.id) {
       return res.status(400).json({ success: false, message: 'Cannot delete your own account' });
     }
 
+    const user = mongoose.isValidObjectId(id) ? await User.findById(id).select('name') : null;
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (targetAgentId) {
+      await agentRedistributionService.findTarget(targetAgentId, id);
+    }
+
+    // If this fails the user is kept, so nothing is left on a deleted agent
+    const redistribution = await agentRedistributionService.handleDeparture(user, { targetAgentId }, req.user, 'deleted');
+
     await userStorage.deleteUser(id);
     logger.info(`✅ User deleted: ${id}`);
-    res.status(200).json({ success: true, message: 'User deleted successfully' });
+
+    res.status(200).json({ success: true, message: 'User deleted successfully', redistribution });
   } catch (error) {
     logger.error('❌ Delete user error:', error);
-    res.status(500).json({ success: false, message: error.message || 'Failed to delete user' });
+    res.status(error.statusCode || 500).json({ success: false, message: error.message || 'Failed to delete user' });
+  }
+};
+
+/**
+ * Preview where an agent's open leads and clients would go (?targetAgentId=)
+ */
+export const previewRedistribution = async (req, res) => {
+  try {
+    const preview = await agentRedistributionService.preview(req.params.id, { targetAgentId: req.query.targetAgentId });
+    res.status(200).json({ success: true, data: preview });
+  } catch (error) {
+    logger.error('❌ Preview redistribution error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.message || 'Failed to preview redistribution' });
+  }
+};
+
+/**
+ * Move an agent's open leads and clients now, e.g. for an agent deactivated before this existed
+ */
+export const redistributeAgentWork = async (req, res) => {
+  try {
+    const agent = await User.findById(req.params.id).select('name');
+    if (!agent) {
+      return res.status(404).json({ success: false, message: 'Agent not found' });
+    }
+
+    const result = await agentRedistributionService.redistribute(
+      agent,
+      { targetAgentId: req.body.targetAgentId },
+      req.user,
+      'manual'
+    );
+
+    logger.info(`✅ Work redistributed for ${agent.name} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Leads and clients redistributed', data: result });
+  } catch (error) {
+    logger.error('❌ Redistribute agent work error:', error);
+    res.status(error.statusCode || 500).json({ success: false, message: error.message || 'Failed to redistribute leads and clients' });
   }
 };
 
@@ -407,7 +708,10 @@ export const getUnverifiedUsers = async (req, res) => {
 
 export default {
   getDashboardStats, getAllLeads, getLead, getLeadActivities,
-  updateLeadStatus, assignLead, addLeadNote, logLeadCall, logLeadEmail,
-  scheduleViewing, completeViewing, addPropertyInterest, deleteLead, exportLeads,
+  getLeadHistory, getLeadAsOf, updateLeadStatus, assignLead, addLeadNote, logLeadCall, logLeadEmail,
+  scheduleViewing, completeViewing, addPropertyInterest, updateLeadCustomFields, updateLeadTags,
+  deleteLead, getDeletedLeads, restoreLead, exportLeads,
+  getLeadDuplicates, mergeLeads, getLeadScore, getSlaBreaches,
   getAllUsers, updateUser, deleteUser, verifyUser, getUnverifiedUsers,
+  previewRedistribution, redistributeAgentWork,
 };
\ No newline at end of file
@@ -1,6 +1,12 @@
+import mongoose from 'mongoose';
 import Lead from '../models/LeadModel.js';
 import Property from '../models/PropertyModel.js';
+import Deal from '../models/DealModel.js';
 import User from '../models/UserModel.js';
+import pipelineService from '../services/pipelineService.js';
+import leadOutcomeService from '../services/leadOutcomeService.js';
+import { CLOSED_DEAL_STAGES } from '../config/deals.js';
+import availabilityConfig from '../config/availability.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -14,73 +20,23 @@ import logger from '../utils/logger.js';
 
 export const getConversionFunnel = async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, pipeline: pipelineKey } = req.query;
 
     const dateFilter = {};
     if (startDate) dateFilter.$gte = new Date(startDate);
     if (endDate) dateFilter.$lte = new Date(endDate);
 
-    const query = Object.keys(dateFilter).length > 0 ? { createdAt: dateFilter } : {};
+    const pipeline = await pipelineService.getPipeline(pipelineKey);
+    if (!pipeline) {
+      return res.status(404).json({ success: false, message: 'Pipeline not found' });
+    }
 
-    // Get counts for each stage
-    const [total, contacted, qualified, viewing, negotiating, won, lost] = await Promise.all([
-      Lead.countDocuments(query),
-      Lead.countDocuments({ ...query, status: { $in: ['contacted', 'qualified', 'viewing', 'negotiating', 'won'] } }),
-      Lead.countDocuments({ ...query, status: { $in: ['qualified', 'viewing', 'negotiating', 'won'] } }),
-      Lead.countDocuments({ ...query, status: { $in: ['viewing', 'negotiating', 'won'] } }),
-      Lead.countDocuments({ ...query, status: { $in: ['negotiating', 'won'] } }),
-      Lead.countDocuments({ ...query, status: 'won' }),
-      Lead.countDocuments({ ...query, status: 'lost' }),
-    ]);
+    const query = { ...pipelineService.leadFilter(pipeline) };
+    if (Object.keys(dateFilter).length > 0) {
+      query.createdAt = dateFilter;
+    }
 
-    // Calculate conversion rates
-    const funnel = {
-      stages: [
-        {
-          name: 'Total Leads',
-          count: total,
-          percentage: 100,
-          dropoff: 0,
-        },
-        {
-          name: 'Contacted',
-          count: contacted,
-          percentage: total > 0 ? ((contacted / total) * 100).toFixed(1) : 0,
-          dropoff: total - contacted,
-        },
-        {
-          name: 'Qualified',
-          count: qualified,
-          percentage: contacted > 0 ? ((qualified / contacted) * 100).toFixed(1) : 0,
-          dropoff: contacted - qualified,
-        },
-        {
-          name: 'Viewing',
-          count: viewing,
-          percentage: qualified > 0 ? ((viewing / qualified) * 100).toFixed(1) : 0,
-          dropoff: qualified - viewing,
-        },
-        {
-          name: 'Negotiating',
-          count: negotiating,
-          percentage: viewing > 0 ? ((negotiating / viewing) * 100).toFixed(1) : 0,
-          dropoff: viewing - negotiating,
-        },
-        {
-          name: 'Won',
-          count: won,
-          percentage: negotiating > 0 ? ((won / negotiating) * 100).toFixed(1) : 0,
-          dropoff: negotiating - won,
-        },
-      ],
-      summary: {
-        totalLeads: total,
-        wonDeals: won,
-        lostDeals: lost,
-        overallConversionRate: total > 0 ? ((won / total) * 100).toFixed(1) : 0,
-        averageDropoffRate: total > 0 ? (((total - won) / total) * 100).toFixed(1) : 0,
-      },
-    };
+    const funnel = await buildFunnel(pipeline, query);
 
     res.status(200).json({ success: true, data: funnel });
   } catch (error) {
@@ -89,13 +45,75 @@ export const getConversionFunnel = async (req, res) => {
   }
 };
 
+/**
+ * Funnel for one pipeline. Each step counts leads that reached that stage
+ * or any later open stage, plus won leads; lost leads only count in the total.
+ */
+async function buildFunnel(pipeline, query) {
+  const statusCounts = await Lead.aggregate([
+    { $match: query },
+    { $group: { _id: '$status', count: { $sum: 1 } } },
+  ]);
+  const countOf = (keys) => statusCounts
+    .filter((item) => keys.includes(item._id))
+    .reduce((sum, item) => sum + item.count, 0);
+
+  const openStages = pipeline.stages.filter((stage) => !stage.isWon && !stage.isLost);
+  const wonStages = pipeline.stages.filter((stage) => stage.isWon);
+  const wonKeys = wonStages.map((stage) => stage.key);
+  const lostKeys = pipeline.stages.filter((stage) => stage.isLost).map((stage) => stage.key);
+
+  const total = statusCounts.reduce((sum, item) => sum + item.count, 0);
+  const won = countOf(wonKeys);
+  const lost = countOf(lostKeys);
+
+  const steps = [
+    { key: 'total', name: 'Total Leads', count: total },
+    // The first open stage is where every lead starts, so the funnel begins after it
+    ...openStages.slice(1).map((stage, index, rest) => ({
+      key: stage.key,
+      name: stage.name,
+      count: countOf([...rest.slice(index).map((s) => s.key), ...wonKeys]),
+    })),
+    { key: wonKeys.length === 1 ? wonKeys[0] : 'won', name: wonStages.length === 1 ? wonStages[0].name : 'Won', count: won },
+  ];
+
+  return {
+    pipeline: { key: pipeline.key, name: pipeline.name },
+    stages: steps.map((step, index) => {
+      const previous = index > 0 ? steps[index - 1].count : step.count;
+      return {
+        ...step,
+        percentage: index === 0 ? 100 : previous > 0 ? ((step.count / previous) * 100).toFixed(1) : 0,
+        dropoff: index === 0 ? 0 : previous - step.count,
+      };
+    }),
+    summary: {
+      totalLeads: total,
+      wonDeals: won,
+      lostDeals: lost,
+      overallConversionRate: total > 0 ? ((won / total) * 100).toFixed(1) : 0,
+      averageDropoffRate: total > 0 ? (((total - won) / total) * 100).toFixed(1) : 0,
+    },
+  };
+}
+
 // ============================================
 // LEAD SOURCE ANALYTICS
 // ============================================
 
 export const getLeadSourceBreakdown = async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const [wonStatuses, lostStatuses, stageGroups] = await Promise.all([
+      pipelineService.getWonStageKeys(),
+      pipelineService.getLostStageKeys(),
+      pipelineService.getStageGroups(),
+    ]);
+
+    const { startDate, endDate, touch = 'first' } = req.query;
+    if (!ATTRIBUTION_TOUCHES.includes(touch)) {
+      return res.status(400).json({ success: false, message: `touch must be one of: ${ATTRIBUTION_TOUCHES.join(', ')}` });
+    }
 
     const dateFilter = {};
     if (startDate) dateFilter.$gte = new Date(startDate);
@@ -103,6 +121,13 @@ export const getLeadSourceBreakdown = async (req, res) => {
 
     const matchStage = Object.keys(dateFilter).length > 0 ? { createdAt: dateFilter } : {};
 
+    // Marketing attribution from public forms, credited to the first or last touch
+    const [campaigns, mediums, channels] = await Promise.all(
+      ['campaign', 'medium', 'channel'].map(field =>
+        getAttributionBreakdown(matchStage, `attribution.${touch}Touch.${field}`, wonStatuses)
+      )
+    );
+
     // Aggregate by source
     const sourceBreakdown = await Lead.aggregate([
       { $match: matchStage },
@@ -111,13 +136,13 @@ export const getLeadSourceBreakdown = async (req, res) => {
           _id: '$source',
           count: { $sum: 1 },
           won: {
-            $sum: { $cond: [{ $eq: ['$status', 'won'] }, 1, 0] },
+            $sum: { $cond: [{ $in: ['$status', wonStatuses] }, 1, 0] },
           },
           lost: {
-            $sum: { $cond: [{ $eq: ['$status', 'lost'] }, 1, 0] },
+            $sum: { $cond: [{ $in: ['$status', lostStatuses] }, 1, 0] },
           },
           qualified: {
-            $sum: { $cond: [{ $in: ['$status', ['qualified', 'viewing', 'negotiating', 'won']] }, 1, 0] },
+            $sum: { $cond: [{ $in: ['$status', stageGroups.qualified] }, 1, 0] },
           },
         },
       },
@@ -166,6 +191,12 @@ export const getLeadSourceBreakdown = async (req, res) => {
       data: {
         sources: sourcesWithPercentage,
         totalLeads: total,
+        attribution: {
+          touch,
+          campaigns,
+          mediums,
+          channels,
+        },
       },
     });
   } catch (error) {
@@ -174,12 +205,46 @@ export const getLeadSourceBreakdown = async (req, res) => {
   }
 };
 
+const ATTRIBUTION_TOUCHES = ['first', 'last'];
+
+// Leads, wins and won value per value of one attribution field ('unknown' when not captured)
+async function getAttributionBreakdown(matchStage, path, wonStatuses) {
+  const rows = await Lead.aggregate([
+    { $match: matchStage },
+    {
+      $group: {
+        _id: `$${path}`,
+        count: { $sum: 1 },
+        won: { $sum: { $cond: [{ $in: ['$status', wonStatuses] }, 1, 0] } },
+        wonValue: {
+          $sum: { $cond: [{ $in: ['$status', wonStatuses] }, { $ifNull: ['$won.value', 0] }, 0] },
+        },
+      },
+    },
+    { $sort: { count: -1 } },
+  ]);
+
+  return rows.map(row => ({
+    value: row._id || 'unknown',
+    count: row.count,
+    won: row.won,
+    conversionRate: row.count > 0 ? parseFloat(((row.won / row.count) * 100).toFixed(1)) : 0,
+    wonValue: row.wonValue,
+  }));
+}
+
 // ============================================
 // AGENT PERFORMANCE ANALYTICS
 // ============================================
 
 export const getAgentPerformance = async (req, res) => {
   try {
+    const [wonStatuses, lostStatuses, stageGroups] = await Promise.all([
+      pipelineService.getWonStageKeys(),
+      pipelineService.getLostStageKeys(),
+      pipelineService.getStageGroups(),
+    ]);
+
     const { startDate, endDate, agentId } = req.query;
 
     const dateFilter = {};
@@ -189,6 +254,16 @@ export const getAgentPerformance = async (req, res) => {
     // Get all agents
     const agents = await User.find({ role: 'agent', isActive: true }).select('_id name email');
 
+    // Deals: won in the period (by close date) and currently open
+    const wonDealMatch = { stage: 'won' };
+    if (Object.keys(dateFilter).length > 0) {
+      wonDealMatch.closedAt = dateFilter;
+    }
+    const [wonDealsByAgent, openDealsByAgent] = await Promise.all([
+      getDealTotalsByAgent(wonDealMatch),
+      getDealTotalsByAgent({ stage: { $nin: CLOSED_DEAL_STAGES } }),
+    ]);
+
     // Build match query
     const matchQuery = {};
     if (Object.keys(dateFilter).length > 0) {
@@ -204,14 +279,14 @@ export const getAgentPerformance = async (req, res) => {
         const agentMatch = { ...matchQuery, assignedTo: agent._id };
 
         // Get lead statistics
-        const [totalLeads, won, lost, viewing, averageTimeToWon] = await Promise.all([
+        const [totalLeads, won, lost, viewing, averageTimeToWon, responseStats] = await Promise.all([
           Lead.countDocuments(agentMatch),
-          Lead.countDocuments({ ...agentMatch, status: 'won' }),
-          Lead.countDocuments({ ...agentMatch, status: 'lost' }),
-          Lead.countDocuments({ ...agentMatch, status: { $in: ['viewing', 'negotiating'] } }),
+          Lead.countDocuments({ ...agentMatch, status: { $in: wonStatuses } }),
+          Lead.countDocuments({ ...agentMatch, status: { $in: lostStatuses } }),
+          Lead.countDocuments({ ...agentMatch, status: { $in: stageGroups.inProgress } }),
           // Calculate average time from assignment to won
           Lead.aggregate([
-            { $match: { ...agentMatch, status: 'won', assignedAt: { $exists: true } } },
+            { $match: { ...agentMatch, status: { $in: wonStatuses }, assignedAt: { $exists: true } } },
             {
               $project: {
                 timeToClose: {
@@ -229,6 +304,19 @@ export const getAgentPerformance = async (req, res) => {
               },
             },
           ]),
+          // First-response SLA: time from creation/assignment to first touch
+          Lead.aggregate([
+            { $match: { ...agentMatch, 'sla.startedAt': { $ne: null } } },
+            {
+              $group: {
+                _id: null,
+                tracked: { $sum: 1 },
+                responded: { $sum: { $cond: [{ $gt: ['$sla.firstTouchAt', null] }, 1, 0] } },
+                breached: { $sum: { $cond: ['$sla.breached', 1, 0] } },
+                avgResponseMinutes: { $avg: '$sla.responseMinutes' },
+              },
+            },
+          ]),
         ]);
 
         // Get activity counts
@@ -255,6 +343,12 @@ export const getAgentPerformance = async (req, res) => {
           averageTimeToWon.length > 0 && averageTimeToWon[0]?.avgTime
             ? Math.round(averageTimeToWon[0].avgTime / (1000 * 60 * 60 * 24))
             : 0;
+        const sla = responseStats[0] || { tracked: 0, responded: 0, breached: 0, avgResponseMinutes: null };
+        const wonDeals = wonDealsByAgent.get(agent._id.toString());
+        const openDeals = openDealsByAgent.get(agent._id.toString());
+        const slaComplianceRate = sla.tracked > 0
+          ? (((sla.tracked - sla.breached) / sla.tracked) * 100).toFixed(1)
+          : null;
 
         return {
           agent: {
@@ -271,6 +365,15 @@ export const getAgentPerformance = async (req, res) => {
             lossRate: parseFloat(lossRate),
             averageDaysToClose: avgDaysToClose,
           },
+          deals: {
+            won: wonDeals?.deals || 0,
+            wonValue: wonDeals?.value || 0,
+            // KES earned as listing and/or selling agent
+            commissionEarned: wonDeals?.commission || 0,
+            open: openDeals?.deals || 0,
+            openPipelineValue: openDeals?.value || 0,
+            weightedPipelineValue: Math.round(openDeals?.weightedValue || 0),
+          },
           activities: {
             notes: activities.note_added || 0,
             calls: activities.call_logged || 0,
@@ -278,7 +381,12 @@ export const getAgentPerformance = async (req, res) => {
             viewings: activities.viewing_scheduled || 0,
           },
           performance: {
-            responseTime: 'N/A', // Can be calculated if we track first contact time
+            // Average minutes to first touch (null until a tracked lead is touched)
+            responseTime: sla.avgResponseMinutes !== null ? Math.round(sla.avgResponseMinutes) : null,
+            slaTrackedLeads: sla.tracked,
+            slaRespondedLeads: sla.responded,
+            slaBreaches: sla.breached,
+            slaComplianceRate: slaComplianceRate !== null ? parseFloat(slaComplianceRate) : null,
             followUpRate: activities.note_added || 0 + activities.call_logged || 0,
           },
         };
@@ -294,8 +402,10 @@ export const getAgentPerformance = async (req, res) => {
         totalLeads: acc.totalLeads + agent.metrics.totalLeads,
         wonDeals: acc.wonDeals + agent.metrics.wonDeals,
         lostDeals: acc.lostDeals + agent.metrics.lostDeals,
+        wonDealValue: acc.wonDealValue + agent.deals.wonValue,
+        commissionEarned: acc.commissionEarned + agent.deals.commissionEarned,
       }),
-      { totalLeads: 0, wonDeals: 0, lostDeals: 0 }
+      { totalLeads: 0, wonDeals: 0, lostDeals: 0, wonDealValue: 0, commissionEarned: 0 }
     );
 
     const teamAverage = {
@@ -320,6 +430,8 @@ export const getAgentPerformance = async (req, res) => {
           totalLeads: teamTotals.totalLeads,
           wonDeals: teamTotals.wonDeals,
           lostDeals: teamTotals.lostDeals,
+          wonDealValue: teamTotals.wonDealValue,
+          commissionEarned: teamTotals.commissionEarned,
           teamConversionRate: parseFloat(teamAverage.conversionRate),
           teamAverageDaysToClose: teamAverage.averageDaysToClose,
         },
@@ -337,6 +449,12 @@ export const getAgentPerformance = async (req, res) => {
 
 export const getTimeTrends = async (req, res) => {
   try {
+    const [wonStatuses, lostStatuses, stageGroups] = await Promise.all([
+      pipelineService.getWonStageKeys(),
+      pipelineService.getLostStageKeys(),
+      pipelineService.getStageGroups(),
+    ]);
+
     const { period = 'daily', startDate, endDate } = req.query;
 
     // Default to last 30 days if no dates provided
@@ -402,16 +520,16 @@ export const getTimeTrends = async (req, res) => {
           _id: dateGrouping,
           totalLeads: { $sum: 1 },
           newLeads: {
-            $sum: { $cond: [{ $eq: ['$status', 'new'] }, 1, 0] },
+            $sum: { $cond: [{ $in: ['$status', stageGroups.initial] }, 1, 0] },
           },
           qualified: {
-            $sum: { $cond: [{ $in: ['$status', ['qualified', 'viewing', 'negotiating', 'won']] }, 1, 0] },
+            $sum: { $cond: [{ $in: ['$status', stageGroups.qualified] }, 1, 0] },
           },
           won: {
-            $sum: { $cond: [{ $eq: ['$status', 'won'] }, 1, 0] },
+            $sum: { $cond: [{ $in: ['$status', wonStatuses] }, 1, 0] },
           },
           lost: {
-            $sum: { $cond: [{ $eq: ['$status', 'lost'] }, 1, 0] },
+            $sum: { $cond: [{ $in: ['$status', lostStatuses] }, 1, 0] },
           },
         },
       },
@@ -535,6 +653,9 @@ export const getPropertyAnalytics = async (req, res) => {
         $group: {
           _id: null,
           totalViewings: { $sum: 1 },
+          requested: {
+            $sum: { $cond: [{ $eq: ['$viewings.status', 'requested'] }, 1, 0] },
+          },
           scheduled: {
             $sum: { $cond: [{ $eq: ['$viewings.status', 'scheduled'] }, 1, 0] },
           },
@@ -571,7 +692,7 @@ export const getPropertyAnalytics = async (req, res) => {
           avgPrice: Math.round(item.avgPrice),
         })),
         topViewed: topViewedProperties,
-        viewings: viewingStats.length > 0 ? viewingStats[0] : { totalViewings: 0, scheduled: 0, completed: 0, cancelled: 0 },
+        viewings: viewingStats.length > 0 ? viewingStats[0] : { totalViewings: 0, requested: 0, scheduled: 0, completed: 0, cancelled: 0 },
       },
     });
   } catch (error) {
@@ -580,6 +701,313 @@ export const getPropertyAnalytics = async (req, res) => {
   }
 };
 
+// ============================================
+// WIN/LOSS OUTCOME ANALYTICS
+// ============================================
+
+const OUTCOME_GROUP_FIELDS = { agent: '$assignedTo', source: '$source' };
+const REVENUE_PERIOD_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+
+// Close dates bucketed by the business-local calendar, not UTC
+const revenuePeriod = (period, datePath) => ({
+  $dateToString: { format: REVENUE_PERIOD_FORMATS[period], date: datePath, timezone: availabilityConfig.timezone },
+});
+
+// Shared filters for outcome reports; dates apply to the given outcome date path
+function buildOutcomeMatch(query, datePath) {
+  const { startDate, endDate, agentId, source } = query;
+  const match = {};
+
+  const dateFilter = {};
+  if (startDate) dateFilter.$gte = new Date(startDate);
+  if (endDate) dateFilter.$lte = new Date(endDate);
+  if (Object.keys(dateFilter).length > 0) match[datePath] = dateFilter;
+
+  if (agentId) {
+    if (!mongoose.isValidObjectId(agentId)) return { error: 'Invalid agentId' };
+    // Aggregations do not cast, so the id must already be an ObjectId
+    match.assignedTo = new mongoose.Types.ObjectId(agentId);
+  }
+  if (source) match.source = source;
+
+  return { match };
+}
+
+// Won deals for revenue reports: close date, source and agent (listing or selling) filters
+function buildDealMatch(query) {
+  const { startDate, endDate, agentId, source } = query;
+  const match = { stage: 'won' };
+
+  const dateFilter = {};
+  if (startDate) dateFilter.$gte = new Date(startDate);
+  if (endDate) dateFilter.$lte = new Date(endDate);
+  if (Object.keys(dateFilter).length > 0) match.closedAt = dateFilter;
+
+  if (agentId) {
+    const id = new mongoose.Types.ObjectId(agentId);
+    match.$or = [{ listingAgent: id }, { sellingAgent: id }];
+  }
+  if (source) match.source = source;
+
+  return match;
+}
+
+// Deal count, value and commission per agent. An agent who both listed and
+// sold a deal counts it once and earns both shares.
+async function getDealTotalsByAgent(match) {
+  const rows = await Deal.aggregate([
+    { $match: match },
+    {
+      $project: {
+        value: { $ifNull: ['$agreedPrice', '$offerPrice'] },
+        probability: 1,
+        roles: [
+          { agent: '$listingAgent', commission: { $ifNull: ['$commission.listingAgentAmount', 0] } },
+          { agent: '$sellingAgent', commission: { $ifNull: ['$commission.sellingAgentAmount', 0] } },
+        ],
+      },
+    },
+    { $unwind: '$roles' },
+    { $match: { 'roles.agent': { $ne: null } } },
+    {
+      $group: {
+        _id: { agent: '$roles.agent', deal: '$_id' },
+        commission: { $sum: '$roles.commission' },
+        value: { $first: '$value' },
+        probability: { $first: '$probability' },
+      },
+    },
+    {
+      $group: {
+        _id: '$_id.agent',
+        deals: { $sum: 1 },
+        value: { $sum: { $ifNull: ['$value', 0] } },
+        weightedValue: {
+          $sum: { $multiply: [{ $ifNull: ['$value', 0] }, { $divide: [{ $ifNull: ['$probability', 0] }, 100] }] },
+        },
+        commission: { $sum: '$commission' },
+      },
+    },
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), row]));
+}
+
+async function getAgentNames(ids) {
+  const agents = await User.find({ _id: { $in: ids.filter(Boolean) } }).select('name').lean();
+  return new Map(agents.map(agent => [agent._id.toString(), agent.name]));
+}
+
+/**
+ * Why leads were lost, by loss reason
+ * Query: startDate, endDate (on the loss date), agentId, source, groupBy (agent|source)
+ */
+export const getLossReasonAnalytics = async (req, res) => {
+  try {
+    const { groupBy } = req.query;
+    if (groupBy && !OUTCOME_GROUP_FIELDS[groupBy]) {
+      return res.status(400).json({ success: false, message: `groupBy must be one of: ${Object.keys(OUTCOME_GROUP_FIELDS).join(', ')}` });
+    }
+
+    const { match, error } = buildOutcomeMatch(req.query, 'lost.at');
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const [lostStatuses, reasons] = await Promise.all([
+      pipelineService.getLostStageKeys(),
+      leadOutcomeService.getReasons({ includeInactive: true }),
+    ]);
+
+    const rows = await Lead.aggregate([
+      { $match: { ...match, status: { $in: lostStatuses }, 'lost.reason': { $ne: null } } },
+      {
+        $group: {
+          _id: { reason: '$lost.reason', group: groupBy ? OUTCOME_GROUP_FIELDS[groupBy] : null },
+          count: { $sum: 1 },
+          label: { $last: '$lost.reasonLabel' },
+        },
+      },
+      { $sort: { count: -1 } },
+    ]);
+
+    // Lost before reasons were captured (no loss date, so only the non-date filters apply)
+    const legacyMatch = { ...match };
+    delete legacyMatch['lost.at'];
+    const unrecorded = await Lead.countDocuments({ ...legacyMatch, status: { $in: lostStatuses }, lost: null });
+
+    const agentNames = groupBy === 'agent' ? await getAgentNames(rows.map(row => row._id.group)) : null;
+    const total = rows.reduce((sum, row) => sum + row.count, 0);
+
+    const byReason = new Map();
+    rows.forEach(row => {
+      const { reason, group } = row._id;
+      if (!byReason.has(reason)) {
+        const current = reasons.find(r => r.key === reason);
+        byReason.set(reason, { reason, label: current?.label || row.label || reason, count: 0, breakdown: [] });
+      }
+
+      const entry = byReason.get(reason);
+      entry.count += row.count;
+      if (groupBy) {
+        entry.breakdown.push(groupBy === 'agent'
+          ? { agentId: group, agentName: group ? agentNames.get(group.toString()) || 'Unknown' : 'Unassigned', count: row.count }
+          : { source: group || 'Unknown', count: row.count });
+      }
+    });
+
+    const data = [...byReason.values()]
+      .sort((a, b) => b.count - a.count)
+      .map(({ breakdown, ...entry }) => ({
+        ...entry,
+        percentage: total > 0 ? parseFloat(((entry.count / total) * 100).toFixed(1)) : 0,
+        ...(groupBy ? { breakdown } : {}),
+      }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reasons: data,
+        totalLost: total + unrecorded,
+        withReason: total,
+        unrecorded,
+      },
+    });
+  } catch (error) {
+    logger.error('❌ Get loss reason analytics error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get loss reason analytics' });
+  }
+};
+
+/**
+ * Revenue from won deals (KES), grouped by agent, source or close period,
+ * with the commission on won deal records for the same groups
+ * Query: startDate, endDate (on the close date), agentId, source,
+ * groupBy (agent|source|period), period (day|week|month)
+ */
+export const getRevenueAnalytics = async (req, res) => {
+  try {
+    const { groupBy = 'agent', period = 'month' } = req.query;
+    if (groupBy !== 'period' && !OUTCOME_GROUP_FIELDS[groupBy]) {
+      return res.status(400).json({ success: false, message: 'groupBy must be one of: agent, source, period' });
+    }
+    if (groupBy === 'period' && !REVENUE_PERIOD_FORMATS[period]) {
+      return res.status(400).json({ success: false, message: `period must be one of: ${Object.keys(REVENUE_PERIOD_FORMATS).join(', ')}` });
+    }
+
+    const { match, error } = buildOutcomeMatch(req.query, 'won.closeDate');
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const groupKey = groupBy === 'period'
+      ? revenuePeriod(period, '$won.closeDate')
+      : OUTCOME_GROUP_FIELDS[groupBy];
+
+    const dealMatch = buildDealMatch(req.query);
+    const [rows, commissionRows] = await Promise.all([
+      Lead.aggregate([
+        { $match: { ...match, 'won.value': { $ne: null } } },
+        {
+          $group: {
+            _id: groupKey,
+            revenue: { $sum: '$won.value' },
+            deals: { $sum: 1 },
+            averageDealValue: { $avg: '$won.value' },
+            largestDeal: { $max: '$won.value' },
+          },
+        },
+      ]),
+      groupBy === 'agent'
+        ? getDealTotalsByAgent(dealMatch).then(totals => [...totals.values()]
+          .filter(row => !req.query.agentId || row._id.toString() === req.query.agentId))
+        : Deal.aggregate([
+          { $match: dealMatch },
+          {
+            $group: {
+              _id: groupBy === 'period'
+                ? revenuePeriod(period, '$closedAt')
+                : '$source',
+              commission: { $sum: { $ifNull: ['$commission.amount', 0] } },
+              deals: { $sum: 1 },
+            },
+          },
+        ]),
+    ]);
+
+    // Lead outcomes and deal commission merged per group
+    const keyOf = (id) => (id === null || id === undefined ? null : id.toString());
+    const merged = new Map();
+    rows.forEach(row => {
+      merged.set(keyOf(row._id), {
+        id: row._id,
+        revenue: row.revenue,
+        deals: row.deals,
+        averageDealValue: Math.round(row.averageDealValue),
+        largestDeal: row.largestDeal,
+        commission: 0,
+        commissionDeals: 0,
+      });
+    });
+    commissionRows.forEach(row => {
+      const key = keyOf(row._id);
+      if (!merged.has(key)) {
+        merged.set(key, { id: row._id, revenue: 0, deals: 0, averageDealValue: 0, largestDeal: 0, commission: 0, commissionDeals: 0 });
+      }
+      const entry = merged.get(key);
+      entry.commission += row.commission;
+      entry.commissionDeals += row.deals;
+    });
+
+    const entries = [...merged.values()].sort(groupBy === 'period'
+      ? (a, b) => String(a.id).localeCompare(String(b.id))
+      : (a, b) => b.revenue - a.revenue || b.commission - a.commission);
+
+    const agentNames = groupBy === 'agent' ? await getAgentNames(entries.map(entry => entry.id)) : null;
+
+    const groups = entries.map(({ id, ...figures }) => {
+      if (groupBy === 'agent') {
+        return {
+          agentId: id,
+          agentName: id ? agentNames.get(id.toString()) || 'Unknown' : 'Unassigned',
+          ...figures,
+        };
+      }
+      if (groupBy === 'source') return { source: id || 'Unknown', ...figures };
+      return { period: id, ...figures };
+    });
+
+    const totalRevenue = rows.reduce((sum, row) => sum + row.revenue, 0);
+    const totalDeals = rows.reduce((sum, row) => sum + row.deals, 0);
+
+    // Agent groups overlap when listing and selling agents differ, so totals come from the deals
+    const commissionTotals = await Deal.aggregate([
+      { $match: dealMatch },
+      { $group: { _id: null, commission: { $sum: { $ifNull: ['$commission.amount', 0] } }, deals: { $sum: 1 } } },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        groupBy,
+        ...(groupBy === 'period' ? { period } : {}),
+        currency: 'KES',
+        groups,
+        totals: {
+          revenue: totalRevenue,
+          deals: totalDeals,
+          averageDealValue: totalDeals > 0 ? Math.round(totalRevenue / totalDeals) : 0,
+          commission: commissionTotals[0]?.commission || 0,
+          commissionDeals: commissionTotals[0]?.deals || 0,
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('❌ Get revenue analytics error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get revenue analytics' });
+  }
+};
+
 // ============================================
 // COMBINED DASHBOARD ANALYTICS
 // ============================================
@@ -622,25 +1050,15 @@ export const getDashboardAnalytics = async (req, res) => {
 
 // Helper functions for combined analytics
 async function getConversionFunnelData(startDate, endDate) {
-  // Implementation similar to getConversionFunnel but returns data instead of response
-  const query = { createdAt: { $gte: startDate, $lte: endDate } };
-  const [total, contacted, qualified, viewing, negotiating, won] = await Promise.all([
-    Lead.countDocuments(query),
-    Lead.countDocuments({ ...query, status: { $in: ['contacted', 'qualified', 'viewing', 'negotiating', 'won'] } }),
-    Lead.countDocuments({ ...query, status: { $in: ['qualified', 'viewing', 'negotiating', 'won'] } }),
-    Lead.countDocuments({ ...query, status: { $in: ['viewing', 'negotiating', 'won'] } }),
-    Lead.countDocuments({ ...query, status: { $in: ['negotiating', 'won'] } }),
-    Lead.countDocuments({ ...query, status: 'won' }),
-  ]);
+  const pipeline = await pipelineService.getDefaultPipeline();
+  const funnel = await buildFunnel(pipeline, {
+    ...pipelineService.leadFilter(pipeline),
+    createdAt: { $gte: startDate, $lte: endDate },
+  });
 
   return {
-    total,
-    contacted,
-    qualified,
-    viewing,
-    negotiating,
-    won,
-    conversionRate: total > 0 ? ((won / total) * 100).toFixed(1) : 0,
+    ...Object.fromEntries(funnel.stages.map((stage) => [stage.key, stage.count])),
+    conversionRate: funnel.summary.overallConversionRate,
   };
 }
 
@@ -657,6 +1075,7 @@ async function getLeadSourceData(startDate, endDate) {
 }
 
 async function getAgentPerformanceData(startDate, endDate) {
+  const wonStatuses = await pipelineService.getWonStageKeys();
   const agents = await User.find({ role: 'agent', isActive: true }).select('_id name');
   const agentMatch = { assignedAt: { $gte: startDate, $lte: endDate } };
 
@@ -664,7 +1083,7 @@ async function getAgentPerformanceData(startDate, endDate) {
     agents.slice(0, 5).map(async (agent) => {
       const [totalLeads, won] = await Promise.all([
         Lead.countDocuments({ ...agentMatch, assignedTo: agent._id }),
-        Lead.countDocuments({ ...agentMatch, assignedTo: agent._id, status: 'won' }),
+        Lead.countDocuments({ ...agentMatch, assignedTo: agent._id, status: { $in: wonStatuses } }),
       ]);
 
       return {
@@ -722,5 +1141,7 @@ export default {
   getAgentPerformance,
   getTimeTrends,
   getPropertyAnalytics,
+  getLossReasonAnalytics,
+  getRevenueAnalytics,
   getDashboardAnalytics,
 };
\ No newline at end of file
@@ -0,0 +1,181 @@
+import mongoose from 'mongoose';
+import AssignmentRule from '../models/AssignmentRuleModel.js';
+import Lead from '../models/LeadModel.js';
+import leadAssignmentService from '../services/leadAssignmentService.js';
+import logger from '../utils/logger.js';
+
+const EDITABLE_FIELDS = ['name', 'description', 'isActive', 'priority', 'strategy', 'conditions', 'agents'];
+
+const pickRuleFields = (body) => {
+  return EDITABLE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+};
+
+// =====================
+// ASSIGNMENT RULES
+// =====================
+
+/**
+ * List assignment rules in evaluation order
+ */
+export const getAssignmentRules = async (req, res) => {
+  try {
+    const rules = await AssignmentRule.find({})
+      .populate('agents', 'name email isActive')
+      .sort({ priority: 1, createdAt: 1 });
+
+    res.status(200).json({ success: true, data: rules });
+  } catch (error) {
+    logger.error('❌ Get assignment rules error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get assignment rules' });
+  }
+};
+
+/**
+ * Get a single assignment rule
+ */
+export const getAssignmentRule = async (req, res) => {
+  try {
+    const rule = await AssignmentRule.findById(req.params.id).populate('agents', 'name email isActive');
+
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Assignment rule not found' });
+    }
+
+    res.status(200).json({ success: true, data: rule });
+  } catch (error) {
+    logger.error('❌ Get assignment rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get assignment rule' });
+  }
+};
+
+/**
+ * Create an assignment rule
+ */
+export const createAssignmentRule = async (req, res) => {
+  try {
+    const rule = new AssignmentRule({
+      ...pickRuleFields(req.body),
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    if (rule.strategy === 'specific_agent' && rule.agents.length === 0) {
+      return res.status(400).json({ success: false, message: 'specific_agent rules need at least one agent' });
+    }
+
+    await rule.save();
+
+    logger.info(`✅ Assignment rule created: ${rule.name} by ${req.user.email}`);
+    res.status(201).json({ success: true, message: 'Assignment rule created', data: rule });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    logger.error('❌ Create assignment rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create assignment rule' });
+  }
+};
+
+/**
+ * Update an assignment rule
+ */
+export const updateAssignmentRule = async (req, res) => {
+  try {
+    const rule = await AssignmentRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Assignment rule not found' });
+    }
+
+    rule.set(pickRuleFields(req.body));
+    rule.updatedBy = req.user.id;
+
+    if (rule.strategy === 'specific_agent' && rule.agents.length === 0) {
+      return res.status(400).json({ success: false, message: 'specific_agent rules need at least one agent' });
+    }
+
+    await rule.save();
+
+    logger.info(`✅ Assignment rule updated: ${rule.name} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Assignment rule updated', data: rule });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    logger.error('❌ Update assignment rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update assignment rule' });
+  }
+};
+
+/**
+ * Delete an assignment rule
+ */
+export const deleteAssignmentRule = async (req, res) => {
+  try {
+    const rule = await AssignmentRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Assignment rule not found' });
+    }
+
+    logger.info(`✅ Assignment rule deleted: ${rule.name} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Assignment rule deleted' });
+  } catch (error) {
+    logger.error('❌ Delete assignment rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete assignment rule' });
+  }
+};
+
+/**
+ * Show who would receive a lead without assigning it.
+ * Body: { leadId } for an existing lead, or { source, propertyId } for a hypothetical one
+ */
+export const dryRunAssignment = async (req, res) => {
+  try {
+    const { leadId, source, propertyId } = req.body;
+    let lead;
+
+    if (leadId) {
+      if (!mongoose.isValidObjectId(leadId)) {
+        return res.status(400).json({ success: false, message: 'Invalid lead ID' });
+      }
+      lead = await Lead.findById(leadId).select('-activities');
+      if (!lead) {
+        return res.status(404).json({ success: false, message: 'Lead not found' });
+      }
+    } else if (source || propertyId) {
+      lead = { source, propertyId };
+    } else {
+      return res.status(400).json({ success: false, message: 'Provide a leadId, or a source and/or propertyId' });
+    }
+
+    const { agent, openLeads, rule, context, evaluated } = await leadAssignmentService.resolve(lead, { propertyId });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        agent: agent ? { id: agent._id, name: agent.name, email: agent.email } : null,
+        openLeads: openLeads ?? null,
+        rule: rule ? { id: rule._id, name: rule.name, strategy: rule.strategy } : null,
+        context,
+        evaluated,
+        currentlyAssignedTo: lead.assignedTo || null
+      }
+    });
+  } catch (error) {
+    logger.error('❌ Assignment dry run error:', error);
+    res.status(500).json({ success: false, message: 'Failed to run assignment dry run' });
+  }
+};
+
+export default {
+  getAssignmentRules,
+  getAssignmentRule,
+  createAssignmentRule,
+  updateAssignmentRule,
+  deleteAssignmentRule,
+  dryRunAssignment
+};
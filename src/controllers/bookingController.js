@@ -6,6 +6,7 @@
 import resend from '../config/resend.js';
 import { bookingAdminTemplate, bookingUserTemplate } from '../templates/emailTemplates.js';
 import LeadStorage from '../services/leadStorageMongo.js'; // Use MongoDB version
+import { bookingLead, formatDate } from '../utils/formLeads.js';
 import logger from '../utils/logger.js';
 
 export const handleBooking = async (req, res, next) => {
@@ -27,16 +28,6 @@ export const handleBooking = async (req, res, next) => {
 
     logger.info(`📅 Processing booking from: ${name} for ${propertyName}`);
 
-    // Format dates for email
-    const formatDate = (dateString) => {
-      return new Date(dateString).toLocaleDateString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      });
-    };
-
     const emailData = {
       propertyName,
       propertyLocation,
@@ -53,21 +44,7 @@ export const handleBooking = async (req, res, next) => {
     };
 
     // STEP 1: Save lead to database (like contact form does)
-    const leadResult = await LeadStorage.saveLead({
-      name,
-      email,
-      phoneNumber,
-      subject: `BNB Booking: ${propertyName}`,
-      message: `Booking Request:
-Property: ${propertyName} (${propertyLocation})
-Check-in: ${formatDate(checkIn)}
-Check-out: ${formatDate(checkOut)}
-Guests: ${guests}
-Nights: ${nights}
-Total Cost: KES ${totalCost.toLocaleString()}
-Special Requests: ${specialRequests || 'None'}`,
-      source: 'bnb_booking_form'
-    });
+    const leadResult = await LeadStorage.saveLead(bookingLead(req.body));
 
     if (leadResult.success) {
       logger.info(`✅ Booking lead saved (ID: ${leadResult.lead._id})`);
@@ -1,4 +1,5 @@
 import { clientStorage } from '../services/clientStorageMongo.js';
+import clientConversionService from '../services/clientConversionService.js';
 import { documentStorage } from '../services/documentStorage.js';
 import { generateToken } from '../middleware/auth.js';
 import { Resend } from 'resend';
@@ -198,6 +199,12 @@ export const verifyClientEmail = async (req, res) => {
 
     const client = await clientStorage.findByEmail(email);
 
+    // Link to the lead they came from, now that they have shown they own this email
+    const linkedLeadId = await clientConversionService.linkRegisteredClient(client._id);
+    if (linkedLeadId) {
+      client.linkedLeadId = linkedLeadId;
+    }
+
     logger.info(`✅ Email verified for client: ${email}`);
 
     res.status(200).json({
@@ -263,6 +270,89 @@ export const resendClientVerificationCode = async (req, res) => {
   }
 };
 
+// =====================
+// INVITATIONS (accounts created from a lead)
+// =====================
+
+/**
+ * Check a set-password invitation link
+ */
+export const getClientInvitation = async (req, res) => {
+  try {
+    const invitation = await clientConversionService.getInvitation(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      data: invitation,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('❌ Get client invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check invitation',
+    });
+  }
+};
+
+/**
+ * Set the account password from an invitation link and sign the client in
+ */
+export const acceptClientInvitation = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation token and password are required',
+      });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters long',
+      });
+    }
+
+    if (!/[A-Z]/.test(password) || !/[0-9]/.test(password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must contain at least one uppercase letter and one number',
+      });
+    }
+
+    const client = await clientConversionService.acceptInvitation(token, password);
+
+    const authToken = generateToken({
+      id: client.id,
+      email: client.email,
+      role: 'client'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password set successfully. Welcome to your client portal!',
+      data: {
+        client,
+        token: authToken,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('❌ Accept client invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set password',
+    });
+  }
+};
+
 // =====================
 // CLIENT PROFILE
 // =====================
@@ -774,6 +864,8 @@ export default {
   loginClient,
   verifyClientEmail,
   resendClientVerificationCode,
+  getClientInvitation,
+  acceptClientInvitation,
   getCurrentClient,
   updateClientProfile,
   getMyDocuments,
@@ -5,7 +5,10 @@
 
 import resend from '../config/resend.js';
 import { contactAdminTemplate, contactUserTemplate } from '../templates/emailTemplates.js';
-import LeadStorage from '../services/leadStorage.js';
+import LeadStorage from '../services/leadStorageMongo.js';
+import pipelineService from '../services/pipelineService.js';
+import leadOutcomeService from '../services/leadOutcomeService.js';
+import { contactLead } from '../utils/formLeads.js';
 
 export const handleContact = async (req, res, next) => {
   try {
@@ -28,13 +31,7 @@ export const handleContact = async (req, res, next) => {
     console.log(`📧 Processing contact form from: ${name} (${email})`);
 
     // STEP 1: Save lead to local storage (this always works)
-    const leadResult = await LeadStorage.saveLead({
-      name,
-      email,
-      phoneNumber,
-      subject,
-      message
-    });
+    const leadResult = await LeadStorage.saveLead(contactLead(req.body));
 
     if (leadResult.success) {
       console.log(`✅ Lead saved locally (ID: ${leadResult.lead.id})`);
@@ -173,16 +170,34 @@ export const updateLeadStatus = async (req, res, next) => {
     const { leadId } = req.params;
     const { status } = req.body;
     
-    const validStatuses = ['new', 'contacted', 'qualified', 'converted', 'closed'];
+    const lead = await LeadStorage.findById(leadId);
+    
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+    
+    const check = await pipelineService.validateStage(lead.pipeline, status);
+    
+    if (!check.valid) {
+      return res.status(400).json({
+        success: false,
+        message: check.message
+      });
+    }
+    
+    const resolved = await leadOutcomeService.resolveOutcome(check.stage, req.body);
     
-    if (!validStatuses.includes(status)) {
+    if (!resolved.valid) {
       return res.status(400).json({
         success: false,
-        message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+        message: resolved.message
       });
     }
     
-    const result = await LeadStorage.updateLeadStatus(leadId, status);
+    const result = await LeadStorage.updateLeadStatus(leadId, status, null, null, resolved.outcome);
     
     if (result.success) {
       res.status(200).json({
@@ -0,0 +1,85 @@
+import customFieldService from '../services/customFieldService.js';
+import logger from '../utils/logger.js';
+
+const sendError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ success: false, message: 'A custom field with this key already exists' });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallback });
+};
+
+// =====================
+// CUSTOM FIELDS
+// =====================
+
+/**
+ * List custom lead field definitions in display order
+ */
+export const getCustomFields = async (req, res) => {
+  try {
+    const includeInactive = req.user.role === 'admin' && req.query.includeInactive === 'true';
+    const fields = await customFieldService.getFields({ includeInactive });
+    res.status(200).json({ success: true, data: fields });
+  } catch (error) {
+    logger.error('❌ Get custom fields error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get custom fields' });
+  }
+};
+
+/**
+ * Create a custom field (text, number, select or date)
+ */
+export const createCustomField = async (req, res) => {
+  try {
+    const field = await customFieldService.createField(req.body, req.user.id);
+
+    logger.info(`✅ Custom field created: ${field.key} by ${req.user.email}`);
+    res.status(201).json({ success: true, message: 'Custom field created', data: field });
+  } catch (error) {
+    logger.error('❌ Create custom field error:', error);
+    sendError(res, error, 'Failed to create custom field');
+  }
+};
+
+/**
+ * Update a custom field. Key and type cannot change.
+ */
+export const updateCustomField = async (req, res) => {
+  try {
+    const field = await customFieldService.updateField(req.params.key, req.body, req.user.id);
+
+    logger.info(`✅ Custom field updated: ${field.key} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Custom field updated', data: field });
+  } catch (error) {
+    logger.error('❌ Update custom field error:', error);
+    sendError(res, error, 'Failed to update custom field');
+  }
+};
+
+/**
+ * Delete a custom field and clear its values from all leads
+ */
+export const deleteCustomField = async (req, res) => {
+  try {
+    const cleared = await customFieldService.deleteField(req.params.key);
+
+    logger.info(`✅ Custom field deleted: ${req.params.key} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Custom field deleted', clearedLeads: cleared });
+  } catch (error) {
+    logger.error('❌ Delete custom field error:', error);
+    sendError(res, error, 'Failed to delete custom field');
+  }
+};
+
+export default {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+};
@@ -0,0 +1,157 @@
+import mongoose from 'mongoose';
+import Deal from '../models/DealModel.js';
+import dealService from '../services/dealService.js';
+import commissionService from '../services/commissionService.js';
+import logger from '../utils/logger.js';
+
+const sendError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallback });
+};
+
+// Load a deal the current user may see, or send 404
+const loadDeal = async (req, res) => {
+  const { id } = req.params;
+  const deal = mongoose.isValidObjectId(id) ? await Deal.findById(id) : null;
+
+  if (!deal || !dealService.canAccess(deal, req.user)) {
+    res.status(404).json({ success: false, message: 'Deal not found' });
+    return null;
+  }
+  return deal;
+};
+
+// =====================
+// DEALS
+// =====================
+
+/**
+ * List deals (agents: those they list or sell; admins: all, filterable by agent)
+ */
+export const getDeals = async (req, res) => {
+  try {
+    const { deals, pagination } = await dealService.listDeals(req.query, req.user);
+    res.status(200).json({ success: true, count: deals.length, data: deals, pagination });
+  } catch (error) {
+    logger.error('❌ Get deals error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get deals' });
+  }
+};
+
+/**
+ * Get a single deal
+ */
+export const getDeal = async (req, res) => {
+  try {
+    const deal = await loadDeal(req, res);
+    if (!deal) return;
+
+    await deal.populate([
+      { path: 'lead', select: 'name email phoneNumber status' },
+      { path: 'client', select: 'name email phone' },
+      { path: 'property', select: 'title type category price location.city status' }
+    ]);
+
+    res.status(200).json({ success: true, data: deal });
+  } catch (error) {
+    logger.error('❌ Get deal error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get deal' });
+  }
+};
+
+/**
+ * Create a deal on a lead
+ */
+export const createDeal = async (req, res) => {
+  try {
+    const deal = await dealService.createDeal(req.body, req.user);
+
+    logger.info(`✅ Deal created: ${deal._id} by ${req.user.email}`);
+    res.status(201).json({ success: true, message: 'Deal created', data: deal });
+  } catch (error) {
+    logger.error('❌ Create deal error:', error);
+    sendError(res, error, 'Failed to create deal');
+  }
+};
+
+/**
+ * Update a deal; moving it to "won" calculates the commission
+ */
+export const updateDeal = async (req, res) => {
+  try {
+    const deal = await loadDeal(req, res);
+    if (!deal) return;
+
+    await dealService.updateDeal(deal, req.body, req.user);
+
+    logger.info(`✅ Deal updated: ${deal._id} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Deal updated', data: deal });
+  } catch (error) {
+    logger.error('❌ Update deal error:', error);
+    sendError(res, error, 'Failed to update deal');
+  }
+};
+
+/**
+ * Delete a deal
+ */
+export const deleteDeal = async (req, res) => {
+  try {
+    const deal = await loadDeal(req, res);
+    if (!deal) return;
+
+    await dealService.deleteDeal(deal, req.user);
+
+    res.status(200).json({ success: true, message: 'Deal deleted' });
+  } catch (error) {
+    logger.error('❌ Delete deal error:', error);
+    sendError(res, error, 'Failed to delete deal');
+  }
+};
+
+// =====================
+// COMMISSION RULES
+// =====================
+
+/**
+ * Commission rules per property type
+ */
+export const getCommissionRules = async (req, res) => {
+  try {
+    const rules = await commissionService.getRules();
+    res.status(200).json({ success: true, data: rules });
+  } catch (error) {
+    logger.error('❌ Get commission rules error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get commission rules' });
+  }
+};
+
+/**
+ * Update the commission rule for a property type (Rent or Buy)
+ */
+export const updateCommissionRule = async (req, res) => {
+  try {
+    const rule = await commissionService.updateRule(req.params.propertyType, req.body, req.user.id);
+
+    logger.info(`✅ Commission rule updated: ${rule.propertyType} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Commission rule updated', data: rule });
+  } catch (error) {
+    logger.error('❌ Update commission rule error:', error);
+    sendError(res, error, 'Failed to update commission rule');
+  }
+};
+
+export default {
+  getDeals,
+  getDeal,
+  createDeal,
+  updateDeal,
+  deleteDeal,
+  getCommissionRules,
+  updateCommissionRule
+};
@@ -0,0 +1,61 @@
+import delegationService from '../services/delegationService.js';
+import logger from '../utils/logger.js';
+
+const sendError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallback });
+};
+
+// =====================
+// OUT-OF-OFFICE DELEGATION
+// =====================
+
+/**
+ * List delegations (?status=&agentId=). Agents only see their own.
+ */
+export const getDelegations = async (req, res) => {
+  try {
+    const delegations = await delegationService.listDelegations(req.query, req.user);
+    res.status(200).json({ success: true, count: delegations.length, data: delegations });
+  } catch (error) {
+    logger.error('❌ Get delegations error:', error);
+    sendError(res, error, 'Failed to get delegations');
+  }
+};
+
+/**
+ * Book an out-of-office period ({ agentId (admins), delegateId, startsAt, endsAt, reason })
+ */
+export const createDelegation = async (req, res) => {
+  try {
+    const delegation = await delegationService.createDelegation(req.body, req.user);
+    res.status(201).json({ success: true, message: 'Delegation created', data: delegation });
+  } catch (error) {
+    logger.error('❌ Create delegation error:', error);
+    sendError(res, error, 'Failed to create delegation');
+  }
+};
+
+/**
+ * Cancel a scheduled delegation or end an active one early
+ */
+export const cancelDelegation = async (req, res) => {
+  try {
+    const delegation = await delegationService.cancelDelegation(req.params.id, req.user);
+    res.status(200).json({ success: true, message: 'Delegation cancelled', data: delegation });
+  } catch (error) {
+    logger.error('❌ Cancel delegation error:', error);
+    sendError(res, error, 'Failed to cancel delegation');
+  }
+};
+
+export default {
+  getDelegations,
+  createDelegation,
+  cancelDelegation
+};
@@ -0,0 +1,87 @@
+import leadBulkService from '../services/leadBulkService.js';
+import logger from '../utils/logger.js';
+
+const sendError = (res, error, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallback });
+};
+
+// =====================
+// BULK LEAD OPERATIONS
+// =====================
+
+/**
+ * Apply one action to many leads.
+ * Body: { action, leadIds | filter, params }
+ * Small batches return per-lead results (200); large ones start a job (202).
+ */
+export const bulkUpdateLeads = async (req, res) => {
+  try {
+    const result = await leadBulkService.execute(req.body, req.user);
+
+    if (result.async) {
+      const { job } = result;
+      logger.info(`✅ Bulk job ${job._id} (${job.action}, ${job.progress.total} leads) queued by ${req.user.email}`);
+
+      return res.status(202).json({
+        success: true,
+        message: `Bulk ${job.action} started for ${job.progress.total} leads`,
+        data: {
+          jobId: job._id,
+          action: job.action,
+          status: job.status,
+          progress: job.progress
+        }
+      });
+    }
+
+    const { progress, failures } = result;
+    res.status(200).json({
+      success: progress.failed === 0,
+      message: `Bulk ${result.action}: ${progress.succeeded} of ${progress.total} leads updated`,
+      data: { action: result.action, progress, failures }
+    });
+  } catch (error) {
+    logger.error('❌ Bulk lead operation error:', error);
+    sendError(res, error, 'Failed to run bulk operation');
+  }
+};
+
+/**
+ * List bulk jobs (?status=&page=&limit=)
+ */
+export const getBulkJobs = async (req, res) => {
+  try {
+    const { jobs, pagination } = await leadBulkService.listJobs(req.query);
+    res.status(200).json({ success: true, count: jobs.length, data: jobs, pagination });
+  } catch (error) {
+    logger.error('❌ Get bulk jobs error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get bulk jobs' });
+  }
+};
+
+/**
+ * Get a bulk job's progress and per-lead failures
+ */
+export const getBulkJob = async (req, res) => {
+  try {
+    const job = await leadBulkService.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Bulk job not found' });
+    }
+
+    res.status(200).json({ success: true, data: job });
+  } catch (error) {
+    logger.error('❌ Get bulk job error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get bulk job' });
+  }
+};
+
+export default {
+  bulkUpdateLeads,
+  getBulkJobs,
+  getBulkJob
+};
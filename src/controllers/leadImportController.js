@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import ImportBatch from '../models/ImportBatchModel.js';
+import leadImportService from '../services/leadImportService.js';
+import logger from '../utils/logger.js';
+
+const sendError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallback });
+};
+
+// =====================
+// LEAD IMPORTS
+// =====================
+
+/**
+ * Import leads from a CSV/XLSX file (multipart field "file").
+ * Body fields: mapping (JSON { header: field }), source, duplicates (skip|flag),
+ * defaults (JSON { subject, message }), dryRun
+ */
+export const importLeads = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No file uploaded' });
+    }
+
+    const result = await leadImportService.importLeads(req.file, req.body, req.user);
+
+    if (!result.dryRun) {
+      logger.info(`✅ Lead import ${result.batch._id} queued from ${req.file.originalname} by ${req.user.email}`);
+    }
+
+    // Real imports are saved in the background; poll the batch or wait for lead-import-finished
+    res.status(result.dryRun ? 200 : 202).json({
+      success: true,
+      message: result.dryRun
+        ? `Dry run: ${result.counts.valid} of ${result.counts.total} rows would be imported`
+        : `Importing ${result.counts.valid} of ${result.counts.total} rows`,
+      data: result
+    });
+  } catch (error) {
+    logger.error('❌ Import leads error:', error);
+    sendError(res, error, 'Failed to import leads');
+  }
+};
+
+/**
+ * List import batches (?status=&source=&page=&limit=)
+ */
+export const getImportBatches = async (req, res) => {
+  try {
+    const { batches, pagination } = await leadImportService.listBatches(req.query);
+    res.status(200).json({ success: true, count: batches.length, data: batches, pagination });
+  } catch (error) {
+    logger.error('❌ Get import batches error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get import batches' });
+  }
+};
+
+/**
+ * Get a single import batch with its stored row errors
+ */
+export const getImportBatch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const batch = mongoose.isValidObjectId(id) ? await ImportBatch.findById(id) : null;
+
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Import batch not found' });
+    }
+
+    res.status(200).json({ success: true, data: batch });
+  } catch (error) {
+    logger.error('❌ Get import batch error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get import batch' });
+  }
+};
+
+/**
+ * Roll back an import: moves every lead it created to the trash
+ */
+export const rollbackImportBatch = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ success: false, message: 'Import batch not found' });
+    }
+
+    const batch = await leadImportService.rollbackBatch(id, req.user);
+
+    logger.info(`✅ Import batch ${id} rolled back by ${req.user.email}`);
+    res.status(200).json({
+      success: true,
+      message: `${batch.counts.rolledBack} lead(s) moved to trash`,
+      data: batch
+    });
+  } catch (error) {
+    logger.error('❌ Rollback import error:', error);
+    sendError(res, error, 'Failed to roll back import');
+  }
+};
+
+export default {
+  importLeads,
+  getImportBatches,
+  getImportBatch,
+  rollbackImportBatch
+};
@@ -0,0 +1,85 @@
+import leadOutcomeService from '../services/leadOutcomeService.js';
+import logger from '../utils/logger.js';
+
+const sendError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ success: false, message: 'A loss reason with this key already exists' });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallback });
+};
+
+// =====================
+// LOSS REASONS
+// =====================
+
+/**
+ * List loss reasons in display order
+ */
+export const getLossReasons = async (req, res) => {
+  try {
+    const includeInactive = req.user.role === 'admin' && req.query.includeInactive === 'true';
+    const reasons = await leadOutcomeService.getReasons({ includeInactive });
+    res.status(200).json({ success: true, data: reasons });
+  } catch (error) {
+    logger.error('❌ Get loss reasons error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get loss reasons' });
+  }
+};
+
+/**
+ * Create a loss reason
+ */
+export const createLossReason = async (req, res) => {
+  try {
+    const reason = await leadOutcomeService.createReason(req.body, req.user.id);
+
+    logger.info(`✅ Loss reason created: ${reason.key} by ${req.user.email}`);
+    res.status(201).json({ success: true, message: 'Loss reason created', data: reason });
+  } catch (error) {
+    logger.error('❌ Create loss reason error:', error);
+    sendError(res, error, 'Failed to create loss reason');
+  }
+};
+
+/**
+ * Update a loss reason. The key cannot change.
+ */
+export const updateLossReason = async (req, res) => {
+  try {
+    const reason = await leadOutcomeService.updateReason(req.params.key, req.body, req.user.id);
+
+    logger.info(`✅ Loss reason updated: ${reason.key} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Loss reason updated', data: reason });
+  } catch (error) {
+    logger.error('❌ Update loss reason error:', error);
+    sendError(res, error, 'Failed to update loss reason');
+  }
+};
+
+/**
+ * Delete a loss reason that no lead has recorded
+ */
+export const deleteLossReason = async (req, res) => {
+  try {
+    await leadOutcomeService.deleteReason(req.params.key);
+
+    logger.info(`✅ Loss reason deleted: ${req.params.key} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Loss reason deleted' });
+  } catch (error) {
+    logger.error('❌ Delete loss reason error:', error);
+    sendError(res, error, 'Failed to delete loss reason');
+  }
+};
+
+export default {
+  getLossReasons,
+  createLossReason,
+  updateLossReason,
+  deleteLossReason
+};
@@ -0,0 +1,110 @@
+import pipelineService from '../services/pipelineService.js';
+import logger from '../utils/logger.js';
+
+const sendError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ success: false, message: 'A pipeline with this key already exists' });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallback });
+};
+
+// =====================
+// PIPELINES
+// =====================
+
+/**
+ * List pipelines with their ordered stages
+ */
+export const getPipelines = async (req, res) => {
+  try {
+    const includeInactive = req.user.role === 'admin' && req.query.includeInactive === 'true';
+    const pipelines = await pipelineService.getPipelines({ includeInactive });
+    res.status(200).json({ success: true, data: pipelines });
+  } catch (error) {
+    logger.error('❌ Get pipelines error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get pipelines' });
+  }
+};
+
+/**
+ * Get a single pipeline by key
+ */
+export const getPipeline = async (req, res) => {
+  try {
+    const pipeline = await pipelineService.getPipeline(req.params.key);
+
+    if (!pipeline) {
+      return res.status(404).json({ success: false, message: 'Pipeline not found' });
+    }
+
+    res.status(200).json({ success: true, data: pipeline });
+  } catch (error) {
+    logger.error('❌ Get pipeline error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get pipeline' });
+  }
+};
+
+/**
+ * Create a pipeline
+ */
+export const createPipeline = async (req, res) => {
+  try {
+    const pipeline = await pipelineService.createPipeline(req.body, req.user.id);
+
+    logger.info(`✅ Pipeline created: ${pipeline.key} by ${req.user.email}`);
+    res.status(201).json({ success: true, message: 'Pipeline created', data: pipeline });
+  } catch (error) {
+    logger.error('❌ Create pipeline error:', error);
+    sendError(res, error, 'Failed to create pipeline');
+  }
+};
+
+/**
+ * Update a pipeline. Renamed or removed stages migrate existing leads;
+ * removed stages that still hold leads need a target in `stageMigrations`.
+ */
+export const updatePipeline = async (req, res) => {
+  try {
+    const { pipeline, migrations } = await pipelineService.updatePipeline(
+      req.params.key,
+      req.body,
+      req.user.id,
+      req.user.name
+    );
+
+    logger.info(`✅ Pipeline updated: ${pipeline.key} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Pipeline updated', data: pipeline, migrations });
+  } catch (error) {
+    logger.error('❌ Update pipeline error:', error);
+    sendError(res, error, 'Failed to update pipeline');
+  }
+};
+
+/**
+ * Delete a pipeline with no leads
+ */
+export const deletePipeline = async (req, res) => {
+  try {
+    await pipelineService.deletePipeline(req.params.key);
+
+    logger.info(`✅ Pipeline deleted: ${req.params.key} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Pipeline deleted' });
+  } catch (error) {
+    logger.error('❌ Delete pipeline error:', error);
+    sendError(res, error, 'Failed to delete pipeline');
+  }
+};
+
+export default {
+  getPipelines,
+  getPipeline,
+  createPipeline,
+  updatePipeline,
+  deletePipeline
+};
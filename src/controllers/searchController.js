@@ -0,0 +1,38 @@
+import searchService, { SEARCH_TYPES } from '../services/searchService.js';
+import logger from '../utils/logger.js';
+
+// =====================
+// GLOBAL SEARCH
+// =====================
+
+/**
+ * Search leads, clients, properties and messages (?q=&types=lead,client&limit=)
+ * Results are ranked across types; agents only see their own leads, clients and conversations.
+ */
+export const globalSearch = async (req, res) => {
+  try {
+    const { q, limit } = req.query;
+    const types = req.query.types
+      ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+      : SEARCH_TYPES;
+
+    const unknown = types.filter(type => !SEARCH_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown search type(s): ${unknown.join(', ')}. Allowed: ${SEARCH_TYPES.join(', ')}`
+      });
+    }
+
+    const { results, counts } = await searchService.search(q, req.user, { types, limit });
+
+    res.status(200).json({ success: true, query: q, count: results.length, counts, data: results });
+  } catch (error) {
+    logger.error('❌ Global search error:', error);
+    res.status(500).json({ success: false, message: 'Search failed' });
+  }
+};
+
+export default {
+  globalSearch
+};
@@ -0,0 +1,79 @@
+import spamProtectionService from '../services/spamProtectionService.js';
+import logger from '../utils/logger.js';
+
+const sendError = (res, error, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallback });
+};
+
+// =====================
+// FORM TOKENS
+// =====================
+
+/**
+ * Token for a public form, fetched when the form is shown and sent back as `formToken`
+ */
+export const getFormToken = (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json({ success: true, data: spamProtectionService.issueToken() });
+};
+
+// =====================
+// SPAM QUARANTINE
+// =====================
+
+/**
+ * List quarantined submissions (?status=pending|released|discarded|all&form=&page=&limit=)
+ */
+export const getQuarantinedSubmissions = async (req, res) => {
+  try {
+    const result = await spamProtectionService.listQuarantine(req.query);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    logger.error('❌ Get quarantined submissions error:', error);
+    sendError(res, error, 'Failed to get quarantined submissions');
+  }
+};
+
+export const getQuarantinedSubmission = async (req, res) => {
+  try {
+    const submission = await spamProtectionService.getSubmission(req.params.id);
+    res.status(200).json({ success: true, data: submission });
+  } catch (error) {
+    logger.error('❌ Get quarantined submission error:', error);
+    sendError(res, error, 'Failed to get quarantined submission');
+  }
+};
+
+/**
+ * Release a submission: the lead it would have created is recorded (no emails are sent)
+ */
+export const releaseQuarantinedSubmission = async (req, res) => {
+  try {
+    const submission = await spamProtectionService.releaseSubmission(req.params.id, req.user);
+    res.status(200).json({ success: true, message: 'Submission released', data: submission });
+  } catch (error) {
+    logger.error('❌ Release quarantined submission error:', error);
+    sendError(res, error, 'Failed to release submission');
+  }
+};
+
+export const discardQuarantinedSubmission = async (req, res) => {
+  try {
+    const submission = await spamProtectionService.discardSubmission(req.params.id, req.user);
+    res.status(200).json({ success: true, message: 'Submission discarded', data: submission });
+  } catch (error) {
+    logger.error('❌ Discard quarantined submission error:', error);
+    sendError(res, error, 'Failed to discard submission');
+  }
+};
+
+export default {
+  getFormToken,
+  getQuarantinedSubmissions,
+  getQuarantinedSubmission,
+  releaseQuarantinedSubmission,
+  discardQuarantinedSubmission
+};
@@ -0,0 +1,166 @@
+import mongoose from 'mongoose';
+import Task from '../models/TaskModel.js';
+import taskService from '../services/taskService.js';
+import logger from '../utils/logger.js';
+
+const sendError = (res, error, fallback) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallback });
+};
+
+// Load a task the current user may see, or send 404
+const loadTask = async (req, res) => {
+  const { id } = req.params;
+  const task = mongoose.isValidObjectId(id) ? await Task.findById(id) : null;
+
+  if (!task || !taskService.canAccess(task, req.user)) {
+    res.status(404).json({ success: false, message: 'Task not found' });
+    return null;
+  }
+  return task;
+};
+
+// =====================
+// TASKS
+// =====================
+
+/**
+ * List tasks (agents: their own; admins: all, filterable by assignee)
+ */
+export const getTasks = async (req, res) => {
+  try {
+    const { tasks, pagination } = await taskService.listTasks(req.query, req.user);
+    res.status(200).json({ success: true, count: tasks.length, data: tasks, pagination });
+  } catch (error) {
+    logger.error('❌ Get tasks error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get tasks' });
+  }
+};
+
+/**
+ * Overdue / today / upcoming open tasks for the current user
+ * (admins may pass ?agentId= to see an agent's agenda)
+ */
+export const getAgenda = async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' && req.query.agentId ? req.query.agentId : req.user.id;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid agent ID' });
+    }
+
+    const agenda = await taskService.getAgenda(userId, { days: parseInt(req.query.days, 10) || 7 });
+    res.status(200).json({ success: true, data: agenda });
+  } catch (error) {
+    logger.error('❌ Get agenda error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get agenda' });
+  }
+};
+
+/**
+ * Get a single task
+ */
+export const getTask = async (req, res) => {
+  try {
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    await task.populate([
+      { path: 'lead', select: 'name email phoneNumber phone status' },
+      { path: 'client', select: 'name email phone' }
+    ]);
+
+    res.status(200).json({ success: true, data: task });
+  } catch (error) {
+    logger.error('❌ Get task error:', error);
+    res.status(500).json({ success: false, message: 'Failed to get task' });
+  }
+};
+
+/**
+ * Create a task
+ */
+export const createTask = async (req, res) => {
+  try {
+    const task = await taskService.createTask(req.body, req.user);
+
+    logger.info(`✅ Task created: ${task._id} for ${task.assignedToName} by ${req.user.email}`);
+    res.status(201).json({ success: true, message: 'Task created', data: task });
+  } catch (error) {
+    logger.error('❌ Create task error:', error);
+    sendError(res, error, 'Failed to create task');
+  }
+};
+
+/**
+ * Update a task
+ */
+export const updateTask = async (req, res) => {
+  try {
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    await taskService.updateTask(task, req.body, req.user);
+
+    logger.info(`✅ Task updated: ${task._id} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Task updated', data: task });
+  } catch (error) {
+    logger.error('❌ Update task error:', error);
+    sendError(res, error, 'Failed to update task');
+  }
+};
+
+/**
+ * Mark a task as completed
+ */
+export const completeTask = async (req, res) => {
+  try {
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    if (task.status === 'completed') {
+      return res.status(400).json({ success: false, message: 'Task is already completed' });
+    }
+
+    await task.complete(req.user.id, req.body.notes || null);
+
+    logger.info(`✅ Task completed: ${task._id} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Task completed', data: task });
+  } catch (error) {
+    logger.error('❌ Complete task error:', error);
+    res.status(500).json({ success: false, message: 'Failed to complete task' });
+  }
+};
+
+/**
+ * Delete a task
+ */
+export const deleteTask = async (req, res) => {
+  try {
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    await task.deleteOne();
+
+    logger.info(`✅ Task deleted: ${task._id} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Task deleted' });
+  } catch (error) {
+    logger.error('❌ Delete task error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete task' });
+  }
+};
+
+export default {
+  getTasks,
+  getAgenda,
+  getTask,
+  createTask,
+  updateTask,
+  completeTask,
+  deleteTask
+};
@@ -6,8 +6,14 @@
 import LeadStorage from '../services/leadStorageMongo.js';
 import Lead from '../models/LeadModel.js';
 import Property from '../models/PropertyModel.js';
+import availabilityService from '../services/availabilityService.js';
+import viewingCalendarService from '../services/viewingCalendarService.js';
+import viewingNotificationService from '../services/viewingNotificationService.js';
+import viewingLinkService from '../services/viewingLinkService.js';
+import viewingRequestService from '../services/viewingRequestService.js';
 import resend from '../config/resend.js';
-import { viewingRequestAdminTemplate, viewingRequestUserTemplate, viewingConfirmedTemplate } from '../templates/emailTemplates.js';
+import { viewingRequestAdminTemplate, viewingRequestUserTemplate } from '../templates/emailTemplates.js';
+import { viewingRequestLead, formatDate } from '../utils/formLeads.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -17,7 +23,6 @@ import logger from '../utils/logger.js';
 export const requestViewing = async (req, res, next) => {
   try {
     const {
-      propertyId,
       propertyName,
       propertyLocation,
       name,
@@ -32,63 +37,13 @@ export const requestViewing = async (req, res, next) => {
 
     logger.info(`🏠 Viewing request from: ${name} for ${propertyName}`);
 
-    // Check if lead already exists with this email
-    let lead = await Lead.findOne({ email: email.toLowerCase() });
-    
-    if (lead) {
-      // Update existing lead
-      logger.info(`📝 Updating existing lead: ${lead._id}`);
-      
-      // Add property interest
-      await lead.addPropertyInterest({
-        propertyId,
-        propertyName,
-        notes: message || 'Requested viewing'
-      }, null, 'System');
-      
-    } else {
-      // Create new lead
-      const leadResult = await LeadStorage.saveLead({
-        name,
-        email,
-        phoneNumber: phone,
-        subject: `Viewing Request: ${propertyName}`,
-        message: message || `Interested in viewing ${propertyName}`,
-        source: 'property_viewing_request'
-      });
+    const result = await LeadStorage.recordViewingRequest(viewingRequestLead(req.body));
 
-      if (!leadResult.success) {
-        throw new Error('Failed to create lead');
-      }
-
-      lead = await Lead.findById(leadResult.lead._id);
-      
-      // Add property interest
-      await lead.addPropertyInterest({
-        propertyId,
-        propertyName,
-        notes: message || 'Requested viewing'
-      }, null, 'System');
+    if (!result.success) {
+      throw new Error(result.error);
     }
 
-    // Add viewing request as activity (not scheduled yet - pending confirmation)
-    lead.addActivity(
-      'viewing_scheduled',
-      `Viewing requested for ${propertyName} - Preferred: ${preferredDate} at ${preferredTime}`,
-      null,
-      'System',
-      {
-        propertyId,
-        propertyName,
-        preferredDate,
-        preferredTime,
-        alternateDate,
-        alternateTime,
-        status: 'pending_confirmation'
-      }
-    );
-
-    await lead.save();
+    const { lead, viewing } = result;
 
     // Prepare email data
     const emailData = {
@@ -124,7 +79,10 @@ export const requestViewing = async (req, res, next) => {
         from: process.env.FROM_EMAIL,
         to: email,
         subject: 'Viewing Request Received - Kejamatch Properties',
-        html: viewingRequestUserTemplate(emailData)
+        html: viewingRequestUserTemplate({
+          ...emailData,
+          manageUrl: viewingLinkService.getManageUrl(lead, { viewing })
+        })
       });
     } catch (emailError) {
       logger.warn('Failed to send user confirmation email:', emailError.message);
@@ -137,6 +95,8 @@ export const requestViewing = async (req, res, next) => {
       message: 'Viewing request submitted successfully! We will contact you to confirm the appointment.',
       data: {
         leadId: lead._id,
+        viewingId: viewing._id,
+        status: viewing.status,
         propertyName,
         preferredDate,
         preferredTime
@@ -155,49 +115,46 @@ export const requestViewing = async (req, res, next) => {
 export const scheduleViewing = async (req, res, next) => {
   try {
     const { leadId } = req.params;
-    const { propertyId, propertyName, scheduledDate, scheduledTime, notes } = req.body;
+    const { propertyId, propertyName, scheduledDate, scheduledTime, durationMinutes, notes } = req.body;
     const userId = req.user.id;
     const userName = req.user.name;
+    const isAdmin = req.user.role === 'admin';
 
     const result = await LeadStorage.scheduleViewing(
       leadId,
-      { propertyId, propertyName, scheduledDate, scheduledTime, notes },
+      {
+        propertyId,
+        propertyName,
+        scheduledDate,
+        scheduledTime,
+        durationMinutes,
+        notes,
+        // Only admins can book another agent or override a conflict
+        agentId: isAdmin ? req.body.agentId : userId,
+        force: isAdmin && req.body.force === true
+      },
       userId,
       userName
     );
 
     if (!result.success) {
-      return res.status(404).json({ success: false, message: result.error });
-    }
-
-    // Get lead details for email
-    const lead = await Lead.findById(leadId);
-
-    // Send confirmation email to lead
-    try {
-      await resend.emails.send({
-        from: process.env.FROM_EMAIL,
-        to: lead.email,
-        subject: `Viewing Confirmed - ${propertyName}`,
-        html: viewingConfirmedTemplate({
-          name: lead.name,
-          propertyName,
-          scheduledDate: formatDate(scheduledDate),
-          scheduledTime,
-          notes,
-          agentName: userName
-        })
+      return res.status(result.statusCode || 404).json({
+        success: false,
+        message: result.error,
+        ...(result.conflicts && { conflicts: result.conflicts, warnings: result.warnings })
       });
-    } catch (emailError) {
-      logger.warn('Failed to send viewing confirmation email:', emailError.message);
     }
 
+    // Confirmation with a calendar invite; a failed email never undoes the booking
+    await viewingNotificationService.sendConfirmation(result.lead, result.viewing);
+
     logger.info(`✅ Viewing scheduled for lead ${leadId} by ${userName}`);
 
     res.status(200).json({
       success: true,
       message: 'Viewing scheduled successfully',
-      data: result.viewing
+      data: result.viewing,
+      warnings: result.warnings
     });
 
   } catch (error) {
@@ -206,6 +163,87 @@ export const scheduleViewing = async (req, res, next) => {
   }
 };
 
+/**
+ * Unconfirmed viewing requests, soonest preferred time first (Admin/Agent)
+ * Agents see the requests they handle; admins can filter by agentId
+ */
+export const getViewingRequests = async (req, res, next) => {
+  try {
+    const { agentId, propertyId, escalated, page, limit } = req.query;
+
+    const result = await viewingRequestService.listRequests(
+      { agentId, propertyId, escalated, page, limit },
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result.requests,
+      summary: result.summary,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    logger.error('❌ Get viewing requests error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Confirm a viewing request in the client's preferred slot, else their alternate (Admin/Agent)
+ * The client gets the confirmation with a calendar invite
+ */
+export const confirmViewingRequest = async (req, res, next) => {
+  try {
+    const { leadId, viewingId } = req.params;
+    const { scheduledDate, scheduledTime, durationMinutes } = req.body;
+    const userId = req.user.id;
+    const userName = req.user.name;
+    const isAdmin = req.user.role === 'admin';
+
+    const result = await LeadStorage.confirmViewingRequest(
+      leadId,
+      viewingId,
+      {
+        scheduledDate,
+        scheduledTime,
+        durationMinutes,
+        // Only admins can hand the viewing to another agent or override a conflict
+        agentId: isAdmin ? req.body.agentId : undefined,
+        force: isAdmin && req.body.force === true
+      },
+      userId,
+      userName
+    );
+
+    if (!result.success) {
+      return res.status(result.statusCode || 404).json({
+        success: false,
+        message: result.error,
+        ...(result.conflicts && { conflicts: result.conflicts, warnings: result.warnings, slots: result.slots })
+      });
+    }
+
+    await viewingNotificationService.sendConfirmation(result.lead, result.viewing);
+
+    logger.info(`✅ Viewing request ${viewingId} confirmed by ${userName}`);
+
+    res.status(200).json({
+      success: true,
+      message: result.confirmedSlot === 'alternate'
+        ? 'Viewing confirmed in the client\'s alternate slot'
+        : 'Viewing confirmed successfully',
+      data: result.viewing,
+      confirmedSlot: result.confirmedSlot,
+      warnings: result.warnings
+    });
+
+  } catch (error) {
+    logger.error('❌ Confirm viewing request error:', error);
+    next(error);
+  }
+};
+
 /**
  * Complete a viewing (Admin/Agent)
  */
@@ -243,8 +281,60 @@ export const completeViewing = async (req, res, next) => {
   }
 };
 
+/**
+ * Reschedule a viewing (Admin/Agent)
+ * The client gets an updated calendar invite
+ */
+export const rescheduleViewing = async (req, res, next) => {
+  try {
+    const { leadId, viewingId } = req.params;
+    const { scheduledDate, scheduledTime, durationMinutes } = req.body;
+    const userId = req.user.id;
+    const userName = req.user.name;
+    const isAdmin = req.user.role === 'admin';
+
+    const result = await LeadStorage.rescheduleViewing(
+      leadId,
+      viewingId,
+      {
+        scheduledDate,
+        scheduledTime,
+        durationMinutes,
+        agentId: isAdmin ? req.body.agentId : undefined,
+        force: isAdmin && req.body.force === true
+      },
+      userId,
+      userName
+    );
+
+    if (!result.success) {
+      return res.status(result.statusCode || 404).json({
+        success: false,
+        message: result.error,
+        ...(result.conflicts && { conflicts: result.conflicts, warnings: result.warnings })
+      });
+    }
+
+    await viewingNotificationService.sendConfirmation(result.lead, result.viewing, { previous: result.previous });
+
+    logger.info(`✅ Viewing ${viewingId} rescheduled by ${userName}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Viewing rescheduled successfully',
+      data: result.viewing,
+      warnings: result.warnings
+    });
+
+  } catch (error) {
+    logger.error('❌ Reschedule viewing error:', error);
+    next(error);
+  }
+};
+
 /**
  * Cancel a viewing (Admin/Agent)
+ * The client gets a calendar cancellation
  */
 export const cancelViewing = async (req, res, next) => {
   try {
@@ -253,37 +343,22 @@ export const cancelViewing = async (req, res, next) => {
     const userId = req.user.id;
     const userName = req.user.name;
 
-    const lead = await Lead.findById(leadId);
-    
-    if (!lead) {
-      return res.status(404).json({ success: false, message: 'Lead not found' });
-    }
+    const result = await LeadStorage.cancelViewing(leadId, viewingId, reason, userId, userName);
 
-    const viewing = lead.viewings.id(viewingId);
-    
-    if (!viewing) {
-      return res.status(404).json({ success: false, message: 'Viewing not found' });
+    if (!result.success) {
+      return res.status(result.statusCode || 404).json({ success: false, message: result.error });
     }
 
-    viewing.status = 'cancelled';
-    viewing.notes = reason ? `Cancelled: ${reason}` : 'Cancelled';
-
-    lead.addActivity(
-      'viewing_completed',
-      `Viewing cancelled for ${viewing.propertyName || 'property'}${reason ? `: ${reason}` : ''}`,
-      userId,
-      userName,
-      { viewingId, reason, status: 'cancelled' }
-    );
-
-    await lead.save();
+    if (result.wasScheduled) {
+      await viewingNotificationService.sendCancellation(result.lead, result.viewing, reason);
+    }
 
     logger.info(`✅ Viewing ${viewingId} cancelled by ${userName}`);
 
     res.status(200).json({
       success: true,
       message: 'Viewing cancelled successfully',
-      data: lead.toObject()
+      data: result.lead
     });
 
   } catch (error) {
@@ -317,6 +392,7 @@ export const getAllViewings = async (req, res, next) => {
           status: '$viewings.status',
           notes: '$viewings.notes',
           outcome: '$viewings.outcome',
+          proposedTimes: '$viewings.proposedTimes',
           createdAt: '$viewings.createdAt',
           assignedTo: '$assignedTo',
           assignedToName: '$assignedToName'
@@ -379,6 +455,7 @@ export const getAgentViewings = async (req, res, next) => {
           status: '$viewings.status',
           notes: '$viewings.notes',
           outcome: '$viewings.outcome',
+          proposedTimes: '$viewings.proposedTimes',
           createdAt: '$viewings.createdAt'
         }
       }
@@ -426,6 +503,7 @@ export const getViewingStats = async (req, res, next) => {
     ]);
 
     const result = {
+      requested: 0,
       scheduled: 0,
       completed: 0,
       cancelled: 0,
@@ -465,22 +543,303 @@ export const getViewingStats = async (req, res, next) => {
   }
 };
 
-// Helper function
-function formatDate(dateString) {
-  return new Date(dateString).toLocaleDateString('en-US', {
-    weekday: 'long',
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
-  });
-}
+/**
+ * Suggest open viewing slots for a property and/or agent (Public)
+ * Query: propertyId, agentId, from (YYYY-MM-DD), days, durationMinutes, limit
+ */
+export const getViewingSlots = async (req, res, next) => {
+  try {
+    const { propertyId, agentId, from, days, durationMinutes, limit } = req.query;
+
+    const result = await availabilityService.suggestSlots({
+      propertyId,
+      agentId,
+      from,
+      days,
+      durationMinutes,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('❌ Get viewing slots error:', error);
+    next(error);
+  }
+};
+
+// Agents manage their own availability; admins can pass an agentId
+const availabilityAgentId = (req) => (
+  req.user.role === 'admin' && (req.query.agentId || req.body?.agentId)
+) || req.user.id;
+
+/**
+ * Get working hours and blocked periods (Admin/Agent)
+ */
+export const getAvailability = async (req, res, next) => {
+  try {
+    const agent = await availabilityService.findAgent(availabilityAgentId(req));
+    const availability = await availabilityService.getAvailability(agent._id);
+
+    res.status(200).json({
+      success: true,
+      data: availability
+    });
+
+  } catch (error) {
+    logger.error('❌ Get availability error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Replace weekly working hours (Admin/Agent)
+ */
+export const updateWorkingHours = async (req, res, next) => {
+  try {
+    const availability = await availabilityService.setWorkingHours(
+      availabilityAgentId(req),
+      req.body.workingHours,
+      req.user.id
+    );
+
+    logger.info(`✅ Working hours updated for ${availability.agent} by ${req.user.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Working hours updated successfully',
+      data: availability
+    });
+
+  } catch (error) {
+    logger.error('❌ Update working hours error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Block out a period, e.g. leave or an appointment (Admin/Agent)
+ */
+export const addBlockedPeriod = async (req, res, next) => {
+  try {
+    const { startsAt, endsAt, reason } = req.body;
+
+    const availability = await availabilityService.addBlockedPeriod(
+      availabilityAgentId(req),
+      { startsAt, endsAt, reason },
+      req.user.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Blocked period added successfully',
+      data: availability
+    });
+
+  } catch (error) {
+    logger.error('❌ Add blocked period error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Remove a blocked period (Admin/Agent)
+ */
+export const removeBlockedPeriod = async (req, res, next) => {
+  try {
+    const availability = await availabilityService.removeBlockedPeriod(
+      availabilityAgentId(req),
+      req.params.blockId,
+      req.user.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Blocked period removed successfully',
+      data: availability
+    });
+
+  } catch (error) {
+    logger.error('❌ Remove blocked period error:', error);
+    next(error);
+  }
+};
+
+// =====================
+// CLIENT BOOKING LINKS
+// =====================
+
+/**
+ * Get the viewing or request behind a booking link (Public)
+ */
+export const getManagedBooking = async (req, res, next) => {
+  try {
+    const booking = await viewingLinkService.getBooking(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      data: booking
+    });
+
+  } catch (error) {
+    logger.error('❌ Get managed booking error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Open slots a client can move their booking to (Public)
+ */
+export const getManagedBookingSlots = async (req, res, next) => {
+  try {
+    const { from, days } = req.query;
+    const slots = await viewingLinkService.getSlots(req.params.token, { from, days });
+
+    res.status(200).json({
+      success: true,
+      data: slots
+    });
+
+  } catch (error) {
+    logger.error('❌ Get managed booking slots error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Cancel a booking through its link (Public)
+ */
+export const cancelManagedBooking = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    const booking = await viewingLinkService.cancel(req.params.token, reason || null);
+
+    if (booking.wasScheduled) {
+      await viewingNotificationService.sendCancellation(booking.lead, booking.viewing, reason || null);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Your viewing has been cancelled.',
+      data: viewingLinkService.describe(booking)
+    });
+
+  } catch (error) {
+    logger.error('❌ Cancel managed booking error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Propose new times through a booking link (Public)
+ * Body: times: [{ date: 'YYYY-MM-DD', time: 'HH:mm' }]
+ */
+export const proposeManagedBookingTimes = async (req, res, next) => {
+  try {
+    const booking = await viewingLinkService.proposeTimes(req.params.token, req.body.times);
+
+    res.status(200).json({
+      success: true,
+      message: booking.viewing?.status === 'scheduled'
+        ? 'Thank you! Your agent will confirm one of your new times.'
+        : 'Thank you! We have updated your preferred viewing times.',
+      data: viewingLinkService.describe(booking)
+    });
+
+  } catch (error) {
+    logger.error('❌ Propose managed booking times error:', error);
+    next(error);
+  }
+};
+
+const requestBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+/**
+ * Get the private calendar feed URL for the logged-in agent
+ */
+export const getCalendarFeedUrl = async (req, res, next) => {
+  try {
+    const feed = await viewingCalendarService.getFeed(req.user.id, requestBaseUrl(req));
+
+    res.status(200).json({
+      success: true,
+      data: feed
+    });
+
+  } catch (error) {
+    logger.error('❌ Get calendar feed URL error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Issue a new calendar feed URL; the previous one stops working
+ */
+export const resetCalendarFeedUrl = async (req, res, next) => {
+  try {
+    const feed = await viewingCalendarService.resetFeed(req.user.id, requestBaseUrl(req));
+
+    logger.info(`✅ Calendar feed URL reset by ${req.user.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed URL reset successfully',
+      data: feed
+    });
+
+  } catch (error) {
+    logger.error('❌ Reset calendar feed URL error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Agent's upcoming viewings as an iCalendar feed (Public - token in the URL)
+ */
+export const getCalendarFeed = async (req, res, next) => {
+  try {
+    const ics = await viewingCalendarService.buildFeed(req.params.token);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="viewings.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.status(200).send(ics);
+
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    logger.error('❌ Calendar feed error:', error);
+    next(error);
+  }
+};
 
 export default {
   requestViewing,
   scheduleViewing,
+  getViewingRequests,
+  confirmViewingRequest,
   completeViewing,
+  rescheduleViewing,
   cancelViewing,
   getAllViewings,
   getAgentViewings,
-  getViewingStats
+  getViewingStats,
+  getViewingSlots,
+  getAvailability,
+  updateWorkingHours,
+  addBlockedPeriod,
+  removeBlockedPeriod,
+  getCalendarFeedUrl,
+  resetCalendarFeedUrl,
+  getCalendarFeed,
+  getManagedBooking,
+  getManagedBookingSlots,
+  cancelManagedBooking,
+  proposeManagedBookingTimes
 };
\ No newline at end of file
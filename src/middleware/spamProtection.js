@@ -0,0 +1,58 @@
+import spamProtectionService from '../services/spamProtectionService.js';
+import spamProtectionConfig from '../config/spamProtection.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Spam checks for a public form; runs after validation.
+ * Repeated identical submissions are rejected. Suspicious ones are quarantined
+ * for admin review and answered as if they succeeded, so bots learn nothing.
+ * @param {string} form - contact | booking | viewing_request
+ */
+export const spamProtection = (form) => async (req, res, next) => {
+  if (!spamProtectionConfig.enabled) {
+    spamProtectionService.stripProtectionFields(req.body);
+    return next();
+  }
+
+  let inspection;
+  try {
+    inspection = spamProtectionService.inspect(form, req.body);
+  } catch (error) {
+    // A fault in the checks never blocks a genuine submission
+    logger.error(`❌ Spam check error (${form}):`, error);
+    spamProtectionService.stripProtectionFields(req.body);
+    return next();
+  }
+
+  if (inspection.repeated) {
+    logger.warn(`🛡️ Repeated ${form} submission rejected from ${req.ip}`);
+    return res.status(409).json({
+      success: false,
+      message: 'We have already received this submission.'
+    });
+  }
+
+  if (inspection.reasons.length > 0) {
+    try {
+      await spamProtectionService.quarantine(form, req, inspection.reasons);
+    } catch (error) {
+      logger.error(`❌ Quarantine error (${form}):`, error);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Thank you! Your submission has been received.'
+    });
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode >= 500) spamProtectionService.forget(inspection.fingerprint);
+  });
+
+  spamProtectionService.stripProtectionFields(req.body);
+  next();
+};
+
+export default {
+  spamProtection
+};
@@ -80,6 +80,51 @@ export const uploadMiddleware = multer({
   fileFilter: fileFilter
 });
 
+// Lead import spreadsheets are parsed in memory and never stored
+const IMPORT_EXTENSIONS = ['.csv', '.xlsx'];
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024;
+
+const importFileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (!IMPORT_EXTENSIONS.includes(ext)) {
+    const error = new Error(
+      `Invalid file extension. Allowed extensions: ${IMPORT_EXTENSIONS.join(', ')}`
+    );
+    error.status = 400;
+    return cb(error, false);
+  }
+
+  cb(null, true);
+};
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: importFileFilter
+});
+
+// Single spreadsheet in the "file" field; responds 400 on upload errors
+export const importUploadMiddleware = (req, res, next) => {
+  importUpload.single('file')(req, res, (err) => {
+    if (!err) return next();
+
+    const message = err.code === 'LIMIT_FILE_SIZE'
+      ? `File too large. Maximum size is ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)}MB`
+      : err.message;
+
+    logger.error(`❌ Import upload error: ${message}`);
+
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  });
+};
+
 // Error handler for multer errors
 export const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -172,6 +217,7 @@ export { cloudinary };
 // Export all middleware
 export default {
   uploadMiddleware,
+  importUploadMiddleware,
   handleUploadError,
   validateDocumentCategory,
   requireFile,
@@ -4,6 +4,57 @@
  */
 
 import { body, validationResult } from 'express-validator';
+import { isValidPhone, normalizePhone } from '../utils/phone.js';
+
+/**
+ * Phone number rule: Kenyan or international formats, converted to E.164
+ * @param {string} field - Body field name
+ * @param {Object} options - optional: allow the field to be left out
+ */
+export const phoneValidation = (field, { optional = false } = {}) => {
+  const chain = body(field);
+  if (optional) {
+    chain.optional({ values: 'falsy' });
+  }
+  return chain
+    .trim()
+    .notEmpty()
+    .withMessage('Phone number is required')
+    .bail()
+    .custom(value => isValidPhone(value))
+    .withMessage('Please provide a valid phone number')
+    .customSanitizer(value => normalizePhone(value) || value);
+};
+
+/**
+ * Optional marketing attribution sent with public forms:
+ * attribution.{ utm_source, utm_medium, utm_campaign, utm_term, utm_content,
+ * referrer, landingPage, firstTouchAt, lastTouchAt }
+ */
+export const attributionValidation = [
+  body('attribution')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Attribution must be an object'),
+
+  body(['attribution.utm_source', 'attribution.utm_medium', 'attribution.utm_campaign', 'attribution.utm_term', 'attribution.utm_content'])
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('UTM parameters must be text')
+    .isLength({ max: 200 })
+    .withMessage('UTM parameters must not exceed 200 characters'),
+
+  body(['attribution.referrer', 'attribution.landingPage'])
+    .optional({ values: 'falsy' })
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Referrer and landing page must not exceed 2000 characters'),
+
+  body(['attribution.firstTouchAt', 'attribution.lastTouchAt'])
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Touch timestamps must be valid dates'),
+];
 
 /**
  * Contact form validation rules
@@ -25,12 +76,7 @@ export const contactValidation = [
     .withMessage('Please provide a valid email address')
     .normalizeEmail(),
   
-  body('phoneNumber')
-    .trim()
-    .notEmpty()
-    .withMessage('Phone number is required')
-    .isLength({ min: 10, max: 20 })
-    .withMessage('Please provide a valid phone number'),
+  phoneValidation('phoneNumber'),
   
   body('subject')
     .trim()
@@ -45,6 +91,8 @@ export const contactValidation = [
     .withMessage('Message is required')
     .isLength({ min: 10, max: 5000 })
     .withMessage('Message must be between 10 and 5000 characters'),
+
+  ...attributionValidation,
 ];
 
 /**
@@ -67,12 +115,7 @@ export const bookingValidation = [
     .withMessage('Please provide a valid email address')
     .normalizeEmail(),
   
-  body('phoneNumber')  // Changed from 'phone' to 'phoneNumber'
-    .trim()
-    .notEmpty()
-    .withMessage('Phone number is required')
-    .isLength({ min: 10, max: 20 })
-    .withMessage('Please provide a valid phone number'),
+  phoneValidation('phoneNumber'),  // Changed from 'phone' to 'phoneNumber'
   
   body('checkIn')
     .notEmpty()
@@ -121,6 +164,8 @@ export const bookingValidation = [
     .trim()
     .isLength({ max: 1000 })
     .withMessage('Special requests must not exceed 1000 characters'),
+
+  ...attributionValidation,
 ];
 
 /**
@@ -148,6 +193,8 @@ export const validate = (req, res, next) => {
 };
 
 export default {
+  phoneValidation,
+  attributionValidation,
   contactValidation,
   bookingValidation,
   validate
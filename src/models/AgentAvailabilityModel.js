@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Hours an agent takes viewings on one day of the week (wall-clock, business timezone)
+const workingHoursSchema = new mongoose.Schema({
+  // 0 = Sunday
+  day: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  start: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Start must be a time in HH:mm format']
+  },
+  end: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'End must be a time in HH:mm format']
+  }
+}, { _id: false });
+
+// Time off, training, personal appointments
+const blockedPeriodSchema = new mongoose.Schema({
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: [200, 'Reason must not exceed 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// When an agent can take viewings. Agents without a record use the default working hours.
+const agentAvailabilitySchema = new mongoose.Schema({
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  workingHours: [workingHoursSchema],
+  blockedPeriods: [blockedPeriodSchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Validation
+agentAvailabilitySchema.pre('validate', function() {
+  this.workingHours.forEach((hours, index) => {
+    if (hours.start && hours.end && hours.end <= hours.start) {
+      this.invalidate(`workingHours.${index}.end`, 'Working hours must end after they start');
+    }
+  });
+
+  this.blockedPeriods.forEach((period, index) => {
+    if (period.startsAt && period.endsAt && period.endsAt <= period.startsAt) {
+      this.invalidate(`blockedPeriods.${index}.endsAt`, 'Blocked period must end after it starts');
+    }
+  });
+});
+
+const AgentAvailability = mongoose.model('AgentAvailability', agentAvailabilitySchema);
+
+export default AgentAvailability;
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+// Assignment rule - decides which agent receives a newly created lead
+const assignmentRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  // Lower numbers are evaluated first
+  priority: {
+    type: Number,
+    default: 100
+  },
+  strategy: {
+    type: String,
+    enum: ['round_robin', 'least_loaded', 'specific_agent'],
+    required: [true, 'Strategy is required']
+  },
+  // Every non-empty condition must match; an empty rule matches all leads
+  conditions: {
+    sources: [{ type: String, trim: true }],
+    counties: [{ type: String, trim: true }],
+    categories: [{
+      type: String,
+      enum: ['houses', 'apartments', 'land', 'commercial']
+    }]
+  },
+  // Agent pool for this rule; empty means all active agents
+  agents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Round-robin cursor
+  lastAssignedAgent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+assignmentRuleSchema.index({ isActive: 1, priority: 1, createdAt: 1 });
+
+// Methods
+
+// Check the rule conditions against a lead context ({ source, county, category })
+assignmentRuleSchema.methods.matches = function(context = {}) {
+  const includes = (list, value) => {
+    if (!list || list.length === 0) return true;
+    if (!value) return false;
+    return list.some(item => item.toLowerCase() === String(value).toLowerCase());
+  };
+
+  const { sources, counties, categories } = this.conditions || {};
+
+  return includes(sources, context.source)
+    && includes(counties, context.county)
+    && includes(categories, context.category);
+};
+
+// Static methods
+
+// Active rules in evaluation order
+assignmentRuleSchema.statics.findActive = function() {
+  return this.find({ isActive: true }).sort({ priority: 1, createdAt: 1 });
+};
+
+const AssignmentRule = mongoose.model('AssignmentRule', assignmentRuleSchema);
+
+export default AssignmentRule;
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// Background bulk lead operation with progress and per-lead failures
+const bulkJobSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['reassign', 'status', 'note', 'tags', 'delete', 'odoo_sync'],
+    required: true
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  leadIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  }],
+  filter: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    succeeded: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  failures: [{
+    _id: false,
+    leadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead' },
+    error: String
+  }],
+  error: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdByName: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+bulkJobSchema.index({ createdAt: -1 });
+
+bulkJobSchema.virtual('percentComplete').get(function() {
+  if (!this.progress?.total) return 100;
+  return Math.round((this.progress.processed / this.progress.total) * 100);
+});
+
+const BulkJob = mongoose.model('BulkJob', bulkJobSchema);
+
+export default BulkJob;
@@ -1,8 +1,41 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import { normalizeSearchText } from '../utils/searchText.js';
+import { canonicalPhone } from '../utils/phone.js';
 
 const SALT_ROUNDS = 12;
 
+const hashInvitationToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Staff actions on a client account
+const clientActivitySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['assigned'],
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  userName: {
+    type: String,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
 // Client schema - separate from Leads, represents registered portal users
 const clientSchema = new mongoose.Schema({
   // Basic Information
@@ -33,6 +66,7 @@ const clientSchema = new mongoose.Schema({
     minlength: [2, 'Name must be at least 2 characters'],
     maxlength: [100, 'Name must not exceed 100 characters']
   },
+  // E.164 when valid
   phone: {
     type: String,
     trim: true,
@@ -90,6 +124,33 @@ const clientSchema = new mongoose.Schema({
     select: false
   },
 
+  // Set-password invitation (accounts created from a lead by staff);
+  // only a hash of the emailed token is stored
+  invitationTokenHash: {
+    type: String,
+    default: null,
+    index: true,
+    select: false
+  },
+  invitationExpiry: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  invitedAt: {
+    type: Date,
+    default: null
+  },
+  invitationAcceptedAt: {
+    type: Date,
+    default: null
+  },
+
   // Two-Factor Authentication for Documents
   twoFactorEnabled: {
     type: Boolean,
@@ -139,6 +200,13 @@ const clientSchema = new mongoose.Schema({
     select: false // Sensitive data
   },
 
+  // Normalized name for prefix search (kept in sync with name)
+  searchName: {
+    type: String,
+    default: null,
+    index: true
+  },
+
   // Address
   address: {
     street: { type: String, default: null },
@@ -181,6 +249,8 @@ const clientSchema = new mongoose.Schema({
     index: true
   },
 
+  activities: [clientActivitySchema],
+
   // Saved/Favorite Properties
   savedProperties: [{
     type: String
@@ -236,6 +306,8 @@ const clientSchema = new mongoose.Schema({
       delete ret.verificationCode;
       delete ret.verificationCodeExpiry;
       delete ret.verificationAttempts;
+      delete ret.invitationTokenHash;
+      delete ret.invitationExpiry;
       delete ret.twoFactorSecret;
       delete ret.twoFactorCode;
       delete ret.twoFactorCodeExpiry;
@@ -253,6 +325,21 @@ clientSchema.index({ email: 1, status: 1 });
 clientSchema.index({ status: 1, createdAt: -1 });
 clientSchema.index({ assignedAgent: 1, status: 1 });
 clientSchema.index({ linkedLeadId: 1 });
+clientSchema.index({ phone: 1 });
+clientSchema.index(
+  { name: 'text', email: 'text', phone: 'text', 'address.street': 'text', 'address.city': 'text', 'address.county': 'text' },
+  { name: 'client_search', weights: { name: 10, email: 8, phone: 8, 'address.street': 2, 'address.city': 2, 'address.county': 2 } }
+);
+
+// Keep the normalized search name in step with name; store the phone in E.164
+clientSchema.pre('validate', function() {
+  if (this.isModified('name')) {
+    this.searchName = normalizeSearchText(this.name);
+  }
+  if (this.isModified('phone')) {
+    this.phone = canonicalPhone(this.phone);
+  }
+});
 
 // Virtual for full name
 clientSchema.virtual('id').get(function() {
@@ -331,6 +418,28 @@ clientSchema.methods.verifyCode = function(code) {
   return { valid: true };
 };
 
+// Method: Generate set-password invitation token (returns the raw token for the email link)
+clientSchema.methods.generateInvitationToken = function(invitedBy, expiryHours) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.invitationTokenHash = hashInvitationToken(token);
+  this.invitationExpiry = new Date(Date.now() + expiryHours * 60 * 60 * 1000);
+  this.invitedBy = invitedBy;
+  this.invitedAt = new Date();
+  this.invitationAcceptedAt = null;
+  return token;
+};
+
+// Method: Set the first password from an invitation; the link proves the email address
+clientSchema.methods.acceptInvitation = async function(password) {
+  this.password = password;
+  this.isVerified = true;
+  this.invitationTokenHash = null;
+  this.invitationExpiry = null;
+  this.invitationAcceptedAt = new Date();
+  await this.save();
+  return this;
+};
+
 // Method: Generate 2FA code for document access
 clientSchema.methods.generate2FACode = function() {
   this.twoFactorCode = Math.floor(100000 + Math.random() * 900000).toString();
@@ -359,6 +468,25 @@ clientSchema.methods.verify2FACode = function(code) {
   return true;
 };
 
+// Method: Assign (or reassign) the client's agent
+clientSchema.methods.assignToAgent = async function(agentId, assignedBy, assignedByName = null, agentName = null, metadata = {}) {
+  const previousAgent = this.assignedAgent;
+  this.assignedAgent = agentId;
+
+  this.activities.unshift({
+    type: 'assigned',
+    description: previousAgent
+      ? `Client reassigned to ${agentName || 'agent'}`
+      : `Client assigned to ${agentName || 'agent'}`,
+    userId: assignedBy,
+    userName: assignedByName || 'Admin',
+    metadata: { agentId, agentName, previousAgent, ...metadata }
+  });
+
+  await this.save();
+  return this;
+};
+
 // Method: Update last login
 clientSchema.methods.updateLastLogin = async function() {
   this.lastLogin = new Date();
@@ -417,6 +545,8 @@ clientSchema.methods.toSafeJSON = function() {
   delete obj.verificationCode;
   delete obj.verificationCodeExpiry;
   delete obj.verificationAttempts;
+  delete obj.invitationTokenHash;
+  delete obj.invitationExpiry;
   delete obj.twoFactorSecret;
   delete obj.twoFactorCode;
   delete obj.twoFactorCodeExpiry;
@@ -426,6 +556,14 @@ clientSchema.methods.toSafeJSON = function() {
   return obj;
 };
 
+// Static: Find the client holding an unexpired invitation token
+clientSchema.statics.findByInvitationToken = function(token) {
+  return this.findOne({
+    invitationTokenHash: hashInvitationToken(token),
+    invitationExpiry: { $gt: new Date() }
+  });
+};
+
 // Static: Find pending approvals
 clientSchema.statics.findPendingApprovals = function() {
   return this.find({ status: 'pending_approval' })
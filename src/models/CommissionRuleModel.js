@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// Commission for won deals on one property type, split between the listing and selling agent
+const commissionRuleSchema = new mongoose.Schema({
+  propertyType: {
+    type: String,
+    enum: ['Rent', 'Buy'],
+    required: [true, 'Property type is required'],
+    unique: true,
+    immutable: true
+  },
+  // Percentage of the agreed price
+  rate: {
+    type: Number,
+    required: [true, 'Commission rate is required'],
+    min: [0, 'Commission rate cannot be negative'],
+    max: [100, 'Commission rate cannot exceed 100%']
+  },
+  // Percentages of the commission; together they make up 100
+  listingAgentShare: {
+    type: Number,
+    required: true,
+    min: [0, 'Listing agent share cannot be negative'],
+    max: [100, 'Listing agent share cannot exceed 100%']
+  },
+  sellingAgentShare: {
+    type: Number,
+    required: true,
+    min: [0, 'Selling agent share cannot be negative'],
+    max: [100, 'Selling agent share cannot exceed 100%']
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+commissionRuleSchema.pre('validate', function() {
+  if (this.listingAgentShare + this.sellingAgentShare !== 100) {
+    this.invalidate('sellingAgentShare', 'Listing and selling agent shares must add up to 100');
+  }
+});
+
+const CommissionRule = mongoose.model('CommissionRule', commissionRuleSchema);
+
+export default CommissionRule;
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Admin-defined lead field; values live on Lead.customFields[key]
+const customFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Field key is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    immutable: true,
+    match: [KEY_PATTERN, 'Field key may only contain lowercase letters, numbers and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Field label is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['text', 'number', 'select', 'date'],
+    required: [true, 'Field type is required'],
+    immutable: true
+  },
+  // Allowed values for select fields
+  options: [{
+    type: String,
+    trim: true
+  }],
+  description: {
+    type: String,
+    default: null
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Odoo crm.lead field the value is synced to
+  odooField: {
+    type: String,
+    default: null,
+    trim: true,
+    match: [/^x_[a-z0-9_]+$/, 'Odoo field must be a custom field name starting with x_']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+customFieldSchema.pre('validate', function() {
+  if (this.type === 'select') {
+    this.options = [...new Set(this.options.filter(Boolean))];
+    if (this.options.length === 0) {
+      this.invalidate('options', 'A select field needs at least one option');
+    }
+  } else if (this.options.length > 0) {
+    this.options = [];
+  }
+});
+
+const CustomField = mongoose.model('CustomField', customFieldSchema);
+
+export default CustomField;
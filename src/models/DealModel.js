@@ -0,0 +1,194 @@
+import mongoose from 'mongoose';
+import { DEAL_STAGES, CLOSED_DEAL_STAGES } from '../config/deals.js';
+
+// Commission calculated when the deal is won (amounts in KES)
+const commissionSchema = new mongoose.Schema({
+  rate: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  listingAgentShare: {
+    type: Number,
+    required: true
+  },
+  listingAgentAmount: {
+    type: Number,
+    required: true
+  },
+  sellingAgentShare: {
+    type: Number,
+    required: true
+  },
+  sellingAgentAmount: {
+    type: Number,
+    required: true
+  },
+  calculatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Sale or letting in progress for a lead, on one property (amounts in KES)
+const dealSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title must not exceed 200 characters']
+  },
+
+  // Links
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: [true, 'Lead is required'],
+    index: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    default: null,
+    index: true
+  },
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Property is required'],
+    index: true
+  },
+  propertyName: {
+    type: String,
+    default: null
+  },
+  // Rent or Buy, copied from the property; selects the commission rule
+  propertyType: {
+    type: String,
+    enum: ['Rent', 'Buy'],
+    required: true
+  },
+  // Lead source, copied for revenue reporting
+  source: {
+    type: String,
+    default: null
+  },
+
+  // Money
+  offerPrice: {
+    type: Number,
+    default: null,
+    min: [0, 'Offer price cannot be negative']
+  },
+  agreedPrice: {
+    type: Number,
+    default: null,
+    min: [0, 'Agreed price cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'KES'
+  },
+
+  // Forecast
+  stage: {
+    type: String,
+    enum: DEAL_STAGES,
+    default: 'offer',
+    index: true
+  },
+  probability: {
+    type: Number,
+    min: [0, 'Probability must be between 0 and 100'],
+    max: [100, 'Probability must be between 0 and 100'],
+    default: null
+  },
+  expectedCloseDate: {
+    type: Date,
+    default: null,
+    index: true
+  },
+
+  // Agents
+  listingAgent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  listingAgentName: {
+    type: String,
+    default: null
+  },
+  sellingAgent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Selling agent is required'],
+    index: true
+  },
+  sellingAgentName: {
+    type: String,
+    default: null
+  },
+
+  // Outcome
+  closedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  lostReason: {
+    type: String,
+    default: null
+  },
+  commission: {
+    type: commissionSchema,
+    default: null
+  },
+
+  notes: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdByName: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+dealSchema.index({ stage: 1, closedAt: -1 });
+dealSchema.index({ sellingAgent: 1, stage: 1 });
+dealSchema.index({ listingAgent: 1, stage: 1 });
+
+// Virtuals
+dealSchema.virtual('isClosed').get(function() {
+  return CLOSED_DEAL_STAGES.includes(this.stage);
+});
+
+// Agreed price once known, otherwise the offer
+dealSchema.virtual('value').get(function() {
+  return this.agreedPrice ?? this.offerPrice ?? null;
+});
+
+dealSchema.virtual('weightedValue').get(function() {
+  const value = this.agreedPrice ?? this.offerPrice;
+  if (value === null || value === undefined || this.probability === null) return null;
+  return Math.round(value * this.probability / 100);
+});
+
+const Deal = mongoose.model('Deal', dealSchema);
+
+export default Deal;
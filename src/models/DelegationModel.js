@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import { DELEGATION_STATUSES } from '../config/delegation.js';
+
+// Out-of-office period: the agent's open leads and clients are handed to a
+// delegate when it starts and handed back when it ends
+const delegationSchema = new mongoose.Schema({
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Agent is required'],
+    index: true
+  },
+  agentName: {
+    type: String,
+    default: null
+  },
+  delegate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Delegate is required'],
+    index: true
+  },
+  delegateName: {
+    type: String,
+    default: null
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  reason: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: [500, 'Reason must not exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: DELEGATION_STATUSES,
+    default: 'scheduled',
+    index: true
+  },
+
+  // Records handed over when the delegation started, handed back at the end
+  leads: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  }],
+  clients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  }],
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdByName: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+delegationSchema.index({ status: 1, startsAt: 1 });
+delegationSchema.index({ status: 1, endsAt: 1 });
+
+// Validation
+delegationSchema.pre('validate', function() {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+  if (this.agent && this.delegate && this.agent.toString() === this.delegate.toString()) {
+    this.invalidate('delegate', 'An agent cannot delegate to themselves');
+  }
+});
+
+const Delegation = mongoose.model('Delegation', delegationSchema);
+
+export default Delegation;
@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+// One spreadsheet import; leads created by it carry its id so it can be rolled back
+const rowErrorSchema = new mongoose.Schema({
+  row: {
+    type: Number,
+    required: true
+  },
+  messages: [{
+    field: String,
+    message: String
+  }]
+}, { _id: false });
+
+const importBatchSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true
+  },
+  fileType: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true
+  },
+  source: {
+    type: String,
+    required: true,
+    index: true
+  },
+  mapping: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  duplicateMode: {
+    type: String,
+    enum: ['skip', 'flag'],
+    default: 'skip'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'rolled_back'],
+    default: 'queued',
+    index: true
+  },
+  counts: {
+    total: { type: Number, default: 0 },
+    // Rows queued for saving; imported + failed reach this when the import finishes
+    valid: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    rolledBack: { type: Number, default: 0 }
+  },
+  // Capped; invalid and duplicate rows are also reported by the import request itself
+  rowErrors: [rowErrorSchema],
+  error: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdByName: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  rolledBackAt: {
+    type: Date,
+    default: null
+  },
+  rolledBackBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+importBatchSchema.index({ createdAt: -1 });
+
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+export default ImportBatch;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import { CHANGE_ORIGINS } from '../utils/changeContext.js';
+
+// One changed field; nested custom fields use dotted paths (customFields.budget_range)
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  oldValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  newValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+// Field-level change record for a lead (written by the Lead model hooks)
+const leadHistorySchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated'],
+    default: 'updated'
+  },
+  changes: [fieldChangeSchema],
+  origin: {
+    type: String,
+    enum: CHANGE_ORIGINS,
+    default: 'system'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  userName: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+leadHistorySchema.index({ lead: 1, createdAt: -1 });
+leadHistorySchema.index({ lead: 1, 'changes.field': 1 });
+
+const LeadHistory = mongoose.model('LeadHistory', leadHistorySchema);
+
+export default LeadHistory;
@@ -1,4 +1,11 @@
 import mongoose from 'mongoose';
+import leadScoringService from '../services/leadScoringService.js';
+import leadHistoryService from '../services/leadHistoryService.js';
+import slaConfig from '../config/sla.js';
+import { DEFAULT_PIPELINE_KEY } from '../config/pipelines.js';
+import { normalizeSearchText, customFieldSearchText } from '../utils/searchText.js';
+import { canonicalPhone } from '../utils/phone.js';
+import { ATTRIBUTION_CHANNELS } from '../config/attribution.js';
 
 // Activity sub-schema
 const activitySchema = new mongoose.Schema({
@@ -6,8 +13,11 @@ const activitySchema = new mongoose.Schema({
     type: String,
     enum: [
       'lead_created', 'status_change', 'note_added', 'assigned',
-      'call_logged', 'email_sent', 'viewing_scheduled', 'viewing_completed',
-      'property_interested', 'synced_to_odoo'
+      'call_logged', 'email_sent', 'viewing_scheduled', 'viewing_completed', 'viewing_cancelled',
+      'property_interested', 'synced_to_odoo', 'leads_merged', 'tags_added',
+      'tags_removed', 'fields_updated', 'lead_deleted', 'lead_restored',
+      'converted_to_client', 'client_linked', 'deal_created', 'deal_won',
+      'deal_lost'
     ],
     required: true
   },
@@ -32,6 +42,51 @@ const activitySchema = new mongoose.Schema({
   timestamps: { createdAt: true, updatedAt: false }
 });
 
+// What the client asked for on a public viewing request, and who confirmed it
+const viewingRequestSchema = new mongoose.Schema({
+  preferredDate: String,
+  preferredTime: String,
+  alternateDate: {
+    type: String,
+    default: null
+  },
+  alternateTime: {
+    type: String,
+    default: null
+  },
+  // Preferred slot as a date, for sorting the queue; null when the time could not be read
+  preferredStartsAt: {
+    type: Date,
+    default: null
+  },
+  message: {
+    type: String,
+    default: null
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  escalatedAt: {
+    type: Date,
+    default: null
+  },
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+  confirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // 'preferred' | 'alternate' | 'other'
+  confirmedSlot: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
 // Viewing sub-schema
 const viewingSchema = new mongoose.Schema({
   propertyId: {
@@ -50,11 +105,60 @@ const viewingSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Agent showing the property and the exact slot; viewings scheduled before
+  // availability tracking only have the date and time strings
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  agentName: {
+    type: String,
+    default: null
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  // Bumped on every change so calendar apps replace the earlier invite
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  // New times the client asked for through their booking link
+  proposedTimes: [{
+    _id: false,
+    scheduledDate: String,
+    scheduledTime: String,
+    startsAt: Date,
+    endsAt: Date
+  }],
+  proposedAt: {
+    type: Date,
+    default: null
+  },
+  // Reminder offsets already sent, so a restart never sends them again
+  remindersSent: [{
+    _id: false,
+    offsetMinutes: Number,
+    sentAt: Date,
+    // Booked too late for this reminder; recorded so it is not sent
+    skipped: { type: Boolean, default: false }
+  }],
+  // 'requested' viewings come from the website and wait for an agent to confirm a slot
   status: {
     type: String,
-    enum: ['scheduled', 'completed', 'cancelled'],
+    enum: ['requested', 'scheduled', 'completed', 'cancelled'],
     default: 'scheduled'
   },
+  request: {
+    type: viewingRequestSchema,
+    default: null
+  },
   notes: {
     type: String,
     default: null
@@ -76,10 +180,14 @@ const viewingSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  // Requests from the website have no creator until someone confirms them
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return this.status !== 'requested' && !this.request;
+    },
+    default: null
   }
 }, {
   timestamps: { createdAt: true, updatedAt: false }
@@ -111,6 +219,173 @@ const interestedPropertySchema = new mongoose.Schema({
   }
 });
 
+// Possible duplicate sub-schema (flagged on create)
+const duplicateMatchSchema = new mongoose.Schema({
+  leadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true
+  },
+  score: {
+    type: Number,
+    default: 0
+  },
+  reasons: [{
+    type: String,
+    enum: ['email', 'phone', 'name']
+  }]
+}, { _id: false });
+
+// Score breakdown sub-schema (one entry per scoring rule)
+const scoreItemSchema = new mongoose.Schema({
+  rule: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    default: null
+  },
+  points: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// First-response SLA sub-schema
+const slaSchema = new mongoose.Schema({
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  targetMinutes: {
+    type: Number,
+    default: null
+  },
+  dueAt: {
+    type: Date,
+    default: null
+  },
+  firstTouchAt: {
+    type: Date,
+    default: null
+  },
+  firstTouchBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  firstTouchType: {
+    type: String,
+    default: null
+  },
+  responseMinutes: {
+    type: Number,
+    default: null
+  },
+  breached: {
+    type: Boolean,
+    default: false
+  },
+  breachedAt: {
+    type: Date,
+    default: null
+  },
+  warnedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Lost outcome sub-schema (captured when the lead enters a lost stage)
+const lostOutcomeSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    required: true
+  },
+  reasonLabel: {
+    type: String,
+    default: null
+  },
+  notes: {
+    type: String,
+    default: null
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  byName: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// Won outcome sub-schema (captured when the lead enters a won stage)
+const wonOutcomeSchema = new mongoose.Schema({
+  // Deal value in KES
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  propertyId: {
+    type: String,
+    default: null
+  },
+  propertyName: {
+    type: String,
+    default: null
+  },
+  closeDate: {
+    type: Date,
+    required: true
+  },
+  // Won deals the outcome was taken from (value is their total); empty when entered by hand
+  deals: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deal'
+  }],
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  byName: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// Marketing touch sub-schema (UTM parameters and referrer of a visit that led to a form)
+const touchSchema = new mongoose.Schema({
+  source: { type: String, default: null },
+  medium: { type: String, default: null },
+  campaign: { type: String, default: null },
+  term: { type: String, default: null },
+  content: { type: String, default: null },
+  referrer: { type: String, default: null },
+  landingPage: { type: String, default: null },
+  channel: {
+    type: String,
+    enum: ATTRIBUTION_CHANNELS,
+    default: 'direct'
+  },
+  at: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
 // Main Lead schema
 const leadSchema = new mongoose.Schema({
   name: {
@@ -132,11 +407,13 @@ const leadSchema = new mongoose.Schema({
       message: 'Invalid email format'
     }
   },
+  // Canonical phone number (E.164 when valid)
   phoneNumber: {
     type: String,
     trim: true,
     default: null
   },
+  // Legacy: folded into phoneNumber on save
   phone: {
     type: String,
     trim: true,
@@ -151,9 +428,20 @@ const leadSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Normalized name for prefix search (kept in sync with name)
+  searchName: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Pipeline key and stage key; valid stages are defined per pipeline (see pipelineService)
+  pipeline: {
+    type: String,
+    default: DEFAULT_PIPELINE_KEY,
+    index: true
+  },
   status: {
     type: String,
-    enum: ['new', 'contacted', 'qualified', 'viewing', 'negotiating', 'won', 'lost'],
     default: 'new',
     required: true,
     index: true
@@ -163,6 +451,17 @@ const leadSchema = new mongoose.Schema({
     default: 'website_contact_form',
     index: true
   },
+  // Marketing attribution from public forms
+  attribution: {
+    firstTouch: {
+      type: touchSchema,
+      default: null
+    },
+    lastTouch: {
+      type: touchSchema,
+      default: null
+    }
+  },
   // Odoo CRM integration
   syncedToOdoo: {
     type: Boolean,
@@ -207,6 +506,74 @@ const leadSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Lead scoring
+  score: {
+    type: Number,
+    default: 0,
+    index: true
+  },
+  scoreBreakdown: [scoreItemSchema],
+  scoredAt: {
+    type: Date,
+    default: null
+  },
+  // Duplicate detection
+  possibleDuplicates: [duplicateMatchSchema],
+  // Free-form labels (lowercase)
+  tags: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  // Admin-defined fields ({ key: value }, see CustomField)
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Normalized copies of the text values in customFields, for prefix filters (kept in sync)
+  customFieldSearch: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Spreadsheet import that created the lead (for rollback)
+  importBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch',
+    default: null,
+    index: true
+  },
+  // Soft delete (purged after the trash retention period)
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  deletedByName: {
+    type: String,
+    default: null
+  },
+  // Win/loss details (cleared when the lead is reopened)
+  lost: {
+    type: lostOutcomeSchema,
+    default: null
+  },
+  won: {
+    type: wonOutcomeSchema,
+    default: null
+  },
+  // First-response SLA
+  sla: {
+    type: slaSchema,
+    default: () => ({})
+  },
   // Sub-documents
   activities: [activitySchema],
   viewings: [viewingSchema],
@@ -223,7 +590,27 @@ leadSchema.index({ status: 1, createdAt: -1 });
 leadSchema.index({ assignedTo: 1, status: 1 });
 leadSchema.index({ syncedToOdoo: 1, createdAt: -1 });
 leadSchema.index({ source: 1, createdAt: -1 });
+leadSchema.index({ assignedTo: 1, createdAt: -1 });
 leadSchema.index({ createdAt: -1 });
+leadSchema.index({ phoneNumber: 1 });
+leadSchema.index({ phone: 1 });
+leadSchema.index({ 'sla.firstTouchAt': 1, 'sla.dueAt': 1 });
+leadSchema.index({ 'sla.breached': 1, 'sla.breachedAt': -1 });
+leadSchema.index({ isDeleted: 1, deletedAt: -1 });
+leadSchema.index({ 'lost.reason': 1, 'lost.at': -1 });
+leadSchema.index({ 'won.closeDate': -1 });
+leadSchema.index({ scoredAt: 1 });
+leadSchema.index({ 'customFieldSearch.$**': 1 });
+leadSchema.index({ 'attribution.firstTouch.campaign': 1, createdAt: -1 });
+leadSchema.index({ 'attribution.firstTouch.channel': 1, createdAt: -1 });
+leadSchema.index({ 'viewings.agent': 1, 'viewings.startsAt': 1 });
+leadSchema.index({ 'viewings.propertyId': 1, 'viewings.startsAt': 1 });
+leadSchema.index({ 'viewings.status': 1, 'viewings.startsAt': 1 });
+leadSchema.index({ 'viewings.status': 1, 'viewings.request.preferredStartsAt': 1 });
+leadSchema.index(
+  { name: 'text', email: 'text', message: 'text', lastNote: 'text', 'activities.description': 'text' },
+  { name: 'lead_search', weights: { name: 10, email: 8, lastNote: 3, message: 2, 'activities.description': 1 } }
+);
 
 // Virtual for assigned agent details
 leadSchema.virtual('assignedAgent', {
@@ -233,6 +620,143 @@ leadSchema.virtual('assignedAgent', {
   justOne: true
 });
 
+// Hide soft-deleted leads from reads unless the query asks about isDeleted itself
+const SOFT_DELETE_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'];
+
+leadSchema.pre(SOFT_DELETE_QUERIES, function() {
+  if (this.getFilter().isDeleted === undefined) {
+    this.where({ isDeleted: { $ne: true } });
+  }
+});
+
+leadSchema.pre('aggregate', function() {
+  const [first] = this.pipeline();
+  if (first?.$match?.isDeleted === undefined) {
+    this.pipeline().unshift({ $match: { isDeleted: { $ne: true } } });
+  }
+});
+
+// Derived and normalized fields: the search name follows name, custom field
+// search copies follow customFields, and the phone is stored once, in E.164,
+// on phoneNumber (the legacy phone field is folded into it)
+const NORMALIZED_UPDATE_QUERIES = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+
+const CUSTOM_FIELD_PATH = /^customFields\.(.+)$/;
+
+leadSchema.pre('validate', function() {
+  if (this.isModified('name')) {
+    this.searchName = normalizeSearchText(this.name);
+  }
+  if (this.isModified('customFields')) {
+    this.customFieldSearch = customFieldSearchText(this.customFields);
+    this.markModified('customFieldSearch');
+  }
+  if (this.isModified('phoneNumber') || this.isModified('phone')) {
+    this.phoneNumber = canonicalPhone(this.phoneNumber || this.phone);
+    this.phone = null;
+  }
+});
+
+leadSchema.pre(NORMALIZED_UPDATE_QUERIES, function() {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return;
+
+  const fields = { ...update, ...update.$set };
+
+  if (typeof fields.name === 'string') {
+    this.set('searchName', normalizeSearchText(fields.name));
+  }
+
+  if (fields.customFields && typeof fields.customFields === 'object') {
+    this.set('customFieldSearch', customFieldSearchText(fields.customFields));
+  }
+  Object.entries(fields).forEach(([path, value]) => {
+    const key = path.match(CUSTOM_FIELD_PATH)?.[1];
+    if (key && typeof value === 'string') this.set(`customFieldSearch.${key}`, normalizeSearchText(value));
+  });
+  Object.keys(update.$unset || {}).forEach(path => {
+    const key = path.match(CUSTOM_FIELD_PATH)?.[1];
+    if (key) update.$unset[`customFieldSearch.${key}`] = '';
+  });
+
+  if (fields.phoneNumber !== undefined || fields.phone !== undefined) {
+    const phoneNumber = canonicalPhone(fields.phoneNumber || fields.phone);
+    ['phoneNumber', 'phone'].forEach(field => {
+      delete update[field];
+      if (update.$set) delete update.$set[field];
+    });
+    this.set({ phoneNumber, phone: null });
+  }
+});
+
+// Field-level change history (see leadHistoryService); origin and actor come from the change context
+leadHistoryService.configure(leadSchema);
+
+leadSchema.post('init', function() {
+  this.$locals.historySnapshot = leadHistoryService.snapshot(this);
+});
+
+leadSchema.pre('save', function() {
+  this.$locals.historyIsNew = this.isNew;
+});
+
+leadSchema.post('save', async function() {
+  const before = this.$locals.historyIsNew ? null : this.$locals.historySnapshot;
+  // Not new, but never loaded either: nothing to compare against
+  if (!before && !this.$locals.historyIsNew) return;
+
+  const after = leadHistoryService.snapshot(this);
+  this.$locals.historyIsNew = false;
+  this.$locals.historySnapshot = after;
+  await leadHistoryService.record(this._id, before, after);
+});
+
+const HISTORY_QUERIES = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+const ANY_DELETED = { $in: [true, false, null] };
+
+leadSchema.pre(HISTORY_QUERIES, async function() {
+  const fields = leadHistoryService.touchedFields(this.getUpdate());
+  if (fields.length === 0) return;
+
+  const filter = this.getFilter();
+  let query = this.model.find(filter.isDeleted === undefined ? { ...filter, isDeleted: ANY_DELETED } : filter)
+    .select(fields.join(' '))
+    .lean();
+  if (this.op !== 'updateMany') query = query.limit(1);
+
+  const before = await query;
+  this._historyBefore = { fields, snapshots: new Map(before.map(doc => [doc._id.toString(), doc])) };
+});
+
+leadSchema.post(HISTORY_QUERIES, async function() {
+  if (!this._historyBefore || this._historyBefore.snapshots.size === 0) return;
+
+  const { fields, snapshots } = this._historyBefore;
+  const after = await this.model.find({ _id: { $in: [...snapshots.keys()] }, isDeleted: ANY_DELETED })
+    .select(fields.join(' '))
+    .lean();
+
+  await leadHistoryService.recordMany(after.map(doc => ({
+    leadId: doc._id,
+    before: leadHistoryService.snapshot(snapshots.get(doc._id.toString())),
+    after: leadHistoryService.snapshot(doc)
+  })));
+});
+
+// Recalculate the score whenever a scoring input changes
+const SCORING_PATHS = ['source', 'activities', 'viewings', 'interestedProperties', 'lastContactedAt'];
+
+leadSchema.pre('save', async function() {
+  // Imported leads are existing contacts, not enquiries waiting on a reply
+  if (this.isNew && !this.sla?.startedAt && !this.importBatch) {
+    this.startSlaClock(this.createdAt || new Date());
+  }
+
+  if (this.isNew || SCORING_PATHS.some(path => this.isModified(path))) {
+    await leadScoringService.applyScore(this);
+  }
+});
+
 // Methods
 
 // Add activity
@@ -244,33 +768,88 @@ leadSchema.methods.addActivity = function(type, description, userId = null, user
     userName,
     metadata
   });
+
+  // Only the assigned agent's own touch counts as the first response
+  const assignedId = (this.assignedTo?._id || this.assignedTo)?.toString();
+  if (userId && userId.toString() === assignedId && slaConfig.touchActivityTypes.includes(type)) {
+    this.recordFirstTouch(type, userId);
+  }
+
   return this.activities[0];
 };
 
+// Start (or restart) the first-response SLA clock
+leadSchema.methods.startSlaClock = function(from = new Date()) {
+  const target = slaConfig.targets[this.source];
+  const targetMinutes = target === undefined ? slaConfig.defaultTargetMinutes : target;
+
+  if (targetMinutes === null) {
+    this.sla = {};
+    return this.sla;
+  }
+
+  this.sla = {
+    startedAt: from,
+    targetMinutes,
+    dueAt: new Date(from.getTime() + targetMinutes * 60 * 1000)
+  };
+  return this.sla;
+};
+
+// Record the first agent touch against the SLA (later touches are ignored)
+leadSchema.methods.recordFirstTouch = function(type, userId, at = new Date()) {
+  if (!this.sla?.startedAt || this.sla.firstTouchAt) return;
+
+  this.sla.firstTouchAt = at;
+  this.sla.firstTouchBy = userId;
+  this.sla.firstTouchType = type;
+  this.sla.responseMinutes = Math.max(0, Math.round((at - this.sla.startedAt) / 60000));
+
+  if (this.sla.dueAt && at > this.sla.dueAt && !this.sla.breached) {
+    this.sla.breached = true;
+    this.sla.breachedAt = this.sla.dueAt;
+  }
+};
+
 // Change status
-leadSchema.methods.changeStatus = async function(newStatus, userId = null, userName = null) {
+// Outcome comes from leadOutcomeService.resolveOutcome: { lost } or { won } for closing stages,
+// {} for any other stage (which clears a previous result). null leaves both untouched.
+leadSchema.methods.changeStatus = async function(newStatus, userId = null, userName = null, outcome = null) {
   const oldStatus = this.status;
   this.status = newStatus;
-  
-  this.addActivity(
-    'status_change',
-    `Status changed from "${oldStatus}" to "${newStatus}"`,
-    userId,
-    userName,
-    { oldStatus, newStatus }
-  );
+
+  const metadata = { oldStatus, newStatus };
+  if (outcome) {
+    const stamp = { at: new Date(), by: userId, byName: userName };
+    this.lost = outcome.lost ? { ...outcome.lost, ...stamp } : null;
+    this.won = outcome.won ? { ...outcome.won, ...stamp } : null;
+    if (outcome.lost) metadata.lost = outcome.lost;
+    if (outcome.won) metadata.won = outcome.won;
+  }
+
+  let description = `Status changed from "${oldStatus}" to "${newStatus}"`;
+  if (outcome?.lost) description += ` (reason: ${outcome.lost.reasonLabel || outcome.lost.reason})`;
+  if (outcome?.won) description += ` (deal value: KES ${outcome.won.value.toLocaleString('en-KE')})`;
+
+  this.addActivity('status_change', description, userId, userName, metadata);
   
   await this.save();
   return this;
 };
 
 // Assign to agent
-leadSchema.methods.assignToAgent = async function(agentId, assignedBy, assignedByName = null, agentName = null) {
+leadSchema.methods.assignToAgent = async function(agentId, assignedBy, assignedByName = null, agentName = null, metadata = {}) {
   const previousAgent = this.assignedTo;
   this.assignedTo = agentId;
   this.assignedToName = agentName;
   this.assignedAt = new Date();
   this.assignedBy = assignedBy;
+
+  // The responsible agent gets a fresh SLA window if nobody has responded yet.
+  // A missed target stays on record: breached or overdue clocks are left for the SLA monitor.
+  if (this.sla?.startedAt && !this.sla.firstTouchAt && !this.sla.breached && this.sla.dueAt > this.assignedAt) {
+    this.startSlaClock(this.assignedAt);
+  }
   
   const description = previousAgent 
     ? `Lead reassigned to ${agentName || 'agent'}`
@@ -279,7 +858,8 @@ leadSchema.methods.assignToAgent = async function(agentId, assignedBy, assignedB
   this.addActivity('assigned', description, assignedBy, assignedByName || 'Admin', {
     agentId,
     agentName,
-    previousAgent
+    previousAgent,
+    ...metadata
   });
   
   await this.save();
@@ -325,6 +905,10 @@ leadSchema.methods.scheduleViewing = async function(viewingData, userId, userNam
     propertyName,
     scheduledDate,
     scheduledTime,
+    agent: viewingData.agent || null,
+    agentName: viewingData.agentName || null,
+    startsAt: viewingData.startsAt || null,
+    endsAt: viewingData.endsAt || null,
     notes,
     status: 'scheduled',
     createdBy: userId
@@ -339,6 +923,72 @@ leadSchema.methods.scheduleViewing = async function(viewingData, userId, userNam
   return this.viewings[this.viewings.length - 1];
 };
 
+// Record a viewing request from the website; it waits in the queue until confirmed
+leadSchema.methods.requestViewing = async function(requestData) {
+  const { propertyId, propertyName, preferredDate, preferredTime, alternateDate, alternateTime, message } = requestData;
+
+  this.viewings.push({
+    propertyId,
+    propertyName,
+    scheduledDate: preferredDate,
+    scheduledTime: preferredTime,
+    agent: this.assignedTo?._id || this.assignedTo || null,
+    agentName: this.assignedToName || null,
+    status: 'requested',
+    request: {
+      preferredDate,
+      preferredTime,
+      alternateDate: alternateDate || null,
+      alternateTime: alternateTime || null,
+      preferredStartsAt: requestData.preferredStartsAt || null,
+      message: message || null,
+      requestedAt: new Date()
+    }
+  });
+  const viewing = this.viewings[this.viewings.length - 1];
+
+  const description = `Viewing requested for ${propertyName || 'property'} - Preferred: ${preferredDate} at ${preferredTime}`;
+  this.addActivity('viewing_scheduled', description, null, 'System', {
+    viewingId: viewing._id.toString(),
+    propertyId,
+    propertyName,
+    preferredDate,
+    preferredTime,
+    alternateDate: alternateDate || null,
+    alternateTime: alternateTime || null,
+    status: 'requested'
+  });
+
+  await this.save();
+  return viewing;
+};
+
+// Confirm a requested viewing in the chosen slot
+leadSchema.methods.confirmViewingRequest = async function(viewingId, slotData, userId, userName) {
+  const viewing = this.viewings.id(viewingId);
+  if (!viewing) {
+    throw new Error('Viewing not found');
+  }
+  if (viewing.status !== 'requested') {
+    throw new Error(`Viewing is already ${viewing.status}`);
+  }
+
+  const { scheduledDate, scheduledTime, startsAt, endsAt, agent, agentName, confirmedSlot } = slotData;
+
+  Object.assign(viewing, { scheduledDate, scheduledTime, startsAt, endsAt, agent, agentName });
+  viewing.status = 'scheduled';
+  viewing.createdBy = userId;
+  viewing.request.confirmedAt = new Date();
+  viewing.request.confirmedBy = userId;
+  viewing.request.confirmedSlot = confirmedSlot;
+
+  const description = `Viewing confirmed for ${viewing.propertyName || 'property'} on ${scheduledDate} at ${scheduledTime}`;
+  this.addActivity('viewing_scheduled', description, userId, userName, { viewingId, confirmedSlot, requested: true });
+
+  await this.save();
+  return viewing;
+};
+
 // Complete viewing
 leadSchema.methods.completeViewing = async function(viewingId, outcome, notes, userId, userName) {
   const viewing = this.viewings.id(viewingId);
@@ -359,6 +1009,92 @@ leadSchema.methods.completeViewing = async function(viewingId, outcome, notes, u
   return viewing;
 };
 
+// Move a scheduled viewing to a new slot
+leadSchema.methods.rescheduleViewing = async function(viewingId, slotData, userId, userName) {
+  const viewing = this.viewings.id(viewingId);
+  if (!viewing) {
+    throw new Error('Viewing not found');
+  }
+  if (viewing.status !== 'scheduled') {
+    throw new Error(`Viewing is already ${viewing.status}`);
+  }
+
+  const previous = { scheduledDate: viewing.scheduledDate, scheduledTime: viewing.scheduledTime };
+  const { scheduledDate, scheduledTime, startsAt, endsAt, agent, agentName } = slotData;
+
+  Object.assign(viewing, { scheduledDate, scheduledTime, startsAt, endsAt });
+  if (agent) {
+    viewing.agent = agent;
+    viewing.agentName = agentName;
+  }
+  viewing.sequence = (viewing.sequence || 0) + 1;
+  // Reminders go out again for the new time
+  viewing.remindersSent = [];
+  viewing.proposedTimes = [];
+  viewing.proposedAt = null;
+
+  const description = `Viewing rescheduled for ${viewing.propertyName || 'property'} to ${scheduledDate} at ${scheduledTime}`;
+  this.addActivity('viewing_scheduled', description, userId, userName, { viewingId, previous, rescheduled: true });
+
+  await this.save();
+  return viewing;
+};
+
+// Record new times a client proposed for a scheduled viewing
+leadSchema.methods.proposeViewingTimes = async function(viewingId, times, userName) {
+  const viewing = this.viewings.id(viewingId);
+  if (!viewing) {
+    throw new Error('Viewing not found');
+  }
+
+  // A request simply takes the new times as its preferred and alternate slots
+  if (viewing.status === 'requested') {
+    const [preferred, alternate] = times;
+    Object.assign(viewing.request, {
+      preferredDate: preferred.scheduledDate,
+      preferredTime: preferred.scheduledTime,
+      alternateDate: alternate?.scheduledDate || null,
+      alternateTime: alternate?.scheduledTime || null,
+      preferredStartsAt: preferred.startsAt
+    });
+    viewing.scheduledDate = preferred.scheduledDate;
+    viewing.scheduledTime = preferred.scheduledTime;
+  }
+
+  viewing.proposedTimes = times;
+  viewing.proposedAt = new Date();
+
+  const options = times.map(time => `${time.scheduledDate} at ${time.scheduledTime}`).join(', ');
+  const description = `Client asked to move the viewing of ${viewing.propertyName || 'property'} to: ${options}`;
+  this.addActivity('viewing_scheduled', description, null, userName, { viewingId, proposedTimes: times, byClient: true });
+
+  await this.save();
+  return viewing;
+};
+
+// Cancel viewing
+leadSchema.methods.cancelViewing = async function(viewingId, reason, userId, userName) {
+  const viewing = this.viewings.id(viewingId);
+  if (!viewing) {
+    throw new Error('Viewing not found');
+  }
+
+  viewing.status = 'cancelled';
+  viewing.notes = reason ? `Cancelled: ${reason}` : 'Cancelled';
+  viewing.sequence = (viewing.sequence || 0) + 1;
+
+  this.addActivity(
+    'viewing_cancelled',
+    `Viewing cancelled for ${viewing.propertyName || 'property'}${reason ? `: ${reason}` : ''}`,
+    userId,
+    userName,
+    { viewingId, reason, status: 'cancelled' }
+  );
+
+  await this.save();
+  return viewing;
+};
+
 // Add property interest
 leadSchema.methods.addPropertyInterest = async function(propertyData, userId, userName) {
   const { propertyId, propertyName, notes } = propertyData;
@@ -385,6 +1121,101 @@ leadSchema.methods.addPropertyInterest = async function(propertyData, userId, us
   return this;
 };
 
+// Record a marketing touch from a form: the first one is kept, the latest replaces lastTouch
+leadSchema.methods.recordTouch = function(attribution) {
+  if (!attribution) return;
+
+  if (!this.attribution?.firstTouch) {
+    this.set('attribution.firstTouch', attribution.firstTouch);
+  }
+  const last = this.attribution?.lastTouch;
+  if (!last || attribution.lastTouch.at >= last.at) {
+    this.set('attribution.lastTouch', attribution.lastTouch);
+  }
+};
+
+// Add tags (already present tags are ignored)
+leadSchema.methods.addTags = async function(tags, userId, userName) {
+  const added = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))]
+    .filter(tag => !this.tags.includes(tag));
+
+  if (added.length === 0) return this;
+
+  this.tags.push(...added);
+  this.addActivity('tags_added', `Tags added: ${added.join(', ')}`, userId, userName, { tags: added });
+
+  await this.save();
+  return this;
+};
+
+// Remove tags
+leadSchema.methods.removeTags = async function(tags, userId, userName) {
+  const toRemove = tags.map(tag => String(tag).trim().toLowerCase());
+  const removed = this.tags.filter(tag => toRemove.includes(tag));
+
+  if (removed.length === 0) return this;
+
+  this.tags = this.tags.filter(tag => !removed.includes(tag));
+  this.addActivity('tags_removed', `Tags removed: ${removed.join(', ')}`, userId, userName, { tags: removed });
+
+  await this.save();
+  return this;
+};
+
+// Set/clear custom field values (already validated by customFieldService)
+leadSchema.methods.setCustomFields = async function(set = {}, unset = [], userId = null, userName = null) {
+  const current = { ...(this.customFields || {}) };
+  const changes = {};
+
+  Object.entries(set).forEach(([key, value]) => {
+    const before = current[key] ?? null;
+    if (before instanceof Date && value instanceof Date ? before.getTime() === value.getTime() : before === value) return;
+    changes[key] = { from: before, to: value };
+    current[key] = value;
+  });
+
+  unset.forEach(key => {
+    if (current[key] === undefined) return;
+    changes[key] = { from: current[key], to: null };
+    delete current[key];
+  });
+
+  if (Object.keys(changes).length === 0) return this;
+
+  this.customFields = current;
+  this.markModified('customFields');
+  this.addActivity('fields_updated', `Updated ${Object.keys(changes).join(', ')}`, userId, userName, { changes });
+
+  await this.save();
+  return this;
+};
+
+// Move to trash
+leadSchema.methods.softDelete = async function(userId = null, userName = null, reason = null) {
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+  this.deletedByName = userName;
+
+  this.addActivity('lead_deleted', reason || 'Lead moved to trash', userId, userName);
+
+  await this.save();
+  return this;
+};
+
+// Restore from trash
+leadSchema.methods.restore = async function(userId = null, userName = null) {
+  this.isDeleted = false;
+  this.deletedAt = null;
+  this.deletedBy = null;
+  this.deletedByName = null;
+
+  this.addActivity('lead_restored', 'Lead restored from trash', userId, userName);
+
+  await this.save();
+  return this;
+};
+
 // Mark as synced to Odoo
 leadSchema.methods.markAsSynced = async function(odooLeadId) {
   this.syncedToOdoo = true;
@@ -414,6 +1245,54 @@ leadSchema.statics.findUnsynced = function() {
   return this.find({ syncedToOdoo: false }).sort({ createdAt: -1 });
 };
 
+// Build a Mongo query from lead list filters
+// Multi-value filters (status, source, tags) accept comma-separated values; leads must carry every tag
+leadSchema.statics.buildFilter = function(filters = {}) {
+  const query = {};
+  const toList = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+  if (filters.status) {
+    const statuses = toList(filters.status);
+    query.status = statuses.length > 1 ? { $in: statuses } : statuses[0];
+  }
+
+  if (filters.pipeline) {
+    query.pipeline = String(filters.pipeline);
+  }
+
+  if (filters.source) {
+    const sources = toList(filters.source);
+    query.source = sources.length > 1 ? { $in: sources } : sources[0];
+  }
+
+  if (filters.tags) {
+    const tags = toList(filters.tags).map(tag => tag.toLowerCase());
+    query.tags = tags.length > 1 ? { $all: tags } : tags[0];
+  }
+
+  if (filters.assignedTo) {
+    query.assignedTo = filters.assignedTo === 'unassigned' ? null : String(filters.assignedTo);
+  }
+
+  if (filters.startDate || filters.endDate) {
+    query.createdAt = {};
+    if (filters.startDate) query.createdAt.$gte = new Date(filters.startDate);
+    if (filters.endDate) query.createdAt.$lte = new Date(filters.endDate);
+  }
+
+  if (filters.syncedToOdoo !== undefined && filters.syncedToOdoo !== '') {
+    query.syncedToOdoo = filters.syncedToOdoo === true || filters.syncedToOdoo === 'true';
+  }
+
+  if (filters.minScore !== undefined || filters.maxScore !== undefined) {
+    query.score = {};
+    if (filters.minScore !== undefined) query.score.$gte = Number(filters.minScore);
+    if (filters.maxScore !== undefined) query.score.$lte = Number(filters.maxScore);
+  }
+
+  return query;
+};
+
 // Get statistics
 leadSchema.statics.getStats = async function() {
   const total = await this.countDocuments();
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Admin-managed reason a lead was lost; referenced by Lead.lost.reason
+const lossReasonSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Reason key is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    immutable: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Reason key may only contain lowercase letters, numbers and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Reason label is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const LossReason = mongoose.model('LossReason', lossReasonSchema);
+
+export default LossReason;
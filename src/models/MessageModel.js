@@ -44,6 +44,7 @@ const messageSchema = new mongoose.Schema({
 
 messageSchema.index({ senderId: 1, receiverId: 1, createdAt: -1 });
 messageSchema.index({ receiverId: 1, read: 1 });
+messageSchema.index({ content: 'text' }, { name: 'message_search' });
 
 const Message = mongoose.model('Message', messageSchema);
 
@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+import { STAGE_GROUPS } from '../config/pipelines.js';
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Stage sub-schema
+const stageSchema = new mongoose.Schema({
+  // Stored on leads as `status`
+  key: {
+    type: String,
+    required: [true, 'Stage key is required'],
+    trim: true,
+    lowercase: true,
+    match: [KEY_PATTERN, 'Stage key may only contain lowercase letters, numbers and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Stage name is required'],
+    trim: true
+  },
+  order: {
+    type: Number,
+    required: true
+  },
+  isWon: {
+    type: Boolean,
+    default: false
+  },
+  isLost: {
+    type: Boolean,
+    default: false
+  },
+  // Reporting group for open stages (see STAGE_GROUPS); won and lost stages have none
+  group: {
+    type: String,
+    enum: [...STAGE_GROUPS, null],
+    default: null
+  },
+  // Matching stage name in Odoo CRM (crm.stage)
+  odooStageName: {
+    type: String,
+    default: null,
+    trim: true
+  }
+});
+
+// Pipeline schema
+const pipelineSchema = new mongoose.Schema({
+  // Stored on leads as `pipeline`
+  key: {
+    type: String,
+    required: [true, 'Pipeline key is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    immutable: true,
+    match: [KEY_PATTERN, 'Pipeline key may only contain lowercase letters, numbers and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Pipeline name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  // New leads fall into the default pipeline unless their source matches another one
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sources: [{
+    type: String,
+    trim: true
+  }],
+  stages: [stageSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Keep stages ordered and check the pipeline can close a lead
+pipelineSchema.pre('validate', function() {
+  this.stages.sort((a, b) => a.order - b.order);
+
+  if (this.stages.length === 0) {
+    this.invalidate('stages', 'A pipeline needs at least one stage');
+    return;
+  }
+
+  const keys = this.stages.map(stage => stage.key);
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) {
+    this.invalidate('stages', `Duplicate stage key "${duplicate}"`);
+  }
+
+  if (this.stages.some(stage => stage.isWon && stage.isLost)) {
+    this.invalidate('stages', 'A stage cannot be both won and lost');
+  }
+  this.stages.forEach(stage => {
+    if (stage.isWon || stage.isLost) {
+      stage.group = null;
+    } else if (!stage.group) {
+      this.invalidate('stages', `Stage "${stage.key}" needs a group: one of ${STAGE_GROUPS.join(', ')}`);
+    }
+  });
+  if (!this.stages.some(stage => stage.isWon)) {
+    this.invalidate('stages', 'A pipeline needs a won stage');
+  }
+  if (!this.stages.some(stage => stage.isLost)) {
+    this.invalidate('stages', 'A pipeline needs a lost stage');
+  }
+  if (this.stages.every(stage => stage.isWon || stage.isLost)) {
+    this.invalidate('stages', 'A pipeline needs at least one open stage');
+  }
+});
+
+// Methods
+
+pipelineSchema.methods.getStage = function(key) {
+  return this.stages.find(stage => stage.key === key) || null;
+};
+
+// First open stage; where new leads start
+pipelineSchema.methods.getInitialStage = function() {
+  return this.stages.find(stage => !stage.isWon && !stage.isLost) || null;
+};
+
+const Pipeline = mongoose.model('Pipeline', pipelineSchema);
+
+export default Pipeline;
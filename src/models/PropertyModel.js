@@ -186,7 +186,10 @@ const propertySchema = new mongoose.Schema({
 });
 
 // Indexes for better query performance
-propertySchema.index({ title: 'text', description: 'text' });
+propertySchema.index(
+  { title: 'text', 'location.address': 'text', 'location.city': 'text', 'location.county': 'text', description: 'text' },
+  { name: 'property_search', weights: { title: 10, 'location.address': 6, 'location.city': 4, 'location.county': 4, description: 1 } }
+);
 propertySchema.index({ 'location.city': 1, type: 1, status: 1 });
 propertySchema.index({ price: 1, type: 1 });
 propertySchema.index({ category: 1, type: 1, status: 1 });
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import { PROTECTED_FORMS, QUARANTINE_STATUSES } from '../config/spamProtection.js';
+
+// Why a submission was held back, e.g. { code: 'disposable_email', detail: 'mailinator.com' }
+const reasonSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true
+  },
+  detail: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// Public form submission held for admin review instead of creating a lead
+const quarantinedSubmissionSchema = new mongoose.Schema({
+  form: {
+    type: String,
+    enum: PROTECTED_FORMS,
+    required: true,
+    index: true
+  },
+  // Validated request body, replayed when the submission is released
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  name: {
+    type: String,
+    default: null
+  },
+  email: {
+    type: String,
+    default: null,
+    lowercase: true,
+    index: true
+  },
+  reasons: [reasonSchema],
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  // Review
+  status: {
+    type: String,
+    enum: QUARANTINE_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedByName: {
+    type: String,
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  // Lead created or updated when the submission was released
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+quarantinedSubmissionSchema.index({ status: 1, createdAt: -1 });
+
+const QuarantinedSubmission = mongoose.model('QuarantinedSubmission', quarantinedSubmissionSchema);
+
+export default QuarantinedSubmission;
@@ -0,0 +1,145 @@
+import mongoose from 'mongoose';
+import taskConfig from '../config/tasks.js';
+
+// Follow-up task for an agent, optionally linked to a lead and/or client
+const taskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title must not exceed 200 characters']
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['follow_up', 'call', 'email', 'viewing', 'meeting', 'document', 'other'],
+    default: 'follow_up'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium',
+    index: true
+  },
+  dueAt: {
+    type: Date,
+    required: [true, 'Due date is required'],
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'completed', 'cancelled'],
+    default: 'open',
+    index: true
+  },
+
+  // Links
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    default: null,
+    index: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    default: null,
+    index: true
+  },
+
+  // Ownership
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Assignee is required']
+  },
+  assignedToName: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdByName: {
+    type: String,
+    default: null
+  },
+
+  // What created the task: 'manual' or the lead event that triggered it
+  origin: {
+    type: String,
+    enum: ['manual', 'viewing_completed'],
+    default: 'manual'
+  },
+  originRef: {
+    type: String,
+    default: null
+  },
+
+  // Completion
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  completionNotes: {
+    type: String,
+    default: null
+  },
+
+  // Reminders
+  reminderAt: {
+    type: Date,
+    default: null
+  },
+  reminderSentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+taskSchema.index({ assignedTo: 1, status: 1, dueAt: 1 });
+taskSchema.index({ status: 1, reminderAt: 1, reminderSentAt: 1 });
+taskSchema.index({ origin: 1, originRef: 1 });
+
+// Schedule the reminder whenever the due date changes
+taskSchema.pre('save', function() {
+  if (this.isNew || this.isModified('dueAt')) {
+    this.reminderAt = new Date(this.dueAt.getTime() - taskConfig.reminderLeadMinutes * 60 * 1000);
+    this.reminderSentAt = null;
+  }
+});
+
+// Virtuals
+taskSchema.virtual('isOverdue').get(function() {
+  return this.status === 'open' && this.dueAt < new Date();
+});
+
+// Methods
+
+taskSchema.methods.complete = async function(userId, notes = null) {
+  this.status = 'completed';
+  this.completedAt = new Date();
+  this.completedBy = userId;
+  this.completionNotes = notes;
+  await this.save();
+  return this;
+};
+
+const Task = mongoose.model('Task', taskSchema);
+
+export default Task;
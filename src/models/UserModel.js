@@ -89,6 +89,11 @@ const userSchema = new mongoose.Schema({
   lastPasswordChange: {
     type: Date,
     default: null
+  },
+  // Bumped to revoke the agent's calendar feed URL
+  calendarFeedVersion: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true, // Automatically adds createdAt and updatedAt
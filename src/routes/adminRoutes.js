@@ -4,6 +4,8 @@ import {
   getAllLeads,
   getLead,
   getLeadActivities,
+  getLeadHistory,
+  getLeadAsOf,
   updateLeadStatus,
   assignLead,
   addLeadNote,
@@ -12,14 +14,29 @@ import {
   scheduleViewing,
   completeViewing,
   addPropertyInterest,
+  updateLeadCustomFields,
+  updateLeadTags,
   deleteLead,
+  getDeletedLeads,
+  restoreLead,
   exportLeads,
+  getLeadDuplicates,
+  mergeLeads,
+  getLeadScore,
+  getSlaBreaches,
   getAllUsers,
   updateUser,
   deleteUser,
   verifyUser,
   getUnverifiedUsers,
+  previewRedistribution,
+  redistributeAgentWork,
 } from '../controllers/adminController.js';
+import {
+  getDelegations,
+  createDelegation,
+  cancelDelegation
+} from '../controllers/delegationController.js';
 import { verifyToken, requireAdmin } from '../middleware/auth.js';
 import {
   getPendingClientApprovals,
@@ -30,12 +47,63 @@ import {
   assignClientToAgent,
   updateClient,
   deleteClient,
+  convertLeadToClient,
+  resendClientInvitation,
   getPendingDocuments,
   verifyDocument,
   rejectDocument,
   downloadClientDocument,
   getClientStats
 } from '../controllers/adminClientController.js';
+import {
+  getAssignmentRules,
+  getAssignmentRule,
+  createAssignmentRule,
+  updateAssignmentRule,
+  deleteAssignmentRule,
+  dryRunAssignment
+} from '../controllers/assignmentRuleController.js';
+import {
+  getPipelines,
+  getPipeline,
+  createPipeline,
+  updatePipeline,
+  deletePipeline
+} from '../controllers/pipelineController.js';
+import {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+} from '../controllers/customFieldController.js';
+import {
+  getLossReasons,
+  createLossReason,
+  updateLossReason,
+  deleteLossReason
+} from '../controllers/lossReasonController.js';
+import {
+  importLeads,
+  getImportBatches,
+  getImportBatch,
+  rollbackImportBatch
+} from '../controllers/leadImportController.js';
+import {
+  bulkUpdateLeads,
+  getBulkJobs,
+  getBulkJob
+} from '../controllers/leadBulkController.js';
+import {
+  getCommissionRules,
+  updateCommissionRule
+} from '../controllers/dealController.js';
+import {
+  getQuarantinedSubmissions,
+  getQuarantinedSubmission,
+  releaseQuarantinedSubmission,
+  discardQuarantinedSubmission
+} from '../controllers/spamProtectionController.js';
+import { importUploadMiddleware } from '../middleware/upload.js';
 import odooSyncService from '../services/odooSyncService.js';
 import logger from '../utils/logger.js';
 
@@ -51,12 +119,31 @@ router.get('/stats', getDashboardStats);
 // Leads management
 router.get('/leads', getAllLeads);
 router.get('/leads/export/csv', exportLeads);
+router.get('/leads/sla/breaches', getSlaBreaches);
+router.post('/leads/import', importUploadMiddleware, importLeads);
+router.get('/leads/imports', getImportBatches);
+router.get('/leads/imports/:id', getImportBatch);
+router.post('/leads/imports/:id/rollback', rollbackImportBatch);
+router.get('/leads/trash', getDeletedLeads);
+router.post('/leads/trash/:id/restore', restoreLead);
+router.post('/leads/bulk', bulkUpdateLeads);
+router.get('/leads/bulk/jobs', getBulkJobs);
+router.get('/leads/bulk/jobs/:id', getBulkJob);
 router.get('/leads/:id', getLead);
 router.get('/leads/:id/activities', getLeadActivities);
+router.get('/leads/:id/history', getLeadHistory);
+router.get('/leads/:id/history/as-of', getLeadAsOf);
+router.get('/leads/:id/score', getLeadScore);
 router.put('/leads/:id/status', updateLeadStatus);
 router.put('/leads/:id/assign', assignLead);
+router.put('/leads/:id/custom-fields', updateLeadCustomFields);
+router.put('/leads/:id/tags', updateLeadTags);
 router.delete('/leads/:id', deleteLead);
 
+// Duplicates
+router.get('/leads/:id/duplicates', getLeadDuplicates);
+router.post('/leads/:id/merge', mergeLeads);
+
 // Lead activity logging
 router.post('/leads/:id/notes', addLeadNote);
 router.post('/leads/:id/calls', logLeadCall);
@@ -73,6 +160,13 @@ router.get('/users/unverified', getUnverifiedUsers);
 router.put('/users/:id', updateUser);
 router.put('/users/:id/verify', verifyUser);
 router.delete('/users/:id', deleteUser);
+router.get('/users/:id/redistribution', previewRedistribution);
+router.post('/users/:id/redistribute', redistributeAgentWork);
+
+// Out-of-office delegation
+router.get('/delegations', getDelegations);
+router.post('/delegations', createDelegation);
+router.delete('/delegations/:id', cancelDelegation);
 
 // Client Management
 router.get('/clients/pending', verifyToken, requireAdmin, getPendingClientApprovals);
@@ -84,6 +178,8 @@ router.post('/clients/:id/reject', verifyToken, requireAdmin, rejectClient);
 router.put('/clients/:id', verifyToken, requireAdmin, updateClient);
 router.delete('/clients/:id', verifyToken, requireAdmin, deleteClient);
 router.post('/clients/:id/assign-agent', verifyToken, requireAdmin, assignClientToAgent);
+router.post('/clients/:id/resend-invitation', verifyToken, requireAdmin, resendClientInvitation);
+router.post('/leads/:id/convert-to-client', verifyToken, requireAdmin, convertLeadToClient);
 
 // Document Management
 router.get('/documents/pending', verifyToken, requireAdmin, getPendingDocuments);
@@ -91,6 +187,61 @@ router.post('/documents/:id/verify', verifyToken, requireAdmin, verifyDocument);
 router.post('/documents/:id/reject', verifyToken, requireAdmin, rejectDocument);
 router.get('/documents/:id/download', verifyToken, requireAdmin, downloadClientDocument);
 
+// =====================
+// ASSIGNMENT RULES
+// =====================
+
+router.get('/assignment-rules', getAssignmentRules);
+router.post('/assignment-rules', createAssignmentRule);
+router.post('/assignment-rules/dry-run', dryRunAssignment);
+router.get('/assignment-rules/:id', getAssignmentRule);
+router.put('/assignment-rules/:id', updateAssignmentRule);
+router.delete('/assignment-rules/:id', deleteAssignmentRule);
+
+// =====================
+// PIPELINES
+// =====================
+
+router.get('/pipelines', getPipelines);
+router.post('/pipelines', createPipeline);
+router.get('/pipelines/:key', getPipeline);
+router.put('/pipelines/:key', updatePipeline);
+router.delete('/pipelines/:key', deletePipeline);
+
+// =====================
+// CUSTOM FIELDS
+// =====================
+
+router.get('/custom-fields', getCustomFields);
+router.post('/custom-fields', createCustomField);
+router.put('/custom-fields/:key', updateCustomField);
+router.delete('/custom-fields/:key', deleteCustomField);
+
+// =====================
+// LOSS REASONS
+// =====================
+
+router.get('/loss-reasons', getLossReasons);
+router.post('/loss-reasons', createLossReason);
+router.put('/loss-reasons/:key', updateLossReason);
+router.delete('/loss-reasons/:key', deleteLossReason);
+
+// =====================
+// COMMISSION RULES
+// =====================
+
+router.get('/commission-rules', getCommissionRules);
+router.put('/commission-rules/:propertyType', updateCommissionRule);
+
+// =====================
+// SPAM QUARANTINE
+// =====================
+
+router.get('/quarantine', getQuarantinedSubmissions);
+router.get('/quarantine/:id', getQuarantinedSubmission);
+router.post('/quarantine/:id/release', releaseQuarantinedSubmission);
+router.post('/quarantine/:id/discard', discardQuarantinedSubmission);
+
 // =====================
 // ODOO SYNC
 // =====================
@@ -5,6 +5,9 @@
 
 import express from 'express';
 import LeadStorage from '../services/leadStorageMongo.js';
+import pipelineService from '../services/pipelineService.js';
+import leadOutcomeService from '../services/leadOutcomeService.js';
+import clientConversionService from '../services/clientConversionService.js';
 import { verifyToken } from '../middleware/auth.js';
 import logger from '../utils/logger.js';
 import {
@@ -14,6 +17,14 @@ import {
   markAsRead,
   getUnreadCount
 } from '../controllers/messageController.js';
+import { getPipelines } from '../controllers/pipelineController.js';
+import { getCustomFields } from '../controllers/customFieldController.js';
+import { getLossReasons } from '../controllers/lossReasonController.js';
+import {
+  getDelegations,
+  createDelegation,
+  cancelDelegation
+} from '../controllers/delegationController.js';
 
 const router = express.Router();
 
@@ -40,23 +51,20 @@ router.get('/stats', async (req, res) => {
     const now = new Date();
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     const thisWeek = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const [wonStatuses, closedStatuses, stageGroups] = await Promise.all([
+      pipelineService.getWonStageKeys(),
+      pipelineService.getClosedStageKeys(),
+      pipelineService.getStageGroups()
+    ]);
 
     const stats = {
       totalLeads: agentLeads.length,
-      activeLeads: agentLeads.filter(l => !['won', 'lost'].includes(l.status)).length,
-      convertedLeads: agentLeads.filter(l => l.status === 'won').length,
+      activeLeads: agentLeads.filter(l => !closedStatuses.includes(l.status)).length,
+      convertedLeads: agentLeads.filter(l => wonStatuses.includes(l.status)).length,
       todayLeads: agentLeads.filter(l => new Date(l.createdAt) >= today).length,
       weekLeads: agentLeads.filter(l => new Date(l.createdAt) >= thisWeek).length,
-      pendingFollowUp: agentLeads.filter(l => l.status === 'contacted').length,
-      byStatus: {
-        new: agentLeads.filter(l => l.status === 'new').length,
-        contacted: agentLeads.filter(l => l.status === 'contacted').length,
-        qualified: agentLeads.filter(l => l.status === 'qualified').length,
-        viewing: agentLeads.filter(l => l.status === 'viewing').length,
-        negotiating: agentLeads.filter(l => l.status === 'negotiating').length,
-        won: agentLeads.filter(l => l.status === 'won').length,
-        lost: agentLeads.filter(l => l.status === 'lost').length,
-      },
+      pendingFollowUp: agentLeads.filter(l => stageGroups.followUp.includes(l.status)).length,
+      byStatus: await pipelineService.countByStatus(agentLeads),
     };
 
     res.status(200).json({ success: true, data: stats });
@@ -66,35 +74,37 @@ router.get('/stats', async (req, res) => {
   }
 });
 
-// Get agent's assigned leads
+// Get active pipelines and their stages (valid statuses)
+router.get('/pipelines', getPipelines);
+
+// Custom lead field definitions
+router.get('/custom-fields', getCustomFields);
+
+// Loss reasons (required when moving a lead to a lost stage)
+router.get('/loss-reasons', getLossReasons);
+
+// Get agent's assigned leads (paginated, filterable, sortable)
 router.get('/leads', async (req, res) => {
   try {
-    const { status } = req.query;
-    const leadsResponse = await LeadStorage.getAllLeads();
-    
-    // Use helper function
-    let leads = (leadsResponse?.leads || []).filter(l => 
-      getAssignedToId(l.assignedTo) === req.user.id.toString()
-    );
+    const { filters, options } = LeadStorage.parseListQuery(req.query);
 
-    if (status) {
-      leads = leads.filter(l => l.status === status);
+    // Agents only ever see their own leads
+    filters.assignedTo = req.user.id.toString();
+
+    const result = await LeadStorage.queryLeads(filters, options);
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.error || 'Failed to get leads' });
     }
 
-    // Convert MongoDB documents to plain objects and add id field
-    leads = leads.map(lead => {
-      const plainLead = lead.toObject ? lead.toObject() : lead;
-      return {
-        ...plainLead,
-        id: plainLead._id.toString()
-      };
-    });
+    logger.info(`✅ Agent ${req.user.email} fetched ${result.leads.length} of ${result.pagination.total} leads`);
 
-    leads.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    
-    logger.info(`✅ Agent ${req.user.email} fetched ${leads.length} leads`);
-    
-    res.status(200).json({ success: true, count: leads.length, data: leads });
+    res.status(200).json({
+      success: true,
+      count: result.leads.length,
+      data: result.leads,
+      pagination: result.pagination
+    });
   } catch (error) {
     logger.error('❌ Get agent leads error:', error);
     res.status(500).json({ success: false, message: 'Failed to get leads' });
@@ -171,12 +181,17 @@ router.put('/leads/:id/status', async (req, res) => {
       return res.status(403).json({ success: false, message: 'You can only update leads assigned to you' });
     }
 
-    const validStatuses = ['new', 'contacted', 'qualified', 'viewing', 'negotiating', 'won', 'lost'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ success: false, message: `Invalid status. Must be one of: ${validStatuses.join(', ')}` });
+    const check = await pipelineService.validateStage(lead.pipeline, status);
+    if (!check.valid) {
+      return res.status(400).json({ success: false, message: check.message });
     }
 
-    const result = await LeadStorage.updateLeadStatus(id, status, req.user.id, req.user.name);
+    const resolved = await leadOutcomeService.resolveOutcome(check.stage, req.body);
+    if (!resolved.valid) {
+      return res.status(400).json({ success: false, message: resolved.message });
+    }
+
+    const result = await LeadStorage.updateLeadStatus(id, status, req.user.id, req.user.name, resolved.outcome);
 
     if (!result.success) {
       return res.status(500).json({ success: false, message: result.error || 'Failed to update lead' });
@@ -295,7 +310,7 @@ router.post('/leads/:id/emails', async (req, res) => {
 router.post('/leads/:id/viewings', async (req, res) => {
   try {
     const { id } = req.params;
-    const { propertyId, propertyName, scheduledDate, scheduledTime, notes } = req.body;
+    const { propertyId, propertyName, scheduledDate, scheduledTime, durationMinutes, notes } = req.body;
 
     const lead = await LeadStorage.findById(id);
     if (!lead) {
@@ -314,17 +329,21 @@ router.post('/leads/:id/viewings', async (req, res) => {
 
     const result = await LeadStorage.scheduleViewing(
       id,
-      { propertyId, propertyName, scheduledDate, scheduledTime, notes },
+      { propertyId, propertyName, scheduledDate, scheduledTime, durationMinutes, notes, agentId: req.user.id },
       req.user.id,
       req.user.name
     );
 
     if (!result.success) {
-      return res.status(500).json({ success: false, message: result.error || 'Failed to schedule viewing' });
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        message: result.error || 'Failed to schedule viewing',
+        ...(result.conflicts && { conflicts: result.conflicts, warnings: result.warnings })
+      });
     }
 
     logger.info(`✅ Viewing scheduled for lead: ${id} by ${req.user.email}`);
-    res.status(200).json({ success: true, message: 'Viewing scheduled successfully', data: result.lead, viewing: result.viewing });
+    res.status(200).json({ success: true, message: 'Viewing scheduled successfully', data: result.lead, viewing: result.viewing, warnings: result.warnings });
   } catch (error) {
     logger.error('❌ Schedule viewing error:', error);
     res.status(500).json({ success: false, message: 'Failed to schedule viewing' });
@@ -406,6 +425,104 @@ router.post('/leads/:id/property-interest', async (req, res) => {
   }
 });
 
+// Set custom field values
+router.put('/leads/:id/custom-fields', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const lead = await LeadStorage.findById(id);
+    if (!lead) {
+      return res.status(404).json({ success: false, message: 'Lead not found' });
+    }
+
+    const assignedToId = getAssignedToId(lead.assignedTo);
+    if (!assignedToId || assignedToId !== req.user.id.toString()) {
+      return res.status(403).json({ success: false, message: 'You can only update leads assigned to you' });
+    }
+
+    const result = await LeadStorage.updateCustomFields(id, req.body.values, req.user.id, req.user.name);
+
+    if (!result.success) {
+      if (result.errors) {
+        return res.status(400).json({ success: false, message: result.error, errors: result.errors });
+      }
+      return res.status(500).json({ success: false, message: result.error || 'Failed to update custom fields' });
+    }
+
+    logger.info(`✅ Custom fields updated on lead: ${id} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Custom fields updated', data: result.lead });
+  } catch (error) {
+    logger.error('❌ Update custom fields error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update custom fields' });
+  }
+});
+
+// Add and/or remove tags
+router.put('/leads/:id/tags', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { add, remove } = req.body;
+
+    const lead = await LeadStorage.findById(id);
+    if (!lead) {
+      return res.status(404).json({ success: false, message: 'Lead not found' });
+    }
+
+    const assignedToId = getAssignedToId(lead.assignedTo);
+    if (!assignedToId || assignedToId !== req.user.id.toString()) {
+      return res.status(403).json({ success: false, message: 'You can only update leads assigned to you' });
+    }
+
+    const result = await LeadStorage.updateTags(id, { add, remove }, req.user.id, req.user.name);
+
+    if (!result.success) {
+      return res.status(result.invalid ? 400 : 500).json({ success: false, message: result.error || 'Failed to update tags' });
+    }
+
+    logger.info(`✅ Tags updated on lead: ${id} by ${req.user.email}`);
+    res.status(200).json({ success: true, message: 'Tags updated', data: result.lead });
+  } catch (error) {
+    logger.error('❌ Update tags error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update tags' });
+  }
+});
+
+// Convert a lead into a client account and email a set-password invitation
+router.post('/leads/:id/convert-to-client', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const lead = await LeadStorage.findById(id);
+    if (!lead) {
+      return res.status(404).json({ success: false, message: 'Lead not found' });
+    }
+
+    const assignedToId = getAssignedToId(lead.assignedTo);
+    if (!assignedToId || assignedToId !== req.user.id.toString()) {
+      return res.status(403).json({ success: false, message: 'You can only convert leads assigned to you' });
+    }
+
+    const result = await clientConversionService.convertLead(id, req.user, {
+      sendInvitation: req.body?.sendInvitation !== false
+    });
+
+    logger.info(`✅ Lead converted to client: ${id} by ${req.user.email}`);
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created
+        ? `Lead converted to client${result.invitationSent ? ' and invitation sent' : ''}`
+        : 'Lead linked to existing client account',
+      data: result
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('❌ Convert lead to client error:', error);
+    res.status(500).json({ success: false, message: 'Failed to convert lead' });
+  }
+});
+
 // =====================
 // FOLLOW-UPS & ACTIVITY
 // =====================
@@ -421,9 +538,10 @@ router.get('/follow-ups', async (req, res) => {
     );
 
     const threeDaysAgo = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+    const closedStatuses = await pipelineService.getClosedStageKeys();
 
     const needsFollowUp = agentLeads.filter(lead => {
-      if (['won', 'lost'].includes(lead.status)) return false;
+      if (closedStatuses.includes(lead.status)) return false;
 
       const lastActivity = lead.activities?.length > 0
         ? new Date(lead.activities[lead.activities.length - 1].timestamp)
@@ -502,7 +620,7 @@ router.get('/viewings/upcoming', async (req, res) => {
             ...viewing.toObject ? viewing.toObject() : viewing,
             leadId: lead._id.toString(),
             leadName: lead.name,
-            leadPhone: lead.phone
+            leadPhone: lead.phoneNumber
           });
         }
       });
@@ -527,4 +645,12 @@ router.get('/messages/:partnerId', getConversation);
 router.post('/messages', sendMessage);
 router.put('/messages/:partnerId/read', markAsRead);
 
+// =====================
+// OUT OF OFFICE
+// =====================
+
+router.get('/delegations', getDelegations);
+router.post('/delegations', createDelegation);
+router.delete('/delegations/:id', cancelDelegation);
+
 export default router;
\ No newline at end of file
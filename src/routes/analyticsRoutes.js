@@ -5,6 +5,8 @@ import {
   getAgentPerformance,
   getTimeTrends,
   getPropertyAnalytics,
+  getLossReasonAnalytics,
+  getRevenueAnalytics,
   getDashboardAnalytics,
 } from '../controllers/analyticsController.js';
 import { verifyToken, requireAdmin } from '../middleware/auth.js';
@@ -21,6 +23,8 @@ router.get('/sources', getLeadSourceBreakdown);
 router.get('/agents', getAgentPerformance);
 router.get('/trends', getTimeTrends);
 router.get('/properties', getPropertyAnalytics);
+router.get('/loss-reasons', getLossReasonAnalytics);
+router.get('/revenue', getRevenueAnalytics);
 
 // Combined dashboard analytics
 router.get('/dashboard', getDashboardAnalytics);
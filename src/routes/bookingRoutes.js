@@ -2,6 +2,7 @@ import express from 'express';
 import { handleBooking } from '../controllers/bookingController.js';
 import { bookingValidation, validate } from '../middleware/validation.js';
 import { formLimiter } from '../middleware/rateLimiter.js';
+import { spamProtection } from '../middleware/spamProtection.js';
 
 const router = express.Router();
 
@@ -11,6 +12,7 @@ router.post(
   formLimiter,
   bookingValidation,
   validate,
+  spamProtection('booking'),
   handleBooking
 );
 
@@ -4,6 +4,8 @@ import {
   loginClient,
   verifyClientEmail,
   resendClientVerificationCode,
+  getClientInvitation,
+  acceptClientInvitation,
   getCurrentClient,
   updateClientProfile,
   getMyDocuments,
@@ -30,6 +32,7 @@ import {
   getUnreadCount
 } from '../controllers/messageController.js';
 import { uploadMiddleware } from '../middleware/upload.js';
+import { phoneValidation, validate } from '../middleware/validation.js';
 import { require2FA } from '../middleware/documentAuth.js';
 
 const router = express.Router();
@@ -43,7 +46,7 @@ const router = express.Router();
  * @desc    Register new client
  * @access  Public
  */
-router.post('/register', registerClient);
+router.post('/register', phoneValidation('phone', { optional: true }), validate, registerClient);
 
 /**
  * @route   POST /api/client/login
@@ -66,6 +69,20 @@ router.post('/verify-email', verifyClientEmail);
  */
 router.post('/resend-verification', resendClientVerificationCode);
 
+/**
+ * @route   GET /api/client/invitation/:token
+ * @desc    Check a set-password invitation link
+ * @access  Public
+ */
+router.get('/invitation/:token', getClientInvitation);
+
+/**
+ * @route   POST /api/client/invitation/accept
+ * @desc    Set password from an invitation link
+ * @access  Public
+ */
+router.post('/invitation/accept', acceptClientInvitation);
+
 // =====================
 // PROTECTED ROUTES (Auth Required)
 // =====================
@@ -85,7 +102,7 @@ router.get('/me', getCurrentClient);
  * @desc    Update client profile
  * @access  Private (Client)
  */
-router.put('/profile', updateClientProfile);
+router.put('/profile', phoneValidation('phone', { optional: true }), validate, updateClientProfile);
 
 // =====================
 // DOCUMENT MANAGEMENT
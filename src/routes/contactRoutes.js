@@ -12,6 +12,7 @@ import {
 } from '../controllers/contactController.js';
 import { contactValidation, validate } from '../middleware/validation.js';
 import { formLimiter } from '../middleware/rateLimiter.js';
+import { spamProtection } from '../middleware/spamProtection.js';
 
 const router = express.Router();
 
@@ -26,6 +27,7 @@ router.post(
   formLimiter,
   contactValidation,
   validate,
+  spamProtection('contact'),
   handleContact
 );
 
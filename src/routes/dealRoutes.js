@@ -0,0 +1,90 @@
+/**
+ * Deal Routes
+ * Deals on leads for agents and admins
+ */
+
+import express from 'express';
+import {
+  getDeals,
+  getDeal,
+  createDeal,
+  updateDeal,
+  deleteDeal,
+  getCommissionRules
+} from '../controllers/dealController.js';
+import { verifyToken, requireAgentOrAdmin } from '../middleware/auth.js';
+import { body, param } from 'express-validator';
+import { validate } from '../middleware/validation.js';
+import { DEAL_STAGES } from '../config/deals.js';
+
+const router = express.Router();
+
+// Validation rules
+const dealIdValidation = [
+  param('id').isMongoId().withMessage('Valid deal ID is required')
+];
+
+const dealFieldValidation = [
+  body('title').optional().trim().notEmpty().withMessage('Title cannot be empty')
+    .isLength({ max: 200 }).withMessage('Title must not exceed 200 characters'),
+  body('stage').optional().isIn(DEAL_STAGES).withMessage(`Stage must be one of: ${DEAL_STAGES.join(', ')}`),
+  body('offerPrice').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Offer price must be a positive number'),
+  body('agreedPrice').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Agreed price must be a positive number'),
+  body('probability').optional().isInt({ min: 0, max: 100 }).withMessage('Probability must be between 0 and 100'),
+  body('expectedCloseDate').optional({ values: 'null' }).isISO8601().withMessage('Expected close date must be a valid date'),
+  body('closedAt').optional().isISO8601().withMessage('Close date must be a valid date'),
+  body('client').optional({ values: 'null' }).isMongoId().withMessage('Valid client ID is required'),
+  body('sellingAgent').optional().isMongoId().withMessage('Valid selling agent ID is required'),
+  body('listingAgent').optional({ values: 'null' }).isMongoId().withMessage('Valid listing agent ID is required')
+];
+
+const createDealValidation = [
+  body('lead').isMongoId().withMessage('Valid lead ID is required'),
+  body('property').isMongoId().withMessage('Valid property ID is required'),
+  ...dealFieldValidation
+];
+
+const updateDealValidation = [
+  ...dealIdValidation,
+  body('lead').not().exists().withMessage('The lead of a deal cannot be changed'),
+  body('property').optional().isMongoId().withMessage('Valid property ID is required'),
+  ...dealFieldValidation
+];
+
+router.use(verifyToken);
+router.use(requireAgentOrAdmin);
+
+/**
+ * GET /api/deals
+ * List deals (?stage=&lead=&client=&property=&agentId=&expectedCloseAfter=&expectedCloseBefore=&page=&limit=)
+ */
+router.get('/', getDeals);
+
+/**
+ * GET /api/deals/commission-rules
+ * Commission rate and agent split per property type
+ */
+router.get('/commission-rules', getCommissionRules);
+
+/**
+ * GET /api/deals/:id
+ */
+router.get('/:id', dealIdValidation, validate, getDeal);
+
+/**
+ * POST /api/deals
+ */
+router.post('/', createDealValidation, validate, createDeal);
+
+/**
+ * PUT /api/deals/:id
+ * Moving to stage "won" requires agreedPrice and calculates the commission
+ */
+router.put('/:id', updateDealValidation, validate, updateDeal);
+
+/**
+ * DELETE /api/deals/:id
+ */
+router.delete('/:id', dealIdValidation, validate, deleteDeal);
+
+export default router;
@@ -0,0 +1,17 @@
+/**
+ * Form Routes
+ * Support endpoints for the public website forms
+ */
+
+import express from 'express';
+import { getFormToken } from '../controllers/spamProtectionController.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/forms/token
+ * Fill-time token for the contact, booking and viewing-request forms
+ */
+router.get('/token', getFormToken);
+
+export default router;
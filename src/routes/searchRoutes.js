@@ -0,0 +1,29 @@
+/**
+ * Search Routes
+ * One search box for staff across the CRM
+ */
+
+import express from 'express';
+import { globalSearch } from '../controllers/searchController.js';
+import { verifyToken, requireAgentOrAdmin } from '../middleware/auth.js';
+import { query } from 'express-validator';
+import { validate } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Validation rules
+const searchValidation = [
+  query('q').trim().isLength({ min: 2, max: 100 }).withMessage('Search text must be between 2 and 100 characters'),
+  query('limit').optional().isInt({ min: 1, max: 25 }).withMessage('Limit must be between 1 and 25')
+];
+
+router.use(verifyToken);
+router.use(requireAgentOrAdmin);
+
+/**
+ * GET /api/search
+ * Ranked, typed results (?q=&types=lead,client,property,message&limit=10 per type)
+ */
+router.get('/', searchValidation, validate, globalSearch);
+
+export default router;
@@ -0,0 +1,95 @@
+/**
+ * Task Routes
+ * Follow-up tasks for agents and admins
+ */
+
+import express from 'express';
+import {
+  getTasks,
+  getAgenda,
+  getTask,
+  createTask,
+  updateTask,
+  completeTask,
+  deleteTask
+} from '../controllers/taskController.js';
+import { verifyToken, requireAgentOrAdmin } from '../middleware/auth.js';
+import { body, param } from 'express-validator';
+import { validate } from '../middleware/validation.js';
+
+const router = express.Router();
+
+const TASK_TYPES = ['follow_up', 'call', 'email', 'viewing', 'meeting', 'document', 'other'];
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Validation rules
+const taskIdValidation = [
+  param('id').isMongoId().withMessage('Valid task ID is required')
+];
+
+const createTaskValidation = [
+  body('title').trim().notEmpty().withMessage('Title is required')
+    .isLength({ max: 200 }).withMessage('Title must not exceed 200 characters'),
+  body('dueAt').notEmpty().withMessage('Due date is required')
+    .isISO8601().withMessage('Due date must be a valid date'),
+  body('type').optional().isIn(TASK_TYPES).withMessage(`Type must be one of: ${TASK_TYPES.join(', ')}`),
+  body('priority').optional().isIn(TASK_PRIORITIES).withMessage(`Priority must be one of: ${TASK_PRIORITIES.join(', ')}`),
+  body('lead').optional({ values: 'null' }).isMongoId().withMessage('Valid lead ID is required'),
+  body('client').optional({ values: 'null' }).isMongoId().withMessage('Valid client ID is required'),
+  body('assignedTo').optional().isMongoId().withMessage('Valid assignee ID is required')
+];
+
+const updateTaskValidation = [
+  ...taskIdValidation,
+  body('title').optional().trim().notEmpty().withMessage('Title cannot be empty')
+    .isLength({ max: 200 }).withMessage('Title must not exceed 200 characters'),
+  body('dueAt').optional().isISO8601().withMessage('Due date must be a valid date'),
+  body('type').optional().isIn(TASK_TYPES).withMessage(`Type must be one of: ${TASK_TYPES.join(', ')}`),
+  body('priority').optional().isIn(TASK_PRIORITIES).withMessage(`Priority must be one of: ${TASK_PRIORITIES.join(', ')}`),
+  body('status').optional().isIn(['open', 'completed', 'cancelled']).withMessage('Status must be open, completed or cancelled'),
+  body('lead').optional({ values: 'null' }).isMongoId().withMessage('Valid lead ID is required'),
+  body('client').optional({ values: 'null' }).isMongoId().withMessage('Valid client ID is required'),
+  body('assignedTo').optional().isMongoId().withMessage('Valid assignee ID is required')
+];
+
+router.use(verifyToken);
+router.use(requireAgentOrAdmin);
+
+/**
+ * GET /api/tasks
+ * List tasks (?status=&priority=&type=&lead=&client=&assignedTo=&dueAfter=&dueBefore=&page=&limit=)
+ */
+router.get('/', getTasks);
+
+/**
+ * GET /api/tasks/agenda
+ * Overdue, today and upcoming open tasks (?days=7, admins: ?agentId=)
+ */
+router.get('/agenda', getAgenda);
+
+/**
+ * GET /api/tasks/:id
+ */
+router.get('/:id', taskIdValidation, validate, getTask);
+
+/**
+ * POST /api/tasks
+ */
+router.post('/', createTaskValidation, validate, createTask);
+
+/**
+ * PUT /api/tasks/:id
+ */
+router.put('/:id', updateTaskValidation, validate, updateTask);
+
+/**
+ * PUT /api/tasks/:id/complete
+ */
+router.put('/:id/complete', taskIdValidation, validate, completeTask);
+
+/**
+ * DELETE /api/tasks/:id
+ */
+router.delete('/:id', taskIdValidation, validate, deleteTask);
+
+export default router;
@@ -7,16 +7,32 @@ import express from 'express';
 import {
   requestViewing,
   scheduleViewing,
+  getViewingRequests,
+  confirmViewingRequest,
   completeViewing,
+  rescheduleViewing,
   cancelViewing,
   getAllViewings,
   getAgentViewings,
-  getViewingStats
+  getViewingStats,
+  getViewingSlots,
+  getAvailability,
+  updateWorkingHours,
+  addBlockedPeriod,
+  removeBlockedPeriod,
+  getCalendarFeedUrl,
+  resetCalendarFeedUrl,
+  getCalendarFeed,
+  getManagedBooking,
+  getManagedBookingSlots,
+  cancelManagedBooking,
+  proposeManagedBookingTimes
 } from '../controllers/viewingController.js';
 import { verifyToken, requireAdmin, requireAgentOrAdmin } from '../middleware/auth.js';
 import { formLimiter } from '../middleware/rateLimiter.js';
+import { spamProtection } from '../middleware/spamProtection.js';
 import { body, param, query } from 'express-validator';
-import { validate } from '../middleware/validation.js';
+import { validate, phoneValidation, attributionValidation } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -26,16 +42,62 @@ const viewingRequestValidation = [
   body('propertyName').notEmpty().withMessage('Property name is required'),
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Valid email is required'),
-  body('phone').trim().notEmpty().withMessage('Phone number is required'),
+  phoneValidation('phone'),
   body('preferredDate').notEmpty().withMessage('Preferred date is required'),
-  body('preferredTime').notEmpty().withMessage('Preferred time is required')
+  body('preferredTime').notEmpty().withMessage('Preferred time is required'),
+  ...attributionValidation
 ];
 
 const scheduleViewingValidation = [
   param('leadId').isMongoId().withMessage('Valid lead ID is required'),
   body('propertyId').notEmpty().withMessage('Property ID is required'),
   body('scheduledDate').notEmpty().withMessage('Scheduled date is required'),
-  body('scheduledTime').notEmpty().withMessage('Scheduled time is required')
+  body('scheduledTime').notEmpty().withMessage('Scheduled time is required'),
+  body('durationMinutes').optional().isInt({ min: 15, max: 480 }).withMessage('Duration must be between 15 and 480 minutes')
+];
+
+const slotQueryValidation = [
+  query('propertyId').optional().isMongoId().withMessage('Valid property ID is required'),
+  query('agentId').optional().isMongoId().withMessage('Valid agent ID is required'),
+  query('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('from must be a date (YYYY-MM-DD)'),
+  query('days').optional().isInt({ min: 1 }).withMessage('days must be a positive number'),
+  query('durationMinutes').optional().isInt({ min: 15, max: 480 }).withMessage('Duration must be between 15 and 480 minutes')
+];
+
+const workingHoursValidation = [
+  body('workingHours').isArray().withMessage('workingHours must be an array'),
+  body('workingHours.*.day').isInt({ min: 0, max: 6 }).withMessage('Day must be 0 (Sunday) to 6 (Saturday)'),
+  body('workingHours.*.start').notEmpty().withMessage('Start time is required'),
+  body('workingHours.*.end').notEmpty().withMessage('End time is required')
+];
+
+const blockedPeriodValidation = [
+  body('startsAt').isISO8601().withMessage('startsAt must be a valid date and time'),
+  body('endsAt').isISO8601().withMessage('endsAt must be a valid date and time'),
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason must be at most 200 characters')
+];
+
+const rescheduleViewingValidation = [
+  param('leadId').isMongoId().withMessage('Valid lead ID is required'),
+  param('viewingId').isMongoId().withMessage('Valid viewing ID is required'),
+  body('scheduledDate').notEmpty().withMessage('Scheduled date is required'),
+  body('scheduledTime').notEmpty().withMessage('Scheduled time is required'),
+  body('durationMinutes').optional().isInt({ min: 15, max: 480 }).withMessage('Duration must be between 15 and 480 minutes')
+];
+
+// Without a date and time the client's preferred slot is tried, then their alternate
+const confirmRequestValidation = [
+  param('leadId').isMongoId().withMessage('Valid lead ID is required'),
+  param('viewingId').isMongoId().withMessage('Valid viewing ID is required'),
+  body('scheduledDate').if(body('scheduledTime').exists()).notEmpty().withMessage('Scheduled date is required with a scheduled time'),
+  body('scheduledTime').if(body('scheduledDate').exists()).notEmpty().withMessage('Scheduled time is required with a scheduled date'),
+  body('durationMinutes').optional().isInt({ min: 15, max: 480 }).withMessage('Duration must be between 15 and 480 minutes')
+];
+
+const proposeTimesValidation = [
+  body('times').isArray({ min: 1 }).withMessage('Propose at least one new time'),
+  body('times.*.date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Date must be YYYY-MM-DD'),
+  body('times.*.time').notEmpty().withMessage('Time is required')
 ];
 
 const completeViewingValidation = [
@@ -57,9 +119,77 @@ router.post(
   formLimiter,
   viewingRequestValidation,
   validate,
+  spamProtection('viewing_request'),
   requestViewing
 );
 
+/**
+ * GET /api/viewings/slots
+ * Suggest open viewing slots for a property or agent (public)
+ */
+router.get(
+  '/slots',
+  slotQueryValidation,
+  validate,
+  getViewingSlots
+);
+
+/**
+ * GET /api/viewings/calendar/:token.ics
+ * Agent's private viewing feed for calendar apps (token from /calendar/feed)
+ */
+router.get(
+  '/calendar/:token.ics',
+  getCalendarFeed
+);
+
+/**
+ * GET /api/viewings/manage/:token
+ * A client's viewing or request, from the link in their email
+ */
+router.get(
+  '/manage/:token',
+  getManagedBooking
+);
+
+/**
+ * GET /api/viewings/manage/:token/slots
+ * Open slots the client can move to
+ */
+router.get(
+  '/manage/:token/slots',
+  [
+    query('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('from must be a date (YYYY-MM-DD)'),
+    query('days').optional().isInt({ min: 1 }).withMessage('days must be a positive number')
+  ],
+  validate,
+  getManagedBookingSlots
+);
+
+/**
+ * POST /api/viewings/manage/:token/cancel
+ * Cancel through the email link
+ */
+router.post(
+  '/manage/:token/cancel',
+  formLimiter,
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  validate,
+  cancelManagedBooking
+);
+
+/**
+ * POST /api/viewings/manage/:token/propose
+ * Propose new times through the email link
+ */
+router.post(
+  '/manage/:token/propose',
+  formLimiter,
+  proposeTimesValidation,
+  validate,
+  proposeManagedBookingTimes
+);
+
 // ============================================
 // PROTECTED ROUTES (Require Authentication)
 // ============================================
@@ -96,6 +226,88 @@ router.get(
   getAgentViewings
 );
 
+/**
+ * GET /api/viewings/requests
+ * Unconfirmed viewing requests, soonest preferred time first (Admin/Agent)
+ */
+router.get(
+  '/requests',
+  requireAgentOrAdmin,
+  [
+    query('escalated').optional().isIn(['true', 'false']).withMessage('escalated must be true or false'),
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive number'),
+    query('limit').optional().isInt({ min: 1 }).withMessage('limit must be a positive number')
+  ],
+  validate,
+  getViewingRequests
+);
+
+/**
+ * GET /api/viewings/calendar/feed
+ * Private calendar feed URL for the logged-in agent
+ */
+router.get(
+  '/calendar/feed',
+  requireAgentOrAdmin,
+  getCalendarFeedUrl
+);
+
+/**
+ * POST /api/viewings/calendar/feed/reset
+ * Issue a new feed URL and revoke the old one
+ */
+router.post(
+  '/calendar/feed/reset',
+  requireAgentOrAdmin,
+  resetCalendarFeedUrl
+);
+
+/**
+ * GET /api/viewings/availability
+ * Working hours and blocked periods (own, or ?agentId= for admins)
+ */
+router.get(
+  '/availability',
+  requireAgentOrAdmin,
+  getAvailability
+);
+
+/**
+ * PUT /api/viewings/availability/working-hours
+ * Replace weekly working hours (Admin/Agent)
+ */
+router.put(
+  '/availability/working-hours',
+  requireAgentOrAdmin,
+  workingHoursValidation,
+  validate,
+  updateWorkingHours
+);
+
+/**
+ * POST /api/viewings/availability/blocks
+ * Block out a period (Admin/Agent)
+ */
+router.post(
+  '/availability/blocks',
+  requireAgentOrAdmin,
+  blockedPeriodValidation,
+  validate,
+  addBlockedPeriod
+);
+
+/**
+ * DELETE /api/viewings/availability/blocks/:blockId
+ * Remove a blocked period (Admin/Agent)
+ */
+router.delete(
+  '/availability/blocks/:blockId',
+  requireAgentOrAdmin,
+  param('blockId').isMongoId().withMessage('Valid blocked period ID is required'),
+  validate,
+  removeBlockedPeriod
+);
+
 /**
  * POST /api/viewings/:leadId/schedule
  * Schedule a viewing for a lead (Admin/Agent)
@@ -108,6 +320,18 @@ router.post(
   scheduleViewing
 );
 
+/**
+ * POST /api/viewings/:leadId/:viewingId/confirm
+ * Confirm a viewing request from the website (Admin/Agent)
+ */
+router.post(
+  '/:leadId/:viewingId/confirm',
+  requireAgentOrAdmin,
+  confirmRequestValidation,
+  validate,
+  confirmViewingRequest
+);
+
 /**
  * PUT /api/viewings/:leadId/:viewingId/complete
  * Mark a viewing as completed (Admin/Agent)
@@ -120,6 +344,18 @@ router.put(
   completeViewing
 );
 
+/**
+ * PUT /api/viewings/:leadId/:viewingId/reschedule
+ * Move a viewing to a new date and time (Admin/Agent)
+ */
+router.put(
+  '/:leadId/:viewingId/reschedule',
+  requireAgentOrAdmin,
+  rescheduleViewingValidation,
+  validate,
+  rescheduleViewing
+);
+
 /**
  * PUT /api/viewings/:leadId/:viewingId/cancel
  * Cancel a viewing (Admin/Agent)
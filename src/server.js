@@ -12,12 +12,34 @@ import adminRoutes from './routes/adminRoutes.js';
 import agentRoutes from './routes/agentRoutes.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import logger from './utils/logger.js';
+import { trackRequestChanges } from './utils/changeContext.js';
 import database from './config/database.js';  // Fixed import path
 import propertyRoutes from './routes/propertyRoutes.js';
 import viewingRoutes from './routes/viewingRoutes.js';
 import analyticsRoutes from './routes/analyticsRoutes.js';
 import clientRoutes from './routes/clientRoutes.js';
 import pusherRoutes from './routes/pusherRoutes.js';
+import taskRoutes from './routes/taskRoutes.js';
+import searchRoutes from './routes/searchRoutes.js';
+import dealRoutes from './routes/dealRoutes.js';
+import formRoutes from './routes/formRoutes.js';
+import jobScheduler from './services/jobScheduler.js';
+import leadSlaService from './services/leadSlaService.js';
+import slaConfig from './config/sla.js';
+import taskService from './services/taskService.js';
+import taskConfig from './config/tasks.js';
+import leadBulkService from './services/leadBulkService.js';
+import leadImportService from './services/leadImportService.js';
+import LeadStorage from './services/leadStorageMongo.js';
+import leadTrashConfig from './config/leadTrash.js';
+import leadScoringConfig from './config/leadScoring.js';
+import searchService from './services/searchService.js';
+import delegationService from './services/delegationService.js';
+import delegationConfig from './config/delegation.js';
+import viewingReminderService from './services/viewingReminderService.js';
+import viewingReminderConfig from './config/viewingReminders.js';
+import viewingRequestService from './services/viewingRequestService.js';
+import viewingRequestConfig from './config/viewingRequests.js';
 
 // Load environment variables
 dotenv.config();
@@ -55,6 +77,9 @@ app.use('/api/', limiter);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Attribute lead changes made while handling a request to the API and its user
+app.use(trackRequestChanges);
+
 // Health check endpoint - Now includes database status
 app.get('/health', (req, res) => {
   const dbStatus = database.getConnectionStatus();
@@ -85,6 +110,10 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       admin: '/api/admin',
       agent: '/api/agent',
+      tasks: '/api/tasks',
+      search: '/api/search',
+      deals: '/api/deals',
+      forms: '/api/forms',
     },
     documentation: 'Contact support for API documentation'
   });
@@ -101,6 +130,10 @@ app.use('/api/viewings', viewingRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/client', clientRoutes);
 app.use('/api/pusher', pusherRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/deals', dealRoutes);
+app.use('/api/forms', formRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -128,6 +161,61 @@ const startServer = async () => {
       logger.warn('⚠️  Pusher not initialized:', pusherError.message);
     }
 
+    // Search indexes (non-fatal: search degrades, the API still starts)
+    try {
+      await searchService.ensureIndexes();
+    } catch (searchError) {
+      logger.warn('⚠️  Search index maintenance failed:', searchError.message);
+    }
+
+    // Background jobs
+    jobScheduler.register(
+      'lead-sla-monitor',
+      slaConfig.checkIntervalMinutes * 60 * 1000,
+      () => leadSlaService.checkSlas()
+    );
+    jobScheduler.register(
+      'task-reminders',
+      taskConfig.reminderCheckIntervalMinutes * 60 * 1000,
+      () => taskService.sendDueReminders()
+    );
+    jobScheduler.register(
+      'bulk-job-cleanup',
+      15 * 60 * 1000,
+      () => leadBulkService.failInterruptedJobs()
+    );
+    jobScheduler.register(
+      'lead-import-cleanup',
+      15 * 60 * 1000,
+      () => leadImportService.failInterruptedImports()
+    );
+    jobScheduler.register(
+      'lead-score-refresh',
+      leadScoringConfig.refresh.intervalMinutes * 60 * 1000,
+      () => LeadStorage.refreshScores()
+    );
+    jobScheduler.register(
+      'lead-trash-purge',
+      leadTrashConfig.purgeIntervalHours * 60 * 60 * 1000,
+      () => LeadStorage.purgeDeletedLeads()
+    );
+    jobScheduler.register(
+      'out-of-office-delegation',
+      delegationConfig.checkIntervalMinutes * 60 * 1000,
+      () => delegationService.processDue()
+    );
+    jobScheduler.register(
+      'viewing-reminders',
+      viewingReminderConfig.checkIntervalMinutes * 60 * 1000,
+      () => viewingReminderService.sendDueReminders()
+    );
+    jobScheduler.register(
+      'viewing-request-escalation',
+      viewingRequestConfig.checkIntervalMinutes * 60 * 1000,
+      () => viewingRequestService.escalateOverdue()
+    );
+    jobScheduler.start();
+
     // Start the HTTP server (supports both Express and Socket.IO)
     httpServer.listen(PORT, () => {
       logger.info(`🚀 Kejamatch Backend Server running on port ${PORT}`);
@@ -152,6 +240,7 @@ const startServer = async () => {
 const gracefulShutdown = async (signal) => {
   logger.info(`${signal} signal received: closing HTTP server`);
   try {
+    jobScheduler.stop();
     await database.disconnect();
     process.exit(0);
   } catch (error) {
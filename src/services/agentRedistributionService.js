@@ -0,0 +1,201 @@
+/**
+ * Agent Redistribution Service
+ * Moves the open leads and clients of an agent who is deactivated or deleted
+ * to one chosen agent, or through the assignment rules
+ */
+
+import mongoose from 'mongoose';
+import Lead from '../models/LeadModel.js';
+import Client from '../models/ClientModel.js';
+import User from '../models/UserModel.js';
+import Delegation from '../models/DelegationModel.js';
+import leadAssignmentService from './leadAssignmentService.js';
+import delegationService from './delegationService.js';
+import pipelineService from './pipelineService.js';
+import logger from '../utils/logger.js';
+
+const redistributionError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+
+// Leads no rule matches, and clients without a moving lead, go to the least loaded agent
+const FALLBACK_RULE = { _id: 'fallback', name: 'Least loaded agent', strategy: 'least_loaded', agents: [] };
+
+const summarizeTarget = (pick) => (pick ? { id: idOf(pick.agent), name: pick.agent.name } : null);
+
+class AgentRedistributionService {
+  /**
+   * The agent chosen to take everything over
+   */
+  async findTarget(targetAgentId, departingAgentId) {
+    if (!mongoose.isValidObjectId(targetAgentId)) throw redistributionError('Invalid target agent ID');
+    if (targetAgentId.toString() === departingAgentId.toString()) {
+      throw redistributionError('Target agent must be a different agent');
+    }
+
+    const target = await User.findOne({
+      _id: targetAgentId,
+      isActive: true,
+      role: { $in: ['agent', 'admin'] }
+    }).select('name');
+    if (!target) throw redistributionError('Target agent not found or inactive', 404);
+    return target;
+  }
+
+  /**
+   * Work out who receives each open lead and client, without changing anything
+   * @param {string} agentId - departing agent
+   * @param {Object} options - targetAgentId; without one the assignment rules decide
+   * @returns {Promise<Object>} - { mode, target, leads: [{ lead, to, rule }], clients: [{ client, to }], state }
+   */
+  async plan(agentId, { targetAgentId } = {}) {
+    const closedStatuses = await pipelineService.getClosedStageKeys();
+    const [leads, clients] = await Promise.all([
+      Lead.find({ assignedTo: agentId, status: { $nin: closedStatuses } }).sort({ createdAt: 1 }),
+      Client.find({ assignedAgent: agentId }).sort({ createdAt: 1 })
+    ]);
+
+    if (targetAgentId) {
+      const target = await this.findTarget(targetAgentId, agentId);
+      const to = { id: idOf(target), name: target.name };
+      return {
+        mode: 'agent',
+        target: to,
+        leads: leads.map(lead => ({ lead, to, rule: null })),
+        clients: clients.map(client => ({ client, to })),
+        state: null
+      };
+    }
+
+    // Agents who are out of office are not handed new work
+    const awayAgentIds = await Delegation.distinct('agent', { status: 'active' });
+    const excludeAgentIds = [agentId, ...awayAgentIds];
+    const state = leadAssignmentService.createBatchState();
+    const fallbackPool = await leadAssignmentService.getAgentPool(FALLBACK_RULE, excludeAgentIds);
+
+    const plannedLeads = [];
+    for (const lead of leads) {
+      const { agent, rule } = await leadAssignmentService.resolve(lead, { excludeAgentIds, state });
+      const pick = agent
+        ? { agent }
+        : await leadAssignmentService.pickAgent(FALLBACK_RULE, fallbackPool, state);
+      plannedLeads.push({
+        lead,
+        to: summarizeTarget(pick),
+        rule: agent ? { id: idOf(rule), name: rule.name } : pick && { id: null, name: FALLBACK_RULE.name }
+      });
+    }
+
+    // A client follows their lead; others are spread like unmatched leads
+    const leadTargets = new Map(plannedLeads.map(({ lead, to }) => [idOf(lead), to]));
+    const plannedClients = [];
+    for (const client of clients) {
+      const to = leadTargets.get(idOf(client.linkedLeadId))
+        || summarizeTarget(await leadAssignmentService.pickAgent(FALLBACK_RULE, fallbackPool, state));
+      plannedClients.push({ client, to });
+    }
+
+    return { mode: 'rules', target: null, leads: plannedLeads, clients: plannedClients, state };
+  }
+
+  summarize(agent, plan) {
+    const byAgent = new Map();
+    const count = (to, key) => {
+      if (!to) return;
+      const entry = byAgent.get(to.id) || { id: to.id, name: to.name, leads: 0, clients: 0 };
+      entry[key]++;
+      byAgent.set(to.id, entry);
+    };
+    plan.leads.forEach(({ to }) => count(to, 'leads'));
+    plan.clients.forEach(({ to }) => count(to, 'clients'));
+
+    return {
+      agent: { id: idOf(agent), name: agent.name },
+      mode: plan.mode,
+      target: plan.target,
+      counts: {
+        leads: plan.leads.length,
+        clients: plan.clients.length,
+        // No active agent could take these; they stay where they are
+        unassignable: plan.leads.filter(p => !p.to).length + plan.clients.filter(p => !p.to).length
+      },
+      byAgent: [...byAgent.values()],
+      leads: plan.leads.map(({ lead, to, rule }) => ({
+        id: idOf(lead),
+        name: lead.name,
+        email: lead.email,
+        status: lead.status,
+        to,
+        rule
+      })),
+      clients: plan.clients.map(({ client, to }) => ({
+        id: idOf(client),
+        name: client.name,
+        email: client.email,
+        status: client.status,
+        to
+      }))
+    };
+  }
+
+  /**
+   * Preview where an agent's open leads and clients would go
+   */
+  async preview(agentId, options = {}) {
+    if (!mongoose.isValidObjectId(agentId)) throw redistributionError('Invalid agent ID');
+
+    const agent = await User.findById(agentId).select('name isActive');
+    if (!agent) throw redistributionError('Agent not found', 404);
+
+    return this.summarize(agent, await this.plan(agentId, options));
+  }
+
+  /**
+   * Move an agent's open leads and clients. Every moved record gets an `assigned` activity.
+   * @param {Object} agent - departing agent ({ _id, name }); may already be deactivated
+   * @param {Object} options - targetAgentId
+   * @param {Object} user - admin performing the change ({ id, name })
+   * @param {string} reason - deactivated | deleted | manual
+   */
+  async redistribute(agent, options, user, reason) {
+    const plan = await this.plan(idOf(agent), options);
+    const metadata = (rule) => ({
+      redistribution: {
+        reason,
+        from: idOf(agent),
+        fromName: agent.name,
+        mode: plan.mode,
+        ...(rule && { rule })
+      }
+    });
+
+    for (const { lead, to, rule } of plan.leads) {
+      if (!to) continue;
+      await lead.assignToAgent(to.id, user.id, user.name, to.name, metadata(rule));
+    }
+    for (const { client, to } of plan.clients) {
+      if (!to) continue;
+      await client.assignToAgent(to.id, user.id, user.name, to.name, metadata(null));
+    }
+
+    if (plan.state) {
+      await leadAssignmentService.saveBatchCursors(plan.state);
+    }
+
+    const summary = this.summarize(agent, plan);
+    logger.info(`🔀 Redistributed ${agent.name}'s work (${reason}): ${summary.counts.leads} lead(s), ${summary.counts.clients} client(s), ${summary.counts.unassignable} left unassigned`);
+    return summary;
+  }
+
+  /**
+   * Wind up an agent's delegations, then move their work (after deactivation or deletion)
+   */
+  async handleDeparture(agent, options, user, reason) {
+    const delegations = await delegationService.closeForAgent(agent._id, user);
+    const summary = await this.redistribute(agent, options, user, reason);
+    return { ...summary, delegations };
+  }
+}
+
+export const agentRedistributionService = new AgentRedistributionService();
+export default agentRedistributionService;
@@ -0,0 +1,366 @@
+/**
+ * Availability Service
+ * Agent working hours and blocked periods, viewing conflict checks and
+ * slot suggestions. Dates and times are wall-clock values in the business
+ * timezone (Africa/Nairobi by default).
+ */
+
+import mongoose from 'mongoose';
+import AgentAvailability from '../models/AgentAvailabilityModel.js';
+import Lead from '../models/LeadModel.js';
+import Property from '../models/PropertyModel.js';
+import User from '../models/UserModel.js';
+import availabilityConfig from '../config/availability.js';
+import {
+  getZonedParts,
+  parseLocalDate,
+  parseLocalTime,
+  timeToMinutes,
+  zonedTimeToUtc,
+  addDays,
+  weekdayOf
+} from '../utils/timezone.js';
+
+const MINUTE_MS = 60 * 1000;
+const MAX_SLOTS = 200;
+
+const availabilityError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && endA > startB;
+
+class AvailabilityService {
+  get timezone() {
+    return availabilityConfig.timezone;
+  }
+
+  async findAgent(agentId) {
+    if (!mongoose.isValidObjectId(agentId)) throw availabilityError('Invalid agent ID');
+    const agent = await User.findOne({ _id: agentId, role: { $in: ['agent', 'admin'] } }).select('name isActive');
+    if (!agent) throw availabilityError('Agent not found', 404);
+    return agent;
+  }
+
+  /**
+   * Working hours and blocked periods for an agent (defaults when none are set)
+   * @returns {Promise<Object>} - { agent, timezone, workingHours, blockedPeriods, isDefault }
+   */
+  async getAvailability(agentId) {
+    const record = await AgentAvailability.findOne({ agent: agentId }).lean();
+
+    return {
+      agent: agentId.toString(),
+      timezone: this.timezone,
+      workingHours: record?.workingHours?.length ? record.workingHours : availabilityConfig.defaultWorkingHours,
+      blockedPeriods: (record?.blockedPeriods || []).sort((a, b) => a.startsAt - b.startsAt),
+      isDefault: !record?.workingHours?.length
+    };
+  }
+
+  async getOrCreateRecord(agentId) {
+    return await AgentAvailability.findOne({ agent: agentId })
+      || new AgentAvailability({ agent: agentId, workingHours: availabilityConfig.defaultWorkingHours });
+  }
+
+  /**
+   * Replace an agent's weekly working hours. An empty list restores the defaults.
+   * @param {Array} workingHours - [{ day: 0-6, start: 'HH:mm', end: 'HH:mm' }]
+   */
+  async setWorkingHours(agentId, workingHours, userId) {
+    if (!Array.isArray(workingHours)) throw availabilityError('workingHours must be an array');
+
+    await this.findAgent(agentId);
+    const record = await this.getOrCreateRecord(agentId);
+    record.workingHours = workingHours.map(({ day, start, end }) => ({
+      day,
+      start: parseLocalTime(start) || start,
+      end: parseLocalTime(end) || end
+    }));
+    record.updatedBy = userId;
+    await record.save();
+
+    return this.getAvailability(agentId);
+  }
+
+  /**
+   * Block a period (instants, e.g. '2025-03-01T09:00:00+03:00')
+   */
+  async addBlockedPeriod(agentId, { startsAt, endsAt, reason }, userId) {
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    if (!startsAt || !endsAt || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw availabilityError('Valid startsAt and endsAt are required');
+    }
+
+    await this.findAgent(agentId);
+    const record = await this.getOrCreateRecord(agentId);
+    record.blockedPeriods.push({ startsAt: start, endsAt: end, reason: reason || null, createdBy: userId });
+    record.updatedBy = userId;
+    await record.save();
+
+    return this.getAvailability(agentId);
+  }
+
+  async removeBlockedPeriod(agentId, blockId, userId) {
+    const record = await AgentAvailability.findOne({ agent: agentId });
+    const period = record?.blockedPeriods.id(blockId);
+    if (!period) throw availabilityError('Blocked period not found', 404);
+
+    period.deleteOne();
+    record.updatedBy = userId;
+    await record.save();
+
+    return this.getAvailability(agentId);
+  }
+
+  /**
+   * Scheduled viewings for an agent or a property that overlap a range
+   * @param {Object} filter - agentId and/or propertyId (either matches)
+   * @returns {Promise<Array>} - [{ leadId, leadName, viewingId, propertyId, propertyName, agent, startsAt, endsAt }]
+   */
+  async findViewings({ agentId, propertyId }, from, to, excludeViewingId = null) {
+    const who = [];
+    if (agentId) who.push({ 'viewings.agent': new mongoose.Types.ObjectId(agentId.toString()) });
+    if (propertyId) who.push({ 'viewings.propertyId': String(propertyId) });
+    if (who.length === 0) return [];
+
+    const match = {
+      $or: who,
+      'viewings.status': 'scheduled',
+      'viewings.startsAt': { $lt: to },
+      'viewings.endsAt': { $gt: from }
+    };
+
+    const viewings = await Lead.aggregate([
+      { $match: match },
+      { $unwind: '$viewings' },
+      { $match: match },
+      {
+        $project: {
+          _id: 0,
+          leadId: '$_id',
+          leadName: '$name',
+          viewingId: '$viewings._id',
+          propertyId: '$viewings.propertyId',
+          propertyName: '$viewings.propertyName',
+          agent: '$viewings.agent',
+          agentName: '$viewings.agentName',
+          startsAt: '$viewings.startsAt',
+          endsAt: '$viewings.endsAt'
+        }
+      },
+      { $sort: { startsAt: 1 } }
+    ]);
+
+    return excludeViewingId
+      ? viewings.filter(v => idOf(v.viewingId) !== excludeViewingId.toString())
+      : viewings;
+  }
+
+  /**
+   * Turn a date, time and duration into the slot they describe
+   * @returns {Object} - { scheduledDate: 'YYYY-MM-DD', scheduledTime: 'HH:mm', startsAt, endsAt }
+   */
+  resolveSlot(scheduledDate, scheduledTime, durationMinutes) {
+    const date = parseLocalDate(scheduledDate);
+    if (!date) throw availabilityError('Scheduled date must be a valid date (YYYY-MM-DD)');
+
+    const time = parseLocalTime(scheduledTime);
+    if (!time) throw availabilityError('Scheduled time must be a valid time (HH:mm)');
+
+    const duration = parseInt(durationMinutes ?? availabilityConfig.defaultViewingMinutes, 10);
+    if (!(duration >= 15 && duration <= 480)) {
+      throw availabilityError('Duration must be between 15 and 480 minutes');
+    }
+
+    const startsAt = zonedTimeToUtc(date, time, this.timezone);
+    return {
+      scheduledDate: date,
+      scheduledTime: time,
+      startsAt,
+      endsAt: new Date(startsAt.getTime() + duration * MINUTE_MS)
+    };
+  }
+
+  // Whether a slot lies inside one of the agent's working-hours windows
+  isWithinWorkingHours(workingHours, startsAt, endsAt) {
+    const start = getZonedParts(startsAt, this.timezone);
+    const end = getZonedParts(endsAt, this.timezone);
+    // Viewings running past midnight are never inside working hours
+    const endMinutes = end.date === start.date ? end.minutes : 24 * 60 + end.minutes;
+
+    return workingHours.some(hours => hours.day === start.weekday
+      && timeToMinutes(hours.start) <= start.minutes
+      && timeToMinutes(hours.end) >= endMinutes);
+  }
+
+  /**
+   * Check a viewing slot against the agent's calendar.
+   * Conflicts (double-booking the agent, a blocked period) stop the booking;
+   * warnings (travel time, working hours, the property already being shown) do not.
+   * @param {Object} slot - { agentId, propertyId, startsAt, endsAt, excludeViewingId }
+   * @returns {Promise<Object>} - { conflicts: [], warnings: [] } of { code, message, ... }
+   */
+  async checkSlot({ agentId, propertyId, startsAt, endsAt, excludeViewingId = null }) {
+    const conflicts = [];
+    const warnings = [];
+    const buffer = availabilityConfig.travelBufferMinutes * MINUTE_MS;
+
+    const [availability, viewings] = await Promise.all([
+      this.getAvailability(agentId),
+      this.findViewings(
+        { agentId, propertyId },
+        new Date(startsAt.getTime() - buffer),
+        new Date(endsAt.getTime() + buffer),
+        excludeViewingId
+      )
+    ]);
+
+    for (const viewing of viewings) {
+      const sameAgent = idOf(viewing.agent) === agentId.toString();
+      const sameProperty = viewing.propertyId === String(propertyId);
+      const details = {
+        viewingId: viewing.viewingId,
+        leadId: viewing.leadId,
+        propertyName: viewing.propertyName,
+        startsAt: viewing.startsAt,
+        endsAt: viewing.endsAt
+      };
+
+      if (sameAgent && overlaps(startsAt, endsAt, viewing.startsAt, viewing.endsAt)) {
+        conflicts.push({
+          code: 'agent_double_booked',
+          message: `Agent already has a viewing of ${viewing.propertyName || 'another property'} at this time`,
+          ...details
+        });
+      } else if (sameAgent && !sameProperty) {
+        warnings.push({
+          code: 'travel_buffer',
+          message: `Less than ${availabilityConfig.travelBufferMinutes} minutes to travel from or to the viewing of ${viewing.propertyName || 'another property'}`,
+          ...details
+        });
+      } else if (!sameAgent && sameProperty && overlaps(startsAt, endsAt, viewing.startsAt, viewing.endsAt)) {
+        warnings.push({
+          code: 'property_double_booked',
+          message: `${viewing.agentName || 'Another agent'} is already showing this property at this time`,
+          ...details
+        });
+      }
+    }
+
+    availability.blockedPeriods
+      .filter(period => overlaps(startsAt, endsAt, new Date(period.startsAt), new Date(period.endsAt)))
+      .forEach(period => conflicts.push({
+        code: 'blocked_period',
+        message: `Agent is unavailable${period.reason ? ` (${period.reason})` : ''}`,
+        blockId: period._id,
+        startsAt: period.startsAt,
+        endsAt: period.endsAt
+      }));
+
+    if (!this.isWithinWorkingHours(availability.workingHours, startsAt, endsAt)) {
+      warnings.push({ code: 'outside_working_hours', message: "Viewing is outside the agent's working hours" });
+    }
+
+    if (startsAt < new Date()) {
+      warnings.push({ code: 'in_the_past', message: 'Viewing time has already passed' });
+    }
+
+    return { conflicts, warnings };
+  }
+
+  /**
+   * Free viewing slots for an agent at a property
+   * @param {Object} options - agentId, propertyId, from ('YYYY-MM-DD', default today), days (default 7),
+   *   durationMinutes, limit
+   * @returns {Promise<Object>} - { agent, timezone, durationMinutes, slots: [{ date, time, startsAt, endsAt }] }
+   */
+  async suggestSlots(options = {}, now = new Date()) {
+    const { propertyId } = options;
+    let { agentId } = options;
+
+    if (!agentId) {
+      if (!propertyId || !mongoose.isValidObjectId(propertyId)) {
+        throw availabilityError('An agent or a valid property ID is required');
+      }
+      const property = await Property.findById(propertyId).select('agent');
+      if (!property) throw availabilityError('Property not found', 404);
+      agentId = property.agent?.userId;
+      if (!agentId) throw availabilityError('Property has no agent; choose an agent to see their slots');
+    }
+
+    const agent = await this.findAgent(agentId);
+    if (!agent.isActive) throw availabilityError('Agent is not active');
+
+    const today = getZonedParts(now, this.timezone).date;
+    const from = options.from ? parseLocalDate(options.from) : today;
+    if (!from) throw availabilityError('from must be a valid date (YYYY-MM-DD)');
+
+    const days = Math.min(availabilityConfig.maxSlotSearchDays, Math.max(1, parseInt(options.days, 10) || 7));
+    const duration = Math.min(480, Math.max(15, parseInt(options.durationMinutes, 10) || availabilityConfig.defaultViewingMinutes));
+    const limit = Math.min(MAX_SLOTS, Math.max(1, parseInt(options.limit, 10) || 50));
+    const buffer = availabilityConfig.travelBufferMinutes * MINUTE_MS;
+
+    const rangeStart = zonedTimeToUtc(from, '00:00', this.timezone);
+    const rangeEnd = zonedTimeToUtc(addDays(from, days), '00:00', this.timezone);
+    const earliest = new Date(now.getTime() + availabilityConfig.minNoticeMinutes * MINUTE_MS);
+
+    const [availability, viewings] = await Promise.all([
+      this.getAvailability(agent._id),
+      this.findViewings(
+        { agentId: agent._id, propertyId },
+        new Date(rangeStart.getTime() - buffer),
+        new Date(rangeEnd.getTime() + buffer)
+      )
+    ]);
+
+    // Busy time: the agent's viewings (plus travel time to other properties),
+    // other agents' viewings of this property, and blocked periods
+    const busy = [
+      ...viewings.map(viewing => {
+        const sameAgent = idOf(viewing.agent) === idOf(agent);
+        const travel = sameAgent && viewing.propertyId !== String(propertyId) ? buffer : 0;
+        return [viewing.startsAt.getTime() - travel, viewing.endsAt.getTime() + travel];
+      }),
+      ...availability.blockedPeriods.map(period => [new Date(period.startsAt).getTime(), new Date(period.endsAt).getTime()])
+    ];
+
+    const slots = [];
+    for (let offset = 0; offset < days && slots.length < limit; offset++) {
+      const date = addDays(from, offset);
+      const windows = availability.workingHours
+        .filter(hours => hours.day === weekdayOf(date))
+        .sort((a, b) => a.start.localeCompare(b.start));
+
+      for (const window of windows) {
+        const close = zonedTimeToUtc(date, window.end, this.timezone).getTime();
+        let start = zonedTimeToUtc(date, window.start, this.timezone).getTime();
+
+        for (; start + duration * MINUTE_MS <= close && slots.length < limit; start += availabilityConfig.slotIntervalMinutes * MINUTE_MS) {
+          const end = start + duration * MINUTE_MS;
+          if (start < earliest.getTime()) continue;
+          if (busy.some(([busyStart, busyEnd]) => overlaps(start, end, busyStart, busyEnd))) continue;
+          if (slots.some(slot => slot.startsAt.getTime() === start)) continue;
+
+          slots.push({
+            date,
+            time: getZonedParts(start, this.timezone).time,
+            startsAt: new Date(start),
+            endsAt: new Date(end)
+          });
+        }
+      }
+    }
+
+    return {
+      agent: { id: idOf(agent), name: agent.name },
+      timezone: this.timezone,
+      durationMinutes: duration,
+      slots
+    };
+  }
+}
+
+export const availabilityService = new AvailabilityService();
+export default availabilityService;
@@ -0,0 +1,263 @@
+/**
+ * Client Conversion Service
+ * Turns leads into client portal accounts, sends set-password invitations
+ * and links self-registered clients to their existing lead
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { Resend } from 'resend';
+import Client from '../models/ClientModel.js';
+import Lead from '../models/LeadModel.js';
+import Property from '../models/PropertyModel.js';
+import User from '../models/UserModel.js';
+import clientInvitationConfig from '../config/clientInvitations.js';
+import { clientInvitationTemplate } from '../templates/clientEmailTemplates.js';
+import logger from '../utils/logger.js';
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+const FROM_EMAIL = process.env.FROM_EMAIL || 'noreply@kejamatch.com';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://kejamatch.com';
+
+const conversionError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+
+class ClientConversionService {
+  /**
+   * Property preferences inferred from the listings a lead showed interest in
+   * @returns {Promise<Object>} - propertyPreferences for the client (empty when nothing is known)
+   */
+  async inferPreferences(lead) {
+    const propertyIds = (lead.interestedProperties || [])
+      .map(p => p.propertyId)
+      .filter(id => mongoose.isValidObjectId(id));
+
+    if (propertyIds.length === 0) return {};
+
+    const properties = await Property.find({ _id: { $in: propertyIds } })
+      .select('type category price beds baths location.city')
+      .lean();
+
+    if (properties.length === 0) return {};
+
+    const unique = (values) => [...new Set(values.filter(Boolean))];
+    const types = unique(properties.map(p => p.type));
+    // Rent and sale prices are not comparable, so a budget is only inferred for one kind
+    const prices = types.length === 1 ? properties.map(p => p.price).filter(price => typeof price === 'number') : [];
+    const beds = properties.map(p => p.beds).filter(Number.isFinite);
+    const baths = properties.map(p => p.baths).filter(Number.isFinite);
+
+    return {
+      type: types.length === 1 ? types[0] : 'Both',
+      category: unique(properties.map(p => p.category)),
+      minBudget: prices.length ? Math.min(...prices) : null,
+      maxBudget: prices.length ? Math.max(...prices) : null,
+      preferredLocations: unique(properties.map(p => p.location?.city)),
+      bedrooms: beds.length ? Math.min(...beds) : null,
+      bathrooms: baths.length ? Math.min(...baths) : null
+    };
+  }
+
+  /**
+   * Create a client account from a lead and email a set-password invitation.
+   * When a client with the lead's email already exists (and is not linked to
+   * another lead) the two are linked instead and no account is created.
+   * @param {string} leadId
+   * @param {Object} user - req.user ({ id, name })
+   * @param {Object} options - sendInvitation (default true)
+   * @returns {Promise<{ client: Object, created: boolean, invitationSent: boolean }>}
+   */
+  async convertLead(leadId, user, { sendInvitation = true } = {}) {
+    const lead = await Lead.findById(leadId);
+    if (!lead) {
+      throw conversionError('Lead not found', 404);
+    }
+
+    const linked = await Client.findOne({ linkedLeadId: lead._id }).select('email');
+    if (linked) {
+      throw conversionError(`Lead is already linked to client ${linked.email}`, 409);
+    }
+
+    if (!lead.email) {
+      throw conversionError('Lead has no email address to invite');
+    }
+
+    const existing = await Client.findOne({ email: lead.email.toLowerCase() });
+    if (existing) {
+      if (existing.linkedLeadId) {
+        throw conversionError('A client account with this email already exists and is linked to another lead', 409);
+      }
+
+      await this.link(existing, lead);
+      lead.addActivity(
+        'client_linked',
+        `Linked to existing client account by ${user.name}`,
+        user.id,
+        user.name,
+        { clientId: existing._id.toString(), method: 'conversion' }
+      );
+      await lead.save();
+
+      logger.info(`✅ Lead ${lead._id} linked to existing client ${existing.email}`);
+      return { client: existing.toSafeJSON(), created: false, invitationSent: false };
+    }
+
+    const client = new Client({
+      email: lead.email.toLowerCase(),
+      // Unusable until the client sets their own password from the invitation
+      password: crypto.randomBytes(32).toString('hex'),
+      name: lead.name,
+      phone: lead.phoneNumber || null,
+      // Staff have already qualified the lead, so no approval step is needed
+      status: 'approved',
+      approvedBy: user.id,
+      approvedAt: new Date(),
+      isVerified: false,
+      propertyPreferences: await this.inferPreferences(lead),
+      linkedLeadId: lead._id,
+      assignedAgent: lead.assignedTo || null
+    });
+
+    const token = client.generateInvitationToken(user.id, clientInvitationConfig.expiryHours);
+    await client.save();
+
+    lead.addActivity(
+      'converted_to_client',
+      `Converted to client account by ${user.name}`,
+      user.id,
+      user.name,
+      { clientId: client._id.toString(), invitationSent: sendInvitation }
+    );
+    await lead.save();
+
+    logger.info(`✅ Lead ${lead._id} converted to client ${client.email} by ${user.name}`);
+
+    const invitationSent = sendInvitation ? await this.sendInvitation(client, token, user) : false;
+
+    return { client: client.toSafeJSON(), created: true, invitationSent };
+  }
+
+  /**
+   * Issue a fresh invitation link (the previous one stops working)
+   */
+  async resendInvitation(clientId, user) {
+    const client = await Client.findById(clientId);
+    if (!client) {
+      throw conversionError('Client not found', 404);
+    }
+
+    if (client.invitationAcceptedAt || !client.invitedAt) {
+      throw conversionError('Client has no pending invitation', 409);
+    }
+
+    const token = client.generateInvitationToken(user.id, clientInvitationConfig.expiryHours);
+    await client.save();
+
+    const invitationSent = await this.sendInvitation(client, token, user);
+
+    return { client: client.toSafeJSON(), invitationSent };
+  }
+
+  /**
+   * Public details for a set-password page
+   */
+  async getInvitation(token) {
+    const client = await Client.findByInvitationToken(token);
+    if (!client) {
+      throw conversionError('Invitation link is invalid or has expired', 404);
+    }
+
+    return { name: client.name, email: client.email };
+  }
+
+  /**
+   * Set the password from an invitation link
+   * @returns {Promise<Object>} - the client (safe JSON)
+   */
+  async acceptInvitation(token, password) {
+    const client = await Client.findByInvitationToken(token);
+    if (!client) {
+      throw conversionError('Invitation link is invalid or has expired', 404);
+    }
+
+    await client.acceptInvitation(password);
+
+    logger.info(`✅ Client invitation accepted: ${client.email}`);
+    return client.toSafeJSON();
+  }
+
+  /**
+   * Link a client who has just verified their email to the most recent unlinked
+   * lead with that email, inheriting its assigned agent. Failures are logged rather
+   * than thrown; verification has already succeeded.
+   * @returns {Promise<string|null>} - linked lead id
+   */
+  async linkRegisteredClient(clientId) {
+    try {
+      const client = await Client.findById(clientId);
+      if (!client || client.linkedLeadId) return null;
+
+      const leads = await Lead.find({ email: client.email }).sort({ createdAt: -1 });
+      if (leads.length === 0) return null;
+
+      const linkedIds = (await Client.distinct('linkedLeadId', { linkedLeadId: { $in: leads.map(l => l._id) } }))
+        .map(id => id.toString());
+      const lead = leads.find(l => !linkedIds.includes(l._id.toString()));
+      if (!lead) return null;
+
+      await this.link(client, lead);
+      lead.addActivity(
+        'client_linked',
+        `${client.name} registered a client portal account`,
+        null,
+        null,
+        { clientId: client._id.toString(), method: 'registration' }
+      );
+      await lead.save();
+
+      logger.info(`✅ Registered client ${client.email} linked to lead ${lead._id}`);
+      return lead._id.toString();
+    } catch (error) {
+      logger.error(`❌ Link registered client error (${clientId}):`, error);
+      return null;
+    }
+  }
+
+  async link(client, lead) {
+    client.linkedLeadId = lead._id;
+    if (!client.assignedAgent && lead.assignedTo) {
+      client.assignedAgent = lead.assignedTo;
+    }
+    await client.save();
+  }
+
+  async sendInvitation(client, token, user) {
+    try {
+      const agent = client.assignedAgent
+        ? await User.findById(idOf(client.assignedAgent)).select('name email phone').lean()
+        : null;
+
+      await resend.emails.send({
+        from: FROM_EMAIL,
+        to: client.email,
+        subject: '🏡 Set Up Your Kejamatch Client Portal Account',
+        html: clientInvitationTemplate({
+          name: client.name,
+          invitedByName: user?.name || null,
+          inviteUrl: `${FRONTEND_URL}/client/set-password?token=${token}`,
+          expiryHours: clientInvitationConfig.expiryHours,
+          assignedAgent: agent
+        })
+      });
+      logger.info(`📧 Client invitation sent to: ${client.email}`);
+      return true;
+    } catch (error) {
+      logger.error(`❌ Failed to send client invitation to ${client.email}:`, error);
+      return false;
+    }
+  }
+}
+
+export const clientConversionService = new ClientConversionService();
+export default clientConversionService;
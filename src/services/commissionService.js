@@ -0,0 +1,116 @@
+/**
+ * Commission Service
+ * Commission rules per property type and the commission
+ * calculated for a won deal
+ */
+
+import CommissionRule from '../models/CommissionRuleModel.js';
+import { defaultCommissionRules } from '../config/deals.js';
+import logger from '../utils/logger.js';
+
+const CACHE_TTL_MS = 60 * 1000;
+const EDITABLE_FIELDS = ['rate', 'listingAgentShare', 'sellingAgentShare', 'description'];
+
+const commissionError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+class CommissionService {
+  constructor() {
+    this.cache = null;
+    this.loadedAt = 0;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  // Seed the default rules the first time they are read
+  async ensureDefaults() {
+    if (await CommissionRule.estimatedDocumentCount() > 0) return;
+
+    try {
+      await CommissionRule.insertMany(defaultCommissionRules);
+      logger.info('✅ Default commission rules created');
+    } catch (error) {
+      // Another instance seeded first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * Commission rules (cached briefly; admin changes invalidate the cache)
+   * @returns {Promise<Array>} - Plain rule objects
+   */
+  async getRules() {
+    if (!this.cache || Date.now() - this.loadedAt > CACHE_TTL_MS) {
+      await this.ensureDefaults();
+      this.cache = await CommissionRule.find({}).sort({ propertyType: 1 }).lean();
+      this.loadedAt = Date.now();
+    }
+
+    return this.cache;
+  }
+
+  async getRule(propertyType) {
+    const rules = await this.getRules();
+    return rules.find(r => r.propertyType === propertyType) || null;
+  }
+
+  /**
+   * Commission for a deal under the current rule for its property type.
+   * The result is stored on the deal, so later rule changes do not alter won deals.
+   * @param {Object} deal - { propertyType, agreedPrice }
+   * @returns {Promise<Object>} - commission sub-document
+   */
+  async calculate(deal) {
+    const rule = await this.getRule(deal.propertyType);
+    if (!rule) {
+      throw commissionError(`No commission rule is configured for ${deal.propertyType} deals`, 409);
+    }
+
+    const amount = Math.round(deal.agreedPrice * rule.rate / 100);
+    const listingAgentAmount = Math.round(amount * rule.listingAgentShare / 100);
+
+    return {
+      rate: rule.rate,
+      amount,
+      listingAgentShare: rule.listingAgentShare,
+      listingAgentAmount,
+      sellingAgentShare: rule.sellingAgentShare,
+      sellingAgentAmount: amount - listingAgentAmount,
+      calculatedAt: new Date()
+    };
+  }
+
+  /**
+   * Update the rule for a property type. Deals already won keep the commission they were paid.
+   */
+  async updateRule(propertyType, data, userId = null) {
+    await this.ensureDefaults();
+
+    const rule = await CommissionRule.findOne({ propertyType });
+    if (!rule) {
+      throw commissionError('Commission rule not found', 404);
+    }
+
+    EDITABLE_FIELDS.forEach(name => {
+      if (data[name] !== undefined) rule[name] = data[name];
+    });
+
+    // Changing one share implies the other
+    if (data.listingAgentShare !== undefined && data.sellingAgentShare === undefined) {
+      rule.sellingAgentShare = 100 - rule.listingAgentShare;
+    } else if (data.sellingAgentShare !== undefined && data.listingAgentShare === undefined) {
+      rule.listingAgentShare = 100 - rule.sellingAgentShare;
+    }
+
+    rule.updatedBy = userId;
+    await rule.save();
+
+    this.invalidate();
+    logger.info(`✅ Commission rule updated: ${propertyType}`);
+    return rule;
+  }
+}
+
+export const commissionService = new CommissionService();
+export default commissionService;
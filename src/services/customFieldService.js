@@ -0,0 +1,319 @@
+/**
+ * Custom Field Service
+ * Admin-defined lead fields: definitions, value validation,
+ * list filters, CSV columns and the Odoo x_ field mapping
+ */
+
+import CustomField from '../models/CustomFieldModel.js';
+import Lead from '../models/LeadModel.js';
+import { defaultCustomFields } from '../config/customFields.js';
+import { normalizeSearchText, escapeRegex } from '../utils/searchText.js';
+import logger from '../utils/logger.js';
+
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_TEXT_LENGTH = 1000;
+const EDITABLE_FIELDS = ['label', 'options', 'description', 'order', 'isActive', 'odooField'];
+
+const fieldError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+class CustomFieldService {
+  constructor() {
+    this.cache = null;
+    this.loadedAt = 0;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  // Seed the default fields the first time custom fields are read
+  async ensureDefaults() {
+    if (await CustomField.estimatedDocumentCount() > 0) return;
+
+    try {
+      await CustomField.insertMany(defaultCustomFields);
+      logger.info('✅ Default lead custom fields created');
+    } catch (error) {
+      // Another instance seeded first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * Field definitions (cached briefly; admin changes invalidate the cache)
+   * @param {Object} options - includeInactive
+   * @returns {Promise<Array>} - Plain field objects in display order
+   */
+  async getFields({ includeInactive = false } = {}) {
+    if (!this.cache || Date.now() - this.loadedAt > CACHE_TTL_MS) {
+      await this.ensureDefaults();
+      this.cache = await CustomField.find({}).sort({ order: 1, label: 1 }).lean();
+      this.loadedAt = Date.now();
+    }
+
+    return includeInactive ? this.cache : this.cache.filter(f => f.isActive);
+  }
+
+  async getField(key) {
+    const fields = await this.getFields({ includeInactive: true });
+    return fields.find(f => f.key === key) || null;
+  }
+
+  /**
+   * Coerce a single value to the field's type
+   * @returns {{ value?: any, error?: string }}
+   */
+  coerceValue(field, raw) {
+    switch (field.type) {
+      case 'text': {
+        const value = String(raw).trim();
+        if (value.length > MAX_TEXT_LENGTH) {
+          return { error: `${field.label} must not exceed ${MAX_TEXT_LENGTH} characters` };
+        }
+        return { value };
+      }
+      case 'number': {
+        const value = typeof raw === 'number' ? raw : Number(String(raw).replace(/,/g, '').trim());
+        if (!Number.isFinite(value)) {
+          return { error: `${field.label} must be a number` };
+        }
+        return { value };
+      }
+      case 'select': {
+        const value = String(raw).trim();
+        if (!field.options.includes(value)) {
+          return { error: `${field.label} must be one of: ${field.options.join(', ')}` };
+        }
+        return { value };
+      }
+      case 'date': {
+        const value = new Date(raw);
+        if (Number.isNaN(value.getTime())) {
+          return { error: `${field.label} must be a valid date` };
+        }
+        return { value };
+      }
+      default:
+        return { error: `${field.label} has an unknown type` };
+    }
+  }
+
+  /**
+   * Validate submitted values against the active definitions.
+   * null or '' clears a value.
+   * @param {Object} values - { key: value }
+   * @returns {Promise<{ set: Object, unset: Array<string>, errors: Array<{ field, message }> }>}
+   */
+  async validateValues(values) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return { set: {}, unset: [], errors: [{ field: 'customFields', message: 'Custom fields must be an object' }] };
+    }
+
+    const fields = await this.getFields();
+    const set = {};
+    const unset = [];
+    const errors = [];
+
+    Object.entries(values).forEach(([key, raw]) => {
+      const field = fields.find(f => f.key === key);
+      if (!field) {
+        errors.push({ field: key, message: `Unknown custom field "${key}"` });
+        return;
+      }
+
+      if (raw === null || raw === undefined || raw === '') {
+        unset.push(key);
+        return;
+      }
+
+      const { value, error } = this.coerceValue(field, raw);
+      if (error) {
+        errors.push({ field: key, message: error });
+      } else {
+        set[key] = value;
+      }
+    });
+
+    return { set, unset, errors };
+  }
+
+  /**
+   * Mongo conditions for `custom.<key>` list filters.
+   * Text matches values starting with the filter (case- and accent-insensitive,
+   * against the indexed customFieldSearch copy), select accepts comma-separated values,
+   * number and date accept exact values or "min..max" ranges (either side optional).
+   * @param {Object} filters - { key: raw value }
+   * @returns {Promise<Object>}
+   */
+  async buildFilter(filters = {}) {
+    const query = {};
+    const fields = await this.getFields({ includeInactive: true });
+
+    for (const [key, raw] of Object.entries(filters)) {
+      const field = fields.find(f => f.key === key);
+      if (!field) {
+        throw fieldError(`Unknown custom field filter "${key}"`);
+      }
+
+      const path = `customFields.${key}`;
+      const value = String(raw).trim();
+
+      if (field.type === 'text') {
+        query[`customFieldSearch.${key}`] = new RegExp(`^${escapeRegex(normalizeSearchText(value))}`);
+      } else if (field.type === 'select') {
+        const options = value.split(',').map(v => v.trim()).filter(Boolean);
+        query[path] = options.length > 1 ? { $in: options } : options[0];
+      } else {
+        const [from, to] = value.includes('..') ? value.split('..') : [value, value];
+        const condition = {};
+        [['$gte', from], ['$lte', to]].forEach(([op, bound]) => {
+          if (bound === undefined || bound === '') return;
+          const { value: coerced, error } = this.coerceValue(field, bound);
+          if (error) throw fieldError(error);
+          // A date-only upper bound includes that whole day
+          if (field.type === 'date' && op === '$lte' && /^\d{4}-\d{2}-\d{2}$/.test(bound.trim())) {
+            coerced.setUTCHours(23, 59, 59, 999);
+          }
+          condition[op] = coerced;
+        });
+        query[path] = condition;
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * Format a stored value for CSV export
+   */
+  formatValue(field, value) {
+    if (value === null || value === undefined) return '';
+    if (field.type === 'date') return new Date(value).toISOString().slice(0, 10);
+    return String(value);
+  }
+
+  /**
+   * Odoo crm.lead values for a lead's custom fields
+   * @returns {Promise<Object>} - { x_field: value }
+   */
+  async toOdooValues(lead) {
+    const fields = await this.getFields();
+    const values = {};
+
+    fields.filter(f => f.odooField).forEach(field => {
+      const value = lead.customFields?.[field.key];
+      if (value === undefined || value === null) return;
+      values[field.odooField] = field.type === 'date' ? new Date(value).toISOString().slice(0, 10) : value;
+    });
+
+    return values;
+  }
+
+  /**
+   * Custom field values from an Odoo crm.lead record (invalid values are skipped)
+   * @returns {Promise<Object>} - { key: value }
+   */
+  async fromOdooValues(odooLead) {
+    const fields = await this.getFields();
+    const values = {};
+
+    fields.filter(f => f.odooField).forEach(field => {
+      const raw = odooLead[field.odooField];
+      // Odoo returns false for empty fields
+      if (raw === undefined || raw === null || raw === false || raw === '') return;
+
+      const { value, error } = this.coerceValue(field, raw);
+      if (!error) values[field.key] = value;
+    });
+
+    return values;
+  }
+
+  async getOdooFieldNames() {
+    const fields = await this.getFields();
+    return fields.filter(f => f.odooField).map(f => f.odooField);
+  }
+
+  async createField(data, userId = null) {
+    const field = await CustomField.create({
+      key: data.key,
+      label: data.label,
+      type: data.type,
+      options: data.options || [],
+      description: data.description || null,
+      order: data.order ?? 0,
+      isActive: data.isActive !== false,
+      odooField: data.odooField || null,
+      createdBy: userId,
+      updatedBy: userId
+    });
+
+    this.invalidate();
+    logger.info(`✅ Custom field created: ${field.key}`);
+    return field;
+  }
+
+  /**
+   * Update a field definition. Key and type are fixed once created;
+   * removing a select option is refused while leads still use it.
+   */
+  async updateField(key, data, userId = null) {
+    const field = await CustomField.findOne({ key });
+    if (!field) {
+      throw fieldError('Custom field not found', 404);
+    }
+
+    if (data.type !== undefined && data.type !== field.type) {
+      throw fieldError('The type of a custom field cannot be changed');
+    }
+
+    if (field.type === 'select' && Array.isArray(data.options)) {
+      const removed = field.options.filter(option => !data.options.includes(option));
+      for (const option of removed) {
+        const inUse = await Lead.countDocuments({
+          [`customFields.${key}`]: option,
+          isDeleted: { $in: [true, false, null] }
+        });
+        if (inUse > 0) {
+          throw fieldError(`Option "${option}" is still used by ${inUse} lead(s)`, 409);
+        }
+      }
+    }
+
+    EDITABLE_FIELDS.forEach(name => {
+      if (data[name] !== undefined) field[name] = data[name];
+    });
+    field.updatedBy = userId;
+    await field.save();
+
+    this.invalidate();
+    logger.info(`✅ Custom field updated: ${key}`);
+    return field;
+  }
+
+  /**
+   * Delete a field definition and clear its values from every lead
+   * @returns {Promise<number>} - leads that had a value
+   */
+  async deleteField(key) {
+    const field = await CustomField.findOne({ key });
+    if (!field) {
+      throw fieldError('Custom field not found', 404);
+    }
+
+    const path = `customFields.${key}`;
+    const { modifiedCount } = await Lead.updateMany(
+      { [path]: { $exists: true } },
+      { $unset: { [path]: '' } }
+    );
+
+    await field.deleteOne();
+
+    this.invalidate();
+    logger.info(`✅ Custom field deleted: ${key} (cleared on ${modifiedCount} lead(s))`);
+    return modifiedCount;
+  }
+}
+
+export const customFieldService = new CustomFieldService();
+export default customFieldService;
@@ -0,0 +1,381 @@
+/**
+ * Deal Service
+ * Deals on leads: access rules, links to lead, client and property,
+ * stage changes and commission on won deals
+ */
+
+import mongoose from 'mongoose';
+import Deal from '../models/DealModel.js';
+import Lead from '../models/LeadModel.js';
+import Client from '../models/ClientModel.js';
+import Property from '../models/PropertyModel.js';
+import User from '../models/UserModel.js';
+import commissionService from './commissionService.js';
+import pipelineService from './pipelineService.js';
+import dealConfig from '../config/deals.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const EDITABLE_FIELDS = ['title', 'offerPrice', 'agreedPrice', 'expectedCloseDate', 'probability', 'notes', 'lostReason'];
+
+const dealError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+
+const populateLinks = (query) => query
+  .populate('lead', 'name email phoneNumber status')
+  .populate('client', 'name email phone')
+  .populate('property', 'title type category price location.city status');
+
+class DealService {
+  /**
+   * Admins see every deal; agents see deals they are the listing or selling agent on
+   */
+  canAccess(deal, user) {
+    if (user.role === 'admin') return true;
+    return idOf(deal.sellingAgent) === user.id || idOf(deal.listingAgent) === user.id;
+  }
+
+  buildListFilter(query, user) {
+    const filter = {};
+
+    const agentId = user.role === 'admin' ? query.agentId : user.id;
+    if (agentId) {
+      filter.$or = [{ sellingAgent: String(agentId) }, { listingAgent: String(agentId) }];
+    }
+
+    if (query.stage && typeof query.stage === 'string') {
+      const stages = query.stage.split(',').map(v => v.trim()).filter(Boolean);
+      filter.stage = stages.length > 1 ? { $in: stages } : stages[0];
+    }
+
+    ['lead', 'client', 'property'].forEach(field => {
+      if (query[field] && mongoose.isValidObjectId(query[field])) filter[field] = query[field];
+    });
+
+    if (query.expectedCloseAfter || query.expectedCloseBefore) {
+      filter.expectedCloseDate = {};
+      if (query.expectedCloseAfter) filter.expectedCloseDate.$gte = new Date(query.expectedCloseAfter);
+      if (query.expectedCloseBefore) filter.expectedCloseDate.$lte = new Date(query.expectedCloseBefore);
+    }
+
+    return filter;
+  }
+
+  /**
+   * List deals visible to the user
+   * @returns {Promise<Object>} - { deals, pagination }
+   */
+  async listDeals(query, user) {
+    const filter = this.buildListFilter(query, user);
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+    const [deals, total] = await Promise.all([
+      populateLinks(Deal.find(filter))
+        .sort({ expectedCloseDate: 1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Deal.countDocuments(filter)
+    ]);
+
+    return {
+      deals,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  async findAgent(agentId, label) {
+    if (!mongoose.isValidObjectId(agentId)) throw dealError(`Invalid ${label} ID`);
+    const agent = await User.findOne({
+      _id: agentId,
+      isActive: true,
+      role: { $in: ['agent', 'admin'] }
+    }).select('name');
+    if (!agent) throw dealError(`${label[0].toUpperCase()}${label.slice(1)} not found or inactive`, 404);
+    return agent;
+  }
+
+  /**
+   * Check the lead, client, property and agents a user may set on a deal.
+   * The client defaults to the one linked to the lead, the selling agent to the
+   * lead's agent and the listing agent to the property's agent.
+   * @returns {Promise<Object>} - { lead, client, property, sellingAgent, listingAgent }
+   */
+  async resolveLinks(data, user, current = null) {
+    const leadId = current ? idOf(current.lead) : data.lead;
+    if (!leadId || !mongoose.isValidObjectId(leadId)) throw dealError('Valid lead ID is required');
+
+    const lead = await Lead.findById(leadId).select('name source assignedTo');
+    if (!lead) throw dealError('Lead not found', 404);
+    if (!current && user.role !== 'admin' && idOf(lead.assignedTo) !== user.id) {
+      throw dealError('You can only add deals to leads assigned to you', 403);
+    }
+
+    const propertyId = data.property !== undefined ? data.property : idOf(current?.property);
+    if (!propertyId || !mongoose.isValidObjectId(propertyId)) throw dealError('Valid property ID is required');
+    const property = await Property.findById(propertyId).select('title type agent');
+    if (!property) throw dealError('Property not found', 404);
+
+    let client = null;
+    const clientId = data.client !== undefined ? data.client : idOf(current?.client);
+    if (clientId) {
+      if (!mongoose.isValidObjectId(clientId)) throw dealError('Invalid client ID');
+      client = await Client.findById(clientId).select('name');
+      if (!client) throw dealError('Client not found', 404);
+    } else if (!current) {
+      client = await Client.findOne({ linkedLeadId: lead._id }).select('name');
+    }
+
+    const agentFields = ['sellingAgent', 'listingAgent'].filter(field => data[field] !== undefined);
+    if (agentFields.length > 0 && user.role !== 'admin') {
+      throw dealError('Only admins can change the agents on a deal', 403);
+    }
+
+    const sellingAgentId = data.sellingAgent !== undefined
+      ? data.sellingAgent
+      : idOf(current?.sellingAgent) || idOf(lead.assignedTo) || user.id;
+    const sellingAgent = await this.findAgent(sellingAgentId, 'selling agent');
+
+    let listingAgent = null;
+    if (data.listingAgent !== undefined || current) {
+      const listingAgentId = data.listingAgent !== undefined ? data.listingAgent : idOf(current.listingAgent);
+      if (listingAgentId) listingAgent = await this.findAgent(listingAgentId, 'listing agent');
+    } else if (property.agent?.userId) {
+      // The property's agent may have left; the deal then has no listing agent
+      listingAgent = await User.findOne({ _id: property.agent.userId, isActive: true }).select('name');
+    }
+
+    return { lead, client, property, sellingAgent, listingAgent };
+  }
+
+  async createDeal(data, user) {
+    const { lead, client, property, sellingAgent, listingAgent } = await this.resolveLinks(data, user);
+
+    const deal = new Deal({
+      title: data.title || `${lead.name} – ${property.title}`,
+      lead: lead._id,
+      client: client?._id || null,
+      property: property._id,
+      propertyName: property.title,
+      propertyType: property.type,
+      source: lead.source || null,
+      sellingAgent: sellingAgent._id,
+      sellingAgentName: sellingAgent.name,
+      listingAgent: listingAgent?._id || null,
+      listingAgentName: listingAgent?.name || null,
+      createdBy: user.id,
+      createdByName: user.name
+    });
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) deal[field] = data[field];
+    });
+    deal.stage = data.stage || 'offer';
+
+    await this.applyStage(deal, data);
+    await deal.save();
+
+    await this.logOnLead(deal, 'deal_created', `Deal created: ${deal.title}`, user);
+    await this.logStageOutcome(deal, user);
+    if (deal.stage === 'won') await this.syncLeadWon(deal.lead, user);
+
+    logger.info(`✅ Deal created: ${deal._id} on lead ${lead._id} by ${user.name}`);
+    return deal;
+  }
+
+  async updateDeal(deal, data, user) {
+    const linksChanged = ['property', 'client', 'sellingAgent', 'listingAgent'].some(field => data[field] !== undefined);
+
+    if (linksChanged) {
+      const { client, property, sellingAgent, listingAgent } = await this.resolveLinks(data, user, deal);
+      deal.client = client?._id || null;
+      deal.property = property._id;
+      deal.propertyName = property.title;
+      deal.propertyType = property.type;
+      deal.sellingAgent = sellingAgent._id;
+      deal.sellingAgentName = sellingAgent.name;
+      deal.listingAgent = listingAgent?._id || null;
+      deal.listingAgentName = listingAgent?.name || null;
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) deal[field] = data[field];
+    });
+    const wasWon = deal.stage === 'won';
+    if (data.stage !== undefined) deal.stage = data.stage;
+
+    const stageChanged = deal.isModified('stage');
+    await this.applyStage(deal, data);
+    const winChanged = deal.stage === 'won'
+      && ['stage', 'agreedPrice', 'property', 'closedAt'].some(path => deal.isModified(path));
+    await deal.save();
+
+    if (stageChanged) {
+      await this.logStageOutcome(deal, user);
+    }
+    if (winChanged || (wasWon && deal.stage !== 'won')) {
+      await this.syncLeadWon(deal.lead, user);
+    }
+
+    return deal;
+  }
+
+  /**
+   * Keep probability, close date and commission consistent with the stage.
+   * Commission is (re)calculated whenever a won deal's price, property type or agents change.
+   */
+  async applyStage(deal, data) {
+    const entering = deal.isNew || deal.isModified('stage');
+
+    if (entering && data.probability === undefined) {
+      deal.probability = dealConfig.stageProbabilities[deal.stage];
+    }
+
+    if (deal.stage === 'won') {
+      if (!(deal.agreedPrice > 0)) {
+        throw dealError('An agreed price is required to mark a deal as won');
+      }
+      deal.probability = 100;
+
+      if (entering) {
+        const closedAt = data.closedAt ? new Date(data.closedAt) : new Date();
+        if (Number.isNaN(closedAt.getTime()) || closedAt > new Date()) {
+          throw dealError('Close date must be a valid date that is not in the future');
+        }
+        deal.closedAt = closedAt;
+      }
+
+      const pricingChanged = ['agreedPrice', 'propertyType', 'sellingAgent', 'listingAgent']
+        .some(path => deal.isModified(path));
+      if (entering || pricingChanged || !deal.commission) {
+        deal.commission = await commissionService.calculate(deal);
+      }
+      return;
+    }
+
+    deal.commission = null;
+
+    if (deal.stage === 'lost') {
+      deal.probability = 0;
+      if (entering) deal.closedAt = new Date();
+    } else {
+      deal.closedAt = null;
+      deal.lostReason = null;
+    }
+  }
+
+  async logStageOutcome(deal, user) {
+    if (deal.stage === 'won') {
+      await this.logOnLead(deal, 'deal_won', `Deal won: ${deal.title} (KES ${deal.agreedPrice.toLocaleString()})`, user, {
+        agreedPrice: deal.agreedPrice,
+        commission: deal.commission?.amount ?? null
+      });
+    } else if (deal.stage === 'lost') {
+      await this.logOnLead(deal, 'deal_lost', `Deal lost: ${deal.title}`, user, {
+        lostReason: deal.lostReason
+      });
+    }
+  }
+
+  /**
+   * Keep a lead's won outcome in line with its won deals, so revenue analytics
+   * (read from leads) and commission (read from deals) agree. With won deals the
+   * lead moves to its pipeline's won stage; the value is their total and the
+   * property and close date are the latest deal's. When its last won deal leaves
+   * won or is deleted, a deal-based outcome is cleared and the lead goes back to
+   * its pipeline's last open stage. Outcomes entered by hand are left alone.
+   */
+  async syncLeadWon(leadId, user) {
+    try {
+      const lead = await Lead.findById(leadId);
+      if (!lead) return;
+
+      const pipeline = await pipelineService.getPipeline(lead.pipeline);
+      if (!pipeline) return;
+
+      const isWonStage = pipeline.stages.some(stage => stage.isWon && stage.key === lead.status);
+      const wonDeals = await Deal.find({ lead: lead._id, stage: 'won' }).sort({ closedAt: 1, createdAt: 1 });
+
+      if (wonDeals.length === 0) {
+        if (!lead.won?.deals?.length) return;
+
+        if (isWonStage) {
+          const reopenStage = pipeline.stages
+            .filter(stage => !stage.isWon && !stage.isLost)
+            .sort((a, b) => a.order - b.order)
+            .pop();
+          if (reopenStage) {
+            await lead.changeStatus(reopenStage.key, user.id, user.name, {});
+            return;
+          }
+        }
+
+        lead.won = null;
+        await lead.save();
+        return;
+      }
+
+      const wonStage = pipeline.stages.find(stage => stage.isWon);
+      if (!wonStage) return;
+
+      const latest = wonDeals[wonDeals.length - 1];
+      const won = {
+        value: wonDeals.reduce((total, deal) => total + deal.agreedPrice, 0),
+        propertyId: idOf(latest.property),
+        propertyName: latest.propertyName,
+        closeDate: latest.closedAt,
+        deals: wonDeals.map(deal => deal._id)
+      };
+
+      if (isWonStage) {
+        lead.won = { ...won, at: new Date(), by: user.id, byName: user.name };
+        await lead.save();
+      } else {
+        await lead.changeStatus(wonStage.key, user.id, user.name, { won });
+      }
+    } catch (error) {
+      logger.error(`❌ Sync lead won outcome error (${leadId}):`, error);
+    }
+  }
+
+  // Deal events appear on the lead's activity timeline; failures do not undo the deal change
+  async logOnLead(deal, type, description, user, metadata = {}) {
+    try {
+      const lead = await Lead.findById(deal.lead);
+      if (!lead) return;
+
+      lead.addActivity(type, description, user.id, user.name, { dealId: deal._id.toString(), ...metadata });
+      await lead.save();
+    } catch (error) {
+      logger.error(`❌ Log deal activity error (${deal._id}):`, error);
+    }
+  }
+
+  /**
+   * Delete a deal. Won deals carry paid commission, so only admins may remove them.
+   */
+  async deleteDeal(deal, user) {
+    if (deal.stage === 'won' && user.role !== 'admin') {
+      throw dealError('Only admins can delete won deals', 403);
+    }
+
+    await deal.deleteOne();
+    logger.info(`✅ Deal deleted: ${deal._id} by ${user.name}`);
+
+    if (deal.stage === 'won') {
+      await this.syncLeadWon(deal.lead, user);
+    }
+  }
+}
+
+export const dealService = new DealService();
+export default dealService;
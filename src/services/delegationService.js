@@ -0,0 +1,268 @@
+/**
+ * Delegation Service
+ * Out-of-office periods: an agent's open leads and clients move to a delegate
+ * when the period starts and back to the agent when it ends
+ */
+
+import mongoose from 'mongoose';
+import Delegation from '../models/DelegationModel.js';
+import Lead from '../models/LeadModel.js';
+import Client from '../models/ClientModel.js';
+import User from '../models/UserModel.js';
+import pipelineService from './pipelineService.js';
+import delegationConfig, { DELEGATION_STATUSES } from '../config/delegation.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SYSTEM_USER = { id: null, name: 'System' };
+
+const delegationError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+
+class DelegationService {
+  async findAgent(agentId, label) {
+    if (!mongoose.isValidObjectId(agentId)) throw delegationError(`Invalid ${label} ID`);
+    const agent = await User.findOne({
+      _id: agentId,
+      isActive: true,
+      role: { $in: ['agent', 'admin'] }
+    }).select('name');
+    if (!agent) throw delegationError(`${label[0].toUpperCase()}${label.slice(1)} not found or inactive`, 404);
+    return agent;
+  }
+
+  parseDate(value, label) {
+    const date = new Date(value);
+    if (!value || Number.isNaN(date.getTime())) throw delegationError(`A valid ${label} is required`);
+    return date;
+  }
+
+  /**
+   * Admins see every delegation; agents see the ones they are away for or covering
+   * @param {Object} query - status, agentId (admins)
+   */
+  async listDelegations(query, user) {
+    const filter = {};
+
+    if (user.role === 'admin') {
+      if (query.agentId) {
+        if (!mongoose.isValidObjectId(query.agentId)) throw delegationError('Invalid agent ID');
+        filter.$or = [{ agent: query.agentId }, { delegate: query.agentId }];
+      }
+    } else {
+      filter.$or = [{ agent: user.id }, { delegate: user.id }];
+    }
+
+    if (query.status) {
+      if (!DELEGATION_STATUSES.includes(query.status)) {
+        throw delegationError(`Status must be one of: ${DELEGATION_STATUSES.join(', ')}`);
+      }
+      filter.status = query.status;
+    }
+
+    return Delegation.find(filter).select('-leads -clients').sort({ startsAt: -1 }).limit(200);
+  }
+
+  /**
+   * Book an out-of-office period. Agents book their own; admins can book for anyone.
+   * A period that has already started hands the records over straight away.
+   * @param {Object} data - agentId (admins), delegateId, startsAt (default now), endsAt, reason
+   */
+  async createDelegation(data, user, now = new Date()) {
+    const agentId = data.agentId || user.id;
+    if (user.role !== 'admin' && agentId !== user.id) {
+      throw delegationError('You can only set up delegation for yourself', 403);
+    }
+
+    const agent = await this.findAgent(agentId, 'agent');
+    const delegate = await this.findAgent(data.delegateId, 'delegate');
+
+    const startsAt = data.startsAt ? this.parseDate(data.startsAt, 'start date') : now;
+    const endsAt = this.parseDate(data.endsAt, 'end date');
+    if (endsAt <= now) throw delegationError('End date must be in the future');
+    if (endsAt - startsAt > delegationConfig.maxDays * DAY_MS) {
+      throw delegationError(`Delegation cannot be longer than ${delegationConfig.maxDays} days`);
+    }
+
+    const overlapping = { status: { $in: ['scheduled', 'active'] }, startsAt: { $lt: endsAt }, endsAt: { $gt: startsAt } };
+    if (await Delegation.exists({ ...overlapping, agent: agent._id })) {
+      throw delegationError(`${agent.name} already has delegation set up for part of this period`, 409);
+    }
+    if (await Delegation.exists({ ...overlapping, agent: delegate._id })) {
+      throw delegationError(`${delegate.name} is out of office during this period`, 409);
+    }
+
+    const delegation = await Delegation.create({
+      agent: agent._id,
+      agentName: agent.name,
+      delegate: delegate._id,
+      delegateName: delegate.name,
+      startsAt,
+      endsAt,
+      reason: data.reason || null,
+      createdBy: user.id,
+      createdByName: user.name
+    });
+
+    logger.info(`✅ Delegation ${delegation._id}: ${agent.name} -> ${delegate.name} (${startsAt.toISOString()} - ${endsAt.toISOString()})`);
+
+    if (startsAt <= now) {
+      await this.start(delegation, user);
+    }
+    return delegation;
+  }
+
+  /**
+   * Cancel a scheduled delegation, or end an active one early (records go back to the agent)
+   */
+  async cancelDelegation(id, user) {
+    if (!mongoose.isValidObjectId(id)) throw delegationError('Invalid delegation ID');
+
+    const delegation = await Delegation.findById(id);
+    if (!delegation) throw delegationError('Delegation not found', 404);
+
+    if (user.role !== 'admin' && idOf(delegation.agent) !== user.id) {
+      throw delegationError('You can only cancel your own delegation', 403);
+    }
+
+    if (delegation.status === 'scheduled') {
+      delegation.status = 'cancelled';
+      delegation.endedAt = new Date();
+      await delegation.save();
+      logger.info(`✅ Delegation ${delegation._id} cancelled by ${user.name}`);
+      return delegation;
+    }
+
+    if (delegation.status === 'active') {
+      return this.end(delegation, user);
+    }
+
+    throw delegationError(`Delegation is already ${delegation.status}`, 409);
+  }
+
+  /**
+   * Hand the agent's open leads and clients to the delegate
+   */
+  async start(delegation, user = SYSTEM_USER) {
+    const closedStatuses = await pipelineService.getClosedStageKeys();
+    const [leads, clients] = await Promise.all([
+      Lead.find({ assignedTo: delegation.agent, status: { $nin: closedStatuses } }),
+      Client.find({ assignedAgent: delegation.agent })
+    ]);
+
+    const metadata = {
+      delegation: {
+        id: delegation._id.toString(),
+        from: idOf(delegation.agent),
+        fromName: delegation.agentName,
+        until: delegation.endsAt
+      }
+    };
+
+    for (const lead of leads) {
+      await lead.assignToAgent(delegation.delegate, user.id, user.name, delegation.delegateName, metadata);
+    }
+    for (const client of clients) {
+      await client.assignToAgent(delegation.delegate, user.id, user.name, delegation.delegateName, metadata);
+    }
+
+    delegation.leads = leads.map(lead => lead._id);
+    delegation.clients = clients.map(client => client._id);
+    delegation.status = 'active';
+    delegation.startedAt = new Date();
+    await delegation.save();
+
+    logger.info(`🔀 Delegation ${delegation._id} started: ${leads.length} lead(s), ${clients.length} client(s) to ${delegation.delegateName}`);
+    return delegation;
+  }
+
+  /**
+   * Hand back what the delegate still holds. Nothing is handed back to an agent
+   * who has since been deactivated or deleted.
+   */
+  async end(delegation, user = SYSTEM_USER) {
+    const agent = await User.findOne({ _id: delegation.agent, isActive: true }).select('name');
+    let returned = { leads: 0, clients: 0 };
+
+    if (agent) {
+      const [leads, clients] = await Promise.all([
+        Lead.find({ _id: { $in: delegation.leads }, assignedTo: delegation.delegate }),
+        Client.find({ _id: { $in: delegation.clients }, assignedAgent: delegation.delegate })
+      ]);
+
+      const metadata = { delegation: { id: delegation._id.toString(), returned: true } };
+
+      for (const lead of leads) {
+        await lead.assignToAgent(agent._id, user.id, user.name, agent.name, metadata);
+      }
+      for (const client of clients) {
+        await client.assignToAgent(agent._id, user.id, user.name, agent.name, metadata);
+      }
+      returned = { leads: leads.length, clients: clients.length };
+    }
+
+    delegation.status = 'completed';
+    delegation.endedAt = new Date();
+    await delegation.save();
+
+    logger.info(`🔀 Delegation ${delegation._id} ended: ${returned.leads} lead(s), ${returned.clients} client(s) returned`);
+    return delegation;
+  }
+
+  /**
+   * Start and end delegations that are due (background job)
+   * @returns {Promise<Object>} - { started, ended }
+   */
+  async processDue(now = new Date()) {
+    const due = await Delegation.find({ status: 'scheduled', startsAt: { $lte: now } });
+    for (const delegation of due) {
+      await this.start(delegation);
+    }
+
+    const finished = await Delegation.find({ status: 'active', endsAt: { $lte: now } });
+    for (const delegation of finished) {
+      await this.end(delegation);
+    }
+
+    return { started: due.length, ended: finished.length };
+  }
+
+  /**
+   * The delegation covering an agent right now, if any
+   */
+  async getActiveDelegation(agentId) {
+    return Delegation.findOne({ agent: agentId, status: 'active' });
+  }
+
+  /**
+   * Record a lead assigned to a delegate while the agent is away, so it goes to the agent afterwards
+   */
+  async trackLead(delegation, leadId) {
+    await Delegation.updateOne({ _id: delegation._id }, { $addToSet: { leads: leadId } });
+  }
+
+  /**
+   * Wind up delegations involving an agent who was deactivated or deleted:
+   * scheduled ones are cancelled and active ones ended (records the agent was
+   * covering go back to their owner; the agent's own stay with the delegate)
+   */
+  async closeForAgent(agentId, user) {
+    const involving = { $or: [{ agent: agentId }, { delegate: agentId }] };
+
+    const cancelled = await Delegation.updateMany(
+      { ...involving, status: 'scheduled' },
+      { $set: { status: 'cancelled', endedAt: new Date() } }
+    );
+
+    const active = await Delegation.find({ ...involving, status: 'active' });
+    for (const delegation of active) {
+      await this.end(delegation, user);
+    }
+
+    return { cancelled: cancelled.modifiedCount, ended: active.length };
+  }
+}
+
+export const delegationService = new DelegationService();
+export default delegationService;
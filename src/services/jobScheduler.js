@@ -0,0 +1,93 @@
+/**
+ * Job Scheduler
+ * Runs background jobs on fixed intervals inside the API process
+ */
+
+import logger from '../utils/logger.js';
+
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Register a job. Registering after start() schedules it immediately.
+   * @param {string} name - Unique job name
+   * @param {number} intervalMs - Interval between runs
+   * @param {Function} handler - Async function to run
+   */
+  register(name, intervalMs, handler) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+
+    const job = { name, intervalMs, handler, timer: null, running: false, lastRunAt: null, lastError: null };
+    this.jobs.set(name, job);
+
+    if (this.started) {
+      this.schedule(job);
+    }
+  }
+
+  schedule(job) {
+    job.timer = setInterval(() => this.run(job.name), job.intervalMs);
+    // Never keep the process alive just for background jobs
+    job.timer.unref();
+  }
+
+  /**
+   * Run a job now; skipped if the previous run has not finished
+   * @param {string} name
+   */
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job || job.running) return;
+
+    job.running = true;
+    try {
+      await job.handler();
+      job.lastError = null;
+    } catch (error) {
+      job.lastError = error.message;
+      logger.error(`❌ Job "${name}" failed:`, error);
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+    }
+  }
+
+  start() {
+    if (this.started) return;
+
+    if (process.env.DISABLE_BACKGROUND_JOBS === 'true') {
+      logger.warn('⚠️  Background jobs disabled (DISABLE_BACKGROUND_JOBS=true)');
+      return;
+    }
+
+    this.started = true;
+    this.jobs.forEach(job => this.schedule(job));
+    logger.info(`⏱️  Background jobs started: ${[...this.jobs.keys()].join(', ') || 'none'}`);
+  }
+
+  stop() {
+    this.jobs.forEach(job => {
+      clearInterval(job.timer);
+      job.timer = null;
+    });
+    this.started = false;
+  }
+
+  getStatus() {
+    return [...this.jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+      name,
+      intervalMs,
+      running,
+      lastRunAt,
+      lastError
+    }));
+  }
+}
+
+export const jobScheduler = new JobScheduler();
+export default jobScheduler;
@@ -0,0 +1,244 @@
+/**
+ * Lead Assignment Service
+ * Picks an agent for new leads from the admin-defined assignment rules
+ */
+
+import mongoose from 'mongoose';
+import Lead from '../models/LeadModel.js';
+import User from '../models/UserModel.js';
+import Property from '../models/PropertyModel.js';
+import AssignmentRule from '../models/AssignmentRuleModel.js';
+import pipelineService from './pipelineService.js';
+import delegationService from './delegationService.js';
+import logger from '../utils/logger.js';
+
+// Conditional cursor updates tried before giving up on a clean rotation
+const MAX_ROTATION_ATTEMPTS = 5;
+
+// The agent after lastId in the pool (the first one when lastId is not in it)
+const nextInRotation = (pool, lastId) => {
+  const lastIndex = pool.findIndex(agent => agent._id.toString() === lastId);
+  return pool[(lastIndex + 1) % pool.length];
+};
+
+class LeadAssignmentService {
+  /**
+   * Build the values rules are matched against
+   * @param {Object} lead - Lead document or plain lead data
+   * @param {Object} options - propertyId: property the lead came in for
+   * @returns {Promise<Object>} - { source, county, category, propertyId }
+   */
+  async buildContext(lead, options = {}) {
+    const propertyId = options.propertyId || lead.propertyId || lead.interestedProperties?.[0]?.propertyId;
+    const context = { source: lead.source || null, county: null, category: null, propertyId: propertyId || null };
+
+    if (propertyId && mongoose.isValidObjectId(propertyId)) {
+      const property = await Property.findById(propertyId).select('category location.county');
+      if (property) {
+        context.county = property.location?.county || null;
+        context.category = property.category || null;
+      }
+    }
+
+    return context;
+  }
+
+  /**
+   * Active agents eligible under a rule, ordered by id for a stable rotation
+   * @param {Array} excludeAgentIds - agents to leave out (e.g. one being deactivated)
+   */
+  async getAgentPool(rule, excludeAgentIds = []) {
+    const query = { role: 'agent', isActive: true };
+    if (rule.agents && rule.agents.length > 0) {
+      query._id = { $in: rule.agents };
+    }
+    if (excludeAgentIds.length > 0) {
+      query._id = { ...query._id, $nin: excludeAgentIds };
+    }
+    return User.find(query).select('_id name email').sort({ _id: 1 });
+  }
+
+  /**
+   * State for assigning many leads in one go without writing between picks:
+   * round-robin cursors per rule and leads picked per agent so far
+   */
+  createBatchState() {
+    return { cursors: new Map(), picked: new Map() };
+  }
+
+  /**
+   * Open (not won/lost) lead count per agent
+   */
+  async getOpenLeadCounts(agentIds) {
+    const closedStatuses = await pipelineService.getClosedStageKeys();
+    const counts = await Lead.aggregate([
+      { $match: { assignedTo: { $in: agentIds }, status: { $nin: closedStatuses } } },
+      { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+    ]);
+
+    return counts.reduce((acc, item) => {
+      acc[item._id.toString()] = item.count;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Move a round-robin rule on to its next agent with a conditional update,
+   * so leads arriving at the same time don't all go to the same agent
+   * @returns {Promise<Object>} - the agent whose turn it is
+   */
+  async claimNextAgent(rule, pool) {
+    let lastId = rule.lastAssignedAgent?.toString() ?? null;
+
+    for (let attempt = 0; attempt < MAX_ROTATION_ATTEMPTS; attempt++) {
+      const agent = nextInRotation(pool, lastId);
+      const result = await AssignmentRule.updateOne(
+        { _id: rule._id, lastAssignedAgent: lastId },
+        { $set: { lastAssignedAgent: agent._id } }
+      );
+      if (result.matchedCount > 0) return agent;
+
+      // Another lead moved the rotation on first; continue from where it is now
+      const current = await AssignmentRule.findById(rule._id).select('lastAssignedAgent').lean();
+      if (!current) return agent;
+      lastId = current.lastAssignedAgent?.toString() ?? null;
+    }
+
+    logger.warn(`⚠️ Round-robin cursor for rule "${rule.name}" kept changing; assigning without advancing it`);
+    return nextInRotation(pool, lastId);
+  }
+
+  /**
+   * Choose an agent from the pool according to the rule strategy
+   * @param {Object} state - optional batch state from createBatchState()
+   * @param {boolean} claim - advance the stored round-robin cursor (ignored with batch state)
+   * @returns {Promise<{ agent: Object, openLeads?: number }|null>}
+   */
+  async pickAgent(rule, pool, state = null, claim = false) {
+    if (pool.length === 0) return null;
+
+    let pick;
+    switch (rule.strategy) {
+      case 'round_robin': {
+        if (claim && !state) {
+          pick = { agent: await this.claimNextAgent(rule, pool) };
+          break;
+        }
+        const ruleId = rule._id.toString();
+        const lastId = state?.cursors.get(ruleId) ?? rule.lastAssignedAgent?.toString();
+        pick = { agent: nextInRotation(pool, lastId) };
+        state?.cursors.set(ruleId, pick.agent._id.toString());
+        break;
+      }
+
+      case 'least_loaded': {
+        const counts = await this.getOpenLeadCounts(pool.map(agent => agent._id));
+        const ranked = pool
+          .map(agent => {
+            const id = agent._id.toString();
+            return { agent, openLeads: (counts[id] || 0) + (state?.picked.get(id) || 0) };
+          })
+          .sort((a, b) => a.openLeads - b.openLeads);
+        pick = ranked[0];
+        break;
+      }
+
+      case 'specific_agent':
+      default:
+        pick = { agent: pool[0] };
+    }
+
+    if (state) {
+      const id = pick.agent._id.toString();
+      state.picked.set(id, (state.picked.get(id) || 0) + 1);
+    }
+    return pick;
+  }
+
+  /**
+   * Work out who would receive a lead, without assigning it
+   * @param {Object} lead - Lead document or plain lead data
+   * @param {Object} options - propertyId, excludeAgentIds, state (see createBatchState),
+   *   claim (advance round-robin cursors, see pickAgent)
+   * @returns {Promise<Object>} - { agent, rule, context, evaluated }
+   */
+  async resolve(lead, options = {}) {
+    const context = await this.buildContext(lead, options);
+    const rules = await AssignmentRule.findActive();
+    const evaluated = [];
+
+    for (const rule of rules) {
+      if (!rule.matches(context)) {
+        evaluated.push({ ruleId: rule._id, name: rule.name, matched: false, reason: 'Conditions did not match' });
+        continue;
+      }
+
+      const pool = await this.getAgentPool(rule, options.excludeAgentIds);
+      const pick = await this.pickAgent(rule, pool, options.state, options.claim);
+
+      if (!pick) {
+        evaluated.push({ ruleId: rule._id, name: rule.name, matched: true, reason: 'No active agents in pool' });
+        continue;
+      }
+
+      evaluated.push({ ruleId: rule._id, name: rule.name, matched: true, reason: 'Selected' });
+
+      return { agent: pick.agent, openLeads: pick.openLeads, rule, context, evaluated };
+    }
+
+    return { agent: null, rule: null, context, evaluated };
+  }
+
+  /**
+   * Assign a freshly created lead using the first matching rule.
+   * Leads that are already assigned are left alone.
+   * @param {Object} lead - Lead document
+   * @param {Object} options - propertyId
+   * @returns {Promise<Object|null>} - { agent, rule } or null when no rule applied
+   */
+  async autoAssign(lead, options = {}) {
+    if (lead.assignedTo) return null;
+
+    const { agent, rule, context } = await this.resolve(lead, { ...options, claim: true });
+
+    if (!agent) {
+      logger.debug(`No assignment rule matched lead ${lead._id}`);
+      return null;
+    }
+
+    // An agent who is out of office gets the lead back from their delegate when they return
+    const delegation = await delegationService.getActiveDelegation(agent._id);
+    const assignee = delegation ? { _id: delegation.delegate, name: delegation.delegateName } : agent;
+
+    await lead.assignToAgent(assignee._id, null, 'System', assignee.name, {
+      auto: true,
+      assignmentRule: {
+        id: rule._id,
+        name: rule.name,
+        strategy: rule.strategy
+      },
+      matchedOn: context,
+      ...(delegation && {
+        delegation: { id: delegation._id.toString(), from: agent._id.toString(), fromName: agent.name }
+      })
+    });
+
+    if (delegation) {
+      await delegationService.trackLead(delegation, lead._id);
+    }
+
+    logger.info(`✅ Lead ${lead._id} auto-assigned to ${assignee.name} by rule "${rule.name}"`);
+
+    return { agent: assignee, rule };
+  }
+
+  // Persist the round-robin positions a batch reached
+  async saveBatchCursors(state) {
+    await Promise.all([...state.cursors].map(([ruleId, agentId]) =>
+      AssignmentRule.updateOne({ _id: ruleId }, { $set: { lastAssignedAgent: agentId } })
+    ));
+  }
+}
+
+export const leadAssignmentService = new LeadAssignmentService();
+export default leadAssignmentService;
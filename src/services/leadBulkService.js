@@ -0,0 +1,312 @@
+/**
+ * Lead Bulk Service
+ * Applies one admin action (reassign, status, note, tags, delete, Odoo re-sync)
+ * to many leads. Small batches run inline; large ones run as background jobs.
+ */
+
+import mongoose from 'mongoose';
+import BulkJob from '../models/BulkJobModel.js';
+import Lead from '../models/LeadModel.js';
+import LeadStorage from './leadStorageMongo.js';
+import pipelineService from './pipelineService.js';
+import leadOutcomeService from './leadOutcomeService.js';
+import odooSyncService from './odooSyncService.js';
+import pusherService from './pusherService.js';
+import { userStorage } from './userStorageMongo.js';
+import logger from '../utils/logger.js';
+
+export const BULK_ACTIONS = ['reassign', 'status', 'note', 'tags', 'delete', 'odoo_sync'];
+
+// Batches up to this size are processed within the request
+const INLINE_LIMIT = 50;
+const MAX_LEADS = 10000;
+const PROGRESS_SAVE_EVERY = 25;
+const STALE_JOB_MINUTES = 15;
+
+const bulkError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+class LeadBulkService {
+  /**
+   * Resolve the target leads from explicit ids or a list filter (see LeadStorage.buildQuery)
+   * @returns {Promise<Array<string>>}
+   */
+  async resolveLeadIds({ leadIds, filter }) {
+    if (Array.isArray(leadIds) && leadIds.length > 0) {
+      const invalid = leadIds.filter(id => !mongoose.isValidObjectId(id));
+      if (invalid.length > 0) {
+        throw bulkError(`Invalid lead IDs: ${invalid.slice(0, 5).join(', ')}`);
+      }
+      if (leadIds.length > MAX_LEADS) {
+        throw bulkError(`Too many leads. Maximum per bulk operation is ${MAX_LEADS}`);
+      }
+      return [...new Set(leadIds.map(String))];
+    }
+
+    if (filter && typeof filter === 'object') {
+      const { filters } = LeadStorage.parseListQuery(filter);
+      const query = await LeadStorage.buildQuery(filters);
+
+      // An empty filter would match every lead
+      if (Object.keys(query).length === 0) {
+        throw bulkError('Filter must include at least one criterion');
+      }
+
+      const total = await Lead.countDocuments(query);
+      if (total > MAX_LEADS) {
+        throw bulkError(`Filter matches ${total} leads. Maximum per bulk operation is ${MAX_LEADS}`);
+      }
+
+      const leads = await Lead.find(query).select('_id').lean();
+      return leads.map(lead => lead._id.toString());
+    }
+
+    throw bulkError('Provide leadIds or a filter');
+  }
+
+  /**
+   * Check action parameters once before touching any lead
+   * @returns {Promise<Object>} - normalized params
+   */
+  async validateParams(action, params = {}) {
+    switch (action) {
+      case 'reassign': {
+        if (!params.agentId || !mongoose.isValidObjectId(params.agentId)) {
+          throw bulkError('agentId is required');
+        }
+        const agent = await userStorage.findById(params.agentId);
+        if (!agent || !['agent', 'admin'].includes(agent.role)) {
+          throw bulkError('Agent not found', 404);
+        }
+        return { agentId: agent._id.toString(), agentName: agent.name };
+      }
+      case 'status':
+        if (!params.status) {
+          throw bulkError('status is required');
+        }
+        // Won/lost details are checked per lead against its pipeline stage
+        return { status: String(params.status), lost: params.lost, won: params.won };
+      case 'note':
+        if (!params.note || String(params.note).trim() === '') {
+          throw bulkError('note is required');
+        }
+        return { note: String(params.note).trim() };
+      case 'tags': {
+        const tags = (Array.isArray(params.tags) ? params.tags : String(params.tags || '').split(','))
+          .map(tag => String(tag).trim().toLowerCase())
+          .filter(Boolean);
+        if (tags.length === 0) {
+          throw bulkError('tags is required');
+        }
+        return { tags };
+      }
+      case 'delete':
+      case 'odoo_sync':
+        return {};
+      default:
+        throw bulkError(`Unknown action. Allowed actions: ${BULK_ACTIONS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Apply the action to a single lead
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async applyToLead(leadId, action, params, user) {
+    switch (action) {
+      case 'reassign':
+        return LeadStorage.assignLead(leadId, params.agentId, user.id, user.name, params.agentName);
+
+      case 'status': {
+        const lead = await Lead.findById(leadId).select('pipeline').lean();
+        if (!lead) return { success: false, error: 'Lead not found' };
+
+        const check = await pipelineService.validateStage(lead.pipeline, params.status);
+        if (!check.valid) return { success: false, error: check.message };
+
+        const resolved = await leadOutcomeService.resolveOutcome(check.stage, params);
+        if (!resolved.valid) return { success: false, error: resolved.message };
+
+        return LeadStorage.updateLeadStatus(leadId, params.status, user.id, user.name, resolved.outcome);
+      }
+
+      case 'note':
+        return LeadStorage.addNote(leadId, params.note, user.id, user.name);
+
+      case 'tags':
+        return LeadStorage.addTags(leadId, params.tags, user.id, user.name);
+
+      case 'delete':
+        return LeadStorage.deleteLead(leadId, user.id, user.name);
+
+      case 'odoo_sync': {
+        const result = await odooSyncService.syncLead(leadId);
+        return result.success ? result : { success: false, error: result.message };
+      }
+
+      default:
+        return { success: false, error: 'Unknown action' };
+    }
+  }
+
+  /**
+   * Run the action over every lead, collecting failures
+   * @param {Function} onProgress - called with the running totals after each lead
+   */
+  async run(leadIds, action, params, user, onProgress = null) {
+    const progress = { total: leadIds.length, processed: 0, succeeded: 0, failed: 0 };
+    const failures = [];
+
+    for (const leadId of leadIds) {
+      let result;
+      try {
+        result = await this.applyToLead(leadId, action, params, user);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      progress.processed++;
+      if (result.success) {
+        progress.succeeded++;
+      } else {
+        progress.failed++;
+        failures.push({ leadId, error: result.error || 'Failed' });
+      }
+
+      if (onProgress) await onProgress(progress, failures);
+    }
+
+    return { progress, failures };
+  }
+
+  /**
+   * Start a bulk operation
+   * @param {Object} request - { action, leadIds, filter, params }
+   * @param {Object} user - { id, name } of the admin
+   * @returns {Promise<Object>} - { async: false, action, progress, failures } or { async: true, job }
+   */
+  async execute({ action, leadIds, filter, params }, user) {
+    if (!BULK_ACTIONS.includes(action)) {
+      throw bulkError(`Unknown action. Allowed actions: ${BULK_ACTIONS.join(', ')}`);
+    }
+
+    const normalized = await this.validateParams(action, params);
+    const ids = await this.resolveLeadIds({ leadIds, filter });
+
+    if (ids.length === 0) {
+      throw bulkError('No leads matched');
+    }
+
+    if (ids.length <= INLINE_LIMIT) {
+      const { progress, failures } = await this.run(ids, action, normalized, user);
+      logger.info(`✅ Bulk ${action}: ${progress.succeeded}/${progress.total} leads by ${user.name}`);
+      return { async: false, action, progress, failures };
+    }
+
+    const job = await BulkJob.create({
+      action,
+      params: normalized,
+      leadIds: ids,
+      filter: filter || null,
+      progress: { total: ids.length },
+      createdBy: user.id,
+      createdByName: user.name
+    });
+
+    // Not awaited: the request returns while the job runs
+    this.processJob(job, user).catch(error => {
+      logger.error(`❌ Bulk job ${job._id} crashed:`, error);
+    });
+
+    return { async: true, job };
+  }
+
+  /**
+   * Work through a queued job, saving progress periodically
+   */
+  async processJob(job, user) {
+    job.status = 'running';
+    job.startedAt = new Date();
+    await job.save();
+
+    const ids = job.leadIds.map(id => id.toString());
+
+    try {
+      const { progress, failures } = await this.run(ids, job.action, job.params, user, async (current, failed) => {
+        if (current.processed % PROGRESS_SAVE_EVERY === 0) {
+          await BulkJob.updateOne({ _id: job._id }, { $set: { progress: current, failures: failed } });
+        }
+      });
+
+      job.progress = progress;
+      job.failures = failures;
+      job.status = 'completed';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+    }
+
+    job.finishedAt = new Date();
+    await job.save();
+
+    logger.info(`✅ Bulk job ${job._id} ${job.status}: ${job.progress.succeeded}/${job.progress.total} leads`);
+
+    try {
+      await pusherService.triggerToUser(user.id.toString(), 'bulk-job-finished', {
+        jobId: job._id,
+        action: job.action,
+        status: job.status,
+        progress: job.progress
+      });
+    } catch (pushError) {
+      logger.warn('⚠️ Bulk job notification failed:', pushError.message);
+    }
+
+    return job;
+  }
+
+  async getJob(jobId) {
+    if (!mongoose.isValidObjectId(jobId)) return null;
+    return BulkJob.findById(jobId).select('-leadIds');
+  }
+
+  async listJobs(query = {}) {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 25, 1), 100);
+    const filter = query.status ? { status: query.status } : {};
+
+    const [jobs, total] = await Promise.all([
+      BulkJob.find(filter)
+        .select('-leadIds -failures')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      BulkJob.countDocuments(filter)
+    ]);
+
+    return {
+      jobs,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Jobs left queued/running without progress for a while were cut off by a restart
+   * (progress saves touch updatedAt, so live jobs on other instances are left alone)
+   */
+  async failInterruptedJobs() {
+    const { modifiedCount } = await BulkJob.updateMany(
+      {
+        status: { $in: ['queued', 'running'] },
+        updatedAt: { $lt: new Date(Date.now() - STALE_JOB_MINUTES * 60 * 1000) }
+      },
+      { $set: { status: 'failed', error: 'Interrupted by server restart', finishedAt: new Date() } }
+    );
+
+    if (modifiedCount > 0) {
+      logger.warn(`⚠️ Marked ${modifiedCount} interrupted bulk job(s) as failed`);
+    }
+  }
+}
+
+export const leadBulkService = new LeadBulkService();
+export default leadBulkService;
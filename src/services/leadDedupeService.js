@@ -0,0 +1,358 @@
+/**
+ * Lead Deduplication Service
+ * Detects likely duplicate leads (email, phone, name similarity)
+ * and merges duplicates into a single surviving lead
+ */
+
+import Lead from '../models/LeadModel.js';
+import Client from '../models/ClientModel.js';
+import Task from '../models/TaskModel.js';
+import Deal from '../models/DealModel.js';
+import { normalizePhone } from '../utils/phone.js';
+import { normalizeSearchText, escapeRegex } from '../utils/searchText.js';
+import logger from '../utils/logger.js';
+
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+const MAX_NAME_CANDIDATES = 50;
+const MAX_NAME_TOKENS = 3;
+
+/**
+ * Normalize an email for comparison: lowercase, trimmed, "+tag" removed
+ * @param {string} email
+ * @returns {string|null}
+ */
+export const normalizeEmail = (email) => {
+  if (!email) return null;
+  const [local, domain] = String(email).trim().toLowerCase().split('@');
+  if (!domain) return local || null;
+  return `${local.split('+')[0]}@${domain}`;
+};
+
+// Stored emails matching a normalized one, with or without a "+tag"
+const emailPattern = (email) => {
+  const [local, domain] = email.split('@');
+  return new RegExp(`^${escapeRegex(local)}(\\+[^@]*)?@${escapeRegex(domain || '')}$`);
+};
+
+/**
+ * Normalize a name: lowercase letters only, tokens sorted
+ * so "Doe, John" and "john doe" compare equal
+ * @param {string} name
+ * @returns {string}
+ */
+export const normalizeName = (name) => {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+};
+
+/**
+ * Dice coefficient over character bigrams of the normalized names (0..1)
+ */
+export const nameSimilarity = (a, b) => {
+  const first = normalizeName(a);
+  const second = normalizeName(b);
+  if (!first || !second) return 0;
+  if (first === second) return 1;
+  if (first.length < 2 || second.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < first.length - 1; i++) {
+    const bigram = first.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let intersection = 0;
+  for (let i = 0; i < second.length - 1; i++) {
+    const bigram = second.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      intersection++;
+    }
+  }
+
+  return (2 * intersection) / (first.length + second.length - 2);
+};
+
+class LeadDedupeService {
+  /**
+   * Find leads that look like the same person
+   * @param {Object} leadData - name, email, phone/phoneNumber
+   * @param {Object} options - excludeId: lead to leave out of the results
+   * @returns {Promise<Array>} - [{ lead, score, reasons, nameSimilarity }] best first
+   */
+  async findDuplicates(leadData, options = {}) {
+    const email = normalizeEmail(leadData.email);
+    const phone = normalizePhone(leadData.phoneNumber || leadData.phone);
+    // Each name word as a prefix of the indexed searchName, so "Doe John" still finds "John Doe"
+    const nameTokens = normalizeSearchText(leadData.name).split(' ').filter(Boolean).slice(0, MAX_NAME_TOKENS);
+
+    const or = [];
+
+    if (email) {
+      or.push({ email: emailPattern(email) });
+    }
+
+    // Stored phone numbers are E.164 (see utils/phone.js)
+    if (phone) {
+      or.push({ phoneNumber: phone });
+    }
+
+    if (or.length === 0 && nameTokens.length === 0) {
+      return [];
+    }
+
+    const exclude = options.excludeId ? { _id: { $ne: options.excludeId } } : {};
+
+    const [contactMatches, nameMatches] = await Promise.all([
+      or.length > 0
+        ? Lead.find({ ...exclude, $or: or }).select('-activities').lean()
+        : [],
+      nameTokens.length > 0
+        ? Lead.find({ ...exclude, searchName: { $in: nameTokens.map(token => new RegExp(`^${escapeRegex(token)}`)) } })
+          .select('-activities')
+          .sort({ createdAt: -1 })
+          .limit(MAX_NAME_CANDIDATES)
+          .lean()
+        : []
+    ]);
+
+    const candidates = new Map();
+    [...contactMatches, ...nameMatches].forEach(lead => candidates.set(lead._id.toString(), lead));
+
+    const matches = [];
+
+    candidates.forEach(candidate => {
+      const reasons = [];
+      let score = 0;
+
+      if (email && normalizeEmail(candidate.email) === email) {
+        reasons.push('email');
+        score = Math.max(score, 1);
+      }
+
+      if (phone && normalizePhone(candidate.phoneNumber) === phone) {
+        reasons.push('phone');
+        score = Math.max(score, 0.9);
+      }
+
+      const similarity = nameSimilarity(leadData.name, candidate.name);
+      if (similarity >= NAME_SIMILARITY_THRESHOLD) {
+        reasons.push('name');
+        // A matching name alone is a weak signal; it only strengthens contact matches
+        score = score > 0 ? Math.min(1, score + 0.05) : 0.6 * similarity;
+      }
+
+      if (reasons.length > 0) {
+        matches.push({
+          lead: candidate,
+          score: Math.round(score * 100) / 100,
+          reasons,
+          nameSimilarity: Math.round(similarity * 100) / 100
+        });
+      }
+    });
+
+    return matches.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Find an existing lead that matches on email or phone (not on name alone)
+   * @param {Object} leadData - name, email, phone/phoneNumber
+   * @returns {Promise<Object|null>} - Lead document
+   */
+  async findExistingLead(leadData) {
+    const matches = await this.findDuplicates(leadData);
+    const strong = matches.find(m => m.reasons.includes('email') || m.reasons.includes('phone'));
+    return strong ? Lead.findById(strong.lead._id) : null;
+  }
+
+  /**
+   * Email/phone matches for many records with a single query (used by imports)
+   * @param {Array<Object>} records - email, phone/phoneNumber
+   * @returns {Promise<Array<Array>>} - per record, [{ lead, score, reasons }] best first
+   */
+  async findContactMatches(records) {
+    const keys = records.map(record => ({
+      email: normalizeEmail(record.email),
+      phone: normalizePhone(record.phoneNumber || record.phone)
+    }));
+
+    const emails = [...new Set(keys.map(k => k.email).filter(Boolean))];
+    const phones = [...new Set(keys.map(k => k.phone).filter(Boolean))];
+
+    const or = [];
+    if (emails.length > 0) or.push({ email: { $in: emails.map(emailPattern) } });
+    if (phones.length > 0) or.push({ phoneNumber: { $in: phones } });
+
+    if (or.length === 0) {
+      return records.map(() => []);
+    }
+
+    const leads = await Lead.find({ $or: or }).select('name email phoneNumber').lean();
+
+    const byEmail = new Map();
+    const byPhone = new Map();
+    const index = (map, key, lead) => {
+      if (key) map.set(key, [...(map.get(key) || []), lead]);
+    };
+    leads.forEach(lead => {
+      index(byEmail, normalizeEmail(lead.email), lead);
+      index(byPhone, normalizePhone(lead.phoneNumber), lead);
+    });
+
+    return keys.map(({ email, phone }) => {
+      const matches = new Map();
+
+      (byEmail.get(email) || []).forEach(lead => {
+        matches.set(lead._id.toString(), { lead, score: 1, reasons: ['email'] });
+      });
+      (byPhone.get(phone) || []).forEach(lead => {
+        const match = matches.get(lead._id.toString());
+        if (match) {
+          match.reasons.push('phone');
+        } else {
+          matches.set(lead._id.toString(), { lead, score: 0.9, reasons: ['phone'] });
+        }
+      });
+
+      return [...matches.values()].sort((a, b) => b.score - a.score);
+    });
+  }
+
+  /**
+   * Merge duplicate leads into a surviving lead.
+   * Activities, viewings and interested properties are carried over,
+   * empty contact fields are filled in, linked clients, tasks and deals are re-pointed
+   * and the duplicates are moved to the trash.
+   * @param {string} survivorId - Lead to keep
+   * @param {Array<string>} duplicateIds - Leads to merge into the survivor
+   * @param {Object} user - { id, name } of the admin performing the merge
+   * @returns {Promise<Object>} - Surviving lead document
+   */
+  async mergeLeads(survivorId, duplicateIds, user = {}) {
+    const ids = [...new Set((duplicateIds || []).map(String))].filter(id => id !== String(survivorId));
+
+    if (ids.length === 0) {
+      throw new Error('At least one duplicate lead is required');
+    }
+
+    const survivor = await Lead.findById(survivorId);
+    if (!survivor) {
+      throw new Error('Lead not found');
+    }
+
+    const duplicates = await Lead.find({ _id: { $in: ids } });
+    if (duplicates.length !== ids.length) {
+      throw new Error('One or more leads to merge were not found');
+    }
+
+    const fillable = ['phoneNumber', 'subject', 'message', 'odooLeadId', 'lastNote'];
+
+    duplicates.forEach(duplicate => {
+      duplicate.activities.forEach(activity => survivor.activities.push(activity.toObject()));
+      duplicate.viewings.forEach(viewing => survivor.viewings.push(viewing.toObject()));
+
+      duplicate.interestedProperties.forEach(interest => {
+        const exists = survivor.interestedProperties.find(p => p.propertyId === interest.propertyId);
+        if (!exists) {
+          survivor.interestedProperties.push(interest.toObject());
+        }
+      });
+
+      fillable.forEach(field => {
+        if (!survivor[field] && duplicate[field]) {
+          survivor[field] = duplicate[field];
+        }
+      });
+
+      if (!survivor.assignedTo && duplicate.assignedTo) {
+        survivor.assignedTo = duplicate.assignedTo;
+        survivor.assignedToName = duplicate.assignedToName;
+        survivor.assignedAt = duplicate.assignedAt;
+        survivor.assignedBy = duplicate.assignedBy;
+      }
+
+      if (duplicate.lastContactedAt && (!survivor.lastContactedAt || duplicate.lastContactedAt > survivor.lastContactedAt)) {
+        survivor.lastContactedAt = duplicate.lastContactedAt;
+      }
+
+      if (duplicate.odooLeadId && survivor.odooLeadId === duplicate.odooLeadId) {
+        survivor.syncedToOdoo = survivor.syncedToOdoo || duplicate.syncedToOdoo;
+        survivor.syncedAt = survivor.syncedAt || duplicate.syncedAt;
+      }
+    });
+
+    // Keep the timeline newest-first like addActivity does
+    survivor.activities.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    survivor.possibleDuplicates = survivor.possibleDuplicates.filter(
+      d => !ids.includes(d.leadId?.toString())
+    );
+
+    survivor.addActivity(
+      'leads_merged',
+      `Merged ${duplicates.length} duplicate lead${duplicates.length === 1 ? '' : 's'} into this lead`,
+      user.id || null,
+      user.name || null,
+      {
+        mergedLeadIds: ids,
+        mergedLeads: duplicates.map(d => ({
+          id: d._id.toString(),
+          name: d.name,
+          email: d.email,
+          phone: d.phoneNumber,
+          source: d.source,
+          status: d.status,
+          createdAt: d.createdAt
+        }))
+      }
+    );
+
+    await survivor.save();
+
+    await Promise.all([
+      Client.updateMany({ linkedLeadId: { $in: ids } }, { $set: { linkedLeadId: survivor._id } }),
+      Task.updateMany({ lead: { $in: ids } }, { $set: { lead: survivor._id } }),
+      Deal.updateMany({ lead: { $in: ids } }, { $set: { lead: survivor._id } }),
+      Lead.updateMany(
+        { 'possibleDuplicates.leadId': { $in: ids } },
+        { $pull: { possibleDuplicates: { leadId: { $in: ids } } } }
+      )
+    ]);
+
+    // Merged leads go to the trash rather than being removed outright
+    const deletedAt = new Date();
+    await Lead.updateMany(
+      { _id: { $in: ids } },
+      {
+        $set: { isDeleted: true, deletedAt, deletedBy: user.id || null, deletedByName: user.name || null },
+        $push: {
+          activities: {
+            $each: [{
+              type: 'lead_deleted',
+              description: `Lead merged into ${survivor.name} and moved to trash`,
+              userId: user.id || null,
+              userName: user.name || null,
+              metadata: { mergedInto: survivor._id },
+              createdAt: deletedAt
+            }],
+            $position: 0
+          }
+        }
+      }
+    );
+
+    logger.info(`✅ Merged ${ids.length} lead(s) into ${survivor._id}`);
+
+    return survivor;
+  }
+}
+
+export const leadDedupeService = new LeadDedupeService();
+export default leadDedupeService;
@@ -0,0 +1,225 @@
+/**
+ * Lead History Service
+ * Field-level change tracking for leads: snapshots and diffs used by the
+ * Lead model hooks, history listing and point-in-time reconstruction
+ */
+
+import LeadHistory from '../models/LeadHistoryModel.js';
+import { getChangeContext } from '../utils/changeContext.js';
+import logger from '../utils/logger.js';
+
+// Not tracked: sub-document logs with their own timestamps, and values
+// derived from other fields or activities (score, SLA, last contact)
+const IGNORED_FIELDS = [
+  '_id', '__v', 'createdAt', 'updatedAt', 'activities', 'viewings', 'interestedProperties',
+  'possibleDuplicates', 'score', 'scoreBreakdown', 'scoredAt', 'sla', 'lastContactedAt',
+  'lastNote', 'syncedAt', 'searchName', 'customFieldSearch'
+];
+
+// Object fields diffed per key rather than as a whole
+const NESTED_FIELDS = ['customFields'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Plain JSON value (ObjectIds and dates become strings) so snapshots compare and store cleanly
+const normalize = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const setPath = (target, path, value) => {
+  const [head, ...rest] = path.split('.');
+  if (rest.length === 0) {
+    target[head] = value;
+    return;
+  }
+  if (!isPlainObject(target[head])) target[head] = {};
+  if (value === null && rest.length === 1) {
+    delete target[head][rest[0]];
+    return;
+  }
+  setPath(target[head], rest.join('.'), value);
+};
+
+class LeadHistoryService {
+  constructor() {
+    this.fields = [];
+  }
+
+  /**
+   * Register the tracked top-level fields of the lead schema
+   */
+  configure(schema) {
+    this.fields = [...new Set(Object.keys(schema.paths).map(path => path.split('.')[0]))]
+      .filter(field => !IGNORED_FIELDS.includes(field));
+  }
+
+  /**
+   * Tracked field values of a lead document or lean object
+   */
+  snapshot(lead) {
+    const snapshot = {};
+    this.fields.forEach(field => {
+      const value = typeof lead.get === 'function' ? lead.get(field) : lead[field];
+      snapshot[field] = normalize(value);
+    });
+    return snapshot;
+  }
+
+  /**
+   * Tracked fields touched by an update document, or all of them for pipeline updates
+   */
+  touchedFields(update) {
+    if (!update) return [];
+    if (Array.isArray(update)) return this.fields;
+
+    const paths = Object.entries(update).flatMap(([key, value]) =>
+      (key.startsWith('$') && isPlainObject(value) ? Object.keys(value) : [key])
+    );
+    const touched = new Set(paths.map(path => path.split('.')[0]));
+    return this.fields.filter(field => touched.has(field));
+  }
+
+  /**
+   * Field changes between two snapshots
+   * @returns {Array<{ field, oldValue, newValue }>}
+   */
+  diff(before, after) {
+    const changes = [];
+
+    this.fields.forEach(field => {
+      const oldValue = before[field] ?? null;
+      const newValue = after[field] ?? null;
+
+      if (NESTED_FIELDS.includes(field) && (isPlainObject(oldValue) || isPlainObject(newValue))) {
+        const from = oldValue || {};
+        const to = newValue || {};
+        new Set([...Object.keys(from), ...Object.keys(to)]).forEach(key => {
+          if (JSON.stringify(from[key] ?? null) !== JSON.stringify(to[key] ?? null)) {
+            changes.push({ field: `${field}.${key}`, oldValue: from[key] ?? null, newValue: to[key] ?? null });
+          }
+        });
+        return;
+      }
+
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes.push({ field, oldValue, newValue });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Record the difference between two snapshots (before is null for a new lead).
+   * Failures are logged rather than thrown; the lead change itself has already been saved.
+   */
+  async record(leadId, before, after) {
+    const changes = before ? this.diff(before, after) : [];
+    if (before && changes.length === 0) return null;
+
+    const { origin, userId, userName } = getChangeContext();
+
+    try {
+      return await LeadHistory.create({
+        lead: leadId,
+        action: before ? 'updated' : 'created',
+        changes,
+        origin,
+        userId,
+        userName
+      });
+    } catch (error) {
+      logger.error(`❌ Record lead history error (${leadId}):`, error);
+      return null;
+    }
+  }
+
+  async recordMany(entries) {
+    const docs = [];
+    const { origin, userId, userName } = getChangeContext();
+
+    entries.forEach(({ leadId, before, after }) => {
+      const changes = this.diff(before, after);
+      if (changes.length > 0) {
+        docs.push({ lead: leadId, action: 'updated', changes, origin, userId, userName });
+      }
+    });
+
+    if (docs.length === 0) return;
+
+    try {
+      await LeadHistory.insertMany(docs, { ordered: false });
+    } catch (error) {
+      logger.error('❌ Record lead history error:', error);
+    }
+  }
+
+  /**
+   * Change history for a lead, newest first
+   * @param {Object} query - field, origin, userId, startDate, endDate, page, limit
+   */
+  async list(leadId, query = {}) {
+    const filter = { lead: leadId };
+    if (query.field) filter['changes.field'] = query.field;
+    if (query.origin) filter.origin = query.origin;
+    if (query.userId) filter.userId = query.userId;
+    if (query.startDate || query.endDate) {
+      filter.createdAt = {};
+      if (query.startDate) filter.createdAt.$gte = new Date(query.startDate);
+      if (query.endDate) filter.createdAt.$lte = new Date(query.endDate);
+    }
+
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const [entries, total] = await Promise.all([
+      LeadHistory.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      LeadHistory.countDocuments(filter)
+    ]);
+
+    return {
+      entries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Rebuild a lead's tracked fields as they were at a point in time by
+   * undoing every recorded change made after it. Changes made before history
+   * tracking existed are not known, so older states reflect tracked changes only.
+   * @param {Object} lead - Current lead (lean)
+   * @param {Date} asOf
+   * @returns {Promise<Object|null>} - null when the lead did not exist yet
+   */
+  async reconstruct(lead, asOf) {
+    if (new Date(lead.createdAt) > asOf) return null;
+
+    const state = { _id: lead._id, createdAt: lead.createdAt, ...this.snapshot(lead) };
+    const later = await LeadHistory.find({ lead: lead._id, createdAt: { $gt: asOf } })
+      .sort({ createdAt: -1, _id: -1 })
+      .lean();
+
+    later.forEach(entry => {
+      entry.changes.forEach(change => setPath(state, change.field, normalize(change.oldValue)));
+    });
+
+    state.activities = (lead.activities || []).filter(activity => new Date(activity.createdAt) <= asOf);
+
+    return {
+      lead: state,
+      asOf,
+      changesUndone: later.reduce((sum, entry) => sum + entry.changes.length, 0)
+    };
+  }
+
+  // Drop history for leads that are permanently removed
+  async removeForLeads(leadIds) {
+    if (leadIds.length === 0) return 0;
+    const { deletedCount } = await LeadHistory.deleteMany({ lead: { $in: leadIds } });
+    return deletedCount;
+  }
+}
+
+export const leadHistoryService = new LeadHistoryService();
+export default leadHistoryService;
@@ -0,0 +1,489 @@
+/**
+ * Lead Import Service
+ * Bulk lead import from CSV/XLSX spreadsheets: column mapping,
+ * per-row validation, duplicate checks, dry runs and rollback.
+ * Rows are validated within the request; saving runs in the background.
+ */
+
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { parse } from 'csv-parse/sync';
+import { validationResult } from 'express-validator';
+import ImportBatch from '../models/ImportBatchModel.js';
+import Lead from '../models/LeadModel.js';
+import LeadStorage from './leadStorageMongo.js';
+import leadDedupeService, { normalizeEmail } from './leadDedupeService.js';
+import pusherService from './pusherService.js';
+import { normalizePhone } from '../utils/phone.js';
+import { contactValidation } from '../middleware/validation.js';
+import logger from '../utils/logger.js';
+
+const MAX_ROWS = 5000;
+const MAX_STORED_ROW_ERRORS = 500;
+const DUPLICATE_LOOKUP_CHUNK = 200;
+const PROGRESS_SAVE_EVERY = 25;
+const STALE_IMPORT_MINUTES = 15;
+const DEFAULT_SOURCE = 'lead_import';
+const IMPORT_FIELDS = ['name', 'email', 'phoneNumber', 'subject', 'message'];
+const REQUIRED_COLUMNS = ['name', 'email', 'phoneNumber'];
+
+// Header spellings recognised when no mapping is given (compared lowercase, alphanumerics only)
+const HEADER_ALIASES = {
+  name: ['name', 'fullname', 'clientname', 'contactname'],
+  email: ['email', 'emailaddress', 'mail'],
+  phoneNumber: ['phonenumber', 'phone', 'mobile', 'mobilenumber', 'tel', 'telephone'],
+  subject: ['subject', 'interest', 'title'],
+  message: ['message', 'notes', 'comments', 'comment']
+};
+
+const importError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const toRowErrors = (report) => report
+  .filter(r => r.errors)
+  .slice(0, MAX_STORED_ROW_ERRORS)
+  .map(r => ({ row: r.row, messages: r.errors }));
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const parseJsonField = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw importError(`${field} must be valid JSON`);
+  }
+};
+
+class LeadImportService {
+  /**
+   * Read the first sheet of a CSV/XLSX upload
+   * @param {Object} file - multer memory file
+   * @returns {Promise<{ fileType: string, headers: Array<string>, rows: Array<{ row: number, values: Array<string> }> }>}
+   */
+  async parseFile(file) {
+    const ext = path.extname(file.originalname).toLowerCase();
+
+    let headers = [];
+    let rows = [];
+
+    if (ext === '.csv') {
+      let records;
+      try {
+        records = parse(file.buffer, {
+          bom: true,
+          info: true,
+          trim: true,
+          skip_empty_lines: true,
+          relax_column_count: true
+        });
+      } catch (error) {
+        throw importError(`Could not read CSV file: ${error.message}`);
+      }
+
+      if (records.length > 0) {
+        headers = records[0].record;
+        rows = records.slice(1).map(({ record, info }) => ({ row: info.lines, values: record }));
+      }
+    } else if (ext === '.xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      try {
+        await workbook.xlsx.load(file.buffer);
+      } catch (error) {
+        throw importError(`Could not read XLSX file: ${error.message}`);
+      }
+
+      const sheet = workbook.worksheets[0];
+      if (sheet) {
+        const columnCount = sheet.columnCount;
+        sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+          const values = [];
+          for (let i = 1; i <= columnCount; i++) {
+            values.push(String(row.getCell(i).text || '').trim());
+          }
+          if (headers.length === 0) {
+            headers = values;
+          } else if (values.some(Boolean)) {
+            rows.push({ row: rowNumber, values });
+          }
+        });
+      }
+    } else {
+      throw importError('Only .csv and .xlsx files can be imported');
+    }
+
+    headers = headers.map(header => String(header || '').trim());
+
+    if (headers.length === 0 || rows.length === 0) {
+      throw importError('The file has no data rows');
+    }
+    if (rows.length > MAX_ROWS) {
+      throw importError(`Too many rows (${rows.length}). Maximum per import is ${MAX_ROWS}`);
+    }
+
+    return { fileType: ext.slice(1), headers, rows };
+  }
+
+  /**
+   * Resolve { header: field } into { field: columnIndex }.
+   * Without a mapping, headers are matched to fields by name.
+   */
+  resolveMapping(headers, mapping) {
+    const columns = {};
+
+    if (mapping && Object.keys(mapping).length > 0) {
+      Object.entries(mapping).forEach(([header, field]) => {
+        if (!field) return;
+        if (!IMPORT_FIELDS.includes(field)) {
+          throw importError(`Unknown field "${field}". Allowed fields: ${IMPORT_FIELDS.join(', ')}`);
+        }
+        const index = headers.findIndex(h => h === header);
+        if (index === -1) {
+          throw importError(`Column "${header}" not found in file`);
+        }
+        if (columns[field] !== undefined) {
+          throw importError(`Field "${field}" is mapped more than once`);
+        }
+        columns[field] = index;
+      });
+    } else {
+      headers.forEach((header, index) => {
+        const normalized = normalizeHeader(header);
+        const field = IMPORT_FIELDS.find(f => HEADER_ALIASES[f].includes(normalized));
+        if (field && columns[field] === undefined) {
+          columns[field] = index;
+        }
+      });
+    }
+
+    const missing = REQUIRED_COLUMNS.filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+      throw importError(`No column mapped to: ${missing.join(', ')}`);
+    }
+
+    return columns;
+  }
+
+  /**
+   * Validate a mapped row with the contact form rules
+   * @returns {Promise<{ data: Object, errors: Array<{ field, message }> }>}
+   */
+  async validateRow(data) {
+    const req = { body: { ...data } };
+
+    for (const chain of contactValidation) {
+      await chain.run(req);
+    }
+
+    const errors = validationResult(req).array().map(err => ({ field: err.path, message: err.msg }));
+    return { data: req.body, errors };
+  }
+
+  /**
+   * Parse and validate a spreadsheet of leads and (unless dryRun) queue the import
+   * @param {Object} file - multer memory file
+   * @param {Object} options - mapping, source, duplicates ('skip' | 'flag'), defaults, dryRun
+   * @param {Object} user - { id, name } of the admin
+   * @returns {Promise<Object>} - { dryRun, batch, counts, columns, rows }; batch is queued
+   */
+  async importLeads(file, options = {}, user = {}) {
+    const source = String(options.source || DEFAULT_SOURCE).trim().toLowerCase();
+    if (!/^[a-z0-9_]{2,50}$/.test(source)) {
+      throw importError('Source must be 2-50 lowercase letters, numbers or underscores');
+    }
+
+    const duplicateMode = options.duplicates || 'skip';
+    if (!['skip', 'flag'].includes(duplicateMode)) {
+      throw importError('Duplicates must be skip or flag');
+    }
+
+    const dryRun = options.dryRun === true || options.dryRun === 'true';
+    const mapping = parseJsonField(options.mapping, 'Mapping');
+    const defaults = parseJsonField(options.defaults, 'Defaults') || {};
+
+    const { fileType, headers, rows } = await this.parseFile(file);
+    const columns = this.resolveMapping(headers, mapping);
+
+    // Contact form rules require a subject and message; spreadsheets rarely have them
+    const rowDefaults = {
+      subject: `Imported lead (${source})`,
+      message: `Imported from ${file.originalname}`,
+      ...defaults
+    };
+
+    const counts = { total: rows.length, valid: 0, imported: 0, invalid: 0, duplicates: 0, failed: 0 };
+    const report = [];
+    const validated = [];
+
+    for (const { row, values } of rows) {
+      const mapped = { ...rowDefaults };
+      Object.entries(columns).forEach(([field, index]) => {
+        const value = values[index];
+        if (value !== undefined && value !== '') mapped[field] = value;
+      });
+
+      const { data, errors } = await this.validateRow(mapped);
+
+      if (errors.length > 0) {
+        counts.invalid++;
+        report.push({ row, status: 'invalid', errors });
+        continue;
+      }
+
+      validated.push({ row, data });
+    }
+
+    // Existing leads sharing an email or phone, one query per chunk of rows
+    const existingByRow = new Map();
+    for (let i = 0; i < validated.length; i += DUPLICATE_LOOKUP_CHUNK) {
+      const chunk = validated.slice(i, i + DUPLICATE_LOOKUP_CHUNK);
+      try {
+        const matches = await leadDedupeService.findContactMatches(chunk.map(({ data }) => data));
+        chunk.forEach(({ row }, index) => existingByRow.set(row, matches[index]));
+      } catch (dedupeError) {
+        logger.warn(`⚠️ Duplicate check failed for import rows ${chunk[0].row}-${chunk[chunk.length - 1].row}:`, dedupeError.message);
+      }
+    }
+
+    const seenEmails = new Map();
+    const seenPhones = new Map();
+    const toImport = [];
+
+    for (const { row, data } of validated) {
+      // Duplicates within the file, then against existing leads (email/phone only)
+      const email = normalizeEmail(data.email);
+      const phone = normalizePhone(data.phoneNumber);
+      const emailRow = seenEmails.get(email);
+      const phoneRow = phone && seenPhones.get(phone);
+      const duplicateOfRow = emailRow || phoneRow;
+
+      const matches = existingByRow.get(row) || [];
+      const existing = matches.map(m => ({ leadId: m.lead._id, name: m.lead.name, reasons: m.reasons }));
+
+      seenEmails.set(email, emailRow || row);
+      if (phone) seenPhones.set(phone, phoneRow || row);
+
+      if (duplicateOfRow || existing.length > 0) {
+        counts.duplicates++;
+        const entry = {
+          row,
+          status: duplicateMode === 'skip' ? 'duplicate' : 'flagged',
+          ...(duplicateOfRow && { duplicateOfRow }),
+          ...(existing.length > 0 && { duplicateOf: existing })
+        };
+        report.push(entry);
+        if (duplicateMode === 'skip') continue;
+      }
+
+      counts.valid++;
+      toImport.push({
+        row,
+        data,
+        matches,
+        ...(duplicateOfRow && {
+          duplicateOfRow,
+          duplicateReasons: [emailRow === duplicateOfRow && 'email', phoneRow === duplicateOfRow && 'phone'].filter(Boolean)
+        })
+      });
+    }
+
+    const result = {
+      dryRun,
+      source,
+      fileType,
+      columns: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, headers[index]])),
+      counts,
+      rows: report.sort((a, b) => a.row - b.row)
+    };
+
+    if (dryRun) {
+      return result;
+    }
+
+    const batch = await ImportBatch.create({
+      filename: file.originalname,
+      fileType,
+      source,
+      mapping: result.columns,
+      duplicateMode,
+      counts: {
+        total: counts.total,
+        valid: counts.valid,
+        invalid: counts.invalid,
+        duplicates: counts.duplicates
+      },
+      rowErrors: toRowErrors(result.rows),
+      createdBy: user.id || null,
+      createdByName: user.name || null
+    });
+
+    // Not awaited: the request returns while the rows are saved
+    this.processBatch(batch, toImport, result.rows, user).catch(error => {
+      logger.error(`❌ Lead import ${batch._id} crashed:`, error);
+    });
+
+    return { ...result, batch };
+  }
+
+  /**
+   * Save the validated rows of a queued import, saving progress periodically
+   * @param {Object} batch - ImportBatch document
+   * @param {Array<Object>} toImport - { row, data, matches, duplicateOfRow, duplicateReasons }
+   * @param {Array<Object>} report - invalid/duplicate rows from validation
+   * @param {Object} user - { id, name } of the admin
+   */
+  async processBatch(batch, toImport, report, user = {}) {
+    batch.status = 'running';
+    batch.startedAt = new Date();
+    await batch.save();
+
+    const { source } = batch;
+    const rowReport = [...report];
+    const savedLeads = new Map();
+
+    try {
+      for (const { row, data, matches, duplicateOfRow, duplicateReasons } of toImport) {
+        // A flagged repeat of an earlier row points at the lead that row created
+        const earlierLead = duplicateOfRow && savedLeads.get(duplicateOfRow);
+        const possibleDuplicates = earlierLead
+          ? [...matches, { lead: { _id: earlierLead }, score: duplicateReasons.includes('email') ? 1 : 0.9, reasons: duplicateReasons }]
+          : matches;
+
+        const saved = await LeadStorage.saveLead({ ...data, source, importBatch: batch._id, possibleDuplicates });
+
+        if (saved.success) {
+          batch.counts.imported++;
+          savedLeads.set(row, saved.lead._id);
+        } else {
+          batch.counts.failed++;
+          rowReport.push({ row, status: 'failed', errors: [{ field: null, message: saved.error }] });
+        }
+
+        const processed = batch.counts.imported + batch.counts.failed;
+        if (processed % PROGRESS_SAVE_EVERY === 0) {
+          await ImportBatch.updateOne(
+            { _id: batch._id },
+            { $set: { 'counts.imported': batch.counts.imported, 'counts.failed': batch.counts.failed } }
+          );
+        }
+      }
+
+      batch.status = 'completed';
+    } catch (error) {
+      batch.status = 'failed';
+      batch.error = error.message;
+    }
+
+    batch.rowErrors = toRowErrors(rowReport.sort((a, b) => a.row - b.row));
+    batch.finishedAt = new Date();
+    await batch.save();
+
+    logger.info(`✅ Lead import ${batch._id} ${batch.status}: ${batch.counts.imported}/${batch.counts.total} imported from ${batch.filename}`);
+
+    if (user.id) {
+      try {
+        await pusherService.triggerToUser(user.id.toString(), 'lead-import-finished', {
+          batchId: batch._id,
+          filename: batch.filename,
+          status: batch.status,
+          counts: batch.counts
+        });
+      } catch (pushError) {
+        logger.warn('⚠️ Lead import notification failed:', pushError.message);
+      }
+    }
+
+    return batch;
+  }
+
+  async listBatches(query = {}) {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 25, 1), 100);
+    const filter = {};
+    if (query.status) filter.status = query.status;
+    if (query.source) filter.source = query.source;
+
+    const [batches, total] = await Promise.all([
+      ImportBatch.find(filter)
+        .select('-rowErrors')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ImportBatch.countDocuments(filter)
+    ]);
+
+    return {
+      batches,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Move every lead created by an import batch to the trash
+   * @returns {Promise<Object>} - updated batch
+   */
+  async rollbackBatch(batchId, user = {}) {
+    const batch = await ImportBatch.findById(batchId);
+    if (!batch) {
+      throw importError('Import batch not found', 404);
+    }
+    if (batch.status === 'rolled_back') {
+      throw importError('Import batch has already been rolled back');
+    }
+    if (['queued', 'running'].includes(batch.status)) {
+      throw importError('Import batch is still running', 409);
+    }
+
+    const now = new Date();
+    const { modifiedCount: deletedCount } = await Lead.updateMany(
+      { importBatch: batch._id, isDeleted: { $ne: true } },
+      {
+        $set: { isDeleted: true, deletedAt: now, deletedBy: user.id || null, deletedByName: user.name || null },
+        $push: {
+          activities: {
+            $each: [{
+              type: 'lead_deleted',
+              description: `Lead moved to trash (import "${batch.filename}" rolled back)`,
+              userId: user.id || null,
+              userName: user.name || null,
+              metadata: { importBatch: batch._id },
+              createdAt: now
+            }],
+            $position: 0
+          }
+        }
+      }
+    );
+
+    batch.status = 'rolled_back';
+    batch.counts.rolledBack = deletedCount;
+    batch.rolledBackAt = now;
+    batch.rolledBackBy = user.id || null;
+    await batch.save();
+
+    logger.info(`✅ Lead import ${batch._id} rolled back: ${deletedCount} lead(s) moved to trash`);
+
+    return batch;
+  }
+
+  /**
+   * Imports left queued/running without progress for a while were cut off by a restart
+   */
+  async failInterruptedImports() {
+    const { modifiedCount } = await ImportBatch.updateMany(
+      {
+        status: { $in: ['queued', 'running'] },
+        updatedAt: { $lt: new Date(Date.now() - STALE_IMPORT_MINUTES * 60 * 1000) }
+      },
+      { $set: { status: 'failed', error: 'Interrupted by server restart', finishedAt: new Date() } }
+    );
+
+    if (modifiedCount > 0) {
+      logger.warn(`⚠️ Marked ${modifiedCount} interrupted lead import(s) as failed`);
+    }
+  }
+}
+
+export const leadImportService = new LeadImportService();
+export default leadImportService;
@@ -0,0 +1,194 @@
+/**
+ * Lead Outcome Service
+ * Loss reason taxonomy and the details required when a lead
+ * moves to a won or lost stage
+ */
+
+import mongoose from 'mongoose';
+import LossReason from '../models/LossReasonModel.js';
+import Lead from '../models/LeadModel.js';
+import Property from '../models/PropertyModel.js';
+import { defaultLossReasons } from '../config/lossReasons.js';
+import logger from '../utils/logger.js';
+
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_NOTES_LENGTH = 1000;
+const EDITABLE_FIELDS = ['label', 'description', 'order', 'isActive'];
+
+const outcomeError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+class LeadOutcomeService {
+  constructor() {
+    this.cache = null;
+    this.loadedAt = 0;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  // Seed the default reasons the first time they are read
+  async ensureDefaults() {
+    if (await LossReason.estimatedDocumentCount() > 0) return;
+
+    try {
+      await LossReason.insertMany(defaultLossReasons);
+      logger.info('✅ Default loss reasons created');
+    } catch (error) {
+      // Another instance seeded first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * Loss reasons (cached briefly; admin changes invalidate the cache)
+   * @param {Object} options - includeInactive
+   * @returns {Promise<Array>} - Plain reason objects in display order
+   */
+  async getReasons({ includeInactive = false } = {}) {
+    if (!this.cache || Date.now() - this.loadedAt > CACHE_TTL_MS) {
+      await this.ensureDefaults();
+      this.cache = await LossReason.find({}).sort({ order: 1, label: 1 }).lean();
+      this.loadedAt = Date.now();
+    }
+
+    return includeInactive ? this.cache : this.cache.filter(r => r.isActive);
+  }
+
+  /**
+   * Check the details supplied with a status change against the target stage.
+   * Lost stages need { lost: { reason, notes? } }; won stages need
+   * { won: { value, propertyId | propertyName, closeDate? } }. Other stages need nothing.
+   * @param {Object} stage - Pipeline stage (from pipelineService.validateStage)
+   * @param {Object} details - { lost, won }
+   * @returns {Promise<{ valid: boolean, outcome?: Object, message?: string }>}
+   */
+  async resolveOutcome(stage, details = {}) {
+    if (stage.isLost) {
+      const { reason, notes } = details.lost || {};
+      if (!reason) {
+        return { valid: false, message: 'A loss reason (lost.reason) is required when marking a lead as lost' };
+      }
+
+      const reasons = await this.getReasons();
+      const match = reasons.find(r => r.key === String(reason).trim().toLowerCase());
+      if (!match) {
+        return { valid: false, message: `Invalid loss reason. Must be one of: ${reasons.map(r => r.key).join(', ')}` };
+      }
+
+      const trimmedNotes = notes ? String(notes).trim() : null;
+      if (trimmedNotes && trimmedNotes.length > MAX_NOTES_LENGTH) {
+        return { valid: false, message: `Loss notes must not exceed ${MAX_NOTES_LENGTH} characters` };
+      }
+
+      return {
+        valid: true,
+        outcome: { lost: { reason: match.key, reasonLabel: match.label, notes: trimmedNotes || null } }
+      };
+    }
+
+    if (stage.isWon) {
+      const { value, propertyId, propertyName, closeDate } = details.won || {};
+
+      const amount = typeof value === 'number' ? value : Number(String(value ?? '').replace(/,/g, '').trim());
+      if (value === undefined || value === null || value === '' || !Number.isFinite(amount) || amount <= 0) {
+        return { valid: false, message: 'A positive deal value (won.value) is required when marking a lead as won' };
+      }
+
+      if (!propertyId && !propertyName) {
+        return { valid: false, message: 'The property (won.propertyId or won.propertyName) is required when marking a lead as won' };
+      }
+
+      let name = propertyName ? String(propertyName).trim() : null;
+      if (propertyId && mongoose.isValidObjectId(propertyId)) {
+        const property = await Property.findById(propertyId).select('title').lean();
+        if (!property) {
+          return { valid: false, message: 'Property not found' };
+        }
+        name = name || property.title;
+      }
+
+      const closed = closeDate ? new Date(closeDate) : new Date();
+      if (Number.isNaN(closed.getTime())) {
+        return { valid: false, message: 'Close date (won.closeDate) must be a valid date' };
+      }
+      if (closed > new Date()) {
+        return { valid: false, message: 'Close date cannot be in the future' };
+      }
+
+      return {
+        valid: true,
+        outcome: {
+          won: {
+            value: amount,
+            propertyId: propertyId ? String(propertyId) : null,
+            propertyName: name,
+            closeDate: closed
+          }
+        }
+      };
+    }
+
+    return { valid: true, outcome: {} };
+  }
+
+  async createReason(data, userId = null) {
+    const reason = await LossReason.create({
+      key: data.key,
+      label: data.label,
+      description: data.description || null,
+      order: data.order ?? 0,
+      isActive: data.isActive !== false,
+      createdBy: userId,
+      updatedBy: userId
+    });
+
+    this.invalidate();
+    logger.info(`✅ Loss reason created: ${reason.key}`);
+    return reason;
+  }
+
+  /**
+   * Update a reason. The key is fixed so existing leads keep pointing at it.
+   */
+  async updateReason(key, data, userId = null) {
+    const reason = await LossReason.findOne({ key });
+    if (!reason) {
+      throw outcomeError('Loss reason not found', 404);
+    }
+
+    EDITABLE_FIELDS.forEach(name => {
+      if (data[name] !== undefined) reason[name] = data[name];
+    });
+    reason.updatedBy = userId;
+    await reason.save();
+
+    this.invalidate();
+    logger.info(`✅ Loss reason updated: ${key}`);
+    return reason;
+  }
+
+  /**
+   * Delete a reason. Reasons already recorded on leads can only be deactivated,
+   * otherwise loss analytics would lose their label.
+   */
+  async deleteReason(key) {
+    const reason = await LossReason.findOne({ key });
+    if (!reason) {
+      throw outcomeError('Loss reason not found', 404);
+    }
+
+    const inUse = await Lead.countDocuments({ 'lost.reason': key, isDeleted: { $in: [true, false, null] } });
+    if (inUse > 0) {
+      throw outcomeError(`Loss reason is recorded on ${inUse} lead(s); deactivate it instead`, 409);
+    }
+
+    await reason.deleteOne();
+
+    this.invalidate();
+    logger.info(`✅ Loss reason deleted: ${key}`);
+  }
+}
+
+export const leadOutcomeService = new LeadOutcomeService();
+export default leadOutcomeService;
@@ -0,0 +1,159 @@
+/**
+ * Lead Scoring Service
+ * Computes a rule-based score for a lead with a per-rule breakdown
+ */
+
+import mongoose from 'mongoose';
+import Client from '../models/ClientModel.js';
+import Property from '../models/PropertyModel.js';
+import leadScoringConfig from '../config/leadScoring.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class LeadScoringService {
+  constructor(config = leadScoringConfig) {
+    this.config = config;
+  }
+
+  scoreSource(lead) {
+    const { points, default: fallback } = this.config.source;
+    const value = points[lead.source] ?? fallback;
+    return { rule: 'source', label: `Source: ${lead.source || 'unknown'}`, points: value };
+  }
+
+  scoreInterestedProperties(lead) {
+    const { perProperty, max } = this.config.interestedProperties;
+    const count = (lead.interestedProperties || []).length;
+    return {
+      rule: 'interested_properties',
+      label: `${count} interested propert${count === 1 ? 'y' : 'ies'}`,
+      points: Math.min(count * perProperty, max)
+    };
+  }
+
+  scoreCompletedViewings(lead) {
+    const { perViewing, max } = this.config.completedViewings;
+    const count = (lead.viewings || []).filter(v => v.status === 'completed').length;
+    return {
+      rule: 'completed_viewings',
+      label: `${count} completed viewing${count === 1 ? '' : 's'}`,
+      points: Math.min(count * perViewing, max)
+    };
+  }
+
+  scoreCallOutcomes(lead) {
+    const { rules, min, max } = this.config.callOutcomes;
+    const calls = (lead.activities || []).filter(a => a.type === 'call_logged');
+
+    const total = calls.reduce((sum, call) => {
+      const outcome = String(call.metadata?.outcome || '').toLowerCase();
+      const rule = rules.find(r => outcome.includes(r.match));
+      return sum + (rule ? rule.points : 0);
+    }, 0);
+
+    return {
+      rule: 'call_outcomes',
+      label: `${calls.length} logged call${calls.length === 1 ? '' : 's'}`,
+      points: Math.max(min, Math.min(total, max))
+    };
+  }
+
+  scoreRecency(lead, now = new Date()) {
+    if (!lead.lastContactedAt) {
+      return { rule: 'recency', label: 'Never contacted', points: 0 };
+    }
+
+    const days = Math.floor((now - new Date(lead.lastContactedAt)) / DAY_MS);
+    const bucket = this.config.recency.find(b => days <= b.withinDays);
+
+    return {
+      rule: 'recency',
+      label: `Last contacted ${days} day${days === 1 ? '' : 's'} ago`,
+      points: bucket ? bucket.points : 0
+    };
+  }
+
+  async scoreBudgetFit(lead) {
+    const none = { rule: 'budget_fit', label: 'No linked client budget', points: 0 };
+
+    if (!lead._id) return none;
+
+    const client = await Client.findOne({ linkedLeadId: lead._id }).select('propertyPreferences');
+    const { minBudget, maxBudget } = client?.propertyPreferences || {};
+
+    if (!maxBudget && !minBudget) return none;
+
+    const propertyIds = (lead.interestedProperties || [])
+      .map(p => p.propertyId)
+      .filter(id => mongoose.isValidObjectId(id));
+
+    if (propertyIds.length === 0) {
+      return { ...none, label: 'No priced properties to compare' };
+    }
+
+    const properties = await Property.find({ _id: { $in: propertyIds } }).select('price');
+    if (properties.length === 0) {
+      return { ...none, label: 'No priced properties to compare' };
+    }
+
+    const { withinBudget, nearBudget, overBudget, tolerance } = this.config.budgetFit;
+
+    // Score against the best-fitting property
+    const best = properties.reduce((top, property) => {
+      const price = property.price;
+      let points;
+      if ((!minBudget || price >= minBudget) && (!maxBudget || price <= maxBudget)) {
+        points = withinBudget;
+      } else if (maxBudget && price > maxBudget && price <= maxBudget * (1 + tolerance)) {
+        points = nearBudget;
+      } else {
+        points = overBudget;
+      }
+      return points > top ? points : top;
+    }, -Infinity);
+
+    return {
+      rule: 'budget_fit',
+      label: best === withinBudget ? 'Property within client budget'
+        : best === nearBudget ? 'Property slightly above client budget'
+          : 'Properties outside client budget',
+      points: best
+    };
+  }
+
+  /**
+   * Score a lead
+   * @param {Object} lead - Lead document or plain object
+   * @returns {Promise<{ score: number, breakdown: Array }>}
+   */
+  async scoreLead(lead) {
+    const breakdown = [
+      this.scoreSource(lead),
+      this.scoreInterestedProperties(lead),
+      this.scoreCompletedViewings(lead),
+      this.scoreCallOutcomes(lead),
+      this.scoreRecency(lead),
+      await this.scoreBudgetFit(lead)
+    ];
+
+    const total = breakdown.reduce((sum, item) => sum + item.points, 0);
+    const score = Math.max(0, Math.min(Math.round(total), this.config.maxScore));
+
+    return { score, breakdown };
+  }
+
+  /**
+   * Compute and set score fields on a lead document (does not save)
+   * @param {Object} lead - Lead document
+   */
+  async applyScore(lead) {
+    const { score, breakdown } = await this.scoreLead(lead);
+    lead.score = score;
+    lead.scoreBreakdown = breakdown;
+    lead.scoredAt = new Date();
+    return { score, breakdown };
+  }
+}
+
+export const leadScoringService = new LeadScoringService();
+export default leadScoringService;
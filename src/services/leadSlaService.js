@@ -0,0 +1,213 @@
+/**
+ * Lead SLA Service
+ * Watches first-response SLAs, alerts agents before a lead breaches
+ * and lists breaches for admins
+ */
+
+import { Resend } from 'resend';
+import Lead from '../models/LeadModel.js';
+import User from '../models/UserModel.js';
+import pusherService from './pusherService.js';
+import pipelineService from './pipelineService.js';
+import slaConfig from '../config/sla.js';
+import { leadSlaAlertTemplate } from '../templates/emailTemplates.js';
+import logger from '../utils/logger.js';
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+const FROM_EMAIL = process.env.FROM_EMAIL || 'noreply@kejamatch.com';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://kejamatch.com';
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Open leads still waiting for their first touch
+const awaitingFirstTouch = async () => ({
+  'sla.startedAt': { $ne: null },
+  'sla.firstTouchAt': null,
+  status: { $nin: await pipelineService.getClosedStageKeys() }
+});
+
+class LeadSlaService {
+  /**
+   * Warn about leads close to breaching and flag leads that have breached.
+   * Each lead is claimed with a conditional update so alerts fire once.
+   * @param {Date} now
+   * @returns {Promise<{ warned: number, breached: number }>}
+   */
+  async checkSlas(now = new Date()) {
+    const warnBy = new Date(now.getTime() + slaConfig.warnBeforeMinutes * MINUTE_MS);
+    const pending = await awaitingFirstTouch();
+
+    const [atRisk, overdue] = await Promise.all([
+      Lead.find({
+        ...pending,
+        'sla.breached': false,
+        'sla.warnedAt': null,
+        'sla.dueAt': { $gt: now, $lte: warnBy }
+      }).select('-activities'),
+      Lead.find({
+        ...pending,
+        'sla.breached': false,
+        'sla.dueAt': { $lte: now }
+      }).select('-activities')
+    ]);
+
+    let warned = 0;
+    for (const lead of atRisk) {
+      const claim = await Lead.updateOne(
+        { _id: lead._id, 'sla.warnedAt': null, 'sla.firstTouchAt': null },
+        { $set: { 'sla.warnedAt': now } }
+      );
+      if (claim.modifiedCount === 1) {
+        warned++;
+        await this.sendAlert(lead, { breached: false, now });
+      }
+    }
+
+    let breached = 0;
+    for (const lead of overdue) {
+      const claim = await Lead.updateOne(
+        { _id: lead._id, 'sla.breached': false, 'sla.firstTouchAt': null },
+        { $set: { 'sla.breached': true, 'sla.breachedAt': lead.sla.dueAt } }
+      );
+      if (claim.modifiedCount === 1) {
+        breached++;
+        await this.sendAlert(lead, { breached: true, now });
+      }
+    }
+
+    if (warned > 0 || breached > 0) {
+      logger.info(`⏰ Lead SLA check: ${warned} warning(s), ${breached} breach(es)`);
+    }
+
+    return { warned, breached };
+  }
+
+  /**
+   * Notify the assigned agent (Pusher + email) and, on breach or when
+   * the lead is unassigned, the admins
+   */
+  async sendAlert(lead, { breached, now }) {
+    const event = breached ? 'lead-sla-breached' : 'lead-sla-warning';
+    const minutesLeft = Math.max(0, Math.round((lead.sla.dueAt - now) / MINUTE_MS));
+    const payload = {
+      leadId: lead._id,
+      name: lead.name,
+      source: lead.source,
+      assignedTo: lead.assignedTo,
+      assignedToName: lead.assignedToName,
+      dueAt: lead.sla.dueAt,
+      minutesLeft,
+      timestamp: now.toISOString()
+    };
+
+    if (lead.assignedTo) {
+      await pusherService.triggerToUser(lead.assignedTo.toString(), event, payload);
+    }
+    if (breached || !lead.assignedTo) {
+      await pusherService.triggerToRole('admin', event, payload);
+    }
+
+    if (!slaConfig.emailAlerts || !lead.assignedTo) return;
+
+    try {
+      const agent = await User.findById(lead.assignedTo).select('name email');
+      if (!agent?.email) return;
+
+      await resend.emails.send({
+        from: FROM_EMAIL,
+        to: agent.email,
+        subject: breached
+          ? `🚨 Overdue lead response: ${lead.name}`
+          : `⏰ Lead response due in ${minutesLeft} min: ${lead.name}`,
+        html: leadSlaAlertTemplate({
+          agentName: agent.name,
+          leadId: lead._id,
+          leadName: lead.name,
+          leadEmail: lead.email,
+          leadPhone: lead.phoneNumber,
+          source: lead.source,
+          dueAt: lead.sla.dueAt,
+          minutesLeft,
+          breached,
+          leadUrl: `${FRONTEND_URL}/agent/leads/${lead._id}`
+        })
+      });
+    } catch (emailError) {
+      logger.error(`❌ Failed to send SLA alert for lead ${lead._id}:`, emailError);
+    }
+  }
+
+  /**
+   * List SLA breaches for admins
+   * @param {Object} query - state (open|late|all|at_risk), assignedTo, source, page, limit
+   * @returns {Promise<Object>} - { leads, summary, pagination }
+   */
+  async getBreaches(query = {}) {
+    const now = new Date();
+    const state = ['open', 'late', 'all', 'at_risk'].includes(query.state) ? query.state : 'open';
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+    const pending = await awaitingFirstTouch();
+
+    const filter = {};
+    if (state === 'open') {
+      Object.assign(filter, pending, { 'sla.breached': true });
+    } else if (state === 'late') {
+      Object.assign(filter, { 'sla.breached': true, 'sla.firstTouchAt': { $ne: null } });
+    } else if (state === 'all') {
+      filter['sla.breached'] = true;
+    } else {
+      Object.assign(filter, pending, {
+        'sla.breached': false,
+        'sla.dueAt': { $gt: now, $lte: new Date(now.getTime() + slaConfig.warnBeforeMinutes * MINUTE_MS) }
+      });
+    }
+
+    if (query.assignedTo) {
+      filter.assignedTo = query.assignedTo === 'unassigned' ? null : String(query.assignedTo);
+    }
+    if (query.source) {
+      filter.source = String(query.source);
+    }
+
+    const [leads, total, openCount, lateCount] = await Promise.all([
+      Lead.find(filter)
+        .select('name email phoneNumber phone source status assignedTo assignedToName createdAt sla')
+        .sort({ 'sla.dueAt': 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Lead.countDocuments(filter),
+      Lead.countDocuments({ ...pending, 'sla.breached': true }),
+      Lead.countDocuments({ 'sla.breached': true, 'sla.firstTouchAt': { $ne: null } })
+    ]);
+
+    return {
+      leads: leads.map(lead => ({
+        ...lead,
+        id: lead._id.toString(),
+        overdueMinutes: lead.sla?.dueAt
+          ? Math.max(0, Math.round(((lead.sla.firstTouchAt || now) - lead.sla.dueAt) / MINUTE_MS))
+          : 0
+      })),
+      summary: {
+        openBreaches: openCount,
+        lateResponses: lateCount
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1,
+        state
+      }
+    };
+  }
+}
+
+export const leadSlaService = new LeadSlaService();
+export default leadSlaService;
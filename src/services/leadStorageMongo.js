@@ -4,8 +4,30 @@
  */
 
 import Lead from '../models/LeadModel.js';
+import leadDedupeService from './leadDedupeService.js';
+import leadScoringService from './leadScoringService.js';
+import leadAssignmentService from './leadAssignmentService.js';
+import pipelineService from './pipelineService.js';
+import taskService from './taskService.js';
+import customFieldService from './customFieldService.js';
+import leadHistoryService from './leadHistoryService.js';
+import availabilityService from './availabilityService.js';
+import leadTrashConfig from '../config/leadTrash.js';
+import leadScoringConfig from '../config/leadScoring.js';
 import logger from '../utils/logger.js';
 
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const LIST_FILTER_FIELDS = [
+  'pipeline', 'status', 'source', 'tags', 'assignedTo', 'startDate', 'endDate', 'syncedToOdoo', 'minScore', 'maxScore'
+];
+const CUSTOM_FILTER_PREFIX = 'custom.';
+const MAX_TAG_LENGTH = 50;
+const SORTABLE_FIELDS = [
+  'createdAt', 'updatedAt', 'name', 'email', 'status', 'source',
+  'assignedToName', 'assignedAt', 'lastContactedAt', 'score'
+];
+
 class LeadStorage {
   static async initialize() {
     // MongoDB doesn't need initialization like JSON files
@@ -15,29 +37,63 @@ class LeadStorage {
 
   static async saveLead(leadData) {
     try {
+      const source = leadData.source || 'website_contact_form';
+      const pipeline = await pipelineService.getPipelineForSource(source);
+
       const lead = new Lead({
         name: leadData.name,
         email: leadData.email,
         phoneNumber: leadData.phoneNumber || leadData.phone,
         subject: leadData.subject,
         message: leadData.message,
-        source: leadData.source || 'website_contact_form',
-        status: 'new',
-        syncedToOdoo: false
+        source,
+        pipeline: pipeline.key,
+        status: pipelineService.getInitialStage(pipeline).key,
+        syncedToOdoo: false,
+        importBatch: leadData.importBatch || null
       });
 
+      lead.recordTouch(leadData.attribution);
+
+      // Flag likely duplicates; a failed check never blocks lead capture.
+      // Callers that already looked them up (imports) pass possibleDuplicates.
+      try {
+        const matches = leadData.possibleDuplicates || await leadDedupeService.findDuplicates(leadData);
+        lead.possibleDuplicates = matches.map(m => ({
+          leadId: m.lead._id,
+          score: m.score,
+          reasons: m.reasons
+        }));
+      } catch (dedupeError) {
+        logger.warn('⚠️ Duplicate check failed:', dedupeError.message);
+      }
+
       // Add initial activity
       lead.addActivity(
         'lead_created',
         `Lead created from ${leadData.source || 'website contact form'}`,
         null,
         'System',
-        { source: leadData.source || 'website_contact_form' }
+        {
+          source: leadData.source || 'website_contact_form',
+          possibleDuplicates: lead.possibleDuplicates.length,
+          ...(leadData.importBatch && { importBatch: leadData.importBatch })
+        }
       );
 
       await lead.save();
 
       logger.info(`✅ Lead created: ${lead.email} (${lead._id})`);
+      if (lead.possibleDuplicates.length > 0) {
+        logger.warn(`⚠️ Lead ${lead._id} has ${lead.possibleDuplicates.length} possible duplicate(s)`);
+      }
+
+      // Route the lead to an agent; leads stay unassigned if no rule applies
+      try {
+        await leadAssignmentService.autoAssign(lead, { propertyId: leadData.propertyId });
+      } catch (assignError) {
+        logger.warn('⚠️ Auto-assignment failed:', assignError.message);
+      }
 
       return { success: true, lead: lead.toObject() };
     } catch (error) {
@@ -46,6 +102,48 @@ class LeadStorage {
     }
   }
 
+  /**
+   * Create a lead from a record that already has its pipeline and stage (e.g. pulled from Odoo)
+   */
+  static async createLead(leadData) {
+    try {
+      const pipeline = await pipelineService.getPipeline(leadData.pipeline);
+      const { set, errors } = await customFieldService.validateValues(leadData.customFields || {});
+      if (errors.length > 0) {
+        const origin = leadData.odooLeadId ? `Odoo lead ${leadData.odooLeadId}` : `lead "${leadData.name}"`;
+        logger.warn(`⚠️ Custom field values skipped for ${origin}: ${errors.map(e => `${e.field}: ${e.message}`).join('; ')}`);
+      }
+
+      const lead = new Lead({
+        name: leadData.name,
+        email: leadData.email,
+        phoneNumber: leadData.phoneNumber || leadData.phone,
+        subject: leadData.subject,
+        message: leadData.message,
+        source: leadData.source,
+        pipeline: pipeline.key,
+        status: leadData.status || pipelineService.getInitialStage(pipeline).key,
+        customFields: set,
+        syncedToOdoo: Boolean(leadData.odooLeadId),
+        odooLeadId: leadData.odooLeadId ? String(leadData.odooLeadId) : null,
+        syncedAt: leadData.odooLeadId ? new Date() : null
+      });
+
+      lead.addActivity('lead_created', `Lead created from ${leadData.source}`, null, 'System', {
+        source: leadData.source
+      });
+
+      await lead.save();
+
+      logger.info(`✅ Lead created: ${lead.email} (${lead._id})`);
+
+      return { success: true, lead: lead.toObject() };
+    } catch (error) {
+      logger.error('❌ Create lead error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   static async getAllLeads() {
     try {
       const leads = await Lead.find({})
@@ -59,6 +157,95 @@ class LeadStorage {
     }
   }
 
+  /**
+   * Split request query params into list filters and paging/sort options
+   * @param {Object} query - Express req.query
+   * @returns {{ filters: Object, options: Object }}
+   */
+  static parseListQuery(query = {}) {
+    const filters = {};
+    LIST_FILTER_FIELDS.forEach(field => {
+      if (query[field] !== undefined && typeof query[field] !== 'object') {
+        filters[field] = query[field];
+      }
+    });
+
+    // custom.<key>=value filters on custom fields
+    Object.keys(query).forEach(param => {
+      if (param.startsWith(CUSTOM_FILTER_PREFIX) && typeof query[param] !== 'object') {
+        filters.customFields = filters.customFields || {};
+        filters.customFields[param.slice(CUSTOM_FILTER_PREFIX.length)] = query[param];
+      }
+    });
+
+    const { page, limit, sortBy, sortOrder } = query;
+    return { filters, options: { page, limit, sortBy, sortOrder } };
+  }
+
+  /**
+   * Mongo query for list filters, including custom field filters
+   * @param {Object} filters - See Lead.buildFilter; customFields: { key: value }
+   * @returns {Promise<Object>}
+   */
+  static async buildQuery(filters = {}) {
+    const { customFields, ...standard } = filters;
+    const query = Lead.buildFilter(standard);
+
+    if (customFields && Object.keys(customFields).length > 0) {
+      Object.assign(query, await customFieldService.buildFilter(customFields));
+    }
+
+    return query;
+  }
+
+  /**
+   * Paginated, filtered and sorted lead list.
+   * Activities are left out of the list payload; fetch a single lead for the timeline.
+   * @param {Object} filters - See Lead.buildFilter
+   * @param {Object} options - page, limit, sortBy, sortOrder ('asc' | 'desc')
+   */
+  static async queryLeads(filters = {}, options = {}) {
+    try {
+      const page = Math.max(parseInt(options.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+      const sortField = SORTABLE_FIELDS.includes(options.sortBy) ? options.sortBy : 'createdAt';
+      const sortOrder = options.sortOrder === 'asc' ? 1 : -1;
+
+      const query = await this.buildQuery(filters);
+
+      const [leads, total] = await Promise.all([
+        Lead.find(query)
+          .select('-activities')
+          .populate('assignedTo', 'name email')
+          .sort({ [sortField]: sortOrder, _id: sortOrder })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Lead.countDocuments(query)
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        success: true,
+        leads: leads.map(lead => ({ ...lead, id: lead._id.toString() })),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          sortBy: sortField,
+          sortOrder: sortOrder === 1 ? 'asc' : 'desc'
+        }
+      };
+    } catch (error) {
+      logger.error('❌ Query leads error:', error);
+      return { success: false, error: error.message, leads: [], pagination: null };
+    }
+  }
+
   static async findById(leadId) {
     try {
       const lead = await Lead.findById(leadId)
@@ -113,7 +300,8 @@ class LeadStorage {
     }
   }
 
-  static async updateLeadStatus(leadId, status, userId = null, userName = null) {
+  // outcome: won/lost details from leadOutcomeService.resolveOutcome
+  static async updateLeadStatus(leadId, status, userId = null, userName = null, outcome = null) {
     try {
       const lead = await Lead.findById(leadId);
       
@@ -121,7 +309,7 @@ class LeadStorage {
         return { success: false, error: 'Lead not found' };
       }
 
-      await lead.changeStatus(status, userId, userName);
+      await lead.changeStatus(status, userId, userName, outcome);
 
       logger.info(`✅ Lead status updated: ${leadId} -> ${status}`);
 
@@ -191,6 +379,98 @@ class LeadStorage {
     }
   }
 
+  static async addTags(leadId, tags, userId, userName) {
+    try {
+      const lead = await Lead.findById(leadId);
+      
+      if (!lead) {
+        return { success: false, error: 'Lead not found' };
+      }
+
+      await lead.addTags(tags, userId, userName);
+
+      logger.info(`✅ Tags added to lead: ${leadId}`);
+
+      return { success: true, lead: lead.toObject() };
+    } catch (error) {
+      logger.error('❌ Add tags error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async removeTags(leadId, tags, userId, userName) {
+    try {
+      const lead = await Lead.findById(leadId);
+      
+      if (!lead) {
+        return { success: false, error: 'Lead not found' };
+      }
+
+      await lead.removeTags(tags, userId, userName);
+
+      logger.info(`✅ Tags removed from lead: ${leadId}`);
+
+      return { success: true, lead: lead.toObject() };
+    } catch (error) {
+      logger.error('❌ Remove tags error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Add and/or remove tags in one request
+   * @param {Object} changes - { add: [], remove: [] }
+   * @returns {Promise<Object>} - { success, lead } or { success: false, error, invalid }
+   */
+  static async updateTags(leadId, { add = [], remove = [] } = {}, userId, userName) {
+    const isTagList = (list) => Array.isArray(list)
+      && list.every(tag => typeof tag === 'string' && tag.trim().length <= MAX_TAG_LENGTH);
+
+    if (!isTagList(add) || !isTagList(remove)) {
+      return { success: false, invalid: true, error: `add and remove must be lists of tags (max ${MAX_TAG_LENGTH} characters each)` };
+    }
+    if (add.length === 0 && remove.length === 0) {
+      return { success: false, invalid: true, error: 'Provide tags to add or remove' };
+    }
+
+    let result = { success: true };
+    if (add.length > 0) {
+      result = await this.addTags(leadId, add, userId, userName);
+    }
+    if (result.success && remove.length > 0) {
+      result = await this.removeTags(leadId, remove, userId, userName);
+    }
+    return result;
+  }
+
+  /**
+   * Validate and save custom field values ({ key: value }, null clears)
+   * @returns {Promise<Object>} - { success, lead } or { success: false, error, errors }
+   */
+  static async updateCustomFields(leadId, values, userId, userName) {
+    try {
+      const lead = await Lead.findById(leadId);
+      
+      if (!lead) {
+        return { success: false, error: 'Lead not found' };
+      }
+
+      const { set, unset, errors } = await customFieldService.validateValues(values);
+      if (errors.length > 0) {
+        return { success: false, error: 'Invalid custom field values', errors };
+      }
+
+      await lead.setCustomFields(set, unset, userId, userName);
+
+      logger.info(`✅ Custom fields updated on lead: ${leadId}`);
+
+      return { success: true, lead: lead.toObject() };
+    } catch (error) {
+      logger.error('❌ Update custom fields error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   static async logCall(leadId, callData, userId, userName) {
     try {
       const lead = await Lead.findById(leadId);
@@ -229,22 +509,242 @@ class LeadStorage {
     }
   }
 
+  /**
+   * Resolve a requested viewing slot and check it against the agent's calendar
+   * @returns {Promise<Object>} - { agent, slot, conflicts, warnings }
+   */
+  static async checkViewingSlot(viewingData, agentId, excludeViewingId = null) {
+    const agent = await availabilityService.findAgent(agentId);
+    const slot = availabilityService.resolveSlot(
+      viewingData.scheduledDate,
+      viewingData.scheduledTime,
+      viewingData.durationMinutes
+    );
+
+    const { conflicts, warnings } = await availabilityService.checkSlot({
+      agentId: agent._id,
+      propertyId: viewingData.propertyId,
+      startsAt: slot.startsAt,
+      endsAt: slot.endsAt,
+      excludeViewingId
+    });
+
+    return { agent, slot, conflicts, warnings };
+  }
+
+  static conflictResult({ conflicts, warnings }) {
+    return { success: false, error: conflicts[0].message, statusCode: 409, conflicts, warnings };
+  }
+
+  /**
+   * Schedule a viewing after checking the agent's calendar.
+   * The agent is viewingData.agentId, else the lead's agent, else the scheduling user.
+   * Conflicts stop the booking unless viewingData.force is set; warnings are returned with it.
+   * @returns {Promise<Object>} - { success, lead, viewing, warnings } or
+   *   { success: false, error, statusCode, conflicts, warnings }
+   */
   static async scheduleViewing(leadId, viewingData, userId, userName) {
     try {
       const lead = await Lead.findById(leadId);
       
       if (!lead) {
-        return { success: false, error: 'Lead not found' };
+        return { success: false, error: 'Lead not found', statusCode: 404 };
       }
 
-      const viewing = await lead.scheduleViewing(viewingData, userId, userName);
+      const agentId = viewingData.agentId || lead.assignedTo?._id || lead.assignedTo || userId;
+      const check = await this.checkViewingSlot(viewingData, agentId);
+
+      if (check.conflicts.length > 0 && !viewingData.force) {
+        return this.conflictResult(check);
+      }
+
+      const viewing = await lead.scheduleViewing({
+        ...viewingData,
+        ...check.slot,
+        agent: check.agent._id,
+        agentName: check.agent.name
+      }, userId, userName);
 
       logger.info(`✅ Viewing scheduled for lead: ${leadId}`);
 
-      return { success: true, lead: lead.toObject(), viewing };
+      return { success: true, lead: lead.toObject(), viewing, warnings: [...check.conflicts, ...check.warnings] };
     } catch (error) {
       logger.error('❌ Schedule viewing error:', error);
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, statusCode: error.statusCode || 500 };
+    }
+  }
+
+  /**
+   * Move a scheduled viewing to a new date and time, with the same checks as scheduling.
+   * The viewing keeps its agent unless viewingData.agentId is given.
+   * @returns {Promise<Object>} - { success, lead, viewing, previous, warnings } or
+   *   { success: false, error, statusCode, conflicts, warnings }
+   */
+  static async rescheduleViewing(leadId, viewingId, viewingData, userId, userName) {
+    try {
+      const lead = await Lead.findById(leadId);
+      const current = lead?.viewings.id(viewingId);
+
+      if (!current) {
+        return { success: false, error: lead ? 'Viewing not found' : 'Lead not found', statusCode: 404 };
+      }
+      if (current.status !== 'scheduled') {
+        return { success: false, error: `Viewing is already ${current.status}`, statusCode: 409 };
+      }
+
+      const agentId = viewingData.agentId || current.agent || lead.assignedTo?._id || lead.assignedTo || userId;
+      const currentMinutes = current.startsAt && current.endsAt
+        ? Math.round((current.endsAt - current.startsAt) / 60000)
+        : undefined;
+      const check = await this.checkViewingSlot(
+        { ...viewingData, propertyId: current.propertyId, durationMinutes: viewingData.durationMinutes ?? currentMinutes },
+        agentId,
+        viewingId
+      );
+
+      if (check.conflicts.length > 0 && !viewingData.force) {
+        return this.conflictResult(check);
+      }
+
+      const previous = { scheduledDate: current.scheduledDate, scheduledTime: current.scheduledTime, startsAt: current.startsAt };
+      const viewing = await lead.rescheduleViewing(viewingId, {
+        ...check.slot,
+        agent: check.agent._id,
+        agentName: check.agent.name
+      }, userId, userName);
+
+      logger.info(`✅ Viewing ${viewingId} rescheduled for lead: ${leadId}`);
+
+      return { success: true, lead: lead.toObject(), viewing, previous, warnings: [...check.conflicts, ...check.warnings] };
+    } catch (error) {
+      logger.error('❌ Reschedule viewing error:', error);
+      return { success: false, error: error.message, statusCode: error.statusCode || 500 };
+    }
+  }
+
+  /**
+   * Confirm a viewing request from the website. The client's preferred slot is
+   * tried first, then the alternate; the first one free in the agent's calendar is booked.
+   * viewingData.scheduledDate/scheduledTime pick another slot instead, and
+   * viewingData.force books the first choice despite conflicts.
+   * The agent is viewingData.agentId, else the request's agent, else the lead's, else the confirming user.
+   * @returns {Promise<Object>} - { success, lead, viewing, confirmedSlot, warnings } or
+   *   { success: false, error, statusCode, conflicts, warnings, slots }
+   */
+  static async confirmViewingRequest(leadId, viewingId, viewingData, userId, userName) {
+    try {
+      const lead = await Lead.findById(leadId);
+      const current = lead?.viewings.id(viewingId);
+
+      if (!current) {
+        return { success: false, error: lead ? 'Viewing not found' : 'Lead not found', statusCode: 404 };
+      }
+      if (current.status !== 'requested') {
+        return { success: false, error: `Viewing is already ${current.status}`, statusCode: 409 };
+      }
+
+      const { request } = current;
+      const choices = viewingData.scheduledDate || viewingData.scheduledTime
+        ? [{ name: 'other', scheduledDate: viewingData.scheduledDate, scheduledTime: viewingData.scheduledTime }]
+        : [
+          { name: 'preferred', scheduledDate: request?.preferredDate || current.scheduledDate, scheduledTime: request?.preferredTime || current.scheduledTime },
+          ...(request?.alternateDate
+            ? [{ name: 'alternate', scheduledDate: request.alternateDate, scheduledTime: request.alternateTime || request.preferredTime }]
+            : [])
+        ];
+
+      const agentId = viewingData.agentId || current.agent || lead.assignedTo?._id || lead.assignedTo || userId;
+      const checked = [];
+      let chosen = null;
+
+      for (const choice of choices) {
+        try {
+          availabilityService.resolveSlot(choice.scheduledDate, choice.scheduledTime, viewingData.durationMinutes);
+        } catch (slotError) {
+          // A free-text date or time can't be booked as the client wrote it
+          if (choice.name === 'other') throw slotError;
+          checked.push({ choice, error: slotError.message, conflicts: [], warnings: [] });
+          continue;
+        }
+
+        const check = await this.checkViewingSlot(
+          { ...choice, propertyId: current.propertyId, durationMinutes: viewingData.durationMinutes },
+          agentId,
+          viewingId
+        );
+        checked.push({ choice, ...check });
+        if (check.conflicts.length === 0) {
+          chosen = checked[checked.length - 1];
+          break;
+        }
+      }
+
+      if (!chosen && viewingData.force) {
+        chosen = checked.find(entry => !entry.error) || null;
+      }
+
+      if (!chosen) {
+        const conflicts = checked.flatMap(entry => entry.conflicts);
+        const slots = checked.map(({ choice, error, conflicts: slotConflicts }) => ({
+          slot: choice.name,
+          scheduledDate: choice.scheduledDate,
+          scheduledTime: choice.scheduledTime,
+          error: error || slotConflicts[0]?.message || null
+        }));
+        return {
+          success: false,
+          error: conflicts[0]?.message || checked[0].error,
+          statusCode: conflicts.length > 0 ? 409 : 400,
+          conflicts,
+          warnings: checked.flatMap(entry => entry.warnings),
+          slots
+        };
+      }
+
+      const viewing = await lead.confirmViewingRequest(viewingId, {
+        ...chosen.slot,
+        agent: chosen.agent._id,
+        agentName: chosen.agent.name,
+        confirmedSlot: chosen.choice.name
+      }, userId, userName);
+
+      logger.info(`✅ Viewing request ${viewingId} confirmed (${chosen.choice.name} slot) for lead: ${leadId}`);
+
+      return {
+        success: true,
+        lead: lead.toObject(),
+        viewing,
+        confirmedSlot: chosen.choice.name,
+        warnings: [...chosen.conflicts, ...chosen.warnings]
+      };
+    } catch (error) {
+      logger.error('❌ Confirm viewing request error:', error);
+      return { success: false, error: error.message, statusCode: error.statusCode || 500 };
+    }
+  }
+
+  static async cancelViewing(leadId, viewingId, reason, userId, userName) {
+    try {
+      const lead = await Lead.findById(leadId);
+      const current = lead?.viewings.id(viewingId);
+
+      if (!current) {
+        return { success: false, error: lead ? 'Viewing not found' : 'Lead not found', statusCode: 404 };
+      }
+      if (!['scheduled', 'requested'].includes(current.status)) {
+        return { success: false, error: `Viewing is already ${current.status}`, statusCode: 409 };
+      }
+
+      // Only booked viewings have an invite for the client's calendar to withdraw
+      const wasScheduled = current.status === 'scheduled';
+      const viewing = await lead.cancelViewing(viewingId, reason, userId, userName);
+
+      logger.info(`✅ Viewing ${viewingId} cancelled for lead: ${leadId}`);
+
+      return { success: true, lead: lead.toObject(), viewing, wasScheduled };
+    } catch (error) {
+      logger.error('❌ Cancel viewing error:', error);
+      return { success: false, error: error.message, statusCode: error.statusCode || 500 };
     }
   }
 
@@ -260,6 +760,13 @@ class LeadStorage {
 
       logger.info(`✅ Viewing completed for lead: ${leadId}`);
 
+      // Follow-up task for the agent; the viewing itself is already recorded
+      try {
+        await taskService.createViewingFollowUp(lead, lead.viewings.id(viewingId), { id: userId, name: userName });
+      } catch (taskError) {
+        logger.warn(`⚠️ Follow-up task not created for lead ${leadId}: ${taskError.message}`);
+      }
+
       return { success: true, lead: lead.toObject() };
     } catch (error) {
       logger.error('❌ Complete viewing error:', error);
@@ -286,6 +793,71 @@ class LeadStorage {
     }
   }
 
+  /**
+   * Record a public viewing request on the matching lead, creating one when none exists
+   * @param {Object} request - Viewing request form fields plus parsed attribution
+   * @returns {Promise<Object>} - { success, lead, viewing } (lead is a document) or { success: false, error }
+   */
+  static async recordViewingRequest(request) {
+    try {
+      const { propertyId, propertyName, name, email, phone, message, attribution } = request;
+
+      let lead = await leadDedupeService.findExistingLead({ name, email, phone });
+
+      if (lead) {
+        logger.info(`📝 Updating existing lead: ${lead._id}`);
+        lead.recordTouch(attribution);
+      } else {
+        const leadResult = await this.saveLead({
+          name,
+          email,
+          phoneNumber: phone,
+          subject: `Viewing Request: ${propertyName}`,
+          message: message || `Interested in viewing ${propertyName}`,
+          source: 'property_viewing_request',
+          propertyId,
+          attribution
+        });
+
+        if (!leadResult.success) {
+          return { success: false, error: 'Failed to create lead' };
+        }
+
+        lead = await Lead.findById(leadResult.lead._id);
+      }
+
+      await lead.addPropertyInterest({
+        propertyId,
+        propertyName,
+        notes: message || 'Requested viewing'
+      }, null, 'System');
+
+      // Not scheduled yet - waits in the request queue until someone confirms a slot
+      let preferredStartsAt = null;
+      try {
+        preferredStartsAt = availabilityService.resolveSlot(request.preferredDate, request.preferredTime).startsAt;
+      } catch {
+        // Free-text times stay as the client wrote them; the queue sorts them by arrival
+      }
+
+      const viewing = await lead.requestViewing({
+        propertyId,
+        propertyName,
+        preferredDate: request.preferredDate,
+        preferredTime: request.preferredTime,
+        alternateDate: request.alternateDate,
+        alternateTime: request.alternateTime,
+        preferredStartsAt,
+        message
+      });
+
+      return { success: true, lead, viewing };
+    } catch (error) {
+      logger.error('❌ Record viewing request error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   static async getLeadActivities(leadId, limit = 50) {
     try {
       const lead = await Lead.findById(leadId);
@@ -303,15 +875,58 @@ class LeadStorage {
     }
   }
 
-  static async deleteLead(leadId) {
+  // Field-level change history (trashed leads included)
+  static async getLeadHistory(leadId, query = {}) {
+    try {
+      const exists = await Lead.exists({ _id: leadId, isDeleted: { $in: [true, false, null] } });
+
+      if (!exists) {
+        return { success: false, error: 'Lead not found' };
+      }
+
+      const { entries, pagination } = await leadHistoryService.list(leadId, query);
+
+      return { success: true, history: entries, pagination };
+    } catch (error) {
+      logger.error('❌ Get lead history error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The lead's tracked fields and activities as they were at a point in time
+  static async getLeadAsOf(leadId, asOf) {
     try {
-      const lead = await Lead.findByIdAndDelete(leadId);
+      const lead = await Lead.findOne({ _id: leadId, isDeleted: { $in: [true, false, null] } }).lean();
+
+      if (!lead) {
+        return { success: false, error: 'Lead not found' };
+      }
+
+      const snapshot = await leadHistoryService.reconstruct(lead, asOf);
+
+      if (!snapshot) {
+        return { success: false, error: 'Lead did not exist at that date' };
+      }
+
+      return { success: true, ...snapshot };
+    } catch (error) {
+      logger.error('❌ Get lead as of date error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Soft delete: the lead moves to the trash and is purged after the retention period
+  static async deleteLead(leadId, userId = null, userName = null) {
+    try {
+      const lead = await Lead.findById(leadId);
       
       if (!lead) {
         return { success: false, error: 'Lead not found' };
       }
 
-      logger.info(`✅ Lead deleted: ${leadId}`);
+      await lead.softDelete(userId, userName);
+
+      logger.info(`✅ Lead moved to trash: ${leadId}`);
 
       return { success: true };
     } catch (error) {
@@ -320,6 +935,177 @@ class LeadStorage {
     }
   }
 
+  /**
+   * Paginated trash listing, most recently deleted first
+   * @param {Object} options - page, limit, search (name/email)
+   */
+  static async getDeletedLeads(options = {}) {
+    try {
+      const page = Math.max(parseInt(options.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+      const query = { isDeleted: true };
+      if (options.search) {
+        const pattern = new RegExp(String(options.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$or = [{ name: pattern }, { email: pattern }];
+      }
+
+      const [leads, total] = await Promise.all([
+        Lead.find(query)
+          .select('-activities')
+          .sort({ deletedAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Lead.countDocuments(query)
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+      const purgeAfterMs = leadTrashConfig.retentionDays * 24 * 60 * 60 * 1000;
+
+      return {
+        success: true,
+        leads: leads.map(lead => ({
+          ...lead,
+          id: lead._id.toString(),
+          purgeAt: lead.deletedAt ? new Date(new Date(lead.deletedAt).getTime() + purgeAfterMs) : null
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('❌ Get deleted leads error:', error);
+      return { success: false, error: error.message, leads: [], pagination: null };
+    }
+  }
+
+  static async restoreLead(leadId, userId, userName) {
+    try {
+      const lead = await Lead.findOne({ _id: leadId, isDeleted: true });
+
+      if (!lead) {
+        return { success: false, error: 'Lead not found in trash' };
+      }
+
+      await lead.restore(userId, userName);
+
+      logger.info(`✅ Lead restored from trash: ${leadId}`);
+
+      return { success: true, lead: lead.toObject() };
+    } catch (error) {
+      logger.error('❌ Restore lead error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Permanently remove leads that have been in the trash longer than the retention period
+   * @returns {Promise<number>} - number of leads purged
+   */
+  static async purgeDeletedLeads(now = new Date()) {
+    const cutoff = new Date(now.getTime() - leadTrashConfig.retentionDays * 24 * 60 * 60 * 1000);
+    const ids = await Lead.find({ isDeleted: true, deletedAt: { $lt: cutoff } }).distinct('_id');
+    if (ids.length === 0) return 0;
+
+    const { deletedCount } = await Lead.deleteMany({ _id: { $in: ids } });
+    await leadHistoryService.removeForLeads(ids);
+
+    logger.info(`🗑️ Purged ${deletedCount} lead(s) deleted before ${cutoff.toISOString()}`);
+
+    return deletedCount;
+  }
+
+  /**
+   * A lead's score as of now, with its breakdown. Nothing is saved; storedScore is
+   * the score lists sort and filter by, last refreshed at scoredAt.
+   */
+  static async getLeadScore(leadId) {
+    try {
+      const lead = await Lead.findById(leadId);
+
+      if (!lead) {
+        return { success: false, error: 'Lead not found', statusCode: 404 };
+      }
+
+      const { score, breakdown } = await leadScoringService.scoreLead(lead);
+
+      return { success: true, score, breakdown, storedScore: lead.score, scoredAt: lead.scoredAt };
+    } catch (error) {
+      logger.error('❌ Get lead score error:', error);
+      return { success: false, error: error.message, statusCode: 500 };
+    }
+  }
+
+  /**
+   * Recompute scores that are older than maxAgeHours. Recency and budget fit change
+   * without the lead being saved, so stored scores would otherwise go stale.
+   * Writes go straight to the score fields: no hooks run and no history is recorded.
+   * @returns {Promise<number>} - Leads whose score changed
+   */
+  static async refreshScores(now = new Date()) {
+    const { maxAgeHours, batchSize } = leadScoringConfig.refresh;
+    const cutoff = new Date(now.getTime() - maxAgeHours * 60 * 60 * 1000);
+
+    const leads = await Lead.find({ $or: [{ scoredAt: null }, { scoredAt: { $lt: cutoff } }] })
+      .select('source interestedProperties viewings.status activities.type activities.metadata lastContactedAt score')
+      .sort({ scoredAt: 1 })
+      .limit(batchSize)
+      .lean();
+
+    let changed = 0;
+    for (const lead of leads) {
+      try {
+        const { score, breakdown } = await leadScoringService.scoreLead(lead);
+        const update = score === lead.score
+          ? { scoredAt: now }
+          : { score, scoreBreakdown: breakdown, scoredAt: now };
+
+        await Lead.updateOne({ _id: lead._id }, { $set: update });
+        if (score !== lead.score) changed++;
+      } catch (error) {
+        logger.error(`❌ Refresh score error (${lead._id}):`, error);
+      }
+    }
+
+    if (changed > 0) {
+      logger.info(`📊 Refreshed ${leads.length} lead score(s), ${changed} changed`);
+    }
+    return changed;
+  }
+
+  static async findDuplicates(leadId) {
+    try {
+      const lead = await Lead.findById(leadId).select('-activities');
+
+      if (!lead) {
+        return { success: false, error: 'Lead not found' };
+      }
+
+      const matches = await leadDedupeService.findDuplicates(lead, { excludeId: lead._id });
+
+      return { success: true, duplicates: matches };
+    } catch (error) {
+      logger.error('❌ Find duplicates error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async mergeLeads(survivorId, duplicateIds, userId, userName) {
+    try {
+      const lead = await leadDedupeService.mergeLeads(survivorId, duplicateIds, { id: userId, name: userName });
+      return { success: true, lead: lead.toObject() };
+    } catch (error) {
+      logger.error('❌ Merge leads error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   static async getLeadsByAgent(agentId) {
     try {
       const leads = await Lead.findByAgent(agentId)
@@ -350,26 +1136,32 @@ class LeadStorage {
         return { success: false, error: 'No leads to export' };
       }
 
+      const customFields = await customFieldService.getFields();
+      const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
       const headers = [
-        'ID', 'Name', 'Email', 'Phone', 'Subject', 'Message', 'Status',
+        'ID', 'Name', 'Email', 'Phone', 'Subject', 'Message', 'Status', 'Tags',
         'Created At', 'Assigned To', 'Last Contacted', 'Activities Count',
-        'Synced to Odoo', 'Odoo Lead ID'
+        'Synced to Odoo', 'Odoo Lead ID',
+        ...customFields.map(field => quote(field.label))
       ];
 
       const rows = leads.map(lead => [
         lead._id,
         lead.name,
         lead.email,
-        lead.phoneNumber || lead.phone || '',
+        lead.phoneNumber || '',
         lead.subject || '',
         `"${(lead.message || '').replace(/"/g, '""')}"`,
         lead.status,
+        quote((lead.tags || []).join(';')),
         lead.createdAt,
         lead.assignedToName || (lead.assignedTo ? lead.assignedTo.name : ''),
         lead.lastContactedAt || '',
         (lead.activities || []).length,
         lead.syncedToOdoo ? 'Yes' : 'No',
-        lead.odooLeadId || ''
+        lead.odooLeadId || '',
+        ...customFields.map(field => quote(customFieldService.formatValue(field, lead.customFields?.[field.key])))
       ]);
 
       const csv = [
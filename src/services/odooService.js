@@ -96,6 +96,9 @@ class OdooService {
         x_preferred_county: leadData.preferredCounty || null,
         x_property_interest: leadData.propertyInterest || null,
         x_communication_preference: leadData.communicationPreference || 'whatsapp',
+
+        // Admin-defined custom fields already keyed by their x_ field
+        ...(leadData.customFields || {}),
       };
 
       const leadId = await retryWithBackoff(
@@ -5,7 +5,10 @@
 
 import odooService from './odooService.js';
 import LeadStorage from './leadStorageMongo.js';
+import pipelineService from './pipelineService.js';
+import customFieldService from './customFieldService.js';
 import SyncLog from '../models/SyncLogModel.js';
+import { runWithChangeContext } from '../utils/changeContext.js';
 import logger from '../utils/logger.js';
 
 class OdooSyncService {
@@ -15,6 +18,11 @@ class OdooSyncService {
    * @returns {Promise<Object>} - Sync result
    */
   async syncFromOdoo(triggeredBy = null) {
+    // Lead changes made by the pull are recorded in lead history as Odoo sync changes
+    return runWithChangeContext({ origin: 'odoo_sync', userId: triggeredBy }, () => this.pullFromOdoo(triggeredBy));
+  }
+
+  async pullFromOdoo(triggeredBy) {
     const syncLog = await SyncLog.create({
       type: 'odoo_pull',
       startedAt: new Date(),
@@ -41,7 +49,7 @@ class OdooSyncService {
         fields: [
           'id', 'name', 'contact_name', 'email_from', 'phone',
           'description', 'stage_id', 'create_date', 'write_date',
-          'x_budget_range', 'x_preferred_county', 'x_property_interest'
+          ...await customFieldService.getOdooFieldNames()
         ],
         limit: 500
       });
@@ -61,21 +69,15 @@ class OdooSyncService {
           // Find local lead by odooLeadId
           const localLeadsResponse = await LeadStorage.getAllLeads();
           const localLeads = localLeadsResponse?.leads || [];
-          const localLead = localLeads.find(l => l.odooLeadId === odooLead.id);
-
-          // Map Odoo stage to local status
-          const statusMap = {
-            'New Lead': 'new',
-            'Contacted': 'contacted',
-            'Qualified': 'qualified',
-            'Viewing Scheduled': 'viewing',
-            'Negotiation': 'negotiating',
-            'Won': 'won',
-            'Lost': 'lost'
-          };
+          const localLead = localLeads.find(l => String(l.odooLeadId) === String(odooLead.id));
 
+          // Map Odoo stage to a stage of the lead's pipeline
           const stageName = odooLead.stage_id?.[1] || 'New Lead';
-          const mappedStatus = statusMap[stageName] || 'new';
+          const pipeline = localLead
+            ? await pipelineService.getPipeline(localLead.pipeline)
+            : await pipelineService.getPipelineForSource('odoo_import');
+          const mappedStatus = await pipelineService.mapOdooStage(pipeline?.key, stageName);
+          const customFields = await customFieldService.fromOdooValues(odooLead);
 
           if (localLead) {
             // Update existing lead
@@ -89,6 +91,10 @@ class OdooSyncService {
               updates.name = odooLead.contact_name;
             }
 
+            Object.entries(customFields).forEach(([key, value]) => {
+              updates[`customFields.${key}`] = value;
+            });
+
             await LeadStorage.updateLead(localLead._id.toString(), updates);
             summary.updated++;
             logger.debug(`Updated lead: ${localLead.name} (Odoo ID: ${odooLead.id})`);
@@ -99,16 +105,18 @@ class OdooSyncService {
               email: odooLead.email_from,
               phone: odooLead.phone,
               message: odooLead.description || '',
+              pipeline: pipeline?.key,
               status: mappedStatus,
               source: 'odoo_import',
               odooLeadId: odooLead.id,
               odooWriteDate: odooLead.write_date,
-              budgetRange: odooLead.x_budget_range,
-              preferredCounty: odooLead.x_preferred_county,
-              propertyInterest: odooLead.x_property_interest
+              customFields
             };
 
-            await LeadStorage.createLead(newLead);
+            const created = await LeadStorage.createLead(newLead);
+            if (!created.success) {
+              throw new Error(created.error);
+            }
             summary.created++;
             logger.debug(`Created lead from Odoo: ${newLead.name} (Odoo ID: ${odooLead.id})`);
           }
@@ -160,21 +168,11 @@ class OdooSyncService {
         return { success: false, message: 'Lead not found or not linked to Odoo' };
       }
 
-      // Map local status to Odoo stage
-      const stageMap = {
-        new: 'New Lead',
-        contacted: 'Contacted',
-        qualified: 'Qualified',
-        viewing: 'Viewing Scheduled',
-        negotiating: 'Negotiation',
-        won: 'Won',
-        lost: 'Lost'
-      };
-
       const odooUpdates = {};
 
       if (updates.status) {
-        const stageName = stageMap[updates.status];
+        // Map local stage to Odoo stage
+        const stageName = await pipelineService.getOdooStageName(lead.pipeline, updates.status);
         if (stageName) {
           const stageId = await odooService.getStageId(stageName);
           odooUpdates.stage_id = stageId;
@@ -185,6 +183,10 @@ class OdooSyncService {
         odooUpdates.contact_name = updates.name;
       }
 
+      if (updates.customFields) {
+        Object.assign(odooUpdates, await customFieldService.toOdooValues({ customFields: updates.customFields }));
+      }
+
       if (updates.notes) {
         // Append notes to description
         const currentLead = await odooService.searchLeads(
@@ -207,6 +209,53 @@ class OdooSyncService {
     }
   }
 
+  /**
+   * Send a lead to Odoo: creates it there if it was never synced,
+   * otherwise pushes its current name, stage and custom fields
+   * @param {string} leadId - Local lead ID
+   * @returns {Promise<Object>} - { success, created, odooLeadId, message }
+   */
+  async syncLead(leadId) {
+    const lead = await LeadStorage.findById(leadId);
+    if (!lead) {
+      return { success: false, message: 'Lead not found' };
+    }
+
+    if (!lead.odooLeadId) {
+      try {
+        const created = await odooService.createLead({
+          name: lead.name,
+          email: lead.email,
+          phone: lead.phoneNumber,
+          message: lead.message,
+          source: lead.source,
+          customFields: await customFieldService.toOdooValues(lead)
+        });
+        await LeadStorage.markAsSynced(leadId, created.leadId);
+        await this.pushToOdoo(leadId, { status: lead.status });
+        return { success: true, created: true, odooLeadId: created.leadId };
+      } catch (error) {
+        logger.error(`Failed to create lead ${leadId} in Odoo:`, error.message);
+        return { success: false, message: error.message };
+      }
+    }
+
+    const result = await this.pushToOdoo(leadId, {
+      status: lead.status,
+      name: lead.name,
+      customFields: lead.customFields
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    lead.syncedAt = new Date();
+    lead.addActivity('synced_to_odoo', 'Lead re-synced to Odoo CRM', null, 'System', { odooLeadId: lead.odooLeadId });
+    await lead.save();
+
+    return { success: true, created: false, odooLeadId: lead.odooLeadId };
+  }
+
   /**
    * Get sync logs
    * @param {Object} filters - Filters
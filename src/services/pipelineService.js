@@ -0,0 +1,363 @@
+/**
+ * Pipeline Service
+ * Single source of truth for lead pipelines and stages: status validation,
+ * won/lost stages, funnel order and the Odoo stage mapping all come from here
+ */
+
+import Pipeline from '../models/PipelineModel.js';
+import Lead from '../models/LeadModel.js';
+import { defaultPipelines, DEFAULT_PIPELINE_KEY } from '../config/pipelines.js';
+import logger from '../utils/logger.js';
+
+const CACHE_TTL_MS = 60 * 1000;
+const EDITABLE_FIELDS = ['name', 'description', 'isActive', 'sources'];
+
+const pipelineError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const isOpenStage = (stage) => !stage.isWon && !stage.isLost;
+
+class PipelineService {
+  constructor() {
+    this.cache = null;
+    this.loadedAt = 0;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  /**
+   * Seed the default pipeline when none exist yet and move
+   * leads created before pipelines existed into it
+   */
+  async ensureDefaults() {
+    if (await Pipeline.estimatedDocumentCount() > 0) return;
+
+    try {
+      await Pipeline.insertMany(defaultPipelines);
+      logger.info('✅ Default lead pipeline created');
+    } catch (error) {
+      // Another instance seeded first
+      if (error.code !== 11000) throw error;
+    }
+
+    const { modifiedCount } = await Lead.updateMany(
+      { pipeline: { $exists: false } },
+      { $set: { pipeline: DEFAULT_PIPELINE_KEY } }
+    );
+    if (modifiedCount > 0) {
+      logger.info(`✅ ${modifiedCount} existing lead(s) added to the default pipeline`);
+    }
+  }
+
+  /**
+   * All pipelines (cached briefly; admin changes invalidate the cache)
+   * @param {Object} options - includeInactive
+   * @returns {Promise<Array>} - Plain pipeline objects, default first
+   */
+  async getPipelines({ includeInactive = false } = {}) {
+    if (!this.cache || Date.now() - this.loadedAt > CACHE_TTL_MS) {
+      await this.ensureDefaults();
+      this.cache = await Pipeline.find({}).sort({ isDefault: -1, name: 1 }).lean();
+      this.loadedAt = Date.now();
+    }
+
+    return includeInactive ? this.cache : this.cache.filter(p => p.isActive);
+  }
+
+  async getDefaultPipeline() {
+    const pipelines = await this.getPipelines({ includeInactive: true });
+    return pipelines.find(p => p.isDefault)
+      || pipelines.find(p => p.key === DEFAULT_PIPELINE_KEY)
+      || pipelines[0];
+  }
+
+  /**
+   * @param {string} key - Pipeline key; empty means the default pipeline
+   */
+  async getPipeline(key) {
+    if (!key) return this.getDefaultPipeline();
+    const pipelines = await this.getPipelines({ includeInactive: true });
+    return pipelines.find(p => p.key === key) || null;
+  }
+
+  /**
+   * Pipeline a new lead from this source belongs to
+   */
+  async getPipelineForSource(source) {
+    const pipelines = await this.getPipelines();
+    const match = pipelines.find(p => !p.isDefault && (p.sources || []).includes(source));
+    return match || this.getDefaultPipeline();
+  }
+
+  getInitialStage(pipeline) {
+    return pipeline.stages.find(isOpenStage) || pipeline.stages[0];
+  }
+
+  /**
+   * Check a status against the lead's pipeline
+   * @returns {Promise<Object>} - { valid, pipeline, stage, allowed, message }
+   */
+  async validateStage(pipelineKey, stageKey) {
+    const pipeline = await this.getPipeline(pipelineKey);
+
+    if (!pipeline) {
+      return { valid: false, allowed: [], message: `Unknown pipeline "${pipelineKey}"` };
+    }
+
+    const allowed = pipeline.stages.map(stage => stage.key);
+    const stage = pipeline.stages.find(s => s.key === stageKey);
+
+    if (!stage) {
+      return { valid: false, pipeline, allowed, message: `Invalid status. Must be one of: ${allowed.join(', ')}` };
+    }
+
+    return { valid: true, pipeline, stage, allowed };
+  }
+
+  async collectStageKeys(predicate) {
+    const pipelines = await this.getPipelines({ includeInactive: true });
+    const keys = new Set();
+    pipelines.forEach(p => p.stages.filter(predicate).forEach(stage => keys.add(stage.key)));
+    return [...keys];
+  }
+
+  // Won/lost stage keys across all pipelines
+  async getWonStageKeys() {
+    return this.collectStageKeys(stage => stage.isWon);
+  }
+
+  async getLostStageKeys() {
+    return this.collectStageKeys(stage => stage.isLost);
+  }
+
+  async getClosedStageKeys() {
+    return this.collectStageKeys(stage => stage.isWon || stage.isLost);
+  }
+
+  /**
+   * Stage keys by the group set on each stage, across all pipelines.
+   * In-progress and won stages also count as qualified.
+   * @returns {Promise<Object>} - { initial, followUp, qualified, inProgress } arrays of stage keys
+   */
+  async getStageGroups() {
+    const [initial, followUp, qualified, inProgress] = await Promise.all([
+      this.collectStageKeys(stage => stage.group === 'initial'),
+      this.collectStageKeys(stage => stage.group === 'follow_up'),
+      this.collectStageKeys(stage => stage.isWon || ['qualified', 'in_progress'].includes(stage.group)),
+      this.collectStageKeys(stage => stage.group === 'in_progress')
+    ]);
+
+    return { initial, followUp, qualified, inProgress };
+  }
+
+  /**
+   * Count leads per status, starting every default-pipeline stage at 0
+   * @param {Array} leads
+   * @returns {Promise<Object>} - { [stageKey]: count }
+   */
+  async countByStatus(leads) {
+    const pipeline = await this.getDefaultPipeline();
+    const counts = Object.fromEntries(pipeline.stages.map(stage => [stage.key, 0]));
+    leads.forEach(lead => {
+      counts[lead.status] = (counts[lead.status] || 0) + 1;
+    });
+    return counts;
+  }
+
+  // Lead query for a pipeline; stage changes also cover trashed leads so they restore cleanly
+  leadFilter(pipeline, { includeDeleted = false } = {}) {
+    return {
+      pipeline: pipeline.key,
+      ...(includeDeleted && { isDeleted: { $in: [true, false, null] } })
+    };
+  }
+
+  /**
+   * Odoo stage name for a local stage
+   * @returns {Promise<string|null>}
+   */
+  async getOdooStageName(pipelineKey, stageKey) {
+    const pipeline = await this.getPipeline(pipelineKey);
+    const stage = pipeline?.stages.find(s => s.key === stageKey);
+    return stage?.odooStageName || null;
+  }
+
+  /**
+   * Local stage key for an Odoo stage name; unknown stages map to the initial stage
+   * @returns {Promise<string>}
+   */
+  async mapOdooStage(pipelineKey, odooStageName) {
+    const pipeline = await this.getPipeline(pipelineKey) || await this.getDefaultPipeline();
+    const stage = pipeline.stages.find(s => s.odooStageName && s.odooStageName === odooStageName);
+    return (stage || this.getInitialStage(pipeline)).key;
+  }
+
+  // =====================
+  // ADMIN MANAGEMENT
+  // =====================
+
+  async createPipeline(data, userId = null) {
+    const pipeline = new Pipeline({
+      key: data.key,
+      name: data.name,
+      description: data.description,
+      isActive: data.isActive,
+      sources: data.sources,
+      stages: data.stages,
+      isDefault: false,
+      createdBy: userId,
+      updatedBy: userId
+    });
+
+    await pipeline.save();
+
+    if (data.isDefault === true) {
+      await this.setDefault(pipeline);
+    }
+
+    this.invalidate();
+    logger.info(`✅ Pipeline created: ${pipeline.key}`);
+    return pipeline;
+  }
+
+  /**
+   * Update a pipeline. Stages sent with their existing _id keep their identity,
+   * so a changed key is a rename and leads follow it. Leads in removed stages
+   * are moved according to data.stageMigrations ({ removedKey: targetKey }).
+   * @returns {Promise<Object>} - { pipeline, migrations: [{ from, to, count }] }
+   */
+  async updatePipeline(key, data, userId = null, userName = null) {
+    const pipeline = await Pipeline.findOne({ key });
+    if (!pipeline) {
+      throw pipelineError('Pipeline not found', 404);
+    }
+
+    if (pipeline.isDefault && (data.isActive === false || data.isDefault === false)) {
+      throw pipelineError('The default pipeline must stay active; make another pipeline the default first');
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) pipeline[field] = data[field];
+    });
+
+    const plannedMigrations = [];
+
+    if (Array.isArray(data.stages)) {
+      const previous = pipeline.stages.map(stage => ({ id: stage._id.toString(), key: stage.key }));
+      pipeline.stages = data.stages;
+
+      const keyById = new Map(pipeline.stages.map(stage => [stage._id.toString(), stage.key]));
+      const newKeys = pipeline.stages.map(stage => stage.key);
+      const stageMigrations = data.stageMigrations || {};
+
+      for (const old of previous) {
+        let target = keyById.get(old.id);
+        if (target === undefined) {
+          target = newKeys.includes(old.key) ? old.key : stageMigrations[old.key];
+        }
+        if (target === old.key) continue;
+
+        if (target && !newKeys.includes(target)) {
+          throw pipelineError(`Cannot move "${old.key}" leads to "${target}": no such stage in the updated pipeline`);
+        }
+
+        const count = await Lead.countDocuments({ ...this.leadFilter(pipeline, { includeDeleted: true }), status: old.key });
+        if (count > 0 && !target) {
+          throw pipelineError(
+            `Stage "${old.key}" still has ${count} lead(s); set stageMigrations.${old.key} to one of: ${newKeys.join(', ')}`
+          );
+        }
+        if (count > 0) {
+          plannedMigrations.push({ from: old.key, to: target });
+        }
+      }
+    }
+
+    pipeline.updatedBy = userId;
+    await pipeline.save();
+
+    if (data.isDefault === true && !pipeline.isDefault) {
+      await this.setDefault(pipeline);
+    }
+
+    const migrations = await this.migrateLeads(pipeline, plannedMigrations, userId, userName);
+
+    this.invalidate();
+    logger.info(`✅ Pipeline updated: ${pipeline.key}${migrations.length ? ` (${migrations.length} stage migration(s))` : ''}`);
+
+    return { pipeline, migrations };
+  }
+
+  /**
+   * Move leads between stages. Lead ids are collected before any update,
+   * so swapped or chained renames (a→b, b→c) do not cascade.
+   */
+  async migrateLeads(pipeline, plannedMigrations, userId = null, userName = null) {
+    if (plannedMigrations.length === 0) return [];
+
+    const planned = await Promise.all(plannedMigrations.map(async (migration) => ({
+      ...migration,
+      ids: await Lead.find({ ...this.leadFilter(pipeline, { includeDeleted: true }), status: migration.from }).distinct('_id')
+    })));
+
+    const results = [];
+    for (const { from, to, ids } of planned) {
+      await Lead.updateMany(
+        { _id: { $in: ids } },
+        {
+          $set: { status: to },
+          $push: {
+            activities: {
+              $each: [{
+                type: 'status_change',
+                description: `Status changed from "${from}" to "${to}" (pipeline "${pipeline.name}" updated)`,
+                userId,
+                userName,
+                metadata: { oldStatus: from, newStatus: to, reason: 'pipeline_migration', pipeline: pipeline.key },
+                createdAt: new Date()
+              }],
+              $position: 0
+            }
+          }
+        }
+      );
+      results.push({ from, to, count: ids.length });
+      logger.info(`🔀 Moved ${ids.length} lead(s) in ${pipeline.key} from "${from}" to "${to}"`);
+    }
+
+    return results;
+  }
+
+  async setDefault(pipeline) {
+    await Pipeline.updateMany({ _id: { $ne: pipeline._id } }, { $set: { isDefault: false } });
+    pipeline.isDefault = true;
+    pipeline.isActive = true;
+    await pipeline.save();
+  }
+
+  /**
+   * Delete a pipeline that no lead uses. Pipelines with leads should be deactivated instead.
+   */
+  async deletePipeline(key) {
+    const pipeline = await Pipeline.findOne({ key });
+    if (!pipeline) {
+      throw pipelineError('Pipeline not found', 404);
+    }
+    if (pipeline.isDefault) {
+      throw pipelineError('The default pipeline cannot be deleted');
+    }
+
+    const leadCount = await Lead.countDocuments(this.leadFilter(pipeline, { includeDeleted: true }));
+    if (leadCount > 0) {
+      throw pipelineError(`Pipeline has ${leadCount} lead(s); deactivate it instead`, 409);
+    }
+
+    await pipeline.deleteOne();
+    this.invalidate();
+    logger.info(`✅ Pipeline deleted: ${key}`);
+  }
+}
+
+export const pipelineService = new PipelineService();
+export default pipelineService;
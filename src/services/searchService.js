@@ -0,0 +1,300 @@
+/**
+ * Search Service
+ * Staff-wide search across leads, clients, properties and messages.
+ * Words match through each collection's text index; names, emails and
+ * phone numbers also match by prefix on indexed normalized fields.
+ */
+
+import Lead from '../models/LeadModel.js';
+import Client from '../models/ClientModel.js';
+import Property from '../models/PropertyModel.js';
+import Message from '../models/MessageModel.js';
+import { normalizeSearchText, customFieldSearchText, escapeRegex } from '../utils/searchText.js';
+import { normalizePhone, phonePrefix } from '../utils/phone.js';
+import logger from '../utils/logger.js';
+
+export const SEARCH_TYPES = ['lead', 'client', 'property', 'message'];
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 25;
+const MIN_PHONE_DIGITS = 4;
+const BACKFILL_BATCH_SIZE = 500;
+const SNIPPET_LENGTH = 120;
+
+// Added to the text score so direct hits on a name, email or phone rank first
+const PREFIX_BONUS = 5;
+const EXACT_BONUS = 10;
+
+// Index created before addresses were searchable; a collection can only have one text index
+const LEGACY_PROPERTY_TEXT_INDEX = 'title_text_description_text';
+
+const textScore = { score: { $meta: 'textScore' } };
+
+const snippet = (text) => {
+  if (!text) return null;
+  return text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH)}…` : text;
+};
+
+/**
+ * Prefix conditions on the indexed name/email/phone fields
+ * @param {string} term - Raw query
+ * @param {Array<string>} phoneFields
+ */
+const prefixConditions = (term, phoneFields) => {
+  const normalized = normalizeSearchText(term);
+  const conditions = [{ searchName: new RegExp(`^${escapeRegex(normalized)}`) }];
+
+  if (!/\s/.test(normalized)) {
+    conditions.push({ email: new RegExp(`^${escapeRegex(normalized)}`) });
+  }
+
+  // Stored numbers are E.164, so a typed fragment becomes one prefix
+  const phone = phonePrefix(term);
+  if (phone && term.replace(/\D/g, '').length >= MIN_PHONE_DIGITS) {
+    const pattern = new RegExp(`^${escapeRegex(phone)}`);
+    phoneFields.forEach(field => conditions.push({ [field]: pattern }));
+  }
+
+  return conditions;
+};
+
+// Bonus for a record that matched by prefix; exact name/email/phone matches rank highest
+const prefixBonus = (record, term, phoneFields) => {
+  const normalized = normalizeSearchText(term);
+  const exact = record.searchName === normalized
+    || record.email === normalized
+    || phoneFields.some(field => record[field] && record[field] === normalizePhone(term));
+  return exact ? EXACT_BONUS : PREFIX_BONUS;
+};
+
+class SearchService {
+  /**
+   * Search everything the user may see
+   * @param {string} term - Query text
+   * @param {Object} user - req.user ({ id, role })
+   * @param {Object} options - types, limit (per type)
+   * @returns {Promise<{ results: Array, counts: Object }>}
+   */
+  async search(term, user, { types = SEARCH_TYPES, limit = DEFAULT_LIMIT } = {}) {
+    const perType = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const searchers = {
+      lead: () => this.searchLeads(term, user, perType),
+      client: () => this.searchClients(term, user, perType),
+      property: () => this.searchProperties(term, perType),
+      message: () => this.searchMessages(term, user, perType)
+    };
+
+    const wanted = SEARCH_TYPES.filter(type => types.includes(type));
+    const grouped = await Promise.all(wanted.map(type => searchers[type]()));
+
+    const counts = {};
+    wanted.forEach((type, index) => { counts[type] = grouped[index].length; });
+
+    const results = grouped.flat().sort((a, b) => b.score - a.score);
+
+    return { results, counts };
+  }
+
+  /**
+   * Merge text and prefix hits for one collection, best first
+   */
+  async textAndPrefix(Model, scope, term, { select, phoneFields, limit }) {
+    const [textHits, prefixHits] = await Promise.all([
+      Model.find({ ...scope, $text: { $search: term } }, textScore)
+        .select(select)
+        .sort(textScore)
+        .limit(limit)
+        .lean(),
+      Model.find({ ...scope, $or: prefixConditions(term, phoneFields) })
+        .select(`${select} searchName`)
+        .limit(limit)
+        .lean()
+    ]);
+
+    const merged = new Map();
+    textHits.forEach(record => {
+      merged.set(record._id.toString(), { record, score: record.score, match: 'text' });
+    });
+    prefixHits.forEach(record => {
+      const id = record._id.toString();
+      const bonus = prefixBonus(record, term, phoneFields);
+      const existing = merged.get(id);
+      merged.set(id, existing
+        ? { record: existing.record, score: existing.score + bonus, match: 'text' }
+        : { record, score: bonus, match: 'prefix' });
+    });
+
+    return [...merged.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  // Agents only see leads assigned to them
+  async searchLeads(term, user, limit) {
+    const scope = user.role === 'admin' ? {} : { assignedTo: user.id };
+    const hits = await this.textAndPrefix(Lead, scope, term, {
+      select: 'name email phoneNumber status source assignedToName',
+      phoneFields: ['phoneNumber'],
+      limit
+    });
+
+    return hits.map(({ record, score, match }) => ({
+      type: 'lead',
+      id: record._id,
+      title: record.name,
+      subtitle: [record.email, record.phoneNumber].filter(Boolean).join(' · '),
+      score,
+      match,
+      data: {
+        status: record.status,
+        source: record.source,
+        assignedToName: record.assignedToName
+      }
+    }));
+  }
+
+  // Agents only see clients assigned to them
+  async searchClients(term, user, limit) {
+    const scope = user.role === 'admin' ? {} : { assignedAgent: user.id };
+    const hits = await this.textAndPrefix(Client, scope, term, {
+      select: 'name email phone status address.city',
+      phoneFields: ['phone'],
+      limit
+    });
+
+    return hits.map(({ record, score, match }) => ({
+      type: 'client',
+      id: record._id,
+      title: record.name,
+      subtitle: [record.email, record.phone].filter(Boolean).join(' · '),
+      score,
+      match,
+      data: {
+        status: record.status,
+        city: record.address?.city || null
+      }
+    }));
+  }
+
+  // Listings are visible to all staff
+  async searchProperties(term, limit) {
+    const properties = await Property.find({ $text: { $search: term } }, textScore)
+      .select('title location type category status price')
+      .sort(textScore)
+      .limit(limit)
+      .lean();
+
+    return properties.map(property => ({
+      type: 'property',
+      id: property._id,
+      title: property.title,
+      subtitle: [property.location?.address, property.location?.city].filter(Boolean).join(', '),
+      score: property.score,
+      match: 'text',
+      data: {
+        type: property.type,
+        category: property.category,
+        status: property.status,
+        price: property.price
+      }
+    }));
+  }
+
+  // Agents only see conversations they are part of
+  async searchMessages(term, user, limit) {
+    const scope = user.role === 'admin'
+      ? {}
+      : { $or: [{ senderId: user.id }, { receiverId: user.id }] };
+
+    const messages = await Message.find({ ...scope, $text: { $search: term } }, textScore)
+      .select('senderName senderType senderId receiverId receiverType content createdAt')
+      .sort(textScore)
+      .limit(limit)
+      .lean();
+
+    return messages.map(message => ({
+      type: 'message',
+      id: message._id,
+      title: message.senderName,
+      subtitle: snippet(message.content),
+      score: message.score,
+      match: 'text',
+      data: {
+        senderId: message.senderId,
+        senderType: message.senderType,
+        receiverId: message.receiverId,
+        receiverType: message.receiverType,
+        createdAt: message.createdAt
+      }
+    }));
+  }
+
+  /**
+   * Startup maintenance: replace the old property text index and fill
+   * searchName and customFieldSearch on records saved before they existed
+   */
+  async ensureIndexes() {
+    const indexes = await Property.collection.indexes().catch(() => []);
+    if (indexes.some(index => index.name === LEGACY_PROPERTY_TEXT_INDEX)) {
+      await Property.collection.dropIndex(LEGACY_PROPERTY_TEXT_INDEX);
+      await Property.createIndexes();
+      logger.info('✅ Property search index rebuilt with address fields');
+    }
+
+    const allLeads = { isDeleted: { $in: [true, false, null] } };
+    const [leads, clients, customFields] = await Promise.all([
+      this.backfillSearchNames(Lead, allLeads),
+      this.backfillSearchNames(Client, {}),
+      this.backfill(
+        Lead,
+        { ...allLeads, customFieldSearch: { $exists: false }, customFields: { $type: 'object' } },
+        'customFields',
+        record => ({ customFieldSearch: customFieldSearchText(record.customFields) })
+      )
+    ]);
+    if (leads + clients > 0) {
+      logger.info(`✅ Search names filled for ${leads} lead(s) and ${clients} client(s)`);
+    }
+    if (customFields > 0) {
+      logger.info(`✅ Custom field search values filled for ${customFields} lead(s)`);
+    }
+  }
+
+  async backfillSearchNames(Model, extraFilter) {
+    return this.backfill(
+      Model,
+      { ...extraFilter, searchName: null, name: { $ne: null } },
+      'name',
+      record => ({ searchName: normalizeSearchText(record.name) })
+    );
+  }
+
+  // bulkWrite skips the model's update hooks, so this backfill adds no lead history
+  async backfill(Model, filter, select, buildSet) {
+    const cursor = Model.find(filter).select(select).lean().cursor();
+    let batch = [];
+    let updated = 0;
+
+    for await (const record of cursor) {
+      batch.push({
+        updateOne: {
+          filter: { _id: record._id },
+          update: { $set: buildSet(record) }
+        }
+      });
+      if (batch.length >= BACKFILL_BATCH_SIZE) {
+        await Model.bulkWrite(batch, { ordered: false });
+        updated += batch.length;
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await Model.bulkWrite(batch, { ordered: false });
+      updated += batch.length;
+    }
+
+    return updated;
+  }
+}
+
+export const searchService = new SearchService();
+export default searchService;
@@ -0,0 +1,308 @@
+/**
+ * Spam Protection Service
+ * Honeypot, fill-time token, disposable email and repeat checks for the
+ * public forms, and the quarantine queue for submissions that fail them
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import QuarantinedSubmission from '../models/QuarantinedSubmissionModel.js';
+import LeadStorage from './leadStorageMongo.js';
+import spamProtectionConfig, { QUARANTINE_STATUSES } from '../config/spamProtection.js';
+import disposableEmailDomains from '../config/disposableEmailDomains.js';
+import { FORM_LEADS } from '../utils/formLeads.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const spamError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// Tokens signed with a per-process secret stop working on restart, so configure one in production
+const TOKEN_SECRET = process.env.FORM_TOKEN_SECRET || process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+const sign = (value) => crypto.createHmac('sha256', TOKEN_SECRET).update(value).digest('hex');
+
+const DISPOSABLE_DOMAINS = new Set([...disposableEmailDomains, ...spamProtectionConfig.extraDisposableDomains]);
+
+// Stable JSON (sorted keys) so the same submission always hashes the same
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(typeof value === 'string' ? value.trim().toLowerCase() : value);
+};
+
+class SpamProtectionService {
+  constructor() {
+    // fingerprint -> expiry (ms). In memory, like the form rate limiter.
+    this.recentSubmissions = new Map();
+  }
+
+  /**
+   * Signed token recording when a form was loaded
+   * @returns {Object} - { token, issuedAt, minFillSeconds }
+   */
+  issueToken(now = Date.now()) {
+    const issuedAt = String(now);
+    return {
+      token: `${issuedAt}.${sign(issuedAt)}`,
+      issuedAt: new Date(now).toISOString(),
+      minFillSeconds: spamProtectionConfig.minFillSeconds
+    };
+  }
+
+  /**
+   * @returns {Object|null} - quarantine reason, or null when the token is fine
+   */
+  checkToken(token, now = Date.now()) {
+    if (!token) {
+      return { code: 'missing_token', detail: null };
+    }
+
+    const [issuedAt, signature] = String(token).split('.');
+    const expected = issuedAt ? sign(issuedAt) : '';
+    if (!signature || signature.length !== expected.length
+      || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return { code: 'invalid_token', detail: null };
+    }
+
+    const ageSeconds = (now - Number(issuedAt)) / 1000;
+    if (ageSeconds < spamProtectionConfig.minFillSeconds) {
+      return { code: 'too_fast', detail: `Submitted ${Math.max(0, ageSeconds).toFixed(1)}s after the form loaded` };
+    }
+    if (ageSeconds > spamProtectionConfig.tokenMaxAgeHours * 60 * 60) {
+      return { code: 'expired_token', detail: null };
+    }
+
+    return null;
+  }
+
+  /**
+   * The disposable domain an email belongs to (subdomains included), or null
+   */
+  findDisposableDomain(email) {
+    const domain = String(email || '').split('@')[1]?.trim().toLowerCase();
+    if (!domain) return null;
+
+    const parts = domain.split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+      const candidate = parts.slice(i).join('.');
+      if (DISPOSABLE_DOMAINS.has(candidate)) return candidate;
+    }
+    return null;
+  }
+
+  fingerprint(form, body) {
+    const {
+      [spamProtectionConfig.honeypotField]: _honeypot,
+      [spamProtectionConfig.tokenField]: _token,
+      attribution: _attribution,
+      ...fields
+    } = body;
+    return crypto.createHash('sha256').update(`${form}:${canonical(fields)}`).digest('hex');
+  }
+
+  /**
+   * Whether the same submission was seen within the duplicate window; records it either way
+   */
+  isRepeat(fingerprint, now = Date.now()) {
+    // Entries are added in time order, so expired ones are at the front
+    for (const [key, expiresAt] of this.recentSubmissions) {
+      if (expiresAt > now) break;
+      this.recentSubmissions.delete(key);
+    }
+
+    const repeated = this.recentSubmissions.has(fingerprint);
+    this.recentSubmissions.delete(fingerprint);
+    this.recentSubmissions.set(fingerprint, now + spamProtectionConfig.duplicateWindowMinutes * 60 * 1000);
+    return repeated;
+  }
+
+  // Let a submission that failed on our side be sent again straight away
+  forget(fingerprint) {
+    this.recentSubmissions.delete(fingerprint);
+  }
+
+  /**
+   * Run every check on a validated form body
+   * @returns {Object} - { fingerprint, repeated, reasons: [{ code, detail }] }
+   */
+  inspect(form, body, now = Date.now()) {
+    const fingerprint = this.fingerprint(form, body);
+    if (this.isRepeat(fingerprint, now)) {
+      return { fingerprint, repeated: true, reasons: [] };
+    }
+
+    const reasons = [];
+
+    const honeypot = body[spamProtectionConfig.honeypotField];
+    if (honeypot !== undefined && honeypot !== null && String(honeypot).trim() !== '') {
+      reasons.push({ code: 'honeypot', detail: null });
+    }
+
+    const tokenReason = this.checkToken(body[spamProtectionConfig.tokenField], now);
+    // Until the frontend sends a token, a missing one only counts alongside another signal
+    const optionalToken = tokenReason?.code === 'missing_token' && !spamProtectionConfig.requireFormToken;
+    if (tokenReason && !optionalToken) reasons.push(tokenReason);
+
+    const disposableDomain = this.findDisposableDomain(body.email);
+    if (disposableDomain) {
+      reasons.push({ code: 'disposable_email', detail: disposableDomain });
+    }
+
+    if (optionalToken && reasons.length > 0) reasons.push(tokenReason);
+
+    return { fingerprint, repeated: false, reasons };
+  }
+
+  // The protection fields are not part of the form data
+  stripProtectionFields(body) {
+    delete body[spamProtectionConfig.honeypotField];
+    delete body[spamProtectionConfig.tokenField];
+    return body;
+  }
+
+  async quarantine(form, req, reasons) {
+    const payload = this.stripProtectionFields({ ...req.body });
+
+    const submission = await QuarantinedSubmission.create({
+      form,
+      payload,
+      name: typeof payload.name === 'string' ? payload.name : null,
+      email: typeof payload.email === 'string' ? payload.email : null,
+      reasons,
+      ip: req.ip || null,
+      userAgent: req.get('user-agent') || null
+    });
+
+    logger.warn(`🛡️ ${form} submission quarantined (${reasons.map(r => r.code).join(', ')}): ${submission._id}`);
+    return submission;
+  }
+
+  /**
+   * Quarantined submissions, newest first
+   * @param {Object} query - status (default pending, 'all' for every status), form, page, limit
+   * @returns {Promise<Object>} - { submissions, pagination }
+   */
+  async listQuarantine(query = {}) {
+    const filter = {};
+
+    const status = query.status || 'pending';
+    if (status !== 'all') {
+      if (!QUARANTINE_STATUSES.includes(status)) {
+        throw spamError(`Status must be one of: all, ${QUARANTINE_STATUSES.join(', ')}`);
+      }
+      filter.status = status;
+    }
+    if (query.form) filter.form = String(query.form);
+
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+    const [submissions, total] = await Promise.all([
+      QuarantinedSubmission.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      QuarantinedSubmission.countDocuments(filter)
+    ]);
+
+    return {
+      submissions,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  async getSubmission(id) {
+    if (!mongoose.isValidObjectId(id)) throw spamError('Invalid submission ID');
+
+    const submission = await QuarantinedSubmission.findById(id);
+    if (!submission) throw spamError('Quarantined submission not found', 404);
+    return submission;
+  }
+
+  async getPendingSubmission(id) {
+    const submission = await this.getSubmission(id);
+    if (submission.status !== 'pending') {
+      throw spamError(`Submission has already been ${submission.status}`, 409);
+    }
+    return submission;
+  }
+
+  /**
+   * Accept a quarantined submission as genuine and record its lead.
+   * The notification and confirmation emails are not sent.
+   */
+  async releaseSubmission(id, user) {
+    const submission = await this.claimSubmission(id, 'released', user);
+
+    let lead;
+    try {
+      lead = await this.recordLead(submission.form, submission.payload);
+    } catch (error) {
+      // Put the submission back in the queue so it can be released again
+      await QuarantinedSubmission.updateOne(
+        { _id: submission._id, status: 'released', lead: null },
+        { $set: { status: 'pending', reviewedBy: null, reviewedByName: null, reviewedAt: null } }
+      );
+      throw error;
+    }
+
+    submission.lead = lead._id;
+    await submission.save();
+
+    logger.info(`✅ Quarantined ${submission.form} submission ${submission._id} released as lead ${lead._id} by ${user.name}`);
+    return submission;
+  }
+
+  async discardSubmission(id, user) {
+    const submission = await this.claimSubmission(id, 'discarded', user);
+
+    logger.info(`🗑️ Quarantined ${submission.form} submission ${submission._id} discarded by ${user.name}`);
+    return submission;
+  }
+
+  // Move a pending submission to `status` in one update, so two reviewers can't both act on it
+  async claimSubmission(id, status, user) {
+    if (!mongoose.isValidObjectId(id)) throw spamError('Invalid submission ID');
+
+    const submission = await QuarantinedSubmission.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      { $set: { status, reviewedBy: user.id, reviewedByName: user.name, reviewedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!submission) {
+      // Not found (404) or already reviewed (409)
+      await this.getPendingSubmission(id);
+      throw spamError('Submission is already being reviewed', 409);
+    }
+    return submission;
+  }
+
+  // Record the lead the form would have created
+  async recordLead(form, payload) {
+    const leadData = FORM_LEADS[form](payload);
+    const result = form === 'viewing_request'
+      ? await LeadStorage.recordViewingRequest(leadData)
+      : await LeadStorage.saveLead(leadData);
+
+    if (!result.success) {
+      throw spamError(`Failed to create lead: ${result.error}`, 500);
+    }
+    return result.lead;
+  }
+}
+
+export const spamProtectionService = new SpamProtectionService();
+export default spamProtectionService;
@@ -0,0 +1,365 @@
+/**
+ * Task Service
+ * Follow-up tasks for agents: access rules, agenda, automatic
+ * tasks after lead events and due reminders
+ */
+
+import mongoose from 'mongoose';
+import { Resend } from 'resend';
+import Task from '../models/TaskModel.js';
+import Lead from '../models/LeadModel.js';
+import Client from '../models/ClientModel.js';
+import User from '../models/UserModel.js';
+import pusherService from './pusherService.js';
+import taskConfig from '../config/tasks.js';
+import availabilityConfig from '../config/availability.js';
+import { taskReminderTemplate } from '../templates/emailTemplates.js';
+import { getZonedParts, zonedTimeToUtc, addDays } from '../utils/timezone.js';
+import logger from '../utils/logger.js';
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+const FROM_EMAIL = process.env.FROM_EMAIL || 'noreply@kejamatch.com';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://kejamatch.com';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const AGENDA_LIMIT = 100;
+const EDITABLE_FIELDS = ['title', 'description', 'type', 'priority', 'dueAt', 'status'];
+
+const taskError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+
+// Midnight starting a calendar day in the business timezone
+const startOfLocalDay = (date) => zonedTimeToUtc(date, '00:00', availabilityConfig.timezone);
+
+const populateLinks = (query) => query
+  .populate('lead', 'name email phoneNumber phone status')
+  .populate('client', 'name email phone');
+
+class TaskService {
+  /**
+   * Admins see every task; agents see tasks assigned to or created by them
+   */
+  canAccess(task, user) {
+    if (user.role === 'admin') return true;
+    return idOf(task.assignedTo) === user.id || idOf(task.createdBy) === user.id;
+  }
+
+  buildListFilter(query, user) {
+    const filter = {};
+
+    if (user.role !== 'admin') {
+      filter.assignedTo = user.id;
+    } else if (query.assignedTo) {
+      filter.assignedTo = String(query.assignedTo);
+    }
+
+    ['status', 'priority', 'type'].forEach(field => {
+      if (query[field] && typeof query[field] === 'string') {
+        const values = query[field].split(',').map(v => v.trim()).filter(Boolean);
+        filter[field] = values.length > 1 ? { $in: values } : values[0];
+      }
+    });
+
+    if (query.lead && mongoose.isValidObjectId(query.lead)) filter.lead = query.lead;
+    if (query.client && mongoose.isValidObjectId(query.client)) filter.client = query.client;
+
+    if (query.dueAfter || query.dueBefore) {
+      filter.dueAt = {};
+      if (query.dueAfter) filter.dueAt.$gte = new Date(query.dueAfter);
+      if (query.dueBefore) filter.dueAt.$lte = new Date(query.dueBefore);
+    }
+
+    return filter;
+  }
+
+  /**
+   * List tasks visible to the user
+   * @returns {Promise<Object>} - { tasks, pagination }
+   */
+  async listTasks(query, user) {
+    const filter = this.buildListFilter(query, user);
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+    const [tasks, total] = await Promise.all([
+      populateLinks(Task.find(filter))
+        .sort({ dueAt: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Task.countDocuments(filter)
+    ]);
+
+    return {
+      tasks,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Open tasks split into overdue, due today (in the business timezone) and upcoming
+   * @param {string} userId - Assignee
+   * @param {Object} options - days: how far ahead "upcoming" reaches (default 7)
+   */
+  async getAgenda(userId, { days = 7, now = new Date() } = {}) {
+    const todayDate = getZonedParts(now, availabilityConfig.timezone).date;
+    const endOfToday = startOfLocalDay(addDays(todayDate, 1));
+    const upcomingUntil = startOfLocalDay(addDays(todayDate, 1 + Math.min(Math.max(days, 1), 60)));
+    const base = { assignedTo: userId, status: 'open' };
+
+    const [overdue, today, upcoming] = await Promise.all([
+      populateLinks(Task.find({ ...base, dueAt: { $lt: now } })).sort({ dueAt: 1 }).limit(AGENDA_LIMIT),
+      populateLinks(Task.find({ ...base, dueAt: { $gte: now, $lt: endOfToday } })).sort({ dueAt: 1 }).limit(AGENDA_LIMIT),
+      populateLinks(Task.find({ ...base, dueAt: { $gte: endOfToday, $lt: upcomingUntil } })).sort({ dueAt: 1 }).limit(AGENDA_LIMIT)
+    ]);
+
+    return {
+      overdue,
+      today,
+      upcoming,
+      counts: {
+        overdue: overdue.length,
+        today: today.length,
+        upcoming: upcoming.length
+      },
+      range: {
+        now,
+        endOfToday,
+        upcomingUntil
+      }
+    };
+  }
+
+  /**
+   * Check the assignee and links a user may set on a task
+   * @returns {Promise<Object>} - { assignee, lead, client }
+   */
+  async resolveLinks(data, user, current = {}) {
+    const leadId = data.lead !== undefined ? data.lead : idOf(current.lead);
+    const clientId = data.client !== undefined ? data.client : idOf(current.client);
+
+    let lead = null;
+    if (leadId) {
+      if (!mongoose.isValidObjectId(leadId)) throw taskError('Invalid lead ID');
+      lead = await Lead.findById(leadId).select('name assignedTo');
+      if (!lead) throw taskError('Lead not found', 404);
+      if (user.role !== 'admin' && idOf(lead.assignedTo) !== user.id) {
+        throw taskError('You can only add tasks to leads assigned to you', 403);
+      }
+    }
+
+    let client = null;
+    if (clientId) {
+      if (!mongoose.isValidObjectId(clientId)) throw taskError('Invalid client ID');
+      client = await Client.findById(clientId).select('name assignedAgent');
+      if (!client) throw taskError('Client not found', 404);
+      if (user.role !== 'admin' && idOf(client.assignedAgent) !== user.id) {
+        throw taskError('You can only add tasks to clients assigned to you', 403);
+      }
+    }
+
+    let assigneeId = data.assignedTo !== undefined ? data.assignedTo : idOf(current.assignedTo);
+    if (!assigneeId) {
+      assigneeId = user.role === 'admin' && lead?.assignedTo ? idOf(lead.assignedTo) : user.id;
+    }
+    if (user.role !== 'admin' && String(assigneeId) !== user.id) {
+      throw taskError('Agents can only assign tasks to themselves', 403);
+    }
+    if (!mongoose.isValidObjectId(assigneeId)) throw taskError('Invalid assignee ID');
+
+    const assignee = await User.findOne({
+      _id: assigneeId,
+      isActive: true,
+      role: { $in: ['agent', 'admin'] }
+    }).select('name email');
+    if (!assignee) throw taskError('Assignee not found or inactive', 404);
+
+    return { assignee, lead, client };
+  }
+
+  async createTask(data, user) {
+    const { assignee, lead, client } = await this.resolveLinks(data, user);
+
+    const task = await Task.create({
+      title: data.title,
+      description: data.description,
+      type: data.type,
+      priority: data.priority,
+      dueAt: data.dueAt,
+      lead: lead?._id || null,
+      client: client?._id || null,
+      assignedTo: assignee._id,
+      assignedToName: assignee.name,
+      createdBy: user.id,
+      createdByName: user.name
+    });
+
+    if (idOf(assignee._id) !== user.id) {
+      await pusherService.triggerToUser(idOf(assignee._id), 'task-assigned', {
+        taskId: task._id,
+        title: task.title,
+        dueAt: task.dueAt,
+        priority: task.priority,
+        assignedBy: user.name
+      });
+    }
+
+    return task;
+  }
+
+  async updateTask(task, data, user) {
+    const linksChanged = ['assignedTo', 'lead', 'client'].some(field => data[field] !== undefined);
+
+    if (linksChanged) {
+      const { assignee, lead, client } = await this.resolveLinks(data, user, task);
+      task.assignedTo = assignee._id;
+      task.assignedToName = assignee.name;
+      task.lead = lead?._id || null;
+      task.client = client?._id || null;
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) task[field] = data[field];
+    });
+
+    if (task.isModified('status')) {
+      if (task.status === 'completed') {
+        task.completedAt = new Date();
+        task.completedBy = user.id;
+      } else {
+        task.completedAt = null;
+        task.completedBy = null;
+      }
+    }
+
+    await task.save();
+    return task;
+  }
+
+  /**
+   * Create the follow-up task after a completed viewing (once per viewing)
+   * @param {Object} lead - Lead document
+   * @param {Object} viewing - Completed viewing sub-document
+   * @param {Object} user - { id, name } who completed the viewing
+   * @returns {Promise<Object|null>} - Created task
+   */
+  async createViewingFollowUp(lead, viewing, user = {}) {
+    const rule = taskConfig.autoTasks.viewingCompleted;
+    if (!rule.enabled) return null;
+
+    const assigneeId = idOf(lead.assignedTo) || user.id;
+    if (!assigneeId) return null;
+
+    const exists = await Task.exists({ origin: 'viewing_completed', originRef: viewing._id.toString() });
+    if (exists) return null;
+
+    const assignee = await User.findById(assigneeId).select('name');
+
+    const task = await Task.create({
+      title: `Follow up with ${lead.name} after viewing ${viewing.propertyName || 'property'}`,
+      description: [
+        viewing.outcome ? `Viewing outcome: ${viewing.outcome}` : null,
+        viewing.completedNotes ? `Notes: ${viewing.completedNotes}` : null
+      ].filter(Boolean).join('\n') || null,
+      type: rule.type,
+      priority: rule.priority,
+      dueAt: new Date(Date.now() + rule.dueInHours * HOUR_MS),
+      lead: lead._id,
+      assignedTo: assigneeId,
+      assignedToName: assignee?.name || lead.assignedToName || null,
+      createdBy: user.id || null,
+      createdByName: 'System',
+      origin: 'viewing_completed',
+      originRef: viewing._id.toString()
+    });
+
+    logger.info(`✅ Follow-up task created for lead ${lead._id} after viewing ${viewing._id}`);
+    return task;
+  }
+
+  /**
+   * Send reminders for open tasks whose reminder time has passed.
+   * Each task is claimed with a conditional update so a reminder goes out once.
+   * @returns {Promise<number>} - Reminders sent
+   */
+  async sendDueReminders(now = new Date()) {
+    const tasks = await Task.find({
+      status: 'open',
+      reminderSentAt: null,
+      reminderAt: { $lte: now },
+      // Do not flood reminders for tasks that were already long overdue
+      dueAt: { $gte: new Date(now.getTime() - DAY_MS) }
+    }).populate('lead', 'name');
+
+    let sent = 0;
+    for (const task of tasks) {
+      const claim = await Task.updateOne(
+        { _id: task._id, reminderSentAt: null },
+        { $set: { reminderSentAt: now } }
+      );
+      if (claim.modifiedCount !== 1) continue;
+
+      sent++;
+      await this.sendReminder(task, now);
+    }
+
+    if (sent > 0) {
+      logger.info(`⏰ Sent ${sent} task reminder(s)`);
+    }
+    return sent;
+  }
+
+  async sendReminder(task, now) {
+    const assigneeId = idOf(task.assignedTo);
+    const overdue = task.dueAt <= now;
+
+    await pusherService.triggerToUser(assigneeId, 'task-due', {
+      taskId: task._id,
+      title: task.title,
+      dueAt: task.dueAt,
+      priority: task.priority,
+      overdue,
+      leadId: idOf(task.lead),
+      leadName: task.lead?.name || null,
+      timestamp: now.toISOString()
+    });
+
+    if (!taskConfig.emailReminders) return;
+
+    try {
+      const assignee = await User.findById(assigneeId).select('name email');
+      if (!assignee?.email) return;
+
+      await resend.emails.send({
+        from: FROM_EMAIL,
+        to: assignee.email,
+        subject: `${overdue ? '⚠️ Overdue' : '⏰ Due soon'}: ${task.title}`,
+        html: taskReminderTemplate({
+          agentName: assignee.name,
+          title: task.title,
+          description: task.description,
+          priority: task.priority,
+          dueAt: task.dueAt,
+          overdue,
+          leadName: task.lead?.name || null,
+          tasksUrl: `${FRONTEND_URL}/agent/tasks`
+        })
+      });
+    } catch (emailError) {
+      logger.error(`❌ Failed to send reminder email for task ${task._id}:`, emailError);
+    }
+  }
+}
+
+export const taskService = new TaskService();
+export default taskService;
@@ -0,0 +1,183 @@
+/**
+ * Viewing Calendar Service
+ * iCalendar invites for viewing emails and private per-agent viewing feeds
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Lead from '../models/LeadModel.js';
+import User from '../models/UserModel.js';
+import availabilityService from './availabilityService.js';
+import calendarConfig from '../config/calendar.js';
+import { buildCalendar } from '../utils/icalendar.js';
+
+const FROM_EMAIL = process.env.FROM_EMAIL || 'noreply@kejamatch.com';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FEED_LIMIT = 500;
+
+const calendarError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+
+const sign = (value) => crypto.createHmac('sha256', calendarConfig.feedSecret).update(value).digest('hex');
+
+class ViewingCalendarService {
+  /**
+   * Start and end of a viewing. Viewings booked before availability tracking
+   * only have date and time strings; they get the default duration.
+   */
+  getTimes(viewing) {
+    if (viewing.startsAt && viewing.endsAt) {
+      return { start: viewing.startsAt, end: viewing.endsAt };
+    }
+    try {
+      const slot = availabilityService.resolveSlot(viewing.scheduledDate, viewing.scheduledTime);
+      return { start: slot.startsAt, end: slot.endsAt };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * VEVENT data for a viewing
+   * @param {Object} lead - { name, email, phoneNumber }
+   * @param {Object} viewing - Lead viewing subdocument (or a plain copy)
+   * @param {Object} options - forAgent: describe the client instead of the agent; location
+   */
+  buildEvent(lead, viewing, { forAgent = false, location = null } = {}) {
+    const times = this.getTimes(viewing);
+    if (!times) return null;
+
+    const propertyName = viewing.propertyName || 'Property';
+    const description = forAgent
+      ? [
+        `Client: ${lead.name}`,
+        lead.phoneNumber && `Phone: ${lead.phoneNumber}`,
+        lead.email && `Email: ${lead.email}`,
+        viewing.notes && `Notes: ${viewing.notes}`
+      ]
+      : [
+        viewing.agentName && `Your agent: ${viewing.agentName}`,
+        viewing.notes && `Notes: ${viewing.notes}`,
+        'Questions? Call +254 721 860 371'
+      ];
+
+    return {
+      uid: `viewing-${idOf(viewing)}@${calendarConfig.uidDomain}`,
+      sequence: viewing.sequence || 0,
+      status: viewing.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+      start: times.start,
+      end: times.end,
+      summary: forAgent ? `Viewing: ${propertyName} with ${lead.name}` : `Property viewing: ${propertyName}`,
+      description: description.filter(Boolean).join('\n'),
+      location: location || propertyName,
+      organizer: { name: 'Kejamatch Properties', email: FROM_EMAIL },
+      attendees: forAgent ? [] : [{ name: lead.name, email: lead.email }]
+    };
+  }
+
+  /**
+   * An .ics attachment for a viewing email
+   * @param {string} method - REQUEST (new or updated) | CANCEL
+   * @param {string} location - Property address
+   * @returns {Object|null} - Resend attachment
+   */
+  buildInvite(lead, viewing, method = 'REQUEST', location = null) {
+    const event = this.buildEvent(lead, viewing, { location });
+    if (!event) return null;
+
+    const ics = buildCalendar({
+      method,
+      events: [{ ...event, status: method === 'CANCEL' ? 'CANCELLED' : event.status }]
+    });
+
+    return {
+      filename: method === 'CANCEL' ? 'viewing-cancelled.ics' : 'viewing.ics',
+      content: Buffer.from(ics),
+      content_type: `text/calendar; charset=utf-8; method=${method}`
+    };
+  }
+
+  // =====================
+  // AGENT FEEDS
+  // =====================
+
+  // <userId>.<signature>; bumping calendarFeedVersion revokes every earlier token
+  createFeedToken(user) {
+    const id = idOf(user);
+    return `${id}.${sign(`${id}:${user.calendarFeedVersion || 0}`)}`;
+  }
+
+  async findFeedUser(token) {
+    const [id, signature] = String(token || '').split('.');
+    if (!mongoose.isValidObjectId(id) || !signature) return null;
+
+    const user = await User.findOne({ _id: id, isActive: true, role: { $in: ['agent', 'admin'] } })
+      .select('name calendarFeedVersion');
+    if (!user) return null;
+
+    const expected = Buffer.from(sign(`${id}:${user.calendarFeedVersion || 0}`));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given) ? user : null;
+  }
+
+  /**
+   * The agent's private feed URL
+   * @param {string} baseUrl - API URL to use when API_URL is not configured
+   */
+  async getFeed(userId, baseUrl) {
+    const user = await User.findById(userId).select('calendarFeedVersion');
+    if (!user) throw calendarError('User not found', 404);
+
+    const token = this.createFeedToken(user);
+    return { url: `${calendarConfig.apiUrl || baseUrl}/api/viewings/calendar/${token}.ics` };
+  }
+
+  /**
+   * Issue a new feed URL; the old one stops working
+   */
+  async resetFeed(userId, baseUrl) {
+    const user = await User.findByIdAndUpdate(userId, { $inc: { calendarFeedVersion: 1 } }, { new: true });
+    if (!user) throw calendarError('User not found', 404);
+    return this.getFeed(userId, baseUrl);
+  }
+
+  /**
+   * Upcoming scheduled viewings for the agent behind a feed token, as iCalendar
+   * @returns {Promise<string>}
+   */
+  async buildFeed(token, now = new Date()) {
+    const user = await this.findFeedUser(token);
+    if (!user) throw calendarError('Calendar feed not found', 404);
+
+    const since = new Date(now.getTime() - calendarConfig.feedPastDays * DAY_MS);
+    const sinceDate = since.toISOString().split('T')[0];
+
+    // The viewing's own agent; viewings booked before availability tracking follow the lead's agent
+    const match = {
+      'viewings.status': 'scheduled',
+      $or: [
+        { 'viewings.agent': user._id, 'viewings.endsAt': { $gte: since } },
+        { 'viewings.agent': null, assignedTo: user._id, 'viewings.scheduledDate': { $gte: sinceDate } }
+      ]
+    };
+
+    const rows = await Lead.aggregate([
+      { $match: match },
+      { $unwind: '$viewings' },
+      { $match: match },
+      { $sort: { 'viewings.startsAt': 1, 'viewings.scheduledDate': 1 } },
+      { $limit: FEED_LIMIT },
+      { $project: { name: 1, email: 1, phoneNumber: 1, viewing: '$viewings' } }
+    ]);
+
+    const events = rows
+      .map(({ viewing, ...lead }) => this.buildEvent(lead, viewing, { forAgent: true }))
+      .filter(Boolean);
+
+    return buildCalendar({ method: 'PUBLISH', name: `Kejamatch viewings - ${user.name}`, events });
+  }
+}
+
+export const viewingCalendarService = new ViewingCalendarService();
+export default viewingCalendarService;
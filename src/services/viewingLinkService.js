@@ -0,0 +1,327 @@
+/**
+ * Viewing Link Service
+ * Signed, expiring links that let a client see their viewing (or viewing
+ * request), cancel it or propose new times without logging in
+ */
+
+import jwt from 'jsonwebtoken';
+import Lead from '../models/LeadModel.js';
+import availabilityService from './availabilityService.js';
+import viewingCalendarService from './viewingCalendarService.js';
+import pusherService from './pusherService.js';
+import viewingLinkConfig from '../config/viewingLinks.js';
+import availabilityConfig from '../config/availability.js';
+import logger from '../utils/logger.js';
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://kejamatch.com';
+const AUDIENCE = 'viewing-link';
+const MINUTE_MS = 60 * 1000;
+
+const linkError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+
+class ViewingLinkService {
+  /**
+   * Sign a link token for a scheduled viewing or a pending viewing request.
+   * Viewing links expire when the viewing starts; request links after requestExpiryDays.
+   * @param {Object} target - { viewing }, or { request } (the request activity of
+   *   requests recorded before they became requested viewings)
+   * @returns {string|null} - null when the viewing has already started
+   */
+  createToken(lead, { viewing, request }) {
+    if (viewing?.status === 'requested') {
+      return jwt.sign(
+        { lead: idOf(lead), viewing: idOf(viewing) },
+        viewingLinkConfig.secret,
+        { audience: AUDIENCE, expiresIn: `${viewingLinkConfig.requestExpiryDays}d` }
+      );
+    }
+
+    if (viewing) {
+      const times = viewingCalendarService.getTimes(viewing);
+      if (!times || times.start <= new Date()) return null;
+
+      return jwt.sign(
+        { lead: idOf(lead), viewing: idOf(viewing), exp: Math.floor(times.start.getTime() / 1000) },
+        viewingLinkConfig.secret,
+        { audience: AUDIENCE }
+      );
+    }
+
+    return jwt.sign(
+      { lead: idOf(lead), request: idOf(request) },
+      viewingLinkConfig.secret,
+      { audience: AUDIENCE, expiresIn: `${viewingLinkConfig.requestExpiryDays}d` }
+    );
+  }
+
+  getManageUrl(lead, target) {
+    const token = this.createToken(lead, target);
+    return token ? `${FRONTEND_URL}/viewings/manage?token=${token}` : null;
+  }
+
+  /**
+   * The lead and viewing (or request activity) a token points to
+   * @returns {Promise<Object>} - { lead, viewing, request }
+   */
+  async load(token) {
+    let claims;
+    try {
+      claims = jwt.verify(token, viewingLinkConfig.secret, { audience: AUDIENCE });
+    } catch {
+      throw linkError('This link is invalid or has expired', 401);
+    }
+
+    const lead = await Lead.findById(claims.lead);
+    let viewing = claims.viewing ? lead?.viewings.id(claims.viewing) : null;
+    let request = claims.request ? lead?.activities.id(claims.request) : null;
+
+    // Request activities converted by scripts/backfill-viewing-requests.js point at their viewing
+    if (request?.metadata?.viewingId) {
+      viewing = lead.viewings.id(request.metadata.viewingId);
+      request = null;
+    }
+
+    if (!viewing && request?.metadata?.status === undefined) {
+      throw linkError('Booking not found', 404);
+    }
+    return { lead, viewing, request };
+  }
+
+  isOpen({ viewing, request }) {
+    return viewing
+      ? ['scheduled', 'requested'].includes(viewing.status)
+      : request.metadata.status === 'pending_confirmation';
+  }
+
+  // What the client sees; nothing about other bookings or internal notes
+  describe({ lead, viewing, request }) {
+    const open = this.isOpen({ viewing, request });
+
+    if (viewing?.request && viewing.status !== 'scheduled') {
+      return {
+        type: 'request',
+        name: lead.name,
+        status: viewing.status === 'requested' ? 'pending_confirmation' : viewing.status,
+        propertyId: viewing.propertyId,
+        propertyName: viewing.propertyName,
+        preferredDate: viewing.request.preferredDate,
+        preferredTime: viewing.request.preferredTime,
+        alternateDate: viewing.request.alternateDate,
+        alternateTime: viewing.request.alternateTime,
+        timezone: availabilityService.timezone,
+        canCancel: open,
+        canProposeTimes: open
+      };
+    }
+
+    if (viewing) {
+      return {
+        type: 'viewing',
+        name: lead.name,
+        status: viewing.status,
+        propertyId: viewing.propertyId,
+        propertyName: viewing.propertyName,
+        scheduledDate: viewing.scheduledDate,
+        scheduledTime: viewing.scheduledTime,
+        startsAt: viewing.startsAt,
+        endsAt: viewing.endsAt,
+        agentName: viewing.agentName,
+        timezone: availabilityService.timezone,
+        proposedTimes: viewing.proposedTimes,
+        canCancel: open,
+        canProposeTimes: open
+      };
+    }
+
+    const { metadata } = request;
+    return {
+      type: 'request',
+      name: lead.name,
+      status: metadata.status,
+      propertyId: metadata.propertyId,
+      propertyName: metadata.propertyName,
+      preferredDate: metadata.preferredDate,
+      preferredTime: metadata.preferredTime,
+      alternateDate: metadata.alternateDate || null,
+      alternateTime: metadata.alternateTime || null,
+      timezone: availabilityService.timezone,
+      canCancel: open,
+      canProposeTimes: open
+    };
+  }
+
+  async getBooking(token) {
+    return this.describe(await this.load(token));
+  }
+
+  // Who shows the property: the viewing's agent, else the lead's
+  getAgentId({ lead, viewing }) {
+    return idOf(viewing?.agent) || idOf(lead.assignedTo);
+  }
+
+  getDurationMinutes(viewing) {
+    return viewing?.startsAt && viewing?.endsAt
+      ? Math.round((viewing.endsAt - viewing.startsAt) / MINUTE_MS)
+      : availabilityConfig.defaultViewingMinutes;
+  }
+
+  /**
+   * Open slots the client can pick from
+   * @param {Object} query - from, days
+   */
+  async getSlots(token, query = {}) {
+    const booking = await this.load(token);
+    if (!this.isOpen(booking)) throw linkError('This booking can no longer be changed', 409);
+
+    const { viewing, request } = booking;
+    const result = await availabilityService.suggestSlots({
+      agentId: this.getAgentId(booking),
+      propertyId: viewing?.propertyId || request.metadata.propertyId,
+      from: query.from,
+      days: query.days,
+      durationMinutes: this.getDurationMinutes(viewing)
+    });
+
+    return { timezone: result.timezone, durationMinutes: result.durationMinutes, slots: result.slots };
+  }
+
+  /**
+   * Cancel the viewing or request on the client's behalf
+   * @returns {Promise<Object>} - { lead, viewing, request, wasScheduled }
+   */
+  async cancel(token, reason = null) {
+    const booking = await this.load(token);
+    if (!this.isOpen(booking)) throw linkError('This booking can no longer be changed', 409);
+
+    const { lead, viewing, request } = booking;
+    const clientName = `${lead.name} (client)`;
+    const wasScheduled = viewing?.status === 'scheduled';
+
+    if (viewing) {
+      await lead.cancelViewing(viewing._id, reason, null, clientName);
+    } else {
+      request.metadata = { ...request.metadata, status: 'cancelled' };
+      lead.addActivity(
+        'viewing_cancelled',
+        `Viewing request for ${request.metadata.propertyName || 'property'} cancelled by the client${reason ? `: ${reason}` : ''}`,
+        null,
+        clientName,
+        { requestId: request._id.toString(), reason, status: 'cancelled', byClient: true }
+      );
+      await lead.save();
+    }
+
+    logger.info(`✅ ${viewing ? 'Viewing' : 'Viewing request'} ${idOf(viewing || request)} cancelled by client (lead ${lead._id})`);
+
+    await this.notifyAgent(booking, 'cancelled', { reason });
+    return { ...booking, wasScheduled };
+  }
+
+  /**
+   * Check proposed times against the agent's calendar
+   * @param {Array} times - [{ date: 'YYYY-MM-DD', time: 'HH:mm' }]
+   * @returns {Promise<Array>} - [{ scheduledDate, scheduledTime, startsAt, endsAt }]
+   */
+  async validateTimes(booking, times) {
+    if (!Array.isArray(times) || times.length === 0) throw linkError('Propose at least one new time');
+    if (times.length > viewingLinkConfig.maxProposedTimes) {
+      throw linkError(`Propose at most ${viewingLinkConfig.maxProposedTimes} times`);
+    }
+
+    const { viewing, request } = booking;
+    const agentId = this.getAgentId(booking);
+    const earliest = new Date(Date.now() + availabilityConfig.minNoticeMinutes * MINUTE_MS);
+    const slots = [];
+
+    for (const { date, time } of times) {
+      const slot = availabilityService.resolveSlot(date, time, this.getDurationMinutes(viewing));
+      if (slot.startsAt < earliest) {
+        throw linkError(`${slot.scheduledDate} at ${slot.scheduledTime} is too soon; choose a later time`);
+      }
+
+      if (agentId) {
+        const { conflicts } = await availabilityService.checkSlot({
+          agentId,
+          propertyId: viewing?.propertyId || request.metadata.propertyId,
+          startsAt: slot.startsAt,
+          endsAt: slot.endsAt,
+          excludeViewingId: viewing?._id
+        });
+        if (conflicts.length > 0) {
+          throw linkError(`${slot.scheduledDate} at ${slot.scheduledTime} is no longer available`, 409);
+        }
+      }
+
+      slots.push(slot);
+    }
+
+    return slots;
+  }
+
+  /**
+   * Ask for new times. The agent confirms one by rescheduling the viewing;
+   * for a request, the first time becomes the preferred one and the second the alternate.
+   */
+  async proposeTimes(token, times) {
+    const booking = await this.load(token);
+    if (!this.isOpen(booking)) throw linkError('This booking can no longer be changed', 409);
+
+    const { lead, viewing, request } = booking;
+    const slots = await this.validateTimes(booking, times);
+    const clientName = `${lead.name} (client)`;
+
+    if (viewing) {
+      await lead.proposeViewingTimes(viewing._id, slots, clientName);
+    } else {
+      const [preferred, alternate] = slots;
+      request.metadata = {
+        ...request.metadata,
+        preferredDate: preferred.scheduledDate,
+        preferredTime: preferred.scheduledTime,
+        alternateDate: alternate?.scheduledDate || null,
+        alternateTime: alternate?.scheduledTime || null
+      };
+      lead.addActivity(
+        'viewing_scheduled',
+        `Client changed the preferred viewing time for ${request.metadata.propertyName || 'property'} to ${preferred.scheduledDate} at ${preferred.scheduledTime}`,
+        null,
+        clientName,
+        { requestId: request._id.toString(), proposedTimes: slots, byClient: true }
+      );
+      await lead.save();
+    }
+
+    logger.info(`✅ Client proposed ${slots.length} new time(s) for ${viewing ? 'viewing' : 'viewing request'} ${idOf(viewing || request)}`);
+
+    await this.notifyAgent(booking, 'times_proposed', { proposedTimes: slots });
+    return { ...booking, proposedTimes: slots };
+  }
+
+  // Real-time notice to the agent; admins hear about leads nobody holds
+  async notifyAgent(booking, action, details = {}) {
+    const { lead, viewing, request } = booking;
+    const agentId = this.getAgentId(booking);
+
+    const payload = {
+      action,
+      leadId: lead._id,
+      leadName: lead.name,
+      viewingId: viewing?._id || null,
+      requestId: request?._id || null,
+      propertyName: viewing?.propertyName || request?.metadata.propertyName || null,
+      ...details,
+      timestamp: new Date().toISOString()
+    };
+
+    if (agentId) {
+      await pusherService.triggerToUser(agentId, 'viewing-updated', payload);
+    } else {
+      await pusherService.triggerToRole('admin', 'viewing-updated', payload);
+    }
+  }
+}
+
+export const viewingLinkService = new ViewingLinkService();
+export default viewingLinkService;
@@ -0,0 +1,112 @@
+/**
+ * Viewing Notification Service
+ * Emails the client when a viewing is confirmed, rescheduled or cancelled,
+ * with a calendar invite (METHOD:REQUEST) or cancellation (METHOD:CANCEL)
+ * and a link to manage the booking
+ */
+
+import mongoose from 'mongoose';
+import { Resend } from 'resend';
+import Property from '../models/PropertyModel.js';
+import availabilityService from './availabilityService.js';
+import viewingCalendarService from './viewingCalendarService.js';
+import viewingLinkService from './viewingLinkService.js';
+import { viewingConfirmedTemplate, viewingCancelledTemplate } from '../templates/emailTemplates.js';
+import logger from '../utils/logger.js';
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+const FROM_EMAIL = process.env.FROM_EMAIL || 'noreply@kejamatch.com';
+
+class ViewingNotificationService {
+  async getPropertyLocation(propertyId) {
+    if (!mongoose.isValidObjectId(propertyId)) return null;
+
+    const property = await Property.findById(propertyId).select('location');
+    return property?.location
+      ? [property.location.address, property.location.city].filter(Boolean).join(', ')
+      : null;
+  }
+
+  // Date and time as the client reads them, e.g. 'Monday, March 3, 2025' and '10:30 AM'
+  formatSlot(viewing) {
+    const times = viewingCalendarService.getTimes(viewing);
+    if (!times) return { scheduledDate: viewing.scheduledDate, scheduledTime: viewing.scheduledTime };
+
+    const timeZone = availabilityService.timezone;
+    return {
+      scheduledDate: times.start.toLocaleDateString('en-US', {
+        timeZone, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+      }),
+      scheduledTime: times.start.toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit' })
+    };
+  }
+
+  /**
+   * Confirmation (or reschedule notice) with the calendar invite attached
+   * @param {Object} options - previous: { scheduledDate, scheduledTime } when rescheduled
+   */
+  async sendConfirmation(lead, viewing, { previous = null } = {}) {
+    if (!lead.email) return false;
+
+    try {
+      const location = await this.getPropertyLocation(viewing.propertyId);
+      const invite = viewingCalendarService.buildInvite(lead, viewing, 'REQUEST', location);
+      const before = previous && this.formatSlot(previous);
+      const propertyName = viewing.propertyName || 'your property viewing';
+
+      await resend.emails.send({
+        from: FROM_EMAIL,
+        to: lead.email,
+        subject: `${previous ? 'Viewing Rescheduled' : 'Viewing Confirmed'} - ${propertyName}`,
+        html: viewingConfirmedTemplate({
+          name: lead.name,
+          propertyName,
+          ...this.formatSlot(viewing),
+          notes: viewing.notes,
+          agentName: viewing.agentName,
+          rescheduled: Boolean(previous),
+          previousDate: before?.scheduledDate,
+          previousTime: before?.scheduledTime,
+          hasCalendarInvite: Boolean(invite),
+          manageUrl: viewingLinkService.getManageUrl(lead, { viewing })
+        }),
+        ...(invite && { attachments: [invite] })
+      });
+      return true;
+    } catch (emailError) {
+      logger.warn(`Failed to send viewing confirmation email for viewing ${viewing._id}:`, emailError.message);
+      return false;
+    }
+  }
+
+  /**
+   * Cancellation notice; the attached METHOD:CANCEL removes the viewing from the client's calendar
+   */
+  async sendCancellation(lead, viewing, reason = null) {
+    if (!lead.email) return false;
+
+    try {
+      const invite = viewingCalendarService.buildInvite(lead, viewing, 'CANCEL');
+
+      await resend.emails.send({
+        from: FROM_EMAIL,
+        to: lead.email,
+        subject: `Viewing Cancelled - ${viewing.propertyName || 'Property Viewing'}`,
+        html: viewingCancelledTemplate({
+          name: lead.name,
+          propertyName: viewing.propertyName || 'the property',
+          ...this.formatSlot(viewing),
+          reason
+        }),
+        ...(invite && { attachments: [invite] })
+      });
+      return true;
+    } catch (emailError) {
+      logger.warn(`Failed to send viewing cancellation email for viewing ${viewing._id}:`, emailError.message);
+      return false;
+    }
+  }
+}
+
+export const viewingNotificationService = new ViewingNotificationService();
+export default viewingNotificationService;
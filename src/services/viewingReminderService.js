@@ -0,0 +1,215 @@
+/**
+ * Viewing Reminder Service
+ * Emails the client and the agent before each scheduled viewing
+ * (24 hours and 2 hours ahead by default)
+ */
+
+import { Resend } from 'resend';
+import Lead from '../models/LeadModel.js';
+import User from '../models/UserModel.js';
+import availabilityService from './availabilityService.js';
+import viewingNotificationService from './viewingNotificationService.js';
+import viewingReminderConfig from '../config/viewingReminders.js';
+import { viewingReminderTemplate } from '../templates/emailTemplates.js';
+import { getZonedParts, addDays } from '../utils/timezone.js';
+import logger from '../utils/logger.js';
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+const FROM_EMAIL = process.env.FROM_EMAIL || 'noreply@kejamatch.com';
+
+const MINUTE_MS = 60 * 1000;
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+
+class ViewingReminderService {
+  /**
+   * Scheduled viewings starting within the longest reminder offset.
+   * Viewings booked before availability tracking have no startsAt; their
+   * slot is worked out from the date and time strings.
+   * @returns {Promise<Array>} - [{ lead, viewing, startsAt }]
+   */
+  async findUpcoming(now) {
+    const timezone = availabilityService.timezone;
+    const horizon = new Date(now.getTime() + Math.max(...viewingReminderConfig.offsetsMinutes) * MINUTE_MS);
+    const today = getZonedParts(now, timezone).date;
+
+    const match = {
+      'viewings.status': 'scheduled',
+      $or: [
+        { 'viewings.startsAt': { $gt: now, $lte: horizon } },
+        {
+          'viewings.startsAt': null,
+          'viewings.scheduledDate': { $gte: today, $lte: getZonedParts(horizon, timezone).date }
+        }
+      ]
+    };
+
+    const rows = await Lead.aggregate([
+      { $match: match },
+      { $unwind: '$viewings' },
+      { $match: match },
+      {
+        $project: {
+          lead: {
+            _id: '$_id',
+            name: '$name',
+            email: '$email',
+            phoneNumber: '$phoneNumber',
+            assignedTo: '$assignedTo',
+            createdAt: '$createdAt'
+          },
+          viewing: '$viewings'
+        }
+      }
+    ]);
+
+    return rows
+      .map(({ lead, viewing }) => {
+        let startsAt = viewing.startsAt;
+        if (!startsAt) {
+          try {
+            startsAt = availabilityService.resolveSlot(viewing.scheduledDate, viewing.scheduledTime).startsAt;
+          } catch {
+            return null;
+          }
+        }
+        return { lead, viewing, startsAt };
+      })
+      .filter(row => row && row.startsAt > now && row.startsAt <= horizon);
+  }
+
+  /**
+   * Send reminders whose time has come.
+   * Each viewing is claimed with a conditional update that records the offsets,
+   * so a reminder goes out once even across restarts. Offsets that had already
+   * passed when the viewing was booked are recorded as skipped instead of sent.
+   * @returns {Promise<number>} - Viewings reminded
+   */
+  async sendDueReminders(now = new Date()) {
+    if (!viewingReminderConfig.enabled) return 0;
+
+    const upcoming = await this.findUpcoming(now);
+
+    let sent = 0;
+    for (const { lead, viewing, startsAt } of upcoming) {
+      const alreadySent = (viewing.remindersSent || []).map(reminder => reminder.offsetMinutes);
+      const due = viewingReminderConfig.offsetsMinutes.filter(offset =>
+        !alreadySent.includes(offset) && startsAt.getTime() - offset * MINUTE_MS <= now.getTime()
+      );
+      if (due.length === 0) continue;
+
+      // Viewings stored before createdAt was tracked fall back to the lead's age
+      const bookedAt = new Date(viewing.createdAt ?? lead.createdAt ?? 0);
+      const skipped = due.filter(offset => startsAt.getTime() - offset * MINUTE_MS < bookedAt.getTime());
+
+      const claim = await Lead.updateOne(
+        {
+          _id: lead._id,
+          viewings: {
+            $elemMatch: { _id: viewing._id, status: 'scheduled', 'remindersSent.offsetMinutes': { $nin: due } }
+          }
+        },
+        {
+          $push: {
+            'viewings.$.remindersSent': {
+              $each: due.map(offset => ({ offsetMinutes: offset, sentAt: now, skipped: skipped.includes(offset) }))
+            }
+          }
+        }
+      );
+      if (claim.modifiedCount !== 1 || skipped.length === due.length) continue;
+
+      sent++;
+      await this.sendReminder(lead, viewing, startsAt, Math.min(...due), now);
+    }
+
+    if (sent > 0) {
+      logger.info(`⏰ Sent ${sent} viewing reminder(s)`);
+    }
+    return sent;
+  }
+
+  // When the viewing is, relative to now, in the client's timezone
+  describeWhen(startsAt, now) {
+    const timezone = availabilityService.timezone;
+    const viewingDate = getZonedParts(startsAt, timezone).date;
+    const today = getZonedParts(now, timezone).date;
+
+    if (viewingDate === today) return { when: 'today', whenLabel: 'Today' };
+    if (viewingDate === addDays(today, 1)) return { when: 'tomorrow', whenLabel: 'Tomorrow' };
+    return { when: 'soon', whenLabel: 'Coming up' };
+  }
+
+  async sendReminder(lead, viewing, startsAt, offsetMinutes, now) {
+    const agentId = idOf(viewing.agent) || idOf(lead.assignedTo);
+
+    const [agent, propertyLocation] = await Promise.all([
+      agentId ? User.findById(agentId).select('name email') : null,
+      viewingNotificationService.getPropertyLocation(viewing.propertyId)
+    ]);
+
+    const details = {
+      ...this.describeWhen(startsAt, now),
+      ...viewingNotificationService.formatSlot(viewing),
+      propertyName: viewing.propertyName || 'your property viewing',
+      propertyLocation
+    };
+    const subject = `⏰ Viewing Reminder - ${viewing.propertyName || 'Property Viewing'}`;
+
+    const recipients = [];
+    if (lead.email) {
+      try {
+        await resend.emails.send({
+          from: FROM_EMAIL,
+          to: lead.email,
+          subject,
+          html: viewingReminderTemplate({ ...details, name: lead.name, agentName: agent?.name || null })
+        });
+        recipients.push(lead.email);
+      } catch (emailError) {
+        logger.error(`❌ Failed to send viewing reminder to lead ${lead._id}:`, emailError);
+      }
+    }
+
+    if (viewingReminderConfig.remindAgent && agent?.email) {
+      try {
+        await resend.emails.send({
+          from: FROM_EMAIL,
+          to: agent.email,
+          subject,
+          html: viewingReminderTemplate({
+            ...details,
+            name: agent.name,
+            leadName: lead.name,
+            leadEmail: lead.email,
+            leadPhone: lead.phoneNumber || null
+          })
+        });
+        recipients.push(agent.email);
+      } catch (emailError) {
+        logger.error(`❌ Failed to send viewing reminder to agent ${agentId}:`, emailError);
+      }
+    }
+
+    if (recipients.length === 0) return;
+
+    try {
+      const leadDoc = await Lead.findById(lead._id);
+      if (!leadDoc) return;
+
+      leadDoc.addActivity(
+        'email_sent',
+        `Viewing reminder sent for ${viewing.propertyName || 'property'} (${details.scheduledDate} at ${details.scheduledTime})`,
+        null,
+        'System',
+        { type: 'viewing_reminder', viewingId: viewing._id.toString(), offsetMinutes, recipients }
+      );
+      await leadDoc.save();
+    } catch (activityError) {
+      logger.error(`❌ Failed to record viewing reminder for lead ${lead._id}:`, activityError);
+    }
+  }
+}
+
+export const viewingReminderService = new ViewingReminderService();
+export default viewingReminderService;
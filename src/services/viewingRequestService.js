@@ -0,0 +1,265 @@
+/**
+ * Viewing Request Service
+ * The queue of viewing requests from the website waiting for an agent to
+ * confirm a slot, and escalation of requests nobody has confirmed in time
+ */
+
+import mongoose from 'mongoose';
+import { Resend } from 'resend';
+import Lead from '../models/LeadModel.js';
+import User from '../models/UserModel.js';
+import pusherService from './pusherService.js';
+import viewingNotificationService from './viewingNotificationService.js';
+import viewingRequestConfig from '../config/viewingRequests.js';
+import { viewingRequestAdminTemplate } from '../templates/emailTemplates.js';
+import logger from '../utils/logger.js';
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+const FROM_EMAIL = process.env.FROM_EMAIL || 'noreply@kejamatch.com';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://kejamatch.com';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// Requests handled by an agent: theirs, or on their leads when no agent was picked
+const handledBy = (agentId) => ({
+  $or: [
+    { 'viewings.agent': toObjectId(agentId) },
+    { 'viewings.agent': null, assignedTo: toObjectId(agentId) }
+  ]
+});
+
+class ViewingRequestService {
+  /**
+   * Unconfirmed requests, soonest preferred time first. Requests whose time
+   * could not be read come last, oldest first.
+   * Agents see the requests they handle; admins see all, or one agent's with agentId.
+   * @param {Object} query - agentId (admin; 'unassigned' for requests nobody holds),
+   *   propertyId, escalated ('true'), page, limit
+   * @param {Object} user - { id, role }
+   * @returns {Promise<Object>} - { requests, summary, pagination }
+   */
+  async listRequests(query = {}, user) {
+    const now = new Date();
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+    const match = { 'viewings.status': 'requested' };
+
+    if (user.role !== 'admin') {
+      Object.assign(match, handledBy(user.id));
+    } else if (query.agentId === 'unassigned') {
+      Object.assign(match, { 'viewings.agent': null, assignedTo: null });
+    } else if (query.agentId) {
+      if (!mongoose.isValidObjectId(query.agentId)) {
+        throw Object.assign(new Error('Invalid agent ID'), { statusCode: 400 });
+      }
+      Object.assign(match, handledBy(query.agentId));
+    }
+
+    if (query.propertyId) {
+      match['viewings.propertyId'] = String(query.propertyId);
+    }
+
+    const escalatedOnly = query.escalated === 'true';
+    const listMatch = escalatedOnly ? { ...match, 'viewings.request.escalatedAt': { $ne: null } } : match;
+    const unwound = (extra) => [{ $match: extra }, { $unwind: '$viewings' }, { $match: extra }];
+
+    const [rows, pendingTotals, escalatedTotals] = await Promise.all([
+      Lead.aggregate([
+        ...unwound(listMatch),
+        {
+          $addFields: {
+            unreadableTime: { $cond: [{ $ifNull: ['$viewings.request.preferredStartsAt', false] }, 0, 1] }
+          }
+        },
+        { $sort: { unreadableTime: 1, 'viewings.request.preferredStartsAt': 1, 'viewings.request.requestedAt': 1, 'viewings._id': 1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        {
+          $project: {
+            _id: 0,
+            viewingId: '$viewings._id',
+            leadId: '$_id',
+            leadName: '$name',
+            leadEmail: '$email',
+            leadPhone: '$phoneNumber',
+            propertyId: '$viewings.propertyId',
+            propertyName: '$viewings.propertyName',
+            preferredDate: '$viewings.request.preferredDate',
+            preferredTime: '$viewings.request.preferredTime',
+            preferredStartsAt: '$viewings.request.preferredStartsAt',
+            alternateDate: '$viewings.request.alternateDate',
+            alternateTime: '$viewings.request.alternateTime',
+            message: '$viewings.request.message',
+            requestedAt: '$viewings.request.requestedAt',
+            escalatedAt: '$viewings.request.escalatedAt',
+            proposedAt: '$viewings.proposedAt',
+            agent: '$viewings.agent',
+            agentName: '$viewings.agentName',
+            assignedTo: '$assignedTo',
+            assignedToName: '$assignedToName'
+          }
+        }
+      ]),
+      Lead.aggregate([...unwound(match), { $count: 'count' }]),
+      Lead.aggregate([
+        ...unwound({ ...match, 'viewings.request.escalatedAt': { $ne: null } }),
+        { $count: 'count' }
+      ])
+    ]);
+
+    const pending = pendingTotals[0]?.count || 0;
+    const escalated = escalatedTotals[0]?.count || 0;
+    const total = escalatedOnly ? escalated : pending;
+
+    return {
+      requests: rows.map(row => ({
+        ...row,
+        waitingMinutes: row.requestedAt ? Math.max(0, Math.round((now - row.requestedAt) / MINUTE_MS)) : null,
+        escalated: Boolean(row.escalatedAt)
+      })),
+      summary: { pending, escalated },
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Escalate requests still unconfirmed escalateAfterHours after they came in,
+   * or escalateBeforeStartHours before the client's preferred time.
+   * Each request is claimed with a conditional update so it is escalated once.
+   * @returns {Promise<number>} - Requests escalated
+   */
+  async escalateOverdue(now = new Date()) {
+    const match = {
+      'viewings.status': 'requested',
+      'viewings.request.escalatedAt': null,
+      $or: [
+        { 'viewings.request.requestedAt': { $lte: new Date(now.getTime() - viewingRequestConfig.escalateAfterHours * HOUR_MS) } },
+        { 'viewings.request.preferredStartsAt': { $lte: new Date(now.getTime() + viewingRequestConfig.escalateBeforeStartHours * HOUR_MS) } }
+      ]
+    };
+
+    const rows = await Lead.aggregate([
+      { $match: match },
+      { $unwind: '$viewings' },
+      { $match: match },
+      {
+        $project: {
+          lead: {
+            _id: '$_id',
+            name: '$name',
+            email: '$email',
+            phoneNumber: '$phoneNumber',
+            assignedTo: '$assignedTo'
+          },
+          viewing: '$viewings'
+        }
+      }
+    ]);
+
+    let escalated = 0;
+    for (const { lead, viewing } of rows) {
+      const claim = await Lead.updateOne(
+        {
+          _id: lead._id,
+          viewings: { $elemMatch: { _id: viewing._id, status: 'requested', 'request.escalatedAt': null } }
+        },
+        { $set: { 'viewings.$.request.escalatedAt': now } }
+      );
+      if (claim.modifiedCount !== 1) continue;
+
+      escalated++;
+      await this.sendEscalation(lead, viewing, now);
+    }
+
+    if (escalated > 0) {
+      logger.info(`⚠️ Escalated ${escalated} unconfirmed viewing request(s)`);
+    }
+    return escalated;
+  }
+
+  /**
+   * Real-time alert to the admins and the agent handling the request,
+   * and an email to them and ADMIN_EMAIL
+   */
+  async sendEscalation(lead, viewing, now) {
+    const { request } = viewing;
+    const agentId = idOf(viewing.agent) || idOf(lead.assignedTo);
+    const waitingHours = Math.max(0, Math.floor((now - request.requestedAt) / HOUR_MS));
+
+    const payload = {
+      leadId: lead._id,
+      leadName: lead.name,
+      viewingId: viewing._id,
+      propertyName: viewing.propertyName,
+      preferredDate: request.preferredDate,
+      preferredTime: request.preferredTime,
+      preferredStartsAt: request.preferredStartsAt,
+      requestedAt: request.requestedAt,
+      waitingHours,
+      agent: agentId,
+      timestamp: now.toISOString()
+    };
+
+    if (agentId) {
+      await pusherService.triggerToUser(agentId, 'viewing-request-escalated', payload);
+    }
+    await pusherService.triggerToRole('admin', 'viewing-request-escalated', payload);
+
+    try {
+      const [agent, propertyLocation] = await Promise.all([
+        agentId ? User.findById(agentId).select('email') : null,
+        viewingNotificationService.getPropertyLocation(viewing.propertyId)
+      ]);
+
+      const recipients = [...new Set([process.env.ADMIN_EMAIL, agent?.email].filter(Boolean))];
+      if (recipients.length === 0) return;
+
+      const preferred = viewingNotificationService.formatSlot({
+        scheduledDate: request.preferredDate,
+        scheduledTime: request.preferredTime
+      });
+
+      await resend.emails.send({
+        from: FROM_EMAIL,
+        to: recipients,
+        subject: `⚠️ Viewing request not confirmed - ${viewing.propertyName || 'Property Viewing'}`,
+        html: viewingRequestAdminTemplate({
+          escalated: true,
+          waitingHours,
+          requestedAt: request.requestedAt,
+          propertyName: viewing.propertyName,
+          propertyLocation,
+          name: lead.name,
+          email: lead.email,
+          phone: lead.phoneNumber,
+          preferredDate: preferred.scheduledDate,
+          preferredTime: preferred.scheduledTime,
+          alternateDate: request.alternateDate,
+          alternateTime: request.alternateTime,
+          message: request.message,
+          leadUrl: `${FRONTEND_URL}/agent/leads/${lead._id}`
+        })
+      });
+    } catch (emailError) {
+      logger.error(`❌ Failed to send viewing request escalation for viewing ${viewing._id}:`, emailError);
+    }
+  }
+}
+
+export const viewingRequestService = new ViewingRequestService();
+export default viewingRequestService;
@@ -482,6 +482,70 @@ export const twoFactorCodeTemplate = (data) => `
 </html>
 `;
 
+// 8. CLIENT INVITATION - Set Password (account created from a lead)
+export const clientInvitationTemplate = (data) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Your Client Portal Account - Kejamatch</title>
+  <style>${baseStyles}</style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🏡 Welcome to Kejamatch</h1>
+      <p>Your Client Portal account is ready</p>
+    </div>
+    
+    <div class="content">
+      <p class="greeting">Hello ${data.name},</p>
+      
+      <p>${data.invitedByName ? `${data.invitedByName} has` : 'We have'} set up a Kejamatch Client Portal account for you so you can follow your property search in one place.</p>
+      
+      <div class="info-box">
+        <h3 style="color: ${colors.primary}; margin-top: 0;">With Your Account You Can:</h3>
+        <ul style="margin: 10px 0 0 0; padding-left: 20px;">
+          <li><strong>Track Your Inquiries:</strong> See real-time status updates on your property search</li>
+          <li><strong>View Properties:</strong> Browse properties matched to your preferences</li>
+          <li><strong>Upload Documents:</strong> Securely submit ID, payslips, and other required documents</li>
+          <li><strong>Communicate:</strong> Direct messaging with your assigned agent</li>
+        </ul>
+      </div>
+
+      <p>To get started, choose a password for your account:</p>
+
+      <div style="text-align: center;">
+        <a href="${data.inviteUrl}" class="button">🔐 Set Your Password</a>
+      </div>
+
+      <p style="font-size: 14px; color: #666;">⏰ This link expires in ${data.expiryHours} hours and can only be used once. If it has expired, contact your agent for a new one.</p>
+
+      ${data.assignedAgent ? `
+        <div class="info-box" style="margin-top: 30px;">
+          <h3 style="color: ${colors.primary}; margin-top: 0;">👤 Your Assigned Agent</h3>
+          <p style="margin: 10px 0 0 0;">
+            <strong>${data.assignedAgent.name}</strong><br>
+            📧 ${data.assignedAgent.email}<br>
+            📞 ${data.assignedAgent.phone || 'Contact via email'}
+          </p>
+        </div>
+      ` : ''}
+    </div>
+    
+    <div class="footer">
+      <p><strong>Kejamatch Properties</strong></p>
+      <p>📞 <a href="tel:+254721860371">+254 721 860 371</a> | 📧 <a href="mailto:info@kejamatch.com">info@kejamatch.com</a></p>
+      <p style="margin-top: 20px; font-size: 12px; opacity: 0.8;">
+        Didn't expect this email? You can safely ignore it.
+      </p>
+    </div>
+  </div>
+</body>
+</html>
+`;
+
 export default {
   clientRegistrationTemplate,
   clientApprovedTemplate,
@@ -489,5 +553,6 @@ export default {
   documentUploadedTemplate,
   documentVerifiedTemplate,
   documentRejectedTemplate,
-  twoFactorCodeTemplate
+  twoFactorCodeTemplate,
+  clientInvitationTemplate
 };
\ No newline at end of file
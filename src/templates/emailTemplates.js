@@ -571,10 +571,137 @@ export const welcomeEmailTemplate = (data) => `
 </html>
 `;
 
+// 7. LEAD SLA ALERT - Agent Notification (about to breach / breached)
+export const leadSlaAlertTemplate = (data) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${data.breached ? 'Lead Response Overdue' : 'Lead Response Due Soon'}</title>
+  <style>${baseStyles}</style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>${data.breached ? '🚨 Lead Response Overdue' : '⏰ Lead Response Due Soon'}</h1>
+      <p>Kejamatch Properties</p>
+    </div>
+    
+    <div class="content">
+      <p class="greeting">Hello ${data.agentName || 'there'},</p>
+      
+      <p>${data.breached
+        ? 'The first-response time for this lead has passed without a call, email, note or status update.'
+        : `This lead needs a first response within ${data.minutesLeft} minute${data.minutesLeft === 1 ? '' : 's'}.`}</p>
+
+      <div class="info-box">
+        <h3 style="color: ${colors.primary}; margin-top: 0;">Lead Details</h3>
+        <div class="info-row">
+          <span class="info-label">Name:</span>
+          <span class="info-value">${data.leadName}</span>
+        </div>
+        <div class="info-row">
+          <span class="info-label">Email:</span>
+          <span class="info-value">${data.leadEmail}</span>
+        </div>
+        <div class="info-row">
+          <span class="info-label">Phone:</span>
+          <span class="info-value">${data.leadPhone || 'Not provided'}</span>
+        </div>
+        <div class="info-row">
+          <span class="info-label">Source:</span>
+          <span class="info-value">${data.source}</span>
+        </div>
+        <div class="info-row">
+          <span class="info-label">Response Due:</span>
+          <span class="info-value"><strong>${new Date(data.dueAt).toLocaleString('en-US', {
+            dateStyle: 'medium',
+            timeStyle: 'short',
+            timeZone: 'Africa/Nairobi'
+          })}</strong></span>
+        </div>
+      </div>
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${data.leadUrl}" class="button">📋 Open Lead</a>
+      </div>
+    </div>
+    
+    <div class="footer">
+      <p><strong>Kejamatch Properties</strong></p>
+      <p>Nairobi CBD, Kenya</p>
+      <p>📧 <a href="mailto:info@kejamatch.com">info@kejamatch.com</a></p>
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+// 8. TASK REMINDER - Agent Notification
+export const taskReminderTemplate = (data) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Task Reminder</title>
+  <style>${baseStyles}</style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>${data.overdue ? '⚠️ Task Overdue' : '⏰ Task Due Soon'}</h1>
+      <p>Kejamatch Properties</p>
+    </div>
+    
+    <div class="content">
+      <p class="greeting">Hello ${data.agentName || 'there'},</p>
+      
+      <p>${data.overdue ? 'This task is past its due time:' : 'This task is coming up:'}</p>
+
+      <div class="info-box">
+        <h3 style="color: ${colors.primary}; margin-top: 0;">${data.title}</h3>
+        ${data.description ? `<p style="margin: 0 0 10px 0; white-space: pre-wrap; color: #333;">${data.description}</p>` : ''}
+        <div class="info-row">
+          <span class="info-label">Due:</span>
+          <span class="info-value"><strong>${new Date(data.dueAt).toLocaleString('en-US', {
+            dateStyle: 'medium',
+            timeStyle: 'short',
+            timeZone: 'Africa/Nairobi'
+          })}</strong></span>
+        </div>
+        <div class="info-row">
+          <span class="info-label">Priority:</span>
+          <span class="info-value">${data.priority}</span>
+        </div>
+        ${data.leadName ? `
+        <div class="info-row">
+          <span class="info-label">Lead:</span>
+          <span class="info-value">${data.leadName}</span>
+        </div>` : ''}
+      </div>
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${data.tasksUrl}" class="button">📋 View My Tasks</a>
+      </div>
+    </div>
+    
+    <div class="footer">
+      <p><strong>Kejamatch Properties</strong></p>
+      <p>Nairobi CBD, Kenya</p>
+      <p>📧 <a href="mailto:info@kejamatch.com">info@kejamatch.com</a></p>
+    </div>
+  </div>
+</body>
+</html>
+`;
+
 // Re-export viewing templates
 export { 
   viewingRequestAdminTemplate, 
   viewingRequestUserTemplate, 
   viewingConfirmedTemplate,
-  viewingReminderTemplate 
+  viewingReminderTemplate,
+  viewingCancelledTemplate
 } from './viewingEmailTemplates.js';
\ No newline at end of file
@@ -109,25 +109,27 @@ const baseStyles = `
   }
 `;
 
-// 7. VIEWING REQUEST - Admin Notification
+// 7. VIEWING REQUEST - Admin Notification (escalated: still unconfirmed after the threshold)
 export const viewingRequestAdminTemplate = (data) => `
 <!DOCTYPE html>
 <html>
 <head>
   <meta charset="utf-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>New Viewing Request</title>
+  <title>${data.escalated ? 'Unconfirmed Viewing Request' : 'New Viewing Request'}</title>
   <style>${baseStyles}</style>
 </head>
 <body>
   <div class="container">
     <div class="header">
-      <h1>👁️ New Viewing Request</h1>
+      <h1>${data.escalated ? '⚠️ Viewing Request Not Confirmed' : '👁️ New Viewing Request'}</h1>
       <p>Kejamatch Properties</p>
     </div>
     
     <div class="content">
-      <p class="greeting">A potential client wants to view a property!</p>
+      <p class="greeting">${data.escalated
+        ? `This viewing request has been waiting ${data.waitingHours} hour${data.waitingHours === 1 ? '' : 's'} and nobody has confirmed it yet.`
+        : 'A potential client wants to view a property!'}</p>
       
       <div class="info-box">
         <h3 style="color: ${colors.primary}; margin-top: 0;">🏠 Property Details</h3>
@@ -189,8 +191,14 @@ export const viewingRequestAdminTemplate = (data) => `
         <a href="tel:${data.phone}" class="button" style="background-color: ${colors.primary}; margin-left: 10px;">📞 Call Now</a>
       </div>
 
+      ${data.leadUrl ? `
+        <div style="text-align: center; margin: 20px 0;">
+          <a href="${data.leadUrl}" class="button">✅ Confirm Viewing</a>
+        </div>
+      ` : ''}
+
       <p style="color: #666; font-size: 14px; font-style: italic;">
-        ⏰ Received: ${new Date().toLocaleString('en-US', { 
+        ⏰ Received: ${new Date(data.requestedAt || Date.now()).toLocaleString('en-US', { 
           dateStyle: 'full', 
           timeStyle: 'short' 
         })}
@@ -199,7 +207,9 @@ export const viewingRequestAdminTemplate = (data) => `
       <div style="background-color: #fff3cd; border-left: 4px solid ${colors.accent}; padding: 15px; border-radius: 4px; margin: 20px 0;">
         <p style="margin: 0; color: #856404;"><strong>⚡ Action Required</strong></p>
         <p style="margin: 10px 0 0 0; color: #856404; font-size: 14px;">
-          Please confirm this viewing within 24 hours. Log into the admin dashboard to schedule and confirm the appointment.
+          ${data.escalated
+            ? 'The client is still waiting. Confirm their preferred or alternate time from the viewing request queue, or contact them to agree a new one.'
+            : 'Please confirm this viewing within 24 hours. Log into the admin dashboard to schedule and confirm the appointment.'}
         </p>
       </div>
     </div>
@@ -271,6 +281,7 @@ export const viewingRequestUserTemplate = (data) => `
       <p>If you have any questions or need to reschedule, please don't hesitate to contact us.</p>
 
       <div style="text-align: center;">
+        ${data.manageUrl ? `<a href="${data.manageUrl}" class="button" style="background-color: ${colors.primary}; margin-right: 10px;">📅 Change or Cancel</a>` : ''}
         <a href="tel:+254721860371" class="button">📞 Call Us</a>
       </div>
     </div>
@@ -295,25 +306,27 @@ export const viewingConfirmedTemplate = (data) => `
 <head>
   <meta charset="utf-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Viewing Confirmed</title>
+  <title>${data.rescheduled ? 'Viewing Rescheduled' : 'Viewing Confirmed'}</title>
   <style>${baseStyles}</style>
 </head>
 <body>
   <div class="container">
     <div class="header">
-      <h1>🎉 Viewing Confirmed!</h1>
+      <h1>${data.rescheduled ? '📅 Viewing Rescheduled' : '🎉 Viewing Confirmed!'}</h1>
       <p>Kejamatch Properties</p>
     </div>
     
     <div class="content">
       <p class="greeting">Dear ${data.name},</p>
       
-      <p>Great news! Your property viewing has been confirmed. We look forward to showing you the property.</p>
+      ${data.rescheduled
+        ? `<p>Your property viewing has been moved${data.previousDate ? ` from ${data.previousDate}${data.previousTime ? ` at ${data.previousTime}` : ''}` : ''}. Here are the new details.</p>`
+        : '<p>Great news! Your property viewing has been confirmed. We look forward to showing you the property.</p>'}
       
       <div class="divider"></div>
 
       <div class="highlight-box">
-        <p style="margin: 0; font-size: 14px;">📅 Confirmed Viewing</p>
+        <p style="margin: 0; font-size: 14px;">📅 ${data.rescheduled ? 'New Viewing Time' : 'Confirmed Viewing'}</p>
         <h2 style="margin: 10px 0;">${data.scheduledDate}</h2>
         <p style="margin: 0; font-size: 18px;">at ${data.scheduledTime}</p>
       </div>
@@ -348,9 +361,12 @@ export const viewingConfirmedTemplate = (data) => `
         </ul>
       </div>
 
+      ${data.hasCalendarInvite ? '<p>📆 The attached invite adds this viewing to your calendar.</p>' : ''}
+
       <p>If you need to reschedule or cancel, please let us know at least 24 hours in advance.</p>
 
       <div style="text-align: center;">
+        ${data.manageUrl ? `<a href="${data.manageUrl}" class="button" style="background-color: ${colors.primary}; margin-right: 10px;">📅 Reschedule or Cancel</a>` : ''}
         <a href="tel:+254721860371" class="button">📞 Contact Us</a>
       </div>
     </div>
@@ -368,7 +384,7 @@ export const viewingConfirmedTemplate = (data) => `
 </html>
 `;
 
-// 10. VIEWING REMINDER - Sent 24 hours before
+// 10. VIEWING REMINDER - Sent to the client and the agent before a viewing
 export const viewingReminderTemplate = (data) => `
 <!DOCTYPE html>
 <html>
@@ -388,10 +404,10 @@ export const viewingReminderTemplate = (data) => `
     <div class="content">
       <p class="greeting">Dear ${data.name},</p>
       
-      <p>This is a friendly reminder about your upcoming property viewing tomorrow!</p>
+      <p>This is a friendly reminder about your upcoming property viewing ${data.when || 'tomorrow'}!</p>
       
       <div class="highlight-box">
-        <p style="margin: 0; font-size: 14px;">📅 Tomorrow</p>
+        <p style="margin: 0; font-size: 14px;">📅 ${data.whenLabel || 'Tomorrow'}</p>
         <h2 style="margin: 10px 0;">${data.scheduledDate}</h2>
         <p style="margin: 0; font-size: 18px;">at ${data.scheduledTime}</p>
       </div>
@@ -402,7 +418,20 @@ export const viewingReminderTemplate = (data) => `
         ${data.propertyLocation ? `<p style="margin: 5px 0 0 0; color: #666;">${data.propertyLocation}</p>` : ''}
       </div>
 
+      ${data.leadName ? `
+      <div class="info-box">
+        <h3 style="color: ${colors.primary}; margin-top: 0;">👤 Client</h3>
+        <p style="margin: 0; font-weight: bold;">${data.leadName}</p>
+        ${data.leadPhone ? `<p style="margin: 5px 0 0 0;"><a href="tel:${data.leadPhone}">${data.leadPhone}</a></p>` : ''}
+        ${data.leadEmail ? `<p style="margin: 5px 0 0 0;"><a href="mailto:${data.leadEmail}">${data.leadEmail}</a></p>` : ''}
+      </div>
+
+      <p>Please be at the property on time. If the client cannot make it, reschedule or cancel the viewing in the CRM.</p>
+      ` : `
+      ${data.agentName ? `<p>Your agent, <strong>${data.agentName}</strong>, will meet you at the property.</p>` : ''}
+
       <p>We're excited to show you this property! If you can no longer make it, please let us know as soon as possible.</p>
+      `}
 
       <div style="text-align: center;">
         <a href="tel:+254721860371" class="button">📞 Contact Us</a>
@@ -416,4 +445,49 @@ export const viewingReminderTemplate = (data) => `
   </div>
 </body>
 </html>
-`;
\ No newline at end of file
+`;
+
+// 11. VIEWING CANCELLED - User Notification
+export const viewingCancelledTemplate = (data) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Viewing Cancelled</title>
+  <style>${baseStyles}</style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Viewing Cancelled</h1>
+      <p>Kejamatch Properties</p>
+    </div>
+    
+    <div class="content">
+      <p class="greeting">Dear ${data.name},</p>
+      
+      <p>Your viewing of <strong>${data.propertyName}</strong> on ${data.scheduledDate} at ${data.scheduledTime} has been cancelled.</p>
+
+      ${data.reason ? `
+        <div class="info-box">
+          <h3 style="color: ${colors.primary}; margin-top: 0;">📝 Reason</h3>
+          <p style="margin: 0;">${data.reason}</p>
+        </div>
+      ` : ''}
+
+      <p>Would you like to book another time? Get in touch and we will find a slot that suits you.</p>
+
+      <div style="text-align: center;">
+        <a href="tel:+254721860371" class="button">📞 Contact Us</a>
+      </div>
+    </div>
+    
+    <div class="footer">
+      <p><strong>Kejamatch Properties</strong></p>
+      <p>📞 <a href="tel:+254721860371">+254 721 860 371</a> | 📧 <a href="mailto:info@kejamatch.com">info@kejamatch.com</a></p>
+    </div>
+  </div>
+</body>
+</html>
+`;
@@ -0,0 +1,119 @@
+/**
+ * Marketing attribution helpers
+ * Turn the `attribution` object sent with public forms into first- and
+ * last-touch records with a derived channel
+ */
+
+import attributionConfig from '../config/attribution.js';
+
+const UTM_FIELDS = {
+  utm_source: 'source',
+  utm_medium: 'medium',
+  utm_campaign: 'campaign',
+  utm_term: 'term',
+  utm_content: 'content'
+};
+
+// Grouped in reports, so compared case-insensitively
+const LOWERCASE_FIELDS = ['source', 'medium', 'campaign'];
+
+const clean = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text || null;
+};
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+};
+
+// Host labels, so "l.facebook.com" and "google.co.ke" match "facebook" and "google"
+const hostMatches = (host, names) => Boolean(host) && host.split('.').some(label => names.includes(label));
+
+/**
+ * Classify a touch into a channel (see ATTRIBUTION_CHANNELS)
+ * @param {Object} touch - { source, medium, referrer }
+ * @returns {string}
+ */
+export const deriveChannel = ({ source, medium, referrer }) => {
+  const {
+    paidMediums, paidSocialMediums, displayMediums, emailMediums,
+    affiliateMediums, socialMediums, searchEngines, socialSites
+  } = attributionConfig;
+  const referrerHost = hostOf(referrer);
+  const isSocial = (source && socialSites.includes(source)) || hostMatches(referrerHost, socialSites);
+  const isSearch = (source && searchEngines.includes(source)) || hostMatches(referrerHost, searchEngines);
+
+  if (medium) {
+    if (paidSocialMediums.includes(medium)) return 'paid_social';
+    if (paidMediums.includes(medium)) return isSocial ? 'paid_social' : 'paid_search';
+    if (displayMediums.includes(medium)) return 'display';
+    if (emailMediums.includes(medium)) return 'email';
+    if (affiliateMediums.includes(medium)) return 'affiliate';
+    if (socialMediums.includes(medium)) return 'social';
+    if (medium === 'organic') return 'organic_search';
+    if (medium === 'referral') return isSocial ? 'social' : 'referral';
+  }
+
+  if (isSocial) return 'social';
+  if (isSearch) return 'organic_search';
+  if (referrerHost) return 'referral';
+  return source ? 'other' : 'direct';
+};
+
+/**
+ * Build first- and last-touch records from a form's attribution data.
+ * Without UTM source the referrer's host becomes the source; a referrer on
+ * the landing page's own site is ignored. Timestamps default to now and
+ * cannot be in the future.
+ * @param {Object} input - { utm_source, utm_medium, utm_campaign, utm_term, utm_content,
+ *                           referrer, landingPage, firstTouchAt, lastTouchAt }
+ * @returns {{ firstTouch: Object, lastTouch: Object } | null} - null when nothing was sent
+ */
+export const parseAttribution = (input, now = new Date()) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return null;
+
+  const touch = {};
+  Object.entries(UTM_FIELDS).forEach(([param, field]) => {
+    const value = clean(input[param]);
+    touch[field] = value && LOWERCASE_FIELDS.includes(field) ? value.toLowerCase() : value;
+  });
+  touch.landingPage = clean(input.landingPage);
+  touch.referrer = clean(input.referrer);
+
+  const landingHost = hostOf(touch.landingPage);
+  const referrerHost = hostOf(touch.referrer);
+  if (referrerHost && referrerHost === landingHost) {
+    touch.referrer = null;
+  }
+
+  const hasData = Object.values(touch).some(Boolean);
+  if (!hasData) return null;
+
+  if (!touch.source && touch.referrer) {
+    touch.source = hostOf(touch.referrer);
+  }
+  touch.channel = deriveChannel(touch);
+
+  const timestamp = (value, fallback) => {
+    const date = value ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) return fallback;
+    return date > now ? now : date;
+  };
+  const lastTouchAt = timestamp(input.lastTouchAt, now);
+  const firstTouchAt = timestamp(input.firstTouchAt, lastTouchAt);
+
+  return {
+    firstTouch: { ...touch, at: firstTouchAt < lastTouchAt ? firstTouchAt : lastTouchAt },
+    lastTouch: { ...touch, at: lastTouchAt }
+  };
+};
+
+export default {
+  deriveChannel,
+  parseAttribution
+};
@@ -0,0 +1,50 @@
+/**
+ * Change Context
+ * Tracks who (and what) is behind the current unit of work so model hooks
+ * can attribute lead changes without every caller passing it through
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const CHANGE_ORIGINS = ['api', 'odoo_sync', 'system'];
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a change context
+ * @param {Object} context - { origin, userId, userName } or { origin, req } (user read from req.user)
+ * @param {Function} fn - Function to run
+ * @returns {*} - Result of the function
+ */
+export function runWithChangeContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Current origin and actor. Work outside any context (scheduled jobs, startup) is "system".
+ * @returns {{ origin: string, userId: string|null, userName: string|null }}
+ */
+export function getChangeContext() {
+  const context = storage.getStore();
+  if (!context) {
+    return { origin: 'system', userId: null, userName: null };
+  }
+
+  // The request user is only known once verifyToken has run, so read it lazily
+  const user = context.req?.user;
+  return {
+    origin: context.origin || 'system',
+    userId: context.userId ?? user?.id ?? null,
+    userName: context.userName ?? user?.name ?? null
+  };
+}
+
+/**
+ * Express middleware: everything handled for a request is attributed to the API
+ * and to the authenticated user
+ */
+export const trackRequestChanges = (req, res, next) => {
+  runWithChangeContext({ origin: 'api', req }, next);
+};
+
+export default { runWithChangeContext, getChangeContext, trackRequestChanges, CHANGE_ORIGINS };
@@ -0,0 +1,64 @@
+/**
+ * Public form leads
+ * The lead each public form records. Used by the form controllers and when a
+ * quarantined submission is released, so both record the same lead.
+ */
+
+import { parseAttribution } from './attribution.js';
+
+// e.g. "Monday, December 1, 2024"
+export const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+};
+
+/**
+ * Contact form fields → LeadStorage.saveLead input
+ */
+export const contactLead = (body) => ({
+  name: body.name,
+  email: body.email,
+  phoneNumber: body.phoneNumber,
+  subject: body.subject,
+  message: body.message,
+  attribution: parseAttribution(body.attribution)
+});
+
+/**
+ * BNB booking form fields → LeadStorage.saveLead input
+ */
+export const bookingLead = (body) => ({
+  name: body.name,
+  email: body.email,
+  phoneNumber: body.phoneNumber,
+  subject: `BNB Booking: ${body.propertyName}`,
+  message: `Booking Request:
+Property: ${body.propertyName} (${body.propertyLocation})
+Check-in: ${formatDate(body.checkIn)}
+Check-out: ${formatDate(body.checkOut)}
+Guests: ${body.guests}
+Nights: ${body.nights}
+Total Cost: KES ${Number(body.totalCost).toLocaleString()}
+Special Requests: ${body.specialRequests || 'None'}`,
+  source: 'bnb_booking_form',
+  attribution: parseAttribution(body.attribution)
+});
+
+/**
+ * Viewing request form fields → LeadStorage.recordViewingRequest input
+ */
+export const viewingRequestLead = (body) => ({
+  ...body,
+  attribution: parseAttribution(body.attribution)
+});
+
+// Keyed by the form names in config/spamProtection.js
+export const FORM_LEADS = {
+  contact: contactLead,
+  booking: bookingLead,
+  viewing_request: viewingRequestLead
+};
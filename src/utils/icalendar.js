@@ -0,0 +1,95 @@
+/**
+ * iCalendar (RFC 5545) helpers
+ * Builds VCALENDAR documents for invites (REQUEST / CANCEL) and feeds (PUBLISH)
+ */
+
+const PRODUCT_ID = '-//Kejamatch//Viewings//EN';
+const MAX_LINE_OCTETS = 75;
+
+// 2025-03-01T06:30:00.000Z -> 20250301T063000Z
+export const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+export const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const person = (property, { name, email }, params = []) => {
+  const nameParam = name ? [`CN=${JSON.stringify(String(name).replace(/"/g, "'"))}`] : [];
+  return `${[property, ...nameParam, ...params].join(';')}:mailto:${email}`;
+};
+
+/**
+ * One VEVENT
+ * @param {Object} event - uid, start, end, summary, description, location, url,
+ *   status (CONFIRMED | CANCELLED), sequence, updatedAt, organizer { name, email }, attendees [{ name, email }]
+ */
+export const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(event.updatedAt || new Date())}`,
+    `DTSTART:${formatUtc(event.start)}`,
+    `DTEND:${formatUtc(event.end)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.status || 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.organizer?.email) lines.push(person('ORGANIZER', event.organizer));
+  (event.attendees || [])
+    .filter(attendee => attendee.email)
+    .forEach(attendee => lines.push(person('ATTENDEE', attendee, ['ROLE=REQ-PARTICIPANT', 'RSVP=FALSE'])));
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * A VCALENDAR document
+ * @param {Object} calendar - method (REQUEST | CANCEL | PUBLISH), name (feeds), events
+ * @returns {string} - CRLF-separated, folded
+ */
+export const buildCalendar = ({ method, name, events = [] }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    ...(method ? [`METHOD:${method}`] : []),
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...events.flatMap(buildEvent),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+export default {
+  formatUtc,
+  escapeText,
+  buildEvent,
+  buildCalendar
+};
@@ -0,0 +1,76 @@
+/**
+ * Phone Number Utility
+ * Normalizes Kenyan and international numbers to E.164 (+254712345678)
+ */
+
+import { parsePhoneNumberFromString, getCountryCallingCode } from 'libphonenumber-js';
+import phoneConfig from '../config/phone.js';
+
+/**
+ * Parse a phone number typed in any common format
+ * (0712 345 678, 254712345678, +254 712 345678, 00447911123456)
+ * @param {string} value
+ * @param {string} region - Region for numbers without a country code
+ * @returns {import('libphonenumber-js').PhoneNumber|null}
+ */
+export function parsePhone(value, region = phoneConfig.defaultRegion) {
+  if (value === null || value === undefined) return null;
+
+  let text = String(value).trim();
+  if (!text) return null;
+
+  // International prefix and country code typed without "+"
+  if (text.startsWith('00')) {
+    text = `+${text.slice(2)}`;
+  } else if (/^254\d{9}$/.test(text.replace(/[\s-]/g, ''))) {
+    text = `+${text}`;
+  }
+
+  return parsePhoneNumberFromString(text, region) || null;
+}
+
+/**
+ * E.164 form of a valid phone number
+ * @param {string} value
+ * @returns {string|null} - null when the number is missing or invalid
+ */
+export function normalizePhone(value, region = phoneConfig.defaultRegion) {
+  const phone = parsePhone(value, region);
+  return phone && phone.isValid() ? phone.number : null;
+}
+
+export function isValidPhone(value, region = phoneConfig.defaultRegion) {
+  return normalizePhone(value, region) !== null;
+}
+
+/**
+ * Canonical value to store: E.164 when the number is valid, otherwise the
+ * trimmed original so nothing typed is lost (it can be corrected later)
+ * @returns {string|null}
+ */
+export function canonicalPhone(value, region = phoneConfig.defaultRegion) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  return normalizePhone(value, region) || String(value).trim();
+}
+
+/**
+ * E.164 prefix for a partly typed number, for prefix search on stored numbers
+ * ("0712 34" and "25471234" both become "+25471234")
+ * @returns {string|null} - null when the text is not a phone number fragment
+ */
+export function phonePrefix(value, region = phoneConfig.defaultRegion) {
+  const text = String(value ?? '').trim();
+  if (!/^\+?[\d\s()-]+$/.test(text)) return null;
+
+  const digits = text.replace(/\D/g, '');
+  if (!digits) return null;
+  if (text.startsWith('+')) return `+${digits}`;
+  if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+
+  const callingCode = getCountryCallingCode(region);
+  if (digits.startsWith('0')) return `+${callingCode}${digits.slice(1)}`;
+  if (digits.startsWith(callingCode)) return `+${digits}`;
+  return `+${callingCode}${digits}`;
+}
+
+export default { parsePhone, normalizePhone, isValidPhone, canonicalPhone, phonePrefix };
@@ -0,0 +1,37 @@
+/**
+ * Search Text Utilities
+ * Normalization shared by the stored search keys and search queries
+ */
+
+/**
+ * Lowercase, strip accents and collapse whitespace
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeSearchText(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalized copies of the text values among a record's custom fields
+ * @param {Object} customFields - { key: value }
+ * @returns {Object} - { key: normalized text }
+ */
+export function customFieldSearchText(customFields) {
+  return Object.fromEntries(
+    Object.entries(customFields || {})
+      .filter(([, value]) => typeof value === 'string')
+      .map(([key, value]) => [key, normalizeSearchText(value)])
+  );
+}
+
+export function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export default { normalizeSearchText, customFieldSearchText, escapeRegex };
@@ -0,0 +1,129 @@
+/**
+ * Timezone helpers
+ * Convert between wall-clock dates/times in a named timezone and instants
+ */
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?:\s*([AaPp][Mm]))?$/;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @returns {Object} - { date: 'YYYY-MM-DD', time: 'HH:mm', weekday: 0-6 (Sunday = 0), minutes: minutes since midnight }
+ */
+export const getZonedParts = (instant, timeZone) => {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(new Date(instant)).map(part => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+// Minutes the timezone is ahead of UTC at an instant
+const getOffsetMinutes = (instant, timeZone) => {
+  const { date, minutes } = getZonedParts(instant, timeZone);
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day) + minutes * 60 * 1000;
+  const truncated = Math.floor(instant / (60 * 1000)) * 60 * 1000;
+  return Math.round((wallClock - truncated) / (60 * 1000));
+};
+
+/**
+ * Parse 'YYYY-MM-DD'
+ * @returns {string|null} - the date, or null when it is not a real calendar date
+ */
+export const parseLocalDate = (value) => {
+  const match = DATE_PATTERN.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return match[0];
+};
+
+/**
+ * Parse 'HH:mm' (24-hour) or 'h:mm AM'
+ * @returns {string|null} - 'HH:mm', or null when invalid
+ */
+export const parseLocalTime = (value) => {
+  const match = TIME_PATTERN.exec(String(value || '').trim());
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const meridiem = match[3]?.toLowerCase();
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+
+  return `${pad(hours)}:${pad(minutes)}`;
+};
+
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * The instant a wall-clock date and time in a timezone refers to
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:mm'
+ * @returns {Date}
+ */
+export const zonedTimeToUtc = (date, time, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day) + timeToMinutes(time) * 60 * 1000;
+
+  // The offset at the guessed instant is right except across a DST change
+  let instant = wallClock - getOffsetMinutes(wallClock, timeZone) * 60 * 1000;
+  const offset = getOffsetMinutes(instant, timeZone);
+  instant = wallClock - offset * 60 * 1000;
+
+  return new Date(instant);
+};
+
+/**
+ * 'YYYY-MM-DD' a number of calendar days later
+ */
+export const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const next = new Date(Date.UTC(year, month - 1, day + days));
+  return `${next.getUTCFullYear()}-${pad(next.getUTCMonth() + 1)}-${pad(next.getUTCDate())}`;
+};
+
+/**
+ * Day of the week of a 'YYYY-MM-DD' date (Sunday = 0)
+ */
+export const weekdayOf = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};